@@ -144,6 +144,9 @@ BufferArray.prototype = MACROUTILS.objectInherit( GLObject.prototype, {
     getItemSize: function () {
         return this._itemSize;
     },
+    getTarget: function () {
+        return this._target;
+    },
     dirty: function () {
         this._dirty = true;
     },
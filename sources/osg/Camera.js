@@ -2,7 +2,9 @@
 var MACROUTILS = require( 'osg/Utils' );
 var Transform = require( 'osg/Transform' );
 var CullSettings = require( 'osg/CullSettings' );
+var FrameBufferObject = require( 'osg/FrameBufferObject' );
 var Matrix = require( 'osg/Matrix' );
+var OrderIndependentTransparency = require( 'osg/OrderIndependentTransparency' );
 var Texture = require( 'osg/Texture' );
 var TransformEnums = require( 'osg/TransformEnums' );
 var Vec4 = require( 'osg/Vec4' );
@@ -34,6 +36,8 @@ var Camera = function () {
     this._view = undefined;
     this._renderer = undefined;
     this._attachments = {};
+    this._samples = 0;
+    this._orderIndependentTransparency = undefined;
 };
 
 Camera.PRE_RENDER = 0;
@@ -213,6 +217,42 @@ Camera.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
             };
         },
 
+        // multiple render targets: attach the textures on COLOR_ATTACHMENT0,
+        // COLOR_ATTACHMENT1, ... written by gl_FragData[0], gl_FragData[1], ...
+        attachTextures: function ( textures, textureTarget ) {
+            for ( var i = 0, l = textures.length; i < l; i++ ) {
+                this.attachTexture( FrameBufferObject.COLOR_ATTACHMENT0 + i, textures[ i ], textureTarget );
+            }
+        },
+
+        // render to texture in multisampled render buffers resolved
+        // in the attached textures, WebGL2 only, 0 to disable
+        setSamples: function ( samples ) {
+            this._samples = samples;
+        },
+
+        getSamples: function () {
+            return this._samples;
+        },
+
+        // render the leaves of the TRANSPARENT_BIN with weighted blended
+        // order independent transparency, see OrderIndependentTransparency
+        setOrderIndependentTransparency: function ( enable ) {
+            var enabled = enable === true;
+            if ( enabled === ( this._orderIndependentTransparency !== undefined ) ) return;
+
+            if ( enabled ) {
+                this._orderIndependentTransparency = new OrderIndependentTransparency();
+            } else {
+                this._orderIndependentTransparency.releaseGLObjects();
+                this._orderIndependentTransparency = undefined;
+            }
+        },
+
+        getOrderIndependentTransparency: function () {
+            return this._orderIndependentTransparency;
+        },
+
         attachRenderBuffer: function ( bufferComponent, internalFormat ) {
             if ( this.frameBufferObject ) {
                 this.frameBufferObject.dirty();
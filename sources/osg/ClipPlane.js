@@ -0,0 +1,95 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var Uniform = require( 'osg/Uniform' );
+var Vec4 = require( 'osg/Vec4' );
+var Map = require( 'osg/Map' );
+
+
+/**
+ *  User clip plane, WebGL has no fixed function clipping so the shader
+ *  generator discards the fragments on the negative side of the plane.
+ *  The plane ( a, b, c, d ) is in world coordinates, a point p is kept
+ *  when a * p.x + b * p.y + c * p.z + d >= 0
+ *  @class
+ *  @memberOf osg
+ *  @extends StateAttribute
+ */
+var ClipPlane = function ( clipNum, plane ) {
+    StateAttribute.call( this );
+
+    this._clipNum = clipNum !== undefined ? clipNum : 0;
+    this._plane = Vec4.createAndSet( 0.0, 0.0, 1.0, 0.0 );
+    this._enable = true;
+
+    if ( plane !== undefined ) this.setClipPlane( plane );
+};
+
+ClipPlane.uniforms = {};
+
+/**
+ * @lends ClipPlane.prototype
+ */
+ClipPlane.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+    attributeType: 'ClipPlane',
+
+    cloneType: function () {
+        var clipPlane = new ClipPlane( this._clipNum );
+        clipPlane.setEnabled( false );
+        return clipPlane;
+    },
+
+    getTypeMember: function () {
+        return this.attributeType + this._clipNum;
+    },
+
+    getUniformName: function ( name ) {
+        return this.getType() + this._clipNum + '_uniform_' + name;
+    },
+
+    getHash: function () {
+        return this.getTypeMember() + this.isEnabled().toString();
+    },
+
+    getOrCreateUniforms: function () {
+        var obj = ClipPlane;
+        var typeMember = this.getTypeMember();
+
+        if ( obj.uniforms[ typeMember ] ) return obj.uniforms[ typeMember ];
+
+        obj.uniforms[ typeMember ] = new Map( {
+            plane: Uniform.createFloat4( this.getUniformName( 'plane' ) )
+        } );
+
+        return obj.uniforms[ typeMember ];
+    },
+
+    setClipNum: function ( num ) {
+        this._clipNum = num;
+    },
+    getClipNum: function () {
+        return this._clipNum;
+    },
+
+    setClipPlane: function ( plane ) {
+        Vec4.copy( plane, this._plane );
+    },
+    getClipPlane: function () {
+        return this._plane;
+    },
+
+    setEnabled: function ( bool ) {
+        this._enable = bool;
+    },
+    isEnabled: function () {
+        return this._enable;
+    },
+
+    apply: function () {
+        if ( !this._enable ) return;
+
+        this.getOrCreateUniforms().plane.setFloat4( this._plane );
+    }
+} ), 'osg', 'ClipPlane' );
+
+module.exports = ClipPlane;
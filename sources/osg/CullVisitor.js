@@ -12,6 +12,7 @@ var Projection = require( 'osg/Projection' );
 var LightSource = require( 'osg/LightSource' );
 var osgPool = require( 'osgUtil/osgPool' );
 var Geometry = require( 'osg/Geometry' );
+var InstancedGeometry = require( 'osg/InstancedGeometry' );
 var RenderLeaf = require( 'osg/RenderLeaf' );
 var RenderBin = require( 'osg/RenderBin' );
 var RenderStage = require( 'osg/RenderStage' );
@@ -209,7 +210,12 @@ CullVisitor.prototype = MACROUTILS.objectInherit( CullStack.prototype, MACROUTIL
             var renderBinStack = this._renderBinStack;
             var currentRenderBin = this._currentRenderBin;
             renderBinStack.push( currentRenderBin );
-            this._currentRenderBin = currentRenderBin.getStage().findOrInsert( stateset.getBinNumber(), stateset.getBinName() );
+            var stage = currentRenderBin.getStage();
+            var binName = stateset.getBinName();
+            // transparent leaves of a stage with order independent transparency
+            if ( binName === 'DepthSortedBin' && stage.getOrderIndependentTransparency() )
+                binName = 'OrderIndependentTransparencyBin';
+            this._currentRenderBin = stage.findOrInsert( stateset.getBinNumber(), binName );
         }
     },
 
@@ -332,6 +338,10 @@ CullVisitor.prototype = MACROUTILS.objectInherit( CullStack.prototype, MACROUTIL
             geometryStateSetAnimation = node.getStateSetAnimation();
             if ( geometryStateSetAnimation ) cull.pushStateSet( geometryStateSetAnimation );
 
+        } else if ( node instanceof InstancedGeometry ) {
+
+            cull.pushStateSet( node.getStateSetInstance() );
+
         }
 
     },
@@ -355,6 +365,10 @@ CullVisitor.prototype = MACROUTILS.objectInherit( CullStack.prototype, MACROUTIL
 
             cull.popStateSet();
 
+        } else if ( node instanceof InstancedGeometry ) {
+
+            cull.popStateSet();
+
         }
 
     },
@@ -461,6 +475,7 @@ CullVisitor.prototype[ Camera.typeID ] = function ( camera ) {
         rtts.setClearDepth( camera.getClearDepth() );
         rtts.setClearColor( camera.getClearColor() );
         rtts.setClearMask( camera.getClearMask() );
+        rtts.setOrderIndependentTransparency( camera.getOrderIndependentTransparency() );
 
         var vp;
         if ( camera.getViewport() === undefined ) {
@@ -23,6 +23,17 @@ DrawArrayLengths.prototype = {
             first += count;
         }
     },
+    drawInstanced: function ( state, numInstances ) {
+        var ext = state.getInstancedArraysExtension();
+        var mode = this._mode;
+        var first = this._first;
+        var array = this._arrayLengths;
+        for ( var i = 0, l = array.length; i < l; i++ ) {
+            var count = array[ i ];
+            ext.drawArraysInstancedANGLE( mode, first, count, numInstances );
+            first += count;
+        }
+    },
     getMode: function () {
         return this._mode;
     },
@@ -27,6 +27,11 @@ DrawArrays.prototype = {
         var gl = state.getGraphicContext();
         gl.drawArrays( this.mode, this.first, this.count );
     },
+    drawInstanced: function ( state, numInstances ) {
+        if ( this.count === 0 || numInstances === 0 )
+            return;
+        state.getInstancedArraysExtension().drawArraysInstancedANGLE( this.mode, this.first, this.count, numInstances );
+    },
     getMode: function () {
         return this.mode;
     },
@@ -43,6 +43,15 @@ DrawElements.prototype = {
         var gl = state.getGraphicContext();
         gl.drawElements( this.mode, this.count, this.uType, this.offset );
     },
+    drawInstanced: function ( state, numInstances ) {
+        if ( this.count === 0 || numInstances === 0 )
+            return;
+        state.setIndexArray( this.indices );
+        this.drawElementsInstanced( state, numInstances );
+    },
+    drawElementsInstanced: function ( state, numInstances ) {
+        state.getInstancedArraysExtension().drawElementsInstancedANGLE( this.mode, this.count, this.uType, this.offset, numInstances );
+    },
     setIndices: function ( indices ) {
         this.indices = indices;
         var elts = indices.getElements();
@@ -0,0 +1,168 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var Matrix = require( 'osg/Matrix' );
+var Uniform = require( 'osg/Uniform' );
+var Map = require( 'osg/Map' );
+
+
+// basis of the spherical harmonics with the signs of envtools, the shader
+// multiplies the coefficients by the polynomials of the direction
+var SH_BAND0 = 1.0 / ( 2.0 * Math.sqrt( Math.PI ) );
+var SH_BAND1 = Math.sqrt( 3.0 / Math.PI ) * 0.5;
+var SH_BAND2 = Math.sqrt( 15.0 / Math.PI ) * 0.5;
+var SH_BAND2_Z = Math.sqrt( 5.0 / Math.PI ) * 0.25;
+var SH_BAND2_XY = Math.sqrt( 15.0 / Math.PI ) * 0.25;
+var shBasis = [ SH_BAND0, -SH_BAND1, SH_BAND1, -SH_BAND1, SH_BAND2, -SH_BAND2, SH_BAND2_Z, -SH_BAND2, SH_BAND2_XY ];
+
+
+/**
+ * EnvironmentLight lights the PBRMaterial with an environment: the diffuse
+ * comes from 9 spherical harmonics coefficients and the specular from a
+ * cubemap prefiltered by roughness in its mipmaps, encoded in RGBM.
+ * The textures are set on the texture units of the slots, the ones of
+ * osgUtil.EnvironmentPrefilter and osgUtil.IntegrateBRDF:
+ * - specular: the prefiltered cubemap, the lighting falls back on the
+ *   spherical harmonics without it
+ * - BRDF: the integrated BRDF look up table, the lighting uses an
+ *   analytic approximation without it
+ * @class EnvironmentLight
+ * @inherits StateAttribute
+ */
+var EnvironmentLight = function () {
+    StateAttribute.call( this );
+
+    // rgb coefficients of the irradiance divided by PI, as exported by
+    // envtools or computed by osgUtil.EnvironmentPrefilter
+    this._sphericalHarmonics = new MACROUTILS.Float32Array( 27 );
+    this._intensity = 1.0;
+    // from the world to the environment directions
+    this._matrix = Matrix.create();
+
+    this._specularTextureUnit = -1;
+    this._specularMaxLod = 0.0;
+    this._specularRange = 8.0;
+    this._brdfTextureUnit = -1;
+
+    this._enable = true;
+};
+
+EnvironmentLight.shBasis = shBasis;
+
+/** @lends EnvironmentLight.prototype */
+EnvironmentLight.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+
+    attributeType: 'EnvironmentLight',
+
+    cloneType: function () {
+        var light = new EnvironmentLight();
+        light.setEnabled( false );
+        return light;
+    },
+
+    getOrCreateUniforms: function () {
+        var obj = EnvironmentLight;
+        if ( obj.uniforms ) return obj.uniforms;
+
+        var uniformList = {
+            sphericalHarmonics: Uniform.createFloat3( new MACROUTILS.Float32Array( 27 ), 'EnvironmentLightSphericalHarmonics' ),
+            intensity: Uniform.createFloat1( [ 0 ], 'EnvironmentLightIntensity' ),
+            matrix: Uniform.createMatrix4( Matrix.create(), 'EnvironmentLightMatrix' ),
+            specularMaxLod: Uniform.createFloat1( [ 0 ], 'EnvironmentLightSpecularMaxLod' ),
+            specularRange: Uniform.createFloat1( [ 0 ], 'EnvironmentLightSpecularRange' )
+        };
+
+        obj.uniforms = new Map( uniformList );
+        return obj.uniforms;
+    },
+
+    setEnabled: function ( enable ) {
+        this._enable = enable;
+    },
+
+    isEnabled: function () {
+        return this._enable;
+    },
+
+    // 27 floats, the rgb coefficients of the bands 0, 1 and 2
+    setSphericalHarmonics: function ( coefficients ) {
+        for ( var i = 0; i < 27; i++ ) {
+            this._sphericalHarmonics[ i ] = coefficients[ i ];
+        }
+    },
+
+    getSphericalHarmonics: function () {
+        return this._sphericalHarmonics;
+    },
+
+    setIntensity: function ( intensity ) {
+        this._intensity = intensity;
+    },
+
+    getIntensity: function () {
+        return this._intensity;
+    },
+
+    setMatrix: function ( matrix ) {
+        Matrix.copy( matrix, this._matrix );
+    },
+
+    getMatrix: function () {
+        return this._matrix;
+    },
+
+    setSpecularTextureUnit: function ( unit ) {
+        this._specularTextureUnit = unit;
+    },
+
+    getSpecularTextureUnit: function () {
+        return this._specularTextureUnit;
+    },
+
+    // level of the mipmap prefiltered with a roughness of 1
+    setSpecularMaxLod: function ( lod ) {
+        this._specularMaxLod = lod;
+    },
+
+    getSpecularMaxLod: function () {
+        return this._specularMaxLod;
+    },
+
+    // range of the RGBM encoding, 0 if the cubemap is not encoded
+    setSpecularRange: function ( range ) {
+        this._specularRange = range;
+    },
+
+    getSpecularRange: function () {
+        return this._specularRange;
+    },
+
+    setBRDFTextureUnit: function ( unit ) {
+        this._brdfTextureUnit = unit;
+    },
+
+    getBRDFTextureUnit: function () {
+        return this._brdfTextureUnit;
+    },
+
+    getHash: function () {
+        return this.getTypeMember() + this._specularTextureUnit + '_' + this._brdfTextureUnit;
+    },
+
+    apply: function () {
+        var uniforms = this.getOrCreateUniforms();
+
+        var sh = uniforms.sphericalHarmonics.getInternalArray();
+        for ( var i = 0; i < 27; i++ ) {
+            sh[ i ] = this._sphericalHarmonics[ i ] * shBasis[ Math.floor( i / 3 ) ];
+        }
+
+        uniforms.intensity.setFloat( this._intensity );
+        uniforms.matrix.setMatrix4( this._matrix );
+        uniforms.specularMaxLod.setFloat( this._specularMaxLod );
+        uniforms.specularRange.setFloat( this._specularRange );
+    }
+
+} ), 'osg', 'EnvironmentLight' );
+
+module.exports = EnvironmentLight;
@@ -0,0 +1,168 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var Uniform = require( 'osg/Uniform' );
+var Map = require( 'osg/Map' );
+var Vec4 = require( 'osg/Vec4' );
+
+
+/**
+ * Fog blends the color of the fragments lit by the shader generator with
+ * the fog color depending on their distance to the eye:
+ * - LINEAR: from the start distance to the end distance
+ * - EXP: exp( -density * distance )
+ * - EXP2: exp( -( density * distance )^2 )
+ * The height fog thins the fog above the height in the world with the
+ * factor exp( -heightFalloff * ( z - height ) )
+ * @class Fog
+ * @inherits StateAttribute
+ */
+var Fog = function ( mode ) {
+    StateAttribute.call( this );
+
+    this._mode = Fog.EXP;
+    this._density = 1.0;
+    this._start = 0.0;
+    this._end = 1.0;
+    this._color = Vec4.create();
+
+    this._heightFog = false;
+    this._height = 0.0;
+    this._heightFalloff = 1.0;
+
+    this._enable = true;
+
+    if ( mode !== undefined ) {
+        if ( typeof ( mode ) === 'string' ) {
+            this._mode = Fog[ mode ];
+        } else {
+            this._mode = mode;
+        }
+    }
+};
+
+Fog.LINEAR = 0x2601;
+Fog.EXP = 0x0800;
+Fog.EXP2 = 0x0801;
+
+/** @lends Fog.prototype */
+Fog.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+
+    attributeType: 'Fog',
+
+    cloneType: function () {
+        var fog = new Fog();
+        fog.setEnabled( false );
+        return fog;
+    },
+
+    getOrCreateUniforms: function () {
+        var obj = Fog;
+        if ( obj.uniforms ) return obj.uniforms;
+
+        var uniformList = {
+            color: Uniform.createFloat4( 'FogColor' ),
+            density: Uniform.createFloat1( 'FogDensity' ),
+            start: Uniform.createFloat1( 'FogStart' ),
+            end: Uniform.createFloat1( 'FogEnd' ),
+            height: Uniform.createFloat1( 'FogHeight' ),
+            heightFalloff: Uniform.createFloat1( 'FogHeightFalloff' )
+        };
+
+        obj.uniforms = new Map( uniformList );
+        return obj.uniforms;
+    },
+
+    setEnabled: function ( enable ) {
+        this._enable = enable;
+    },
+
+    isEnabled: function () {
+        return this._enable;
+    },
+
+    setMode: function ( mode ) {
+        this._mode = typeof ( mode ) === 'string' ? Fog[ mode ] : mode;
+    },
+
+    getMode: function () {
+        return this._mode;
+    },
+
+    // density of the EXP and EXP2 modes
+    setDensity: function ( density ) {
+        this._density = density;
+    },
+
+    getDensity: function () {
+        return this._density;
+    },
+
+    // distances of the LINEAR mode
+    setStart: function ( start ) {
+        this._start = start;
+    },
+
+    getStart: function () {
+        return this._start;
+    },
+
+    setEnd: function ( end ) {
+        this._end = end;
+    },
+
+    getEnd: function () {
+        return this._end;
+    },
+
+    setColor: function ( color ) {
+        Vec4.copy( color, this._color );
+    },
+
+    getColor: function () {
+        return this._color;
+    },
+
+    setHeightFog: function ( heightFog ) {
+        this._heightFog = heightFog;
+    },
+
+    getHeightFog: function () {
+        return this._heightFog;
+    },
+
+    // z in the world under which the height fog is uniform
+    setHeight: function ( height ) {
+        this._height = height;
+    },
+
+    getHeight: function () {
+        return this._height;
+    },
+
+    setHeightFalloff: function ( falloff ) {
+        this._heightFalloff = falloff;
+    },
+
+    getHeightFalloff: function () {
+        return this._heightFalloff;
+    },
+
+    getHash: function () {
+        return this.getTypeMember() + this._mode + this._heightFog;
+    },
+
+    apply: function () {
+        var uniforms = this.getOrCreateUniforms();
+
+        uniforms.color.setFloat4( this._color );
+        uniforms.density.setFloat( this._density );
+        uniforms.start.setFloat( this._start );
+        uniforms.end.setFloat( this._end );
+        uniforms.height.setFloat( this._height );
+        uniforms.heightFalloff.setFloat( this._heightFalloff );
+    }
+
+} ), 'osg', 'Fog' );
+
+module.exports = Fog;
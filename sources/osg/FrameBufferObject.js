@@ -3,11 +3,14 @@ var Notify = require( 'osg/Notify' );
 var MACROUTILS = require( 'osg/Utils' );
 var GLObject = require( 'osg/GLObject' );
 var StateAttribute = require( 'osg/StateAttribute' );
+var Texture = require( 'osg/Texture' );
 var Timer = require( 'osg/Timer' );
 var WebglCaps = require( 'osg/WebGLCaps' );
 
 /**
  * FrameBufferObject manage fbo / rtt
+ * With samples and WebGL2 it renders in a multisampled fbo of
+ * renderbuffers, resolved in the attached textures with resolve()
  * @class FrameBufferObject
  */
 var FrameBufferObject = function () {
@@ -19,9 +22,18 @@ var FrameBufferObject = function () {
     this._attachments = [];
     this._dirty = true;
 
+    this._samples = 0;
+    this._multisampleFbo = undefined;
+    this._multisampleRbos = [];
+    this._drawBuffers = undefined;
+
 };
 
 FrameBufferObject.COLOR_ATTACHMENT0 = 0x8CE0;
+// COLOR_ATTACHMENT1 to COLOR_ATTACHMENT15 for multiple render targets
+for ( var c = 1; c < 16; c++ )
+    FrameBufferObject[ 'COLOR_ATTACHMENT' + c ] = FrameBufferObject.COLOR_ATTACHMENT0 + c;
+FrameBufferObject.NONE = 0x0;
 FrameBufferObject.DEPTH_ATTACHMENT = 0x8D00;
 FrameBufferObject.DEPTH_COMPONENT16 = 0x81A5;
 // static cache of glFrameBuffer flagged for deletion, which will actually
@@ -143,6 +155,21 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
         this._attachments.push( attachment );
     },
 
+    // number of samples of the multisampled render buffers, 0 to disable
+    setSamples: function ( samples ) {
+        if ( samples === this._samples ) return;
+        this._samples = samples;
+        this.dirty();
+    },
+
+    getSamples: function () {
+        return this._samples;
+    },
+
+    isMultisampled: function () {
+        return this._multisampleFbo !== undefined;
+    },
+
     releaseGLObjects: function () {
 
         if ( this._fbo !== undefined && this._gl !== undefined ) {
@@ -155,6 +182,20 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
         }
         this._rbo = undefined;
 
+        this._releaseMultisampleObjects();
+
+    },
+
+    _releaseMultisampleObjects: function () {
+
+        if ( this._multisampleFbo !== undefined && this._gl !== undefined ) {
+            FrameBufferObject.deleteGLFrameBuffer( this._gl, this._multisampleFbo );
+            for ( var i = 0, l = this._multisampleRbos.length; i < l; i++ )
+                FrameBufferObject.deleteGLRenderBuffer( this._gl, this._multisampleRbos[ i ] );
+        }
+        this._multisampleFbo = undefined;
+        this._multisampleRbos.length = 0;
+
     },
 
     _reportFrameBufferError: function ( code ) {
@@ -185,6 +226,11 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
         return this._fbo;
     },
 
+    // render buffer created for the attachment without texture
+    getRenderBuffer: function () {
+        return this._rbo;
+    },
+
     createFrameBufferObject: function ( state ) {
         this.setGraphicContext( state.getGraphicContext() );
         this._fbo = this._gl.createFramebuffer();
@@ -199,6 +245,15 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
         return renderBuffer;
     },
 
+    createMultisampleRenderBuffer: function ( samples, format, width, height ) {
+        var gl = this._gl;
+        var renderBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer( gl.RENDERBUFFER, renderBuffer );
+        gl.renderbufferStorageMultisample( gl.RENDERBUFFER, samples, format, width, height );
+
+        return renderBuffer;
+    },
+
     framebufferRenderBuffer: function ( attachment, renderBuffer ) {
 
         var gl = this._gl;
@@ -255,6 +310,157 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
 
     },
 
+    // list of the draw buffers of the color attachments, NONE for the
+    // unused indices, or undefined if only COLOR_ATTACHMENT0 is used
+    _getDrawBuffers: function () {
+
+        var attachments = this._attachments;
+        var indices = [];
+        var maxIndex = 0;
+        for ( var i = 0, l = attachments.length; i < l; ++i ) {
+            var index = attachments[ i ].attachment - FrameBufferObject.COLOR_ATTACHMENT0;
+            // depth, stencil or no attachment
+            if ( !( index >= 0 && index < 16 ) ) continue;
+            indices.push( index );
+            maxIndex = Math.max( maxIndex, index );
+        }
+
+        if ( maxIndex === 0 ) return undefined;
+
+        var buffers = [];
+        for ( var j = 0; j <= maxIndex; j++ ) buffers.push( FrameBufferObject.NONE );
+        for ( var k = 0; k < indices.length; k++ ) buffers[ indices[ k ] ] = FrameBufferObject.COLOR_ATTACHMENT0 + indices[ k ];
+        return buffers;
+    },
+
+    // WEBGL_draw_buffers is emulated by WebGLCaps with WebGL2
+    drawBuffers: function ( buffers ) {
+
+        var ext = WebglCaps.instance().getWebGLExtension( 'WEBGL_draw_buffers' );
+        if ( !ext ) {
+            Notify.error( 'FrameBufferObject: multiple render targets need WEBGL_draw_buffers or WebGL2' );
+            return false;
+        }
+
+        ext.drawBuffersWEBGL( buffers );
+        return true;
+    },
+
+    // samples used, 0 when multisampling is not available (WebGL1)
+    _getSamples: function () {
+
+        if ( !this._samples ) return 0;
+
+        if ( !WebglCaps.instance().isWebGL2() ) {
+            if ( !this._warnNoMultisample ) Notify.warn( 'FrameBufferObject: multisampled render to texture needs WebGL2, samples are ignored' );
+            this._warnNoMultisample = true;
+            return 0;
+        }
+
+        var maxSamples = this._gl.getParameter( this._gl.MAX_SAMPLES );
+        return maxSamples ? Math.min( this._samples, maxSamples ) : this._samples;
+    },
+
+    // renderbufferStorageMultisample needs a sized format
+    _getRenderBufferFormat: function ( attachment ) {
+
+        if ( !attachment.texture ) return attachment.format;
+
+        var texture = attachment.texture;
+        var formats = Texture.computeWebGL2TexImageFormats( texture.getInternalFormat() || Texture.RGBA, texture.getInternalFormatType() || Texture.UNSIGNED_BYTE );
+        if ( formats[ 0 ] === Texture.RGBA ) return Texture.RGBA8;
+        if ( formats[ 0 ] === Texture.RGB ) return Texture.RGB8;
+        return formats[ 0 ];
+    },
+
+    // the multisampled fbo has a render buffer per attachment
+    // and is the one bound to render
+    _createMultisampleFrameBufferObject: function ( samples ) {
+
+        var gl = this._gl;
+        this._multisampleFbo = gl.createFramebuffer();
+        gl.bindFramebuffer( gl.FRAMEBUFFER, this._multisampleFbo );
+
+        var attachments = this._attachments;
+        for ( var i = 0, l = attachments.length; i < l; ++i ) {
+
+            var attachment = attachments[ i ];
+
+            // the render buffer of an other frame buffer object is not
+            // multisampled and can't be attached with the multisampled ones
+            if ( attachment.renderBuffer ) {
+                if ( !this._warnSharedRenderBuffer ) Notify.warn( 'FrameBufferObject: shared render buffers are not used by the multisampled fbo' );
+                this._warnSharedRenderBuffer = true;
+                continue;
+            }
+
+            var width = attachment.texture ? attachment.texture.getWidth() : attachment.width;
+            var height = attachment.texture ? attachment.texture.getHeight() : attachment.height;
+
+            var renderBuffer = this.createMultisampleRenderBuffer( samples, this._getRenderBufferFormat( attachment ), width, height );
+            this._multisampleRbos.push( renderBuffer );
+            gl.framebufferRenderbuffer( gl.FRAMEBUFFER, attachment.attachment, gl.RENDERBUFFER, renderBuffer );
+        }
+
+        if ( this._drawBuffers ) this.drawBuffers( this._drawBuffers );
+
+        this.checkStatus();
+        gl.bindRenderbuffer( gl.RENDERBUFFER, null );
+    },
+
+    // blit the multisampled render buffers in the attached textures,
+    // called at the end of the RenderStage
+    resolve: function () {
+
+        var msaaFbo = this._multisampleFbo;
+        if ( !msaaFbo ) return;
+
+        var gl = this._gl;
+        gl.bindFramebuffer( gl.READ_FRAMEBUFFER, msaaFbo );
+        gl.bindFramebuffer( gl.DRAW_FRAMEBUFFER, this._fbo );
+
+        var attachments = this._attachments;
+        var drawBuffers = this._drawBuffers;
+        for ( var i = 0, l = attachments.length; i < l; ++i ) {
+
+            var attachment = attachments[ i ];
+            var texture = attachment.texture;
+            if ( !texture ) continue;
+
+            var w = texture.getWidth();
+            var h = texture.getHeight();
+            var index = attachment.attachment - FrameBufferObject.COLOR_ATTACHMENT0;
+
+            if ( index >= 0 && index < 16 ) {
+
+                // blit one color attachment at a time
+                if ( drawBuffers ) {
+                    var buffers = [];
+                    for ( var j = 0; j < drawBuffers.length; j++ )
+                        buffers.push( j === index ? drawBuffers[ j ] : FrameBufferObject.NONE );
+                    gl.readBuffer( attachment.attachment );
+                    gl.drawBuffers( buffers );
+                }
+                gl.blitFramebuffer( 0, 0, w, h, 0, 0, w, h, gl.COLOR_BUFFER_BIT, gl.NEAREST );
+
+            } else {
+
+                /*jshint bitwise: false */
+                var mask = attachment.attachment === FrameBufferObject.DEPTH_ATTACHMENT ? gl.DEPTH_BUFFER_BIT : gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT;
+                /*jshint bitwise: true */
+                gl.blitFramebuffer( 0, 0, w, h, 0, 0, w, h, mask, gl.NEAREST );
+
+            }
+        }
+
+        if ( drawBuffers ) {
+            gl.readBuffer( FrameBufferObject.COLOR_ATTACHMENT0 );
+            gl.drawBuffers( drawBuffers );
+        }
+
+        gl.bindFramebuffer( gl.FRAMEBUFFER, msaaFbo );
+    },
+
     _checkAllowedSize: function ( w, h ) {
 
         var maxSize = WebglCaps.instance().getWebGLParameter( 'MAX_RENDERBUFFER_SIZE' );
@@ -286,19 +492,29 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
                 this.bindFrameBufferObject();
 
                 var hasRenderBuffer = false;
+                var samples = this._getSamples();
 
                 for ( var i = 0, l = attachments.length; i < l; ++i ) {
 
                     var attachment = attachments[ i ];
 
-                    // render buffer
-                    if ( !attachment.texture ) {
+                    // render buffer of an other frame buffer object (shared depth)
+                    if ( attachment.renderBuffer ) {
+
+                        this.framebufferRenderBuffer( attachment.attachment, attachment.renderBuffer );
+                        hasRenderBuffer = true;
+
+                    } else if ( !attachment.texture ) {
 
+                        // render buffer
                         if ( !this._checkAllowedSize( attachment.width, attachment.height ) ) {
                             this.releaseGLObjects();
                             return;
                         }
 
+                        // only in the multisampled fbo
+                        if ( samples ) continue;
+
                         this._rbo = this.createRenderBuffer( attachment.format, attachment.width, attachment.height );
                         this.framebufferRenderBuffer( attachment.attachment, this._rbo );
                         hasRenderBuffer = true;
@@ -324,17 +540,26 @@ FrameBufferObject.prototype = MACROUTILS.objectInherit( GLObject.prototype, MACR
 
                 }
 
+                var drawBuffers = this._drawBuffers = this._getDrawBuffers();
+                if ( drawBuffers && !this.drawBuffers( drawBuffers ) ) {
+                    this.releaseGLObjects();
+                    return;
+                }
+
                 this.checkStatus();
 
                 // set it to null only if used renderbuffer
                 if ( hasRenderBuffer )
                     gl.bindRenderbuffer( gl.RENDERBUFFER, null );
 
+                this._releaseMultisampleObjects();
+                if ( samples ) this._createMultisampleFrameBufferObject( samples );
+
                 this._dirty = false;
 
             } else {
 
-                gl.bindFramebuffer( gl.FRAMEBUFFER, this._fbo );
+                gl.bindFramebuffer( gl.FRAMEBUFFER, this._multisampleFbo || this._fbo );
 
                 if ( Notify.reportWebGLError === true )
                     this.checkStatus();
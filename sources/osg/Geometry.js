@@ -200,7 +200,7 @@ Geometry.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( No
             vertexAttributeSetup.push( 'attr = this._attributes[\'' + validAttributeKeyList[ i ] + '\'];' );
             vertexAttributeSetup.push( 'if ( attr.BufferArrayProxy ) attr = attr.getBufferArray();' );
             vertexAttributeSetup.push( 'if ( !attr.isValid() ) return;' );
-            vertexAttributeSetup.push( 'state.setVertexAttribArray(' + validAttributeIndexList[ i ] + ', attr, attr.getNormalize() );' );
+            vertexAttributeSetup.push( this._generateVertexAttribArraySetup( validAttributeKeyList[ i ], validAttributeIndexList[ i ] ) );
 
         }
 
@@ -212,6 +212,11 @@ Geometry.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( No
         return vertexAttributeSetup;
     },
 
+    // state call of the attribute at index, the buffer array is in attr
+    _generateVertexAttribArraySetup: function ( key, index ) {
+        return 'state.setVertexAttribArray(' + index + ', attr, attr.getNormalize() );';
+    },
+
     _generatePrimitive: function ( primitives, hasVertexColor, optimizeVAO ) {
 
         var primitiveSetup = [
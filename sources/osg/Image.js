@@ -13,6 +13,11 @@ var ImageObject = function ( image ) {
     this._height = undefined;
     this._dirty = true;
     this._mipmap = [];
+    // format and type of the compressed and float images, see Texture.setImage
+    this._internalFormat = undefined;
+    this._internalFormatType = undefined;
+    // 'RGBE' or 'RGBM' for hdr colors packed in 8 bits, see osgDB/HDRImage
+    this._colorEncoding = undefined;
 
     if ( image ) {
         this.setImage( image );
@@ -93,6 +98,30 @@ ImageObject.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
         return img instanceof Uint8Array || img instanceof Float32Array || img instanceof Uint16Array;
     },
 
+    setInternalFormat: function ( format ) {
+        this._internalFormat = format;
+    },
+
+    getInternalFormat: function () {
+        return this._internalFormat;
+    },
+
+    setInternalFormatType: function ( type ) {
+        this._internalFormatType = type;
+    },
+
+    getInternalFormatType: function () {
+        return this._internalFormatType;
+    },
+
+    setColorEncoding: function ( encoding ) {
+        this._colorEncoding = encoding;
+    },
+
+    getColorEncoding: function () {
+        return this._colorEncoding;
+    },
+
     setWidth: function ( w ) {
         this._width = w;
     },
@@ -0,0 +1,52 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+
+
+/**
+ * InstanceAttribute tells the shader generator to transform the vertices
+ * and normals with the InstanceMatrix vertex attribute, and to multiply
+ * the vertex color with the InstanceColor attribute when hasColor.
+ * It is set by InstancedGeometry
+ * @class InstanceAttribute
+ * @inherits StateAttribute
+ */
+var InstanceAttribute = function () {
+    StateAttribute.call( this );
+    this._attributeEnable = false;
+    this._color = false;
+};
+
+InstanceAttribute.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+
+    attributeType: 'Instance',
+
+    cloneType: function () {
+        return new InstanceAttribute();
+    },
+
+    setEnabled: function ( state ) {
+        this._attributeEnable = state;
+    },
+
+    isEnabled: function () {
+        return this._attributeEnable;
+    },
+
+    setColor: function ( color ) {
+        this._color = color;
+    },
+
+    hasColor: function () {
+        return this._color;
+    },
+
+    getHash: function () {
+        return this.getTypeMember() + this.isEnabled() + this.hasColor();
+    },
+
+    apply: function () {}
+
+} ), 'osg', 'InstanceAttribute' );
+
+module.exports = InstanceAttribute;
@@ -0,0 +1,159 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var BoundingBox = require( 'osg/BoundingBox' );
+var BufferArray = require( 'osg/BufferArray' );
+var Geometry = require( 'osg/Geometry' );
+var InstanceAttribute = require( 'osg/InstanceAttribute' );
+var Matrix = require( 'osg/Matrix' );
+var Notify = require( 'osg/Notify' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var StateSet = require( 'osg/StateSet' );
+
+
+/**
+ * InstancedGeometry draws its primitives once per instance in a single
+ * draw call with ANGLE_instanced_arrays (native with WebGL2). The instance
+ * matrices and colors are vertex attributes advancing once per instance,
+ * the shader generator applies them with the InstanceAttribute of the
+ * stateSetInstance. Other vertex attributes can be made per instance with
+ * setVertexAttribDivisor. The bound contains all the instances and the
+ * LineSegmentIntersector gives the instanceIndex of its intersections
+ * @class InstancedGeometry
+ * @inherits Geometry
+ */
+var InstancedGeometry = function () {
+    Geometry.call( this );
+
+    this._numInstances = 0;
+    this._attributeDivisors = {};
+
+    this._instanceAttribute = new InstanceAttribute();
+    this._instanceAttribute.setEnabled( true );
+    // StateSet to handle the instanceAttribute
+    this._stateSetInstance = new StateSet();
+    this._stateSetInstance.setAttributeAndModes( this._instanceAttribute, StateAttribute.ON );
+};
+
+/** @lends InstancedGeometry.prototype */
+InstancedGeometry.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Geometry.prototype, {
+
+    getStateSetInstance: function () {
+        return this._stateSetInstance;
+    },
+
+    getInstanceAttribute: function () {
+        return this._instanceAttribute;
+    },
+
+    /**
+     * Set the matrices of the instances, 16 floats per instance, it sets
+     * the number of instances
+     */
+    setInstanceMatrices: function ( matrices ) {
+        this.setVertexAttribArray( 'InstanceMatrix', new BufferArray( BufferArray.ARRAY_BUFFER, matrices, 16 ) );
+        this._attributeDivisors.InstanceMatrix = 1;
+        this._numInstances = matrices.length / 16;
+        this.dirtyBound();
+    },
+
+    getInstanceMatrix: function ( index, result ) {
+        var elements = this._attributes.InstanceMatrix.getElements();
+        for ( var i = 0; i < 16; i++ ) result[ i ] = elements[ index * 16 + i ];
+        return result;
+    },
+
+    // set the rgba colors of the instances, multiplied with the vertex colors
+    setInstanceColors: function ( colors ) {
+        this.setVertexAttribArray( 'InstanceColor', new BufferArray( BufferArray.ARRAY_BUFFER, colors, 4 ) );
+        this._attributeDivisors.InstanceColor = 1;
+        this._instanceAttribute.setColor( true );
+    },
+
+    // the attribute advances once per divisor instances, 0 for per vertex
+    setVertexAttribDivisor: function ( key, divisor ) {
+        this._attributeDivisors[ key ] = divisor;
+        this.dirty();
+    },
+
+    getVertexAttribDivisor: function ( key ) {
+        return this._attributeDivisors[ key ] || 0;
+    },
+
+    // number of instances drawn, up to the number of instance matrices
+    setNumInstances: function ( numInstances ) {
+        this._numInstances = numInstances;
+        this.dirtyBound();
+    },
+
+    getNumInstances: function () {
+        return this._numInstances;
+    },
+
+    _generateVertexAttribArraySetup: function ( key, index ) {
+        var divisor = this.getVertexAttribDivisor( key );
+        if ( !divisor ) return Geometry.prototype._generateVertexAttribArraySetup.call( this, key, index );
+        return 'state.setInstancedVertexAttribArray(' + index + ', attr, attr.getNormalize(), ' + divisor + ' );';
+    },
+
+    _generatePrimitive: function ( primitives, hasVertexColor, optimizeVAO ) {
+
+        var primitiveSetup = [
+            hasVertexColor ? 'state.enableVertexColor();' : 'state.disableVertexColor();'
+        ];
+
+        if ( optimizeVAO ) {
+            return primitiveSetup.concat( [
+                'var primitive = this._primitives[ 0 ];',
+                'var indexes = primitive.getIndices();',
+                'if ( indexes.isDirty() ) {;',
+                '  indexes.bind( gl );',
+                '  indexes.compile( gl );',
+                '};',
+                'primitive.drawElementsInstanced( state, this._numInstances );'
+            ] );
+        }
+
+        primitiveSetup.push( 'var primitives = this._primitives;' );
+        for ( var j = 0, m = primitives.length; j < m; j++ )
+            primitiveSetup.push( 'primitives[' + j + '].drawInstanced( state, this._numInstances );' );
+
+        return primitiveSetup;
+    },
+
+    drawImplementation: function ( state ) {
+
+        if ( !state.getInstancedArraysExtension() ) {
+            if ( !this._warnNoInstancing ) Notify.warn( 'InstancedGeometry needs ANGLE_instanced_arrays or WebGL2' );
+            this._warnNoInstancing = true;
+            return;
+        }
+
+        if ( !this._numInstances ) return;
+
+        Geometry.prototype.drawImplementation.call( this, state );
+    },
+
+    computeBoundingBox: ( function () {
+        var geometryBox = new BoundingBox();
+        var instanceBox = new BoundingBox();
+        var matrix = Matrix.create();
+
+        return function ( boundingBox ) {
+            Geometry.prototype.computeBoundingBox.call( this, geometryBox );
+            boundingBox.init();
+            if ( !geometryBox.valid() || !this._attributes.InstanceMatrix ) return boundingBox;
+
+            var numInstances = Math.min( this._numInstances, this._attributes.InstanceMatrix.getElements().length / 16 );
+            for ( var i = 0; i < numInstances; i++ ) {
+                Matrix.transformBoundingBox( this.getInstanceMatrix( i, matrix ), geometryBox, instanceBox );
+                boundingBox.expandByBoundingBox( instanceBox );
+            }
+            return boundingBox;
+        };
+    } )()
+
+} ), 'osg', 'InstancedGeometry' );
+
+MACROUTILS.setTypeID( InstancedGeometry );
+
+module.exports = InstancedGeometry;
@@ -56,6 +56,10 @@ Lod.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Node.pr
         this._centerMode = centerMode;
     },
 
+    getCenterMode: function () {
+        return this._centerMode;
+    },
+
     computeBoundingSphere: function ( bsphere ) {
         if ( this._centerMode === Lod.USER_DEFINED_CENTER && this._radius >= 0.0 ) {
             bsphere.set( this._userDefinedCenter, this._radius );
@@ -90,6 +94,14 @@ Lod.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Node.pr
         this._rangeMode = mode;
     },
 
+    getRangeMode: function () {
+        return this._rangeMode;
+    },
+
+    getRangeList: function () {
+        return this._range;
+    },
+
     addChildNode: function ( node ) {
 
         Node.prototype.addChild.call( this, node );
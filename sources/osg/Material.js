@@ -13,6 +13,9 @@ var Material = function () {
     this._specular = Vec4.createAndSet( 0.0, 0.0, 0.0, 1.0 );
     this._emission = Vec4.createAndSet( 0.0, 0.0, 0.0, 1.0 );
     this._shininess = 12.5;
+    // unit of the only texture used as diffuse color, all the textures
+    // are multiplied with the diffuse color when undefined
+    this._diffuseTextureUnit = undefined;
 };
 
 Material.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
@@ -91,6 +94,19 @@ Material.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( St
         return this._diffuse[ 3 ];
     },
 
+    setDiffuseTextureUnit: function ( unit ) {
+        this._diffuseTextureUnit = unit;
+    },
+
+    getDiffuseTextureUnit: function () {
+        return this._diffuseTextureUnit;
+    },
+
+    // the diffuse texture unit changes the shader, the colors are uniforms
+    getHash: function () {
+        return this.getTypeMember() + this._diffuseTextureUnit;
+    },
+
     apply: function () {
         var uniforms = this.getOrCreateUniforms();
 
@@ -0,0 +1,371 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var Depth = require( 'osg/Depth' );
+var FrameBufferObject = require( 'osg/FrameBufferObject' );
+var Notify = require( 'osg/Notify' );
+var OrderIndependentTransparencyAttribute = require( 'osg/OrderIndependentTransparencyAttribute' );
+var Program = require( 'osg/Program' );
+var Shader = require( 'osg/Shader' );
+var Shape = require( 'osg/Shape' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var StateSet = require( 'osg/StateSet' );
+var Texture = require( 'osg/Texture' );
+var Uniform = require( 'osg/Uniform' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+
+
+var vertexShader = [
+    'attribute vec3 Vertex;',
+    'varying vec2 FragTexCoord0;',
+    'void main(void) {',
+    '  gl_Position = vec4(Vertex*2.0 - 1.0,1.0);',
+    '  FragTexCoord0 = Vertex.xy;',
+    '}',
+    ''
+].join( '\n' );
+
+// the accumulation target contains the sum of the weighted premultiplied
+// colors, the revealage target the sum of the weighted alphas in red and
+// the product of ( 1 - alpha ) in alpha
+var fragmentShader = [
+    '#ifdef GL_FRAGMENT_PRECISION_HIGH',
+    'precision highp float;',
+    '#else',
+    'precision mediump float;',
+    '#endif',
+    'uniform sampler2D AccumulationTexture;',
+    'uniform sampler2D RevealageTexture;',
+    '#ifdef WITH_SCENE',
+    'uniform sampler2D SceneTexture;',
+    '#endif',
+    'varying vec2 FragTexCoord0;',
+    'void main(void) {',
+    '  vec3 accumulation = texture2D( AccumulationTexture, FragTexCoord0 ).rgb;',
+    '  vec4 revealage = texture2D( RevealageTexture, FragTexCoord0 );',
+    '  vec3 color = accumulation / max( revealage.r, 1e-5 );',
+    '#ifdef WITH_SCENE',
+    '  vec4 scene = texture2D( SceneTexture, FragTexCoord0 );',
+    '  gl_FragColor = vec4( mix( color, scene.rgb, revealage.a ), 1.0 - ( 1.0 - scene.a ) * revealage.a );',
+    '#else',
+    '  gl_FragColor = vec4( color, 1.0 - revealage.a );',
+    '#endif',
+    '}',
+    ''
+].join( '\n' );
+
+var createTargetTexture = function ( type ) {
+    var texture = new Texture();
+    texture.setMinFilter( Texture.NEAREST );
+    texture.setMagFilter( Texture.NEAREST );
+    texture.setWrapS( Texture.CLAMP_TO_EDGE );
+    texture.setWrapT( Texture.CLAMP_TO_EDGE );
+    texture.setInternalFormat( Texture.RGBA );
+    texture.setInternalFormatType( type );
+    return texture;
+};
+
+var createCompositeStateSet = function ( withScene ) {
+    var stateSet = new StateSet();
+    var define = withScene ? '#define WITH_SCENE\n' : '';
+    stateSet.setAttributeAndModes( new Program(
+        new Shader( Shader.VERTEX_SHADER, vertexShader ),
+        new Shader( Shader.FRAGMENT_SHADER, define + fragmentShader ) ) );
+    stateSet.setAttributeAndModes( new Depth( Depth.DISABLE ) );
+    stateSet.addUniform( Uniform.createInt1( 0, 'AccumulationTexture' ) );
+    stateSet.addUniform( Uniform.createInt1( 1, 'RevealageTexture' ) );
+    if ( withScene ) {
+        stateSet.addUniform( Uniform.createInt1( 2, 'SceneTexture' ) );
+    } else {
+        stateSet.setAttributeAndModes( new BlendFunc( BlendFunc.SRC_ALPHA, BlendFunc.ONE_MINUS_SRC_ALPHA ) );
+    }
+    return stateSet;
+};
+
+
+/**
+ * OrderIndependentTransparency renders the transparent leaves of a camera
+ * with weighted blended order independent transparency (McGuire and
+ * Bavoil 2013) instead of sorting them back to front.
+ * Enabled with Camera.setOrderIndependentTransparency, the CullVisitor
+ * puts the leaves of the TRANSPARENT_BIN in an OrderIndependentTransparencyBin.
+ * The bin draws them in the accumulation and revealage targets, sharing the
+ * depth buffer of the opaque scene, and the targets are composited at the
+ * end of the RenderStage.
+ * A camera rendering in the default framebuffer renders its scene in a
+ * texture composited with the transparent leaves.
+ * It needs multiple render targets and half float or float render targets,
+ * without them the leaves are sorted back to front as in the DepthSortedBin.
+ * The BlendFunc and Depth of the leaves are overridden in the accumulation.
+ * @class OrderIndependentTransparency
+ */
+var OrderIndependentTransparency = function () {
+
+    this._width = 0;
+    this._height = 0;
+    this._active = false;
+    this._accumulated = false;
+
+    this._accumulationTexture = undefined;
+    this._revealageTexture = undefined;
+    this._accumulationFbo = new FrameBufferObject();
+    this._depthAttachment = undefined;
+
+    // scene target of the cameras rendering in the default framebuffer
+    this._sceneTexture = undefined;
+    this._sceneFbo = new FrameBufferObject();
+    this._renderScene = false;
+    this._targetFbo = null;
+
+    var attribute = new OrderIndependentTransparencyAttribute();
+    attribute.setEnabled( true );
+    this._accumulationStateSet = new StateSet();
+    this._accumulationStateSet.setAttributeAndModes( attribute );
+    /*jshint bitwise: false */
+    var override = StateAttribute.ON | StateAttribute.OVERRIDE;
+    /*jshint bitwise: true */
+    this._accumulationStateSet.setAttributeAndModes( new BlendFunc( BlendFunc.ONE, BlendFunc.ONE, BlendFunc.ZERO, BlendFunc.ONE_MINUS_SRC_ALPHA ), override );
+    this._accumulationStateSet.setAttributeAndModes( new Depth( Depth.LESS, 0.0, 1.0, false ), override );
+
+    this._compositeStateSet = createCompositeStateSet( false );
+    this._compositeSceneStateSet = createCompositeStateSet( true );
+};
+
+/** @lends OrderIndependentTransparency.prototype */
+OrderIndependentTransparency.prototype = MACROUTILS.objectLibraryClass( {
+
+    getAccumulationStateSet: function () {
+        return this._accumulationStateSet;
+    },
+
+    getAccumulationTexture: function () {
+        return this._accumulationTexture;
+    },
+
+    getRevealageTexture: function () {
+        return this._revealageTexture;
+    },
+
+    // true between begin and end when the transparent leaves are accumulated
+    isActive: function () {
+        return this._active;
+    },
+
+    isSupported: function () {
+        var caps = WebGLCaps.instance();
+        return Boolean( caps.getWebGLExtension( 'WEBGL_draw_buffers' ) ) && ( caps.hasHalfFloatRTT() || caps.hasFloatRTT() );
+    },
+
+    releaseGLObjects: function () {
+        this._accumulationFbo.reset();
+        this._sceneFbo.reset();
+        if ( this._accumulationTexture ) this._accumulationTexture.releaseGLObjects();
+        if ( this._revealageTexture ) this._revealageTexture.releaseGLObjects();
+        if ( this._sceneTexture ) this._sceneTexture.releaseGLObjects();
+        this._accumulationTexture = this._revealageTexture = this._sceneTexture = undefined;
+        this._depthAttachment = undefined;
+        this._width = this._height = 0;
+    },
+
+    _warn: function ( message ) {
+        if ( this._warned ) return;
+        Notify.warn( 'OrderIndependentTransparency: ' + message + ', transparent leaves are sorted back to front' );
+        this._warned = true;
+    },
+
+    // depth attachment of the camera shared with the accumulation
+    _getCameraDepthAttachment: function ( camera ) {
+        var attachments = camera.getAttachments();
+        var keys = window.Object.keys( attachments );
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            var attachment = attachments[ keys[ i ] ];
+            var index = attachment.attachment - FrameBufferObject.COLOR_ATTACHMENT0;
+            if ( index >= 0 && index < 16 ) continue;
+
+            if ( attachment.texture ) return attachment;
+            return {
+                attachment: attachment.attachment,
+                renderBuffer: camera.frameBufferObject.getRenderBuffer()
+            };
+        }
+        return undefined;
+    },
+
+    _isSameDepthAttachment: function ( a, b ) {
+        if ( a === b ) return true;
+        if ( !a || !b ) return false;
+        return a.attachment === b.attachment && a.texture === b.texture && a.renderBuffer === b.renderBuffer;
+    },
+
+    _createTextures: function () {
+
+        var type = WebGLCaps.instance().hasHalfFloatRTT() ? Texture.HALF_FLOAT : Texture.FLOAT;
+        this._accumulationTexture = createTargetTexture( type );
+        this._revealageTexture = createTargetTexture( type );
+        this._sceneTexture = createTargetTexture( Texture.UNSIGNED_BYTE );
+
+        this._compositeStateSet.setTextureAttributeAndModes( 0, this._accumulationTexture );
+        this._compositeStateSet.setTextureAttributeAndModes( 1, this._revealageTexture );
+        this._compositeSceneStateSet.setTextureAttributeAndModes( 0, this._accumulationTexture );
+        this._compositeSceneStateSet.setTextureAttributeAndModes( 1, this._revealageTexture );
+        this._compositeSceneStateSet.setTextureAttributeAndModes( 2, this._sceneTexture );
+    },
+
+    _setupAccumulationTargets: function ( width, height, depthAttachment ) {
+
+        if ( width === this._width && height === this._height && this._isSameDepthAttachment( depthAttachment, this._depthAttachment ) ) return;
+
+        this._width = width;
+        this._height = height;
+        this._depthAttachment = depthAttachment;
+
+        this._accumulationTexture.setTextureSize( width, height );
+        this._revealageTexture.setTextureSize( width, height );
+
+        this._accumulationFbo.reset();
+        this._accumulationFbo.setAttachment( {
+            attachment: FrameBufferObject.COLOR_ATTACHMENT0,
+            texture: this._accumulationTexture,
+            textureTarget: Texture.TEXTURE_2D
+        } );
+        this._accumulationFbo.setAttachment( {
+            attachment: FrameBufferObject.COLOR_ATTACHMENT1,
+            texture: this._revealageTexture,
+            textureTarget: Texture.TEXTURE_2D
+        } );
+        if ( depthAttachment ) this._accumulationFbo.setAttachment( depthAttachment );
+        this._accumulationFbo.dirty();
+    },
+
+    // binds the scene target and returns its depth attachment
+    _setupSceneTarget: function ( state, width, height ) {
+
+        var texture = this._sceneTexture;
+        if ( texture.getWidth() !== width || texture.getHeight() !== height || !this._sceneFbo.getRenderBuffer() ) {
+
+            texture.setTextureSize( width, height );
+
+            this._sceneFbo.reset();
+            this._sceneFbo.setAttachment( {
+                attachment: FrameBufferObject.COLOR_ATTACHMENT0,
+                texture: texture,
+                textureTarget: Texture.TEXTURE_2D
+            } );
+            this._sceneFbo.setAttachment( {
+                attachment: FrameBufferObject.DEPTH_ATTACHMENT,
+                format: FrameBufferObject.DEPTH_COMPONENT16,
+                width: width,
+                height: height
+            } );
+            this._sceneFbo.dirty();
+        }
+
+        this._sceneFbo.apply( state );
+
+        return {
+            attachment: FrameBufferObject.DEPTH_ATTACHMENT,
+            renderBuffer: this._sceneFbo.getRenderBuffer()
+        };
+    },
+
+    /**
+     * Called by the RenderStage after binding the camera framebuffer,
+     * returns false when the transparent leaves can't be accumulated
+     */
+    begin: function ( state, stage ) {
+
+        this._active = false;
+
+        var camera = stage.getCamera();
+        var viewport = stage.getViewport();
+        if ( !camera || !viewport ) return false;
+
+        if ( !this.isSupported() ) {
+            this._warn( 'needs multiple render targets and float render targets' );
+            return false;
+        }
+
+        var fbo = camera.frameBufferObject;
+        var renderToTexture = camera.isRenderToTextureCamera();
+        if ( renderToTexture && fbo.isMultisampled() ) {
+            this._warn( 'not available with multisampled render to texture' );
+            return false;
+        }
+
+        if ( !this._accumulationTexture ) this._createTextures();
+
+        var width = viewport.width();
+        var height = viewport.height();
+        var depthAttachment;
+
+        this._renderScene = !renderToTexture;
+        if ( renderToTexture ) {
+            this._targetFbo = fbo.getFrameBufferObject();
+            depthAttachment = this._getCameraDepthAttachment( camera );
+        } else {
+            this._targetFbo = null;
+            depthAttachment = this._setupSceneTarget( state, width, height );
+        }
+        this._setupAccumulationTargets( width, height, depthAttachment );
+
+        this._active = true;
+        this._accumulated = false;
+        return true;
+    },
+
+    _clearAccumulation: function ( state ) {
+        var gl = state.getGraphicContext();
+        this._accumulationFbo.apply( state );
+        gl.clearColor( 0.0, 0.0, 0.0, 1.0 );
+        gl.clear( gl.COLOR_BUFFER_BIT );
+    },
+
+    // draw the leaves of the bin in the accumulation targets
+    accumulate: function ( bin, state, previousRenderLeaf ) {
+
+        if ( !this._accumulated ) this._clearAccumulation( state );
+        else this._accumulationFbo.apply( state );
+        this._accumulated = true;
+
+        state.insertStateSet( 0, this._accumulationStateSet );
+        var previousLeaf = bin.drawImplementation( state, previousRenderLeaf );
+        state.removeStateSet( 0 );
+
+        this._bindScene( state );
+        return previousLeaf;
+    },
+
+    _bindScene: function ( state ) {
+        var gl = state.getGraphicContext();
+        if ( this._renderScene ) this._sceneFbo.apply( state );
+        else gl.bindFramebuffer( gl.FRAMEBUFFER, this._targetFbo );
+    },
+
+    /**
+     * Called at the end of the RenderStage, composites the accumulated
+     * leaves in the camera framebuffer. It returns undefined as the
+     * previous leaf because the state sets of the leaves are popped
+     */
+    end: function ( state, previousRenderLeaf ) {
+
+        if ( !this._active ) return previousRenderLeaf;
+        this._active = false;
+
+        if ( !this._accumulated && !this._renderScene ) return previousRenderLeaf;
+        if ( !this._accumulated ) this._clearAccumulation( state );
+
+        var gl = state.getGraphicContext();
+        gl.bindFramebuffer( gl.FRAMEBUFFER, this._targetFbo );
+
+        state.popAllStateSets();
+        state.pushStateSet( this._renderScene ? this._compositeSceneStateSet : this._compositeStateSet );
+        state.apply();
+        Shape.createTexturedFullScreenFakeQuadGeometry().drawImplementation( state );
+        state.popStateSet();
+
+        return undefined;
+    }
+
+}, 'osg', 'OrderIndependentTransparency' );
+
+module.exports = OrderIndependentTransparency;
@@ -0,0 +1,43 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+
+
+/**
+ * OrderIndependentTransparencyAttribute tells the shader generator to
+ * write the fragment color in the weighted blended accumulation and
+ * revealage targets instead of gl_FragColor.
+ * It is set by OrderIndependentTransparency on the transparent leaves
+ * @class OrderIndependentTransparencyAttribute
+ * @inherits StateAttribute
+ */
+var OrderIndependentTransparencyAttribute = function () {
+    StateAttribute.call( this );
+    this._attributeEnable = false;
+};
+
+OrderIndependentTransparencyAttribute.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+
+    attributeType: 'OrderIndependentTransparency',
+
+    cloneType: function () {
+        return new OrderIndependentTransparencyAttribute();
+    },
+
+    setEnabled: function ( state ) {
+        this._attributeEnable = state;
+    },
+
+    isEnabled: function () {
+        return this._attributeEnable;
+    },
+
+    getHash: function () {
+        return this.getTypeMember() + this.isEnabled();
+    },
+
+    apply: function () {}
+
+} ), 'osg', 'OrderIndependentTransparencyAttribute' );
+
+module.exports = OrderIndependentTransparencyAttribute;
@@ -0,0 +1,158 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var Vec3 = require( 'osg/Vec3' );
+var Vec4 = require( 'osg/Vec4' );
+var Uniform = require( 'osg/Uniform' );
+var Map = require( 'osg/Map' );
+
+
+/**
+ * PBRMaterial is a metal/roughness material shaded with GGX by the shader
+ * generator. It has the type of Material so it replaces a Material in the state.
+ * Colors are linear, the base color and emissive textures are sRGB.
+ * The texture slots are texture units, -1 when not used:
+ * - metallic roughness: metallic in blue and roughness in green
+ * - occlusion: red channel, applied to the ambient lighting
+ * - normal: tangent space normal, needs the Tangent vertex attribute
+ * @class PBRMaterial
+ * @inherits StateAttribute
+ */
+var PBRMaterial = function () {
+    StateAttribute.call( this );
+    // glTF defaults
+    this._baseColor = Vec4.createAndSet( 1.0, 1.0, 1.0, 1.0 );
+    this._metallic = 1.0;
+    this._roughness = 1.0;
+    this._emissive = Vec3.create();
+
+    this._baseColorTextureUnit = -1;
+    this._metallicRoughnessTextureUnit = -1;
+    this._normalTextureUnit = -1;
+    this._occlusionTextureUnit = -1;
+    this._emissiveTextureUnit = -1;
+};
+
+/** @lends PBRMaterial.prototype */
+PBRMaterial.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+
+    attributeType: 'Material',
+
+    cloneType: function () {
+        return new PBRMaterial();
+    },
+
+    getOrCreateUniforms: function () {
+        var obj = PBRMaterial;
+        if ( obj.uniforms ) return obj.uniforms;
+
+        var uniformList = {
+            baseColor: Uniform.createFloat4( Vec4.create(), 'PBRMaterialBaseColor' ),
+            metallic: Uniform.createFloat1( [ 0 ], 'PBRMaterialMetallic' ),
+            roughness: Uniform.createFloat1( [ 0 ], 'PBRMaterialRoughness' ),
+            emissive: Uniform.createFloat3( Vec3.create(), 'PBRMaterialEmissive' )
+        };
+
+        obj.uniforms = new Map( uniformList );
+        return obj.uniforms;
+    },
+
+    setBaseColor: function ( a ) {
+        Vec4.copy( a, this._baseColor );
+    },
+
+    getBaseColor: function () {
+        return this._baseColor;
+    },
+
+    setMetallic: function ( a ) {
+        this._metallic = a;
+    },
+
+    getMetallic: function () {
+        return this._metallic;
+    },
+
+    setRoughness: function ( a ) {
+        this._roughness = a;
+    },
+
+    getRoughness: function () {
+        return this._roughness;
+    },
+
+    setEmissive: function ( a ) {
+        Vec3.copy( a, this._emissive );
+    },
+
+    getEmissive: function () {
+        return this._emissive;
+    },
+
+    setTransparency: function ( a ) {
+        this._baseColor[ 3 ] = 1.0 - a;
+    },
+
+    getTransparency: function () {
+        return this._baseColor[ 3 ];
+    },
+
+    setBaseColorTextureUnit: function ( unit ) {
+        this._baseColorTextureUnit = unit;
+    },
+
+    getBaseColorTextureUnit: function () {
+        return this._baseColorTextureUnit;
+    },
+
+    setMetallicRoughnessTextureUnit: function ( unit ) {
+        this._metallicRoughnessTextureUnit = unit;
+    },
+
+    getMetallicRoughnessTextureUnit: function () {
+        return this._metallicRoughnessTextureUnit;
+    },
+
+    setNormalTextureUnit: function ( unit ) {
+        this._normalTextureUnit = unit;
+    },
+
+    getNormalTextureUnit: function () {
+        return this._normalTextureUnit;
+    },
+
+    setOcclusionTextureUnit: function ( unit ) {
+        this._occlusionTextureUnit = unit;
+    },
+
+    getOcclusionTextureUnit: function () {
+        return this._occlusionTextureUnit;
+    },
+
+    setEmissiveTextureUnit: function ( unit ) {
+        this._emissiveTextureUnit = unit;
+    },
+
+    getEmissiveTextureUnit: function () {
+        return this._emissiveTextureUnit;
+    },
+
+    // the texture slots change the shader, the factors are uniforms
+    getHash: function () {
+        return this.getTypeMember() + 'PBR' + this._baseColorTextureUnit + '_' +
+            this._metallicRoughnessTextureUnit + '_' + this._normalTextureUnit + '_' +
+            this._occlusionTextureUnit + '_' + this._emissiveTextureUnit;
+    },
+
+    apply: function () {
+        var uniforms = this.getOrCreateUniforms();
+
+        uniforms.baseColor.setFloat4( this._baseColor );
+        uniforms.metallic.setFloat( this._metallic );
+        uniforms.roughness.setFloat( this._roughness );
+        uniforms.emissive.setFloat3( this._emissive );
+    }
+
+} ), 'osg', 'PBRMaterial' );
+
+module.exports = PBRMaterial;
@@ -71,6 +71,12 @@ PagedLOD.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Lo
             this._perRangeDataList[ childNo ].filename = filename;
         }
     },
+
+    getFileName: function ( childNo ) {
+        if ( childNo >= this._perRangeDataList.length ) return undefined;
+        return this._perRangeDataList[ childNo ].filename;
+    },
+
     setFunction: function ( childNo, func ) {
         if ( childNo >= this._perRangeDataList.length ) {
             var rd = new PerRangeData();
@@ -220,11 +226,13 @@ PagedLOD.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Lo
                             this._perRangeDataList[ numChildren ].dbrequest = dbhandler.requestNodeFile( this._perRangeDataList[ numChildren ].function, this._databasePath + this._perRangeDataList[ numChildren ].filename, group, visitor.getFrameStamp().getSimulationTime(), priority );
                         } else {
                             // Update timestamp of the request.
-                            if ( this._perRangeDataList[ numChildren ].dbrequest !== undefined ) {
-                                this._perRangeDataList[ numChildren ].dbrequest._timeStamp = visitor.getFrameStamp().getSimulationTime();
-                                this._perRangeDataList[ numChildren ].dbrequest._priority = priority;
+                            var dbrequest = this._perRangeDataList[ numChildren ].dbrequest;
+                            if ( dbrequest !== undefined && !dbrequest._cancelled ) {
+                                dbrequest._timeStamp = visitor.getFrameStamp().getSimulationTime();
+                                dbrequest._priority = priority;
                             } else {
-                                // The DB request is undefined, so the DBPager was not accepting requests, we need to ask for the child again.
+                                // The DB request is undefined, so the DBPager was not accepting requests,
+                                // or the request has been cancelled, we need to ask for the child again.
                                 this._perRangeDataList[ numChildren ].loaded = false;
                             }
                         }
@@ -0,0 +1,56 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+
+
+/**
+ *  Manage the depth offset of the polygons, used to draw coplanar
+ *  geometries like decals. A zero factor and units disables it
+ *  @class
+ *  @memberOf osg
+ *  @extends StateAttribute
+ */
+var PolygonOffset = function ( factor, units ) {
+    StateAttribute.call( this );
+
+    this._factor = factor !== undefined ? factor : 0.0;
+    this._units = units !== undefined ? units : 0.0;
+};
+
+/**
+ * @lends PolygonOffset.prototype
+ */
+PolygonOffset.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+    attributeType: 'PolygonOffset',
+    cloneType: function () {
+        return new PolygonOffset();
+    },
+
+    setFactor: function ( factor ) {
+        this._factor = factor;
+    },
+    getFactor: function () {
+        return this._factor;
+    },
+    setUnits: function ( units ) {
+        this._units = units;
+    },
+    getUnits: function () {
+        return this._units;
+    },
+    isEnabled: function () {
+        return this._factor !== 0.0 || this._units !== 0.0;
+    },
+
+    apply: function ( state ) {
+        var gl = state.getGraphicContext();
+        if ( !this.isEnabled() ) {
+            gl.disable( gl.POLYGON_OFFSET_FILL );
+        } else {
+            gl.enable( gl.POLYGON_OFFSET_FILL );
+            gl.polygonOffset( this._factor, this._units );
+        }
+    }
+} ), 'osg', 'PolygonOffset' );
+
+module.exports = PolygonOffset;
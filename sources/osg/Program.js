@@ -40,6 +40,33 @@ var Program = function ( vShader, fShader ) {
     this._dirty = true;
 };
 
+// called with the program and its errors when it fails to compile or to
+// link, the errors of the shaders are the ones of Shader.processErrors with
+// a type 'vertex' or 'fragment', the link error has a type 'link'
+Program.errorCallback = undefined;
+
+var getErrors = function ( program, linkLog ) {
+    var errors = [];
+    var addErrors = function ( type, shader ) {
+        var shaderErrors = shader.getCompileErrors();
+        for ( var i = 0, l = shaderErrors.length; i < l; i++ ) {
+            errors.push( MACROUTILS.objectMix( {
+                type: type
+            }, shaderErrors[ i ] ) );
+        }
+    };
+    addErrors( 'vertex', program.getVertexShader() );
+    addErrors( 'fragment', program.getFragmentShader() );
+
+    if ( linkLog ) {
+        errors.push( {
+            type: 'link',
+            message: linkLog
+        } );
+    }
+    return errors;
+};
+
 // static cache of glPrograms flagged for deletion, which will actually
 // be deleted in the correct GL context.
 Program._sDeletedGLProgramCache = new window.Map();
@@ -179,16 +206,20 @@ Program.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
         var gl = this._gl;
         if ( !this._program || this._dirty ) {
 
-            var compileClean;
+            var vertexClean = true;
+            var fragmentClean = true;
+            var errLink;
 
             if ( !this._vertex.shader ) {
-                compileClean = this._vertex.compile( gl );
+                vertexClean = this._vertex.compile( gl );
             }
 
             if ( !this._fragment.shader ) {
-                compileClean = this._fragment.compile( gl );
+                fragmentClean = this._fragment.compile( gl );
             }
 
+            var compileClean = vertexClean && fragmentClean;
+
             if ( compileClean ) {
 
                 this._program = gl.createProgram();
@@ -199,7 +230,7 @@ Program.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
                 gl.linkProgram( this._program );
 
                 if ( !gl.getProgramParameter( this._program, gl.LINK_STATUS ) && !gl.isContextLost() ) {
-                    var errLink = gl.getProgramInfoLog( this._program );
+                    errLink = gl.getProgramInfoLog( this._program );
 
                     Notify.errorFold( errLink, 'can\'t link program\nvertex shader:\n' + this._vertex.text + '\n fragment shader:\n' + this._fragment.text );
 
@@ -223,6 +254,8 @@ Program.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
             }
 
             if ( !compileClean ) {
+                if ( Program.errorCallback ) Program.errorCallback( this, getErrors( this, errLink ) );
+
                 // Any error, Any
                 // Pink must die.
                 if ( !Program.prototype._failSafeCache ) {
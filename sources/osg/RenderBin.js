@@ -31,12 +31,30 @@ RenderBin.SORT_FRONT_TO_BACK = 2;
 // change it at runtime for default RenderBin if needed
 RenderBin.defaultSortMode = RenderBin.SORT_BY_STATE;
 
+// draws the leaves in the accumulation targets of the
+// OrderIndependentTransparency of the stage when it is active
+var orderIndependentTransparencyDrawCallback = {
+    drawImplementation: function ( bin, state, previousRenderLeaf ) {
+        var oit = bin.getStage().getOrderIndependentTransparency();
+        if ( oit && oit.isActive() ) return oit.accumulate( bin, state, previousRenderLeaf );
+        return bin.drawImplementation( state, previousRenderLeaf );
+    }
+};
+
+
 RenderBin.BinPrototypes = {
     RenderBin: function () {
         return RenderBin.getOrCreate().init();
     },
     DepthSortedBin: function () {
         return RenderBin.getOrCreate().init( RenderBin.SORT_BACK_TO_FRONT );
+    },
+    // transparent leaves of a stage with order independent transparency,
+    // sorted back to front in case it is not available
+    OrderIndependentTransparencyBin: function () {
+        var bin = RenderBin.getOrCreate().init( RenderBin.SORT_BACK_TO_FRONT );
+        bin.setDrawCallback( orderIndependentTransparencyDrawCallback );
+        return bin;
     }
 };
 
@@ -188,6 +206,16 @@ RenderBin.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( O
         return this._renderStage;
     },
 
+    // drawImplementation( renderBin, state, previousRenderLeaf ) of the
+    // callback replaces the drawImplementation of the bin
+    setDrawCallback: function ( callback ) {
+        this._drawCallback = callback;
+    },
+
+    getDrawCallback: function () {
+        return this._drawCallback;
+    },
+
     addStateGraph: function ( sg ) {
         this.stateGraphList.push( sg );
     },
@@ -49,6 +49,7 @@ RenderStage.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
         this.preRenderList.length = 0;
         this.postRenderList.length = 0;
         this._renderStage = this;
+        this._orderIndependentTransparency = undefined;
 
         return this;
     },
@@ -99,6 +100,16 @@ RenderStage.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
         return this.camera;
     },
 
+    // set during the cull, the transparent leaves are then pushed
+    // in an OrderIndependentTransparencyBin
+    setOrderIndependentTransparency: function ( oit ) {
+        this._orderIndependentTransparency = oit;
+    },
+
+    getOrderIndependentTransparency: function () {
+        return this._orderIndependentTransparency;
+    },
+
     getPositionedAttribute: function () {
         return this.positionedAttribute;
     },
@@ -217,6 +228,8 @@ RenderStage.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
             this.camera.frameBufferObject = fbo;
         }
 
+        fbo.setSamples( this.camera.getSamples() );
+
         if ( fbo.isDirty() ) {
 
             var attachments = this.camera.getAttachments();
@@ -266,6 +279,10 @@ RenderStage.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
             Notify.log( 'RenderStage does not have a valid viewport' );
         }
 
+        // can redirect the rendering of the stage, so before the clear
+        var oit = this._orderIndependentTransparency;
+        if ( oit && !oit.begin( state, this ) ) oit = undefined;
+
         state.applyAttribute( this.viewport );
 
         /*jshint bitwise: false */
@@ -287,6 +304,12 @@ RenderStage.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit(
 
         var previousLeaf = RenderBin.prototype.drawImplementation.call( this, state, previousRenderLeaf );
 
+        if ( oit ) previousLeaf = oit.end( state, previousLeaf );
+
+        // multisampled render to texture
+        if ( this.camera && this.camera.frameBufferObject )
+            this.camera.frameBufferObject.resolve();
+
         return previousLeaf;
     }
 } ), 'osg', 'RenderStage' );
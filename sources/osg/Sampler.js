@@ -0,0 +1,157 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var GLObject = require( 'osg/GLObject' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+
+
+var TEXTURE_MAG_FILTER = 0x2800;
+var TEXTURE_MIN_FILTER = 0x2801;
+var TEXTURE_WRAP_S = 0x2802;
+var TEXTURE_WRAP_T = 0x2803;
+var TEXTURE_WRAP_R = 0x8072;
+var TEXTURE_MIN_LOD = 0x813A;
+var TEXTURE_MAX_LOD = 0x813B;
+var TEXTURE_COMPARE_MODE = 0x884C;
+var TEXTURE_COMPARE_FUNC = 0x884D;
+
+var getEnum = function ( value ) {
+    return typeof value === 'string' ? Texture[ value ] : value;
+};
+
+/**
+ * Sampler is a texture attribute that overrides the filtering and wrapping
+ * of the texture of its unit with a WebGL2 sampler object. Only the
+ * parameters set are applied to the sampler, a Sampler without parameters
+ * unbinds the sampler of the unit. It does nothing with WebGL1
+ * @class Sampler
+ * @memberOf osg
+ * @extends StateAttribute
+ */
+var Sampler = function () {
+    GLObject.call( this );
+    StateAttribute.call( this );
+    this._parameters = {};
+    this._sampler = undefined;
+    this._dirty = true;
+};
+
+Sampler.COMPARE_REF_TO_TEXTURE = 0x884E;
+Sampler.NONE = 0x0;
+
+/** @lends Sampler.prototype */
+Sampler.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLObject.prototype, MACROUTILS.objectInherit( StateAttribute.prototype, {
+
+    attributeType: 'Sampler',
+
+    cloneType: function () {
+        return new Sampler();
+    },
+
+    // not a texture for the shader generator
+    isTextureNull: function () {
+        return true;
+    },
+
+    dirty: function () {
+        this._dirty = true;
+    },
+
+    isDirty: function () {
+        return this._dirty;
+    },
+
+    _setParameter: function ( name, value ) {
+        this._parameters[ name ] = value;
+        this.dirty();
+    },
+
+    getParameters: function () {
+        return this._parameters;
+    },
+
+    setMinFilter: function ( value ) {
+        this._setParameter( TEXTURE_MIN_FILTER, getEnum( value ) );
+    },
+
+    setMagFilter: function ( value ) {
+        this._setParameter( TEXTURE_MAG_FILTER, getEnum( value ) );
+    },
+
+    setWrapS: function ( value ) {
+        this._setParameter( TEXTURE_WRAP_S, getEnum( value ) );
+    },
+
+    setWrapT: function ( value ) {
+        this._setParameter( TEXTURE_WRAP_T, getEnum( value ) );
+    },
+
+    setWrapR: function ( value ) {
+        this._setParameter( TEXTURE_WRAP_R, getEnum( value ) );
+    },
+
+    setMinLod: function ( value ) {
+        this._setParameter( TEXTURE_MIN_LOD, value );
+    },
+
+    setMaxLod: function ( value ) {
+        this._setParameter( TEXTURE_MAX_LOD, value );
+    },
+
+    // compareMode is Sampler.COMPARE_REF_TO_TEXTURE or Sampler.NONE and
+    // compareFunc one of the depth functions (LEQUAL, LESS, ...)
+    setCompareMode: function ( value ) {
+        this._setParameter( TEXTURE_COMPARE_MODE, value );
+    },
+
+    setCompareFunc: function ( value ) {
+        this._setParameter( TEXTURE_COMPARE_FUNC, value );
+    },
+
+    hasParameters: function () {
+        return window.Object.keys( this._parameters ).length !== 0;
+    },
+
+    releaseGLObjects: function () {
+        if ( this._sampler !== undefined && this._gl !== undefined ) {
+            this._gl.deleteSampler( this._sampler );
+        }
+        this._sampler = undefined;
+        this._dirty = true;
+    },
+
+    apply: function ( state, unit ) {
+        if ( !WebGLCaps.instance().isWebGL2() ) return;
+
+        var gl = state.getGraphicContext();
+        if ( !this.hasParameters() ) {
+            gl.bindSampler( unit, null );
+            return;
+        }
+
+        if ( !this._sampler ) {
+            this.setGraphicContext( gl );
+            this._sampler = gl.createSampler();
+        }
+
+        if ( this._dirty ) {
+            var parameters = this._parameters;
+            var keys = window.Object.keys( parameters );
+            for ( var i = 0; i < keys.length; i++ ) {
+                var name = parseInt( keys[ i ], 10 );
+                // lods are the only float parameters
+                if ( name === TEXTURE_MIN_LOD || name === TEXTURE_MAX_LOD ) gl.samplerParameterf( this._sampler, name, parameters[ name ] );
+                else gl.samplerParameteri( this._sampler, name, parameters[ name ] );
+            }
+            this._dirty = false;
+        }
+
+        gl.bindSampler( unit, this._sampler );
+    }
+
+} ) ), 'osg', 'Sampler' );
+
+MACROUTILS.setTypeID( Sampler );
+
+module.exports = Sampler;
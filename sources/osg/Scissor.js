@@ -0,0 +1,64 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+
+
+/**
+ *  Manage the scissor test, a Scissor without size disables it
+ *  @class
+ *  @memberOf osg
+ *  @extends StateAttribute
+ */
+var Scissor = function ( x, y, width, height ) {
+    StateAttribute.call( this );
+
+    this._x = x !== undefined ? x : -1;
+    this._y = y !== undefined ? y : -1;
+    this._width = width !== undefined ? width : -1;
+    this._height = height !== undefined ? height : -1;
+};
+
+/**
+ * @lends Scissor.prototype
+ */
+Scissor.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+    attributeType: 'Scissor',
+    cloneType: function () {
+        return new Scissor();
+    },
+
+    // rectangle in window coordinates, negative size to disable
+    setScissor: function ( x, y, width, height ) {
+        this._x = x;
+        this._y = y;
+        this._width = width;
+        this._height = height;
+    },
+    x: function () {
+        return this._x;
+    },
+    y: function () {
+        return this._y;
+    },
+    width: function () {
+        return this._width;
+    },
+    height: function () {
+        return this._height;
+    },
+    isEnabled: function () {
+        return this._width >= 0 && this._height >= 0;
+    },
+
+    apply: function ( state ) {
+        var gl = state.getGraphicContext();
+        if ( !this.isEnabled() ) {
+            gl.disable( gl.SCISSOR_TEST );
+        } else {
+            gl.enable( gl.SCISSOR_TEST );
+            gl.scissor( this._x, this._y, this._width, this._height );
+        }
+    }
+} ), 'osg', 'Scissor' );
+
+module.exports = Scissor;
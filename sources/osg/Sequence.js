@@ -0,0 +1,246 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Node = require( 'osg/Node' );
+var NodeVisitor = require( 'osg/NodeVisitor' );
+
+
+/**
+ *  Sequence displays its children one after the other like a flipbook,
+ *  each child during its own time. The active child is advanced during
+ *  the update traversal from the simulation time of the FrameStamp,
+ *  visitors traversing the active children only visit the current one
+ *  @class Sequence
+ */
+var Sequence = function () {
+    Node.call( this );
+
+    // index of the displayed child
+    this._value = -1;
+    this._times = [];
+    this._defaultTime = 1.0;
+
+    this._loopMode = Sequence.LOOP;
+    this._begin = 0;
+    // -1 for the last child
+    this._end = -1;
+
+    this._speed = 1.0;
+    // -1 to repeat forever
+    this._nbLoop = -1;
+
+    this._mode = Sequence.START;
+
+    this._step = 0;
+    this._nbLoopDone = 0;
+    this._frameStartTime = -1.0;
+    this._pauseTime = -1.0;
+
+    // the sequence always needs the update traversal
+    this.setNumChildrenRequiringUpdateTraversal( 1 );
+};
+
+Sequence.LOOP = 0;
+Sequence.SWING = 1;
+
+Sequence.START = 0;
+Sequence.STOP = 1;
+Sequence.PAUSE = 2;
+Sequence.RESUME = 3;
+
+/** @lends Sequence.prototype */
+Sequence.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Node.prototype, {
+
+    // time in seconds the child at index is displayed
+    setTime: function ( index, time ) {
+        this._times[ index ] = time;
+    },
+
+    getTime: function ( index ) {
+        var time = this._times[ index ];
+        return time === undefined || time < 0.0 ? this._defaultTime : time;
+    },
+
+    setTimeList: function ( times ) {
+        this._times = times.slice();
+    },
+
+    getTimeList: function () {
+        return this._times;
+    },
+
+    // time of the children without their own time
+    setDefaultTime: function ( time ) {
+        this._defaultTime = time;
+    },
+
+    getDefaultTime: function () {
+        return this._defaultTime;
+    },
+
+    /**
+     * Play the children from begin to end, backward if begin > end.
+     * LOOP restarts from begin, SWING goes back and forth
+     */
+    setInterval: function ( loopMode, begin, end ) {
+        this._loopMode = loopMode;
+        this._begin = begin;
+        this._end = end;
+    },
+
+    getLoopMode: function () {
+        return this._loopMode;
+    },
+
+    getBegin: function () {
+        return this._begin;
+    },
+
+    getEnd: function () {
+        return this._end;
+    },
+
+    // speed multiplies the time flow, nbLoop is the number of times
+    // the interval is played before stopping, -1 to play forever
+    setDuration: function ( speed, nbLoop ) {
+        this._speed = speed;
+        if ( nbLoop !== undefined ) this._nbLoop = nbLoop;
+    },
+
+    getSpeed: function () {
+        return this._speed;
+    },
+
+    getNumLoops: function () {
+        return this._nbLoop;
+    },
+
+    // START plays the interval from its beginning, PAUSE and RESUME
+    // suspend and continue it, STOP keeps the current child
+    setMode: function ( mode ) {
+        if ( mode === Sequence.START ) {
+            this._frameStartTime = -1.0;
+        } else if ( mode === Sequence.PAUSE ) {
+            if ( this._mode !== Sequence.START ) return;
+            this._pauseTime = -1.0;
+        } else if ( mode === Sequence.RESUME ) {
+            if ( this._mode !== Sequence.PAUSE ) return;
+        }
+        this._mode = mode;
+    },
+
+    getMode: function () {
+        return this._mode;
+    },
+
+    setValue: function ( value ) {
+        this._value = value;
+    },
+
+    getValue: function () {
+        return this._value;
+    },
+
+    _getFirst: function () {
+        var last = this.children.length - 1;
+        return Math.max( 0, Math.min( this._begin < 0 ? last : this._begin, last ) );
+    },
+
+    _getLast: function () {
+        var last = this.children.length - 1;
+        return Math.max( 0, Math.min( this._end < 0 ? last : this._end, last ) );
+    },
+
+    _start: function ( time ) {
+        var first = this._getFirst();
+        this._value = first;
+        this._step = first <= this._getLast() ? 1 : -1;
+        this._nbLoopDone = 0;
+        this._frameStartTime = time;
+    },
+
+    // returns false when the sequence stops at the end of its loops
+    _endLoop: function () {
+        this._nbLoopDone++;
+        if ( this._nbLoop >= 0 && this._nbLoopDone >= this._nbLoop ) {
+            this._mode = Sequence.STOP;
+            return false;
+        }
+        return true;
+    },
+
+    _advance: function () {
+        var first = this._getFirst();
+        var last = this._getLast();
+        var direction = first <= last ? 1 : -1;
+        var next = this._value + this._step;
+        var outside = next < Math.min( first, last ) || next > Math.max( first, last );
+
+        if ( !outside ) {
+            this._value = next;
+            return;
+        }
+
+        if ( this._loopMode === Sequence.SWING ) {
+            // the loop is complete when coming back to the beginning
+            if ( this._step !== direction && !this._endLoop() ) return;
+            this._step = -this._step;
+            next = this._value + this._step;
+            if ( next >= Math.min( first, last ) && next <= Math.max( first, last ) )
+                this._value = next;
+            return;
+        }
+
+        if ( !this._endLoop() ) return;
+        this._value = first;
+    },
+
+    update: function ( time ) {
+        var nbChildren = this.children.length;
+        if ( !nbChildren ) return;
+
+        if ( this._mode === Sequence.PAUSE ) {
+            if ( this._pauseTime < 0.0 ) this._pauseTime = time;
+            return;
+        }
+
+        if ( this._mode === Sequence.RESUME ) {
+            if ( this._pauseTime >= 0.0 ) this._frameStartTime += time - this._pauseTime;
+            this._mode = Sequence.START;
+        }
+
+        if ( this._mode !== Sequence.START || this._speed <= 0.0 ) return;
+
+        if ( this._frameStartTime < 0.0 || this._value < 0 || this._value >= nbChildren ) {
+            this._start( time );
+        }
+
+        var duration = this.getTime( this._value ) / this._speed;
+        // skip as many children as needed if frames are slower than the sequence
+        while ( this._mode === Sequence.START && duration > 0.0 && time - this._frameStartTime >= duration ) {
+            this._frameStartTime += duration;
+            this._advance();
+            duration = this.getTime( this._value ) / this._speed;
+        }
+    },
+
+    traverse: function ( visitor ) {
+        if ( visitor.visitorType === NodeVisitor.UPDATE_VISITOR && visitor.getFrameStamp() ) {
+            this.update( visitor.getFrameStamp().getSimulationTime() );
+        }
+
+        var children = this.children;
+        if ( visitor.traversalMode === NodeVisitor.TRAVERSE_ACTIVE_CHILDREN ) {
+            if ( this._value >= 0 && this._value < children.length ) children[ this._value ].accept( visitor );
+            return;
+        }
+
+        for ( var i = 0, l = children.length; i < l; i++ ) {
+            children[ i ].accept( visitor );
+        }
+    }
+
+} ), 'osg', 'Sequence' );
+
+MACROUTILS.setTypeID( Sequence );
+
+module.exports = Sequence;
@@ -17,6 +17,7 @@ var Shader = function ( type, text ) {
     }
     this.type = t;
     this.setText( text );
+    this._compileErrors = [];
 };
 
 Shader.VERTEX_SHADER = 0x8B31;
@@ -31,6 +32,23 @@ Shader.VS_DBG += debugName;
 Shader.FS_DBG += debugName;
 
 
+// source and line of the include at a line of the shader, see
+// Shader.setSourceMap
+var getSourceLocation = function ( sourceMap, line ) {
+    if ( !sourceMap ) return undefined;
+
+    for ( var i = sourceMap.length - 1; i >= 0; i-- ) {
+        var segment = sourceMap[ i ];
+        if ( segment.line <= line ) {
+            return {
+                source: segment.source,
+                line: segment.sourceLine + line - segment.line
+            };
+        }
+    }
+    return undefined;
+};
+
 // static cache of glShaders flagged for deletion, which will actually
 // be deleted in the correct GL context.
 Shader._sDeletedGLShaderCache = new window.Map();
@@ -74,10 +92,23 @@ Shader.flushAllDeletedGLShaders = function ( gl ) {
 Shader.prototype = MACROUTILS.objectInherit( GLObject.prototype, {
     setText: function ( text ) {
         this.text = text;
+        this._sourceMap = undefined;
     },
     getText: function () {
         return this.text;
     },
+    // segments { line, source, sourceLine } mapping the lines of the text to
+    // the lines of its sources, as given by ShaderProcessor.getSourceMap
+    setSourceMap: function ( sourceMap ) {
+        this._sourceMap = sourceMap;
+    },
+    getSourceMap: function () {
+        return this._sourceMap;
+    },
+    // errors of the last compilation, see processErrors
+    getCompileErrors: function () {
+        return this._compileErrors;
+    },
     // this is where it creates a fail safe shader that should work everywhere
     failSafe: function ( gl ) {
         this.shader = gl.createShader( this.type );
@@ -85,14 +116,18 @@ Shader.prototype = MACROUTILS.objectInherit( GLObject.prototype, {
         gl.compileShader( this.shader );
     },
     // webgl shader compiler error to source contextualization
-    // for better console log messages
-    processErrors: function ( errors, source ) {
+    // for better console log messages, the lines are located in the
+    // includes with the optional source map.
+    // Returns the errors { message, line, source, sourceLine, context,
+    // contextLine }, context is the lines around the error from contextLine
+    processErrors: function ( errors, source, sourceMap ) {
+        var results = [];
         // regex to extract error message and line from webgl compiler reporting
         var r = /ERROR: [\d]+:([\d]+): (.+)/gmi;
         // split sources in indexable per line array
         var lines = source.split( '\n' );
         var linesLength = lines.length;
-        if ( linesLength === 0 ) return;
+        if ( linesLength === 0 ) return results;
 
         var i, m;
 
@@ -112,10 +147,25 @@ Shader.prototype = MACROUTILS.objectInherit( GLObject.prototype, {
             var line = parseInt( m[ 1 ] );
 
             if ( line > linesLength ) continue;
+
+            var contextLine = Math.max( 0, line - 7 );
+            var location = getSourceLocation( sourceMap, line );
+            results.push( {
+                message: m[ 2 ],
+                line: line,
+                source: location ? location.source : undefined,
+                sourceLine: location ? location.line : undefined,
+                context: lines.slice( contextLine, Math.min( linesLength, line + 5 ) ),
+                contextLine: contextLine + 1
+            } );
+
             // webgl error report.
-            Notify.error( 'ERROR ' + m[ 2 ] + ' in line ' + line );
+            if ( location )
+                Notify.error( 'ERROR ' + m[ 2 ] + ' in ' + location.source + ' line ' + location.line + ' (line ' + line + ')' );
+            else
+                Notify.error( 'ERROR ' + m[ 2 ] + ' in line ' + line );
 
-            var minLine = Math.max( 0, line - 7 );
+            var minLine = contextLine;
             var maxLine = Math.max( 0, line - 2 );
             // for context
             // log surrounding line priori to error with bof check
@@ -135,6 +185,7 @@ Shader.prototype = MACROUTILS.objectInherit( GLObject.prototype, {
                 Notify.warn( lines[ i ].replace( /^[ \t]+/g, '' ) );
             }
         }
+        return results;
     },
 
     compile: function ( gl ) {
@@ -159,13 +210,20 @@ Shader.prototype = MACROUTILS.objectInherit( GLObject.prototype, {
             }
         }
 
+        this._compileErrors = [];
         gl.shaderSource( this.shader, shaderText );
         MACROUTILS.timeStamp( 'osgjs.metrics:compileShader' );
         gl.compileShader( this.shader );
         if ( !gl.getShaderParameter( this.shader, gl.COMPILE_STATUS ) && !gl.isContextLost() ) {
 
             var err = gl.getShaderInfoLog( this.shader );
-            this.processErrors( err, shaderText );
+            // the optimized text has lost the lines of the source map
+            this._compileErrors = this.processErrors( err, shaderText, shaderText === this.text ? this._sourceMap : undefined );
+            if ( !this._compileErrors.length ) {
+                this._compileErrors.push( {
+                    message: err
+                } );
+            }
 
             var tmpText = '\n' + shaderText;
             var splittedText = tmpText.split( '\n' );
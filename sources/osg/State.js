@@ -86,6 +86,9 @@ var State = function ( shaderGeneratorProxy ) {
     this.vertexAttribMap._disable = [];
     this.vertexAttribMap._keys = [];
 
+    // divisors of the instanced vertex attributes outside of the vaos
+    this._vertexAttribDivisors = [];
+
     this._frameStamp = undefined;
 
     // we dont use Map because in this use case with a few entries
@@ -119,6 +122,12 @@ State.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Objec
     setGraphicContext: function ( graphicContext ) {
         this._graphicContext = graphicContext;
         this._extVAO = WebGLCaps.instance( graphicContext ).getWebGLExtension( 'OES_vertex_array_object' );
+        this._extInstanced = WebGLCaps.instance( graphicContext ).getWebGLExtension( 'ANGLE_instanced_arrays' );
+    },
+
+    // ANGLE_instanced_arrays or its WebGL2 equivalent, null if not supported
+    getInstancedArraysExtension: function () {
+        return this._extInstanced;
     },
 
     getGraphicContext: function () {
@@ -968,6 +977,61 @@ State.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Objec
 
             vertexAttribMap[ attrib ] = array;
             gl.vertexAttribPointer( attrib, array.getItemSize(), array.getType(), normalize, 0, 0 );
+
+            // the location was used by an instanced attribute
+            if ( !this._currentVAO && this._vertexAttribDivisors[ attrib ] ) {
+                this._extInstanced.vertexAttribDivisorANGLE( attrib, 0 );
+                this._vertexAttribDivisors[ attrib ] = 0;
+            }
+        }
+    },
+
+    /**
+     * set a vertex attribute advancing once per divisor instances. An
+     * array with an item size larger than 4 (a mat4 has 16) uses the
+     * next locations for its next columns of 4 components
+     */
+    setInstancedVertexAttribArray: function ( attrib, array, normalize, divisor ) {
+
+        var vertexAttribMap = this.vertexAttribMap;
+        var gl = this._graphicContext;
+        var itemSize = array.getItemSize();
+        var nbColumns = Math.ceil( itemSize / 4 );
+        var column, location;
+
+        for ( column = 0; column < nbColumns; column++ )
+            vertexAttribMap._disable[ attrib + column ] = false;
+
+        var binded = false;
+        if ( array.isDirty() ) {
+            array.bind( gl );
+            array.compile( gl );
+            binded = true;
+        }
+
+        if ( vertexAttribMap[ attrib ] === array ) return;
+
+        if ( !binded ) array.bind( gl );
+
+        var bytes = array.getElements().BYTES_PER_ELEMENT;
+        var stride = nbColumns > 1 ? itemSize * bytes : 0;
+        var ext = this._extInstanced;
+
+        for ( column = 0; column < nbColumns; column++ ) {
+            location = attrib + column;
+
+            if ( !vertexAttribMap[ location ] ) {
+                gl.enableVertexAttribArray( location );
+                if ( vertexAttribMap[ location ] === undefined )
+                    vertexAttribMap._keys.push( location );
+            }
+            vertexAttribMap[ location ] = array;
+
+            gl.vertexAttribPointer( location, Math.min( 4, itemSize - column * 4 ), array.getType(), normalize, stride, column * 4 * bytes );
+            ext.vertexAttribDivisorANGLE( location, divisor );
+
+            // divisors set in a vao are reset with it
+            if ( !this._currentVAO ) this._vertexAttribDivisors[ location ] = divisor;
         }
     },
 
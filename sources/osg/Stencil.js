@@ -0,0 +1,134 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var StateAttribute = require( 'osg/StateAttribute' );
+
+
+/**
+ *  Manage the stencil test, disabled by default
+ *  The framebuffer needs a stencil buffer (context created with stencil: true)
+ *  @class
+ *  @memberOf osg
+ *  @extends StateAttribute
+ */
+var Stencil = function ( func, ref, mask, sfail, zfail, zpass ) {
+    StateAttribute.call( this );
+
+    this._func = Stencil.DISABLE;
+    this._ref = 0;
+    this._mask = 0xFFFFFFFF;
+    this._sfail = Stencil.KEEP;
+    this._zfail = Stencil.KEEP;
+    this._zpass = Stencil.KEEP;
+    this._writeMask = 0xFFFFFFFF;
+
+    if ( func !== undefined ) this.setFunction( func, ref, mask );
+    if ( sfail !== undefined ) this.setOperation( sfail, zfail, zpass );
+};
+
+Stencil.DISABLE = 0x0000;
+Stencil.NEVER = 0x0200;
+Stencil.LESS = 0x0201;
+Stencil.EQUAL = 0x0202;
+Stencil.LEQUAL = 0x0203;
+Stencil.GREATER = 0x0204;
+Stencil.NOTEQUAL = 0x0205;
+Stencil.GEQUAL = 0x0206;
+Stencil.ALWAYS = 0x0207;
+
+Stencil.ZERO = 0x0000;
+Stencil.KEEP = 0x1E00;
+Stencil.REPLACE = 0x1E01;
+Stencil.INCR = 0x1E02;
+Stencil.DECR = 0x1E03;
+Stencil.INVERT = 0x150A;
+Stencil.INCR_WRAP = 0x8507;
+Stencil.DECR_WRAP = 0x8508;
+
+var getEnum = function ( value ) {
+    return typeof value === 'string' ? Stencil[ value ] : value;
+};
+
+/**
+ * @lends Stencil.prototype
+ */
+Stencil.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+    attributeType: 'Stencil',
+    cloneType: function () {
+        return new Stencil();
+    },
+
+    /**
+     * func is a compare function or DISABLE, the test
+     * passes when ( ref & mask ) func ( stencil & mask )
+     */
+    setFunction: function ( func, ref, mask ) {
+        this._func = getEnum( func );
+        if ( ref !== undefined ) this._ref = ref;
+        if ( mask !== undefined ) this._mask = mask;
+    },
+    getFunction: function () {
+        return this._func;
+    },
+    setFunctionRef: function ( ref ) {
+        this._ref = ref;
+    },
+    getFunctionRef: function () {
+        return this._ref;
+    },
+    setFunctionMask: function ( mask ) {
+        this._mask = mask;
+    },
+    getFunctionMask: function () {
+        return this._mask;
+    },
+
+    /**
+     * operations when the stencil test fails, when the stencil test
+     * passes and the depth test fails, and when both pass
+     */
+    setOperation: function ( sfail, zfail, zpass ) {
+        this.setStencilFailOperation( sfail );
+        if ( zfail !== undefined ) this.setStencilPassAndDepthFailOperation( zfail );
+        if ( zpass !== undefined ) this.setStencilPassAndDepthPassOperation( zpass );
+    },
+    setStencilFailOperation: function ( op ) {
+        this._sfail = getEnum( op );
+    },
+    getStencilFailOperation: function () {
+        return this._sfail;
+    },
+    setStencilPassAndDepthFailOperation: function ( op ) {
+        this._zfail = getEnum( op );
+    },
+    getStencilPassAndDepthFailOperation: function () {
+        return this._zfail;
+    },
+    setStencilPassAndDepthPassOperation: function ( op ) {
+        this._zpass = getEnum( op );
+    },
+    getStencilPassAndDepthPassOperation: function () {
+        return this._zpass;
+    },
+
+    setWriteMask: function ( mask ) {
+        this._writeMask = mask;
+    },
+    getWriteMask: function () {
+        return this._writeMask;
+    },
+
+    apply: function ( state ) {
+        var gl = state.getGraphicContext();
+        if ( this._func === Stencil.DISABLE ) {
+            gl.disable( gl.STENCIL_TEST );
+        } else {
+            gl.enable( gl.STENCIL_TEST );
+            gl.stencilFunc( this._func, this._ref, this._mask );
+            gl.stencilOp( this._sfail, this._zfail, this._zpass );
+        }
+        // also used by the stencil clear
+        gl.stencilMask( this._writeMask );
+    }
+} ), 'osg', 'Stencil' );
+
+module.exports = Stencil;
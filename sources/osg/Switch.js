@@ -0,0 +1,150 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Node = require( 'osg/Node' );
+var NodeVisitor = require( 'osg/NodeVisitor' );
+var TransformEnums = require( 'osg/TransformEnums' );
+
+
+/**
+ *  Switch is a node with an on/off value per child, only the children
+ *  switched on are traversed by visitors traversing the active children
+ *  (cull, intersections...) and contribute to the bounding sphere
+ *  @class Switch
+ */
+var Switch = function () {
+    Node.call( this );
+    this._newChildDefaultValue = true;
+    this._values = [];
+};
+
+/** @lends Switch.prototype */
+Switch.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Node.prototype, {
+
+    // value of the children added without an explicit value
+    setNewChildDefaultValue: function ( value ) {
+        this._newChildDefaultValue = value;
+    },
+
+    getNewChildDefaultValue: function () {
+        return this._newChildDefaultValue;
+    },
+
+    addChild: function ( node, value ) {
+        var child = Node.prototype.addChild.call( this, node );
+        if ( !child ) return undefined;
+        this._values.length = this.children.length;
+        this._values[ this.children.length - 1 ] = value !== undefined ? Boolean( value ) : this._newChildDefaultValue;
+        return child;
+    },
+
+    removeChild: function ( node ) {
+        var id = this.children.indexOf( node );
+        if ( id === -1 ) return;
+
+        Node.prototype.removeChild.call( this, node );
+        this._values.splice( id, 1 );
+        this.dirtyBound();
+    },
+
+    removeChildren: function () {
+        Node.prototype.removeChildren.call( this );
+        this._values.length = 0;
+    },
+
+    setValue: function ( index, value ) {
+        if ( index >= this._values.length ) this._values.length = index + 1;
+        this._values[ index ] = Boolean( value );
+        this.dirtyBound();
+    },
+
+    getValue: function ( index ) {
+        return Boolean( this._values[ index ] );
+    },
+
+    setChildValue: function ( node, value ) {
+        var id = this.children.indexOf( node );
+        if ( id === -1 ) return;
+        this.setValue( id, value );
+    },
+
+    getChildValue: function ( node ) {
+        var id = this.children.indexOf( node );
+        if ( id === -1 ) return false;
+        return this.getValue( id );
+    },
+
+    setValueList: function ( values ) {
+        this._values = values.map( Boolean );
+        this.dirtyBound();
+    },
+
+    getValueList: function () {
+        return this._values;
+    },
+
+    setAllChildrenOff: function () {
+        this._newChildDefaultValue = false;
+        for ( var i = 0, l = this._values.length; i < l; i++ ) this._values[ i ] = false;
+        this.dirtyBound();
+    },
+
+    setAllChildrenOn: function () {
+        this._newChildDefaultValue = true;
+        for ( var i = 0, l = this._values.length; i < l; i++ ) this._values[ i ] = true;
+        this.dirtyBound();
+    },
+
+    // switch on the child at index and switch off the others
+    setSingleChildOn: function ( index ) {
+        for ( var i = 0, l = this._values.length; i < l; i++ ) this._values[ i ] = false;
+        this.setValue( index, true );
+    },
+
+    traverse: function ( visitor ) {
+        var children = this.children;
+        var i, l = children.length;
+
+        if ( visitor.traversalMode === NodeVisitor.TRAVERSE_ACTIVE_CHILDREN ) {
+            for ( i = 0; i < l; i++ ) {
+                if ( this._values[ i ] ) children[ i ].accept( visitor );
+            }
+        } else {
+            for ( i = 0; i < l; i++ ) {
+                children[ i ].accept( visitor );
+            }
+        }
+    },
+
+    computeBoundingSphere: function ( bSphere ) {
+        var children = this.children;
+        var l = children.length;
+        var cc, i;
+
+        bSphere.init();
+        if ( l === 0 ) return bSphere;
+
+        var bb = this._tmpBox;
+        bb.init();
+        for ( i = 0; i < l; i++ ) {
+            cc = children[ i ];
+            if ( this._values[ i ] && cc.referenceFrame !== TransformEnums.ABSOLUTE_RF ) {
+                bb.expandByBoundingSphere( cc.getBound() );
+            }
+        }
+        if ( !bb.valid() ) return bSphere;
+
+        bSphere.set( bb.center( bSphere.center() ), 0.0 );
+        for ( i = 0; i < l; i++ ) {
+            cc = children[ i ];
+            if ( this._values[ i ] && cc.referenceFrame !== TransformEnums.ABSOLUTE_RF ) {
+                bSphere.expandRadiusBySphere( cc.getBound() );
+            }
+        }
+        return bSphere;
+    }
+
+} ), 'osg', 'Switch' );
+
+MACROUTILS.setTypeID( Switch );
+
+module.exports = Switch;
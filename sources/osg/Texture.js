@@ -64,6 +64,42 @@ Texture.RGBA = 0x1908;
 Texture.LUMINANCE = 0x1909;
 Texture.LUMINANCE_ALPHA = 0x190A;
 
+// WebGL2 formats
+Texture.RED = 0x1903;
+Texture.RG = 0x8227;
+Texture.RED_INTEGER = 0x8D94;
+Texture.RG_INTEGER = 0x8228;
+Texture.RGB_INTEGER = 0x8D98;
+Texture.RGBA_INTEGER = 0x8D99;
+Texture.DEPTH_STENCIL = 0x84F9;
+
+// WebGL2 sized internal formats
+Texture.R8 = 0x8229;
+Texture.R16F = 0x822D;
+Texture.R32F = 0x822E;
+Texture.R8UI = 0x8232;
+Texture.R16UI = 0x8234;
+Texture.R32UI = 0x8236;
+Texture.R32I = 0x8235;
+Texture.RG8 = 0x822B;
+Texture.RG16F = 0x822F;
+Texture.RG32F = 0x8230;
+Texture.RG32UI = 0x823C;
+Texture.RGB8 = 0x8051;
+Texture.RGB16F = 0x881B;
+Texture.RGB32F = 0x8815;
+Texture.RGBA8 = 0x8058;
+Texture.SRGB8_ALPHA8 = 0x8C43;
+Texture.RGBA16F = 0x881A;
+Texture.RGBA32F = 0x8814;
+Texture.RGBA8UI = 0x8D7C;
+Texture.RGBA32UI = 0x8D70;
+Texture.RGBA32I = 0x8D82;
+Texture.DEPTH_COMPONENT16 = 0x81A5;
+Texture.DEPTH_COMPONENT24 = 0x81A6;
+Texture.DEPTH_COMPONENT32F = 0x8CAC;
+Texture.DEPTH24_STENCIL8 = 0x88F0;
+
 // DXT formats, from:
 // http://www.khronos.org/registry/webgl/extensions/WEBGL_compressed_texture_s3tc/
 Texture.COMPRESSED_RGB_S3TC_DXT1_EXT = 0x83F0;
@@ -88,6 +124,19 @@ Texture.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG = 0x8C03;
 // http://www.khronos.org/registry/webgl/extensions/WEBGL_compressed_texture_etc1/
 Texture.COMPRESSED_RGB_ETC1_WEBGL = 0x8D64;
 
+// ETC2 formats, from:
+// http://www.khronos.org/registry/webgl/extensions/WEBGL_compressed_texture_etc/
+Texture.COMPRESSED_RGB8_ETC2 = 0x9274;
+Texture.COMPRESSED_RGBA8_ETC2_EAC = 0x9278;
+
+// ASTC format, from:
+// http://www.khronos.org/registry/webgl/extensions/WEBGL_compressed_texture_astc/
+Texture.COMPRESSED_RGBA_ASTC_4X4_KHR = 0x93B0;
+
+// BPTC format, from:
+// http://www.khronos.org/registry/webgl/extensions/EXT_texture_compression_bptc/
+Texture.COMPRESSED_RGBA_BPTC_UNORM_EXT = 0x8E8C;
+
 // filter mode
 Texture.LINEAR = 0x2601;
 Texture.NEAREST = 0x2600;
@@ -106,6 +155,7 @@ Texture.MIRRORED_REPEAT = 0x8370;
 
 // target
 Texture.TEXTURE_2D = 0x0DE1;
+Texture.TEXTURE_3D = 0x806F;
 Texture.TEXTURE_CUBE_MAP = 0x8513;
 Texture.TEXTURE_BINDING_CUBE_MAP = 0x8514;
 Texture.TEXTURE_CUBE_MAP_POSITIVE_X = 0x8515;
@@ -121,8 +171,73 @@ Texture.UNSIGNED_SHORT = 0x1403;
 Texture.UNSIGNED_SHORT_4_4_4_4 = 0x8033;
 Texture.UNSIGNED_SHORT_5_5_5_1 = 0x8034;
 Texture.UNSIGNED_SHORT_5_6_5 = 0x8363;
+Texture.INT = 0x1404;
+Texture.UNSIGNED_INT = 0x1405;
+Texture.UNSIGNED_INT_24_8 = 0x84FA;
 Texture.FLOAT = 0x1406;
 Texture.HALF_FLOAT_OES = Texture.HALF_FLOAT = 0x8D61;
+// the half float type of WebGL2 is not the one of OES_texture_half_float
+Texture.HALF_FLOAT_WEBGL2 = 0x140B;
+
+// format and types of the texImage of the WebGL2 sized internal formats,
+// the first type is used when the type of the texture does not match
+var sizedFormats = {};
+var setSizedFormat = function ( internalFormat, format, types ) {
+    sizedFormats[ internalFormat ] = {
+        format: format,
+        types: types
+    };
+};
+setSizedFormat( Texture.R8, Texture.RED, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.R16F, Texture.RED, [ Texture.HALF_FLOAT, Texture.FLOAT ] );
+setSizedFormat( Texture.R32F, Texture.RED, [ Texture.FLOAT ] );
+setSizedFormat( Texture.R8UI, Texture.RED_INTEGER, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.R16UI, Texture.RED_INTEGER, [ Texture.UNSIGNED_SHORT ] );
+setSizedFormat( Texture.R32UI, Texture.RED_INTEGER, [ Texture.UNSIGNED_INT ] );
+setSizedFormat( Texture.R32I, Texture.RED_INTEGER, [ Texture.INT ] );
+setSizedFormat( Texture.RG8, Texture.RG, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.RG16F, Texture.RG, [ Texture.HALF_FLOAT, Texture.FLOAT ] );
+setSizedFormat( Texture.RG32F, Texture.RG, [ Texture.FLOAT ] );
+setSizedFormat( Texture.RG32UI, Texture.RG_INTEGER, [ Texture.UNSIGNED_INT ] );
+setSizedFormat( Texture.RGB8, Texture.RGB, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.RGB16F, Texture.RGB, [ Texture.HALF_FLOAT, Texture.FLOAT ] );
+setSizedFormat( Texture.RGB32F, Texture.RGB, [ Texture.FLOAT ] );
+setSizedFormat( Texture.RGBA8, Texture.RGBA, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.SRGB8_ALPHA8, Texture.RGBA, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.RGBA16F, Texture.RGBA, [ Texture.HALF_FLOAT, Texture.FLOAT ] );
+setSizedFormat( Texture.RGBA32F, Texture.RGBA, [ Texture.FLOAT ] );
+setSizedFormat( Texture.RGBA8UI, Texture.RGBA_INTEGER, [ Texture.UNSIGNED_BYTE ] );
+setSizedFormat( Texture.RGBA32UI, Texture.RGBA_INTEGER, [ Texture.UNSIGNED_INT ] );
+setSizedFormat( Texture.RGBA32I, Texture.RGBA_INTEGER, [ Texture.INT ] );
+setSizedFormat( Texture.DEPTH_COMPONENT16, Texture.DEPTH_COMPONENT, [ Texture.UNSIGNED_SHORT, Texture.UNSIGNED_INT ] );
+setSizedFormat( Texture.DEPTH_COMPONENT24, Texture.DEPTH_COMPONENT, [ Texture.UNSIGNED_INT ] );
+setSizedFormat( Texture.DEPTH_COMPONENT32F, Texture.DEPTH_COMPONENT, [ Texture.FLOAT ] );
+setSizedFormat( Texture.DEPTH24_STENCIL8, Texture.DEPTH_STENCIL, [ Texture.UNSIGNED_INT_24_8 ] );
+
+// sized internal formats of the unsized formats and types of WebGL1
+var unsizedFormats = {};
+unsizedFormats[ Texture.RGBA + ',' + Texture.FLOAT ] = Texture.RGBA32F;
+unsizedFormats[ Texture.RGBA + ',' + Texture.HALF_FLOAT ] = Texture.RGBA16F;
+unsizedFormats[ Texture.RGB + ',' + Texture.FLOAT ] = Texture.RGB32F;
+unsizedFormats[ Texture.RGB + ',' + Texture.HALF_FLOAT ] = Texture.RGB16F;
+unsizedFormats[ Texture.DEPTH_COMPONENT + ',' + Texture.UNSIGNED_SHORT ] = Texture.DEPTH_COMPONENT16;
+unsizedFormats[ Texture.DEPTH_COMPONENT + ',' + Texture.UNSIGNED_INT ] = Texture.DEPTH_COMPONENT24;
+unsizedFormats[ Texture.DEPTH_COMPONENT + ',' + Texture.FLOAT ] = Texture.DEPTH_COMPONENT32F;
+unsizedFormats[ Texture.DEPTH_STENCIL + ',' + Texture.UNSIGNED_INT_24_8 ] = Texture.DEPTH24_STENCIL8;
+
+// return the [ internalFormat, format, type ] of a texImage in WebGL2.
+// The internal format is sized from the type, and the format of the
+// sized internal formats is their base format
+Texture.computeWebGL2TexImageFormats = function ( internalFormat, type ) {
+    var sized = sizedFormats[ internalFormat ];
+    if ( sized ) {
+        var sizedType = sized.types.indexOf( type ) !== -1 ? type : sized.types[ 0 ];
+        return [ internalFormat, sized.format, sizedType === Texture.HALF_FLOAT ? Texture.HALF_FLOAT_WEBGL2 : sizedType ];
+    }
+
+    var format = unsizedFormats[ internalFormat + ',' + type ] || internalFormat;
+    return [ format, internalFormat, type === Texture.HALF_FLOAT ? Texture.HALF_FLOAT_WEBGL2 : type ];
+};
 
 Texture._sTextureManager = new window.Map();
 
@@ -414,6 +529,13 @@ Texture.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
 
         this._image = image;
         this.setImageFormat( imageFormat );
+        // compressed and float images read by the osgDB plugins know their format
+        if ( image && image.getInternalFormat && image.getInternalFormat() ) {
+            this.setInternalFormat( image.getInternalFormat() );
+        }
+        if ( image && image.getInternalFormatType && image.getInternalFormatType() ) {
+            this.setInternalFormatType( image.getInternalFormatType() );
+        }
         if ( image ) {
             if ( image.getWidth && image.getHeight ) {
                 this.setTextureSize( image.getWidth(), image.getHeight() );
@@ -481,6 +603,10 @@ Texture.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
         case Texture.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG:
         case Texture.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG:
         case Texture.COMPRESSED_RGB_ETC1_WEBGL:
+        case Texture.COMPRESSED_RGB8_ETC2:
+        case Texture.COMPRESSED_RGBA8_ETC2_EAC:
+        case Texture.COMPRESSED_RGBA_ASTC_4X4_KHR:
+        case Texture.COMPRESSED_RGBA_BPTC_UNORM_EXT:
             return true;
         default:
             return false;
@@ -515,15 +641,16 @@ Texture.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
 
     // Will cause the mipmaps to be regenerated on the next bind of the texture
     // Nothing will be done if the minFilter is not of the form XXX_MIPMAP_XXX
-    // TODO : not to be used if the texture is compressed !
+    // compressed textures must provide their mipmaps in the image
     dirtyMipmap: function () {
         this._dirtyMipmap = true;
     },
 
     applyFilterParameter: function ( gl, target ) {
 
+        // WebGL2 supports the mipmaps and repeat of NPOT textures
         var powerOfTwo = isPowerOf2( this._textureWidth ) && isPowerOf2( this._textureHeight );
-        if ( !powerOfTwo ) {
+        if ( !powerOfTwo && !WebglCaps.instance().isWebGL2() ) {
             // NPOT non support in webGL explained here
             // https://www.khronos.org/webgl/wiki/WebGL_and_OpenGL_Differences#Non-Power_of_Two_Texture_Support
             // so disabling mipmap...
@@ -535,6 +662,11 @@ Texture.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
                 this._minFilter = Texture.LINEAR;
             }
         }
+        // the mipmaps of compressed textures can't be generated
+        if ( this._isCompressed && this.hasMipmapFilter() && !( this._image && this._image.hasMipmap() ) ) {
+            this._minFilter = Texture.LINEAR;
+        }
+
         gl.texParameteri( target, gl.TEXTURE_MAG_FILTER, this._magFilter );
         gl.texParameteri( target, gl.TEXTURE_MIN_FILTER, this._minFilter );
 
@@ -593,8 +725,20 @@ Texture.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( GLO
         gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, this._flipY );
         gl.pixelStorei( gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, this._colorSpaceConversion );
 
-        if ( this._isCompressed ) gl.compressedTexImage2D.apply( gl, args );
-        else gl.texImage2D.apply( gl, args );
+        if ( this._isCompressed ) {
+            gl.compressedTexImage2D.apply( gl, args );
+        } else {
+            // args are ( target, level, internalFormat, width, height, border, format, type, data )
+            // or ( target, level, internalFormat, format, type, source )
+            if ( WebglCaps.instance().isWebGL2() ) {
+                var formatIndex = args.length === 6 ? 3 : 6;
+                var formats = Texture.computeWebGL2TexImageFormats( args[ 2 ], args[ formatIndex + 1 ] );
+                args[ 2 ] = formats[ 0 ];
+                args[ formatIndex ] = formats[ 1 ];
+                args[ formatIndex + 1 ] = formats[ 2 ];
+            }
+            gl.texImage2D.apply( gl, args );
+        }
 
         // call a callback when upload is done if there is one
         var numCallback = this._applyTexImage2DCallbacks.length;
@@ -0,0 +1,128 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Image = require( 'osg/Image' );
+var Notify = require( 'osg/Notify' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+
+
+/**
+ * Texture3D is a WebGL2 3D texture, the typed array of its image contains
+ * the depth slices one after the other. It is not applied with WebGL1
+ * @class Texture3D
+ * @inherits Texture
+ */
+var Texture3D = function () {
+    Texture.call( this );
+};
+
+/** @lends Texture3D.prototype */
+Texture3D.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Texture.prototype, {
+
+    setDefaultParameters: function () {
+        Texture.prototype.setDefaultParameters.call( this );
+        this._textureTarget = Texture.TEXTURE_3D;
+        this._textureDepth = 0;
+        this._wrapR = Texture.CLAMP_TO_EDGE;
+        this._flipY = false;
+    },
+
+    cloneType: function () {
+        return new Texture3D();
+    },
+
+    setTextureSize: function ( w, h, d ) {
+        Texture.prototype.setTextureSize.call( this, w, h );
+        if ( d !== undefined && d !== this._textureDepth ) {
+            this._textureDepth = d;
+            this.dirty();
+        }
+    },
+
+    getDepth: function () {
+        return this._textureDepth;
+    },
+
+    // the image is a typed array or an Image of a typed array, its size is
+    // given with setTextureSize
+    setImage: function ( img, imageFormat ) {
+        var image = img instanceof Image ? img : new Image( img );
+        this._image = image;
+        this.setImageFormat( imageFormat );
+        if ( image.getInternalFormat() ) this.setInternalFormat( image.getInternalFormat() );
+        if ( image.getInternalFormatType() ) this.setInternalFormatType( image.getInternalFormatType() );
+        this._textureNull = false;
+        this.dirty();
+    },
+
+    setWrapR: function ( value ) {
+        this._wrapR = typeof value === 'string' ? Texture[ value ] : value;
+        this.dirtyTextureParameters();
+    },
+
+    getWrapR: function () {
+        return this._wrapR;
+    },
+
+    applyFilterParameter: function ( gl, target ) {
+        Texture.prototype.applyFilterParameter.call( this, gl, target );
+        gl.texParameteri( target, gl.TEXTURE_WRAP_R, this._wrapR );
+    },
+
+    applyTexImage3D: function ( gl, data ) {
+        var formats = Texture.computeWebGL2TexImageFormats( this._internalFormat, this._type );
+        gl.pixelStorei( gl.UNPACK_FLIP_Y_WEBGL, false );
+        gl.texImage3D( this._textureTarget, 0, formats[ 0 ], this._textureWidth, this._textureHeight, this._textureDepth, 0, formats[ 1 ], formats[ 2 ], data );
+    },
+
+    apply: function ( state ) {
+
+        var gl = state.getGraphicContext();
+
+        if ( !WebGLCaps.instance().isWebGL2() ) {
+            if ( !this._warnWebGL1 ) Notify.warn( 'Texture3D needs a WebGL2 context' );
+            this._warnWebGL1 = true;
+            return;
+        }
+
+        if ( this._dirtyTextureObject ) {
+            this.releaseGLObjects();
+            this._dirtyTextureObject = false;
+        }
+
+        if ( this._textureObject !== undefined && !this.isDirty() ) {
+            this._textureObject.bind( gl );
+            if ( this.isDirtyMipmap() ) this.generateMipmap( gl, this._textureTarget );
+            return;
+        }
+
+        if ( this._textureNull || !this._textureDepth ) {
+            gl.bindTexture( this._textureTarget, null );
+            return;
+        }
+
+        var image = this._image;
+        if ( image !== undefined && !image.isReady() ) {
+            gl.bindTexture( this._textureTarget, null );
+            return;
+        }
+
+        // must be called before init
+        this.computeTextureFormat();
+        if ( !this._textureObject ) this.init( state );
+        this._textureObject.bind( gl );
+
+        this.applyTexImage3D( gl, image ? image.getImage() : null );
+        if ( image ) image.setDirty( false );
+
+        this.applyFilterParameter( gl, this._textureTarget );
+        this._dirtyMipmap = false;
+        if ( this.hasMipmapFilter() ) gl.generateMipmap( this._textureTarget );
+        this._dirty = false;
+    }
+
+} ), 'osg', 'Texture3D' );
+
+MACROUTILS.setTypeID( Texture3D );
+
+module.exports = Texture3D;
@@ -0,0 +1,235 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var PagedLOD = require( 'osg/PagedLOD' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var NodeVisitor = require( 'osg/NodeVisitor' );
+var Matrix = require( 'osg/Matrix' );
+var Vec3 = require( 'osg/Vec3' );
+
+
+/**
+ *  Tile is a tile of a 3D Tiles tileset (see Tileset). The content of the
+ *  tile is paged like the children of a PagedLOD, but the refinement is
+ *  driven by the screen space error of the tile instead of ranges: the
+ *  child tiles are traversed when the geometric error of the tile projected
+ *  on the screen is above the maximum screen space error of the tileset.
+ *  The child tiles are not children of the node, the only child is the
+ *  content once loaded
+ *  @class Tile
+ */
+var Tile = function () {
+    PagedLOD.call( this );
+    this._geometricError = 0.0;
+    this._refine = Tile.REPLACE;
+    this._tileset = undefined;
+    this._childTiles = [];
+    this._transformNode = undefined;
+};
+
+Tile.ADD = 'ADD';
+Tile.REPLACE = 'REPLACE';
+
+Tile.DEFAULT_MAXIMUM_SCREEN_SPACE_ERROR = 16.0;
+
+// size in pixels of an error at the given distance from the eye
+Tile.computeScreenSpaceError = function ( geometricError, distance, viewportHeight, projection ) {
+    // orthographic projection, the size does not depend on the distance
+    if ( projection[ 15 ] === 1.0 ) return geometricError * viewportHeight * projection[ 5 ] * 0.5;
+    if ( distance <= 0.0 ) return Infinity;
+    // projection[ 5 ] is 1 / tan( fovy / 2 )
+    return geometricError * viewportHeight * projection[ 5 ] / ( 2.0 * distance );
+};
+
+/** @lends Tile.prototype */
+Tile.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( PagedLOD.prototype, {
+
+    setGeometricError: function ( error ) {
+        this._geometricError = error;
+    },
+
+    getGeometricError: function () {
+        return this._geometricError;
+    },
+
+    // Tile.ADD or Tile.REPLACE
+    setRefine: function ( refine ) {
+        this._refine = refine;
+    },
+
+    getRefine: function () {
+        return this._refine;
+    },
+
+    setTileset: function ( tileset ) {
+        this._tileset = tileset;
+    },
+
+    getTileset: function () {
+        return this._tileset;
+    },
+
+    getMaximumScreenSpaceError: function () {
+        if ( this._tileset ) return this._tileset.getMaximumScreenSpaceError();
+        return Tile.DEFAULT_MAXIMUM_SCREEN_SPACE_ERROR;
+    },
+
+    // the tile is the child of a MatrixTransform when it has a transform,
+    // the bounding volume and the content are in the transformed space
+    setTransform: function ( matrix ) {
+        if ( !this._transformNode ) {
+            this._transformNode = new MatrixTransform();
+            this._transformNode.addChild( this );
+        }
+        this._transformNode.setMatrix( matrix );
+    },
+
+    getTransform: function () {
+        return this._transformNode ? this._transformNode.getMatrix() : undefined;
+    },
+
+    // node to add in the scene graph for this tile
+    getTileNode: function () {
+        return this._transformNode || this;
+    },
+
+    addChildTile: function ( tile ) {
+        this._childTiles.push( tile );
+    },
+
+    getChildTiles: function () {
+        return this._childTiles;
+    },
+
+    hasContent: function () {
+        return this._perRangeDataList.length > 0;
+    },
+
+    isContentLoaded: function () {
+        return this.children.length > 0;
+    },
+
+    // a tile without content can replace its parent
+    isReady: function () {
+        return !this.hasContent() || this.isContentLoaded();
+    },
+
+    computeScreenSpaceError: ( function () {
+        var zeroVector = Vec3.create();
+        var eye = Vec3.create();
+        var viewModel = Matrix.create();
+
+        return function ( visitor ) {
+            Matrix.inverse( visitor.getCurrentModelViewMatrix(), viewModel );
+            Matrix.transformVec3( viewModel, zeroVector, eye );
+
+            var bound = this.getBound();
+            var distance = Math.max( Vec3.distance( eye, bound.center() ) - bound.radius(), 0.0 );
+            var error = Tile.computeScreenSpaceError( this._geometricError, distance, visitor.getViewport().height(), visitor.getCurrentProjectionMatrix() );
+            return error / visitor.getLODScale();
+        };
+    } )(),
+
+    // request the content if not loaded, else keep it from being expired
+    requestContent: function ( visitor, priority ) {
+        if ( !this.hasContent() ) return;
+
+        var frameStamp = visitor.getFrameStamp();
+        // the content of a tile only traversed for its children can expire
+        this._frameNumberOfLastTraversal = frameStamp.getFrameNumber();
+
+        var perRangeData = this._perRangeDataList[ 0 ];
+        if ( this.isContentLoaded() ) {
+            perRangeData.timeStamp = frameStamp.getSimulationTime();
+            perRangeData.frameNumber = frameStamp.getFrameNumber();
+            return;
+        }
+
+        if ( perRangeData.loaded === false ) {
+            perRangeData.loaded = true;
+            var dbhandler = visitor.getDatabaseRequestHandler();
+            perRangeData.dbrequest = dbhandler.requestNodeFile( perRangeData.function, this._databasePath + perRangeData.filename, this, frameStamp.getSimulationTime(), priority );
+        } else {
+            var dbrequest = perRangeData.dbrequest;
+            if ( dbrequest !== undefined && !dbrequest._cancelled ) {
+                dbrequest._timeStamp = frameStamp.getSimulationTime();
+                dbrequest._priority = priority;
+            } else {
+                // the pager was not accepting requests or the request has
+                // been cancelled, we need to ask for the content again
+                perRangeData.loaded = false;
+            }
+        }
+    },
+
+    traverseContent: function ( visitor, priority ) {
+        this.requestContent( visitor, priority );
+        if ( this.isContentLoaded() ) this.children[ 0 ].accept( visitor );
+    },
+
+    traverse: function ( visitor ) {
+        var i, l;
+        var childTiles = this._childTiles;
+
+        switch ( visitor.traversalMode ) {
+
+        case NodeVisitor.TRAVERSE_ALL_CHILDREN:
+            for ( i = 0, l = this.children.length; i < l; i++ ) {
+                this.children[ i ].accept( visitor );
+            }
+            for ( i = 0, l = childTiles.length; i < l; i++ ) {
+                childTiles[ i ].getTileNode().accept( visitor );
+            }
+            break;
+
+        case NodeVisitor.TRAVERSE_ACTIVE_CHILDREN:
+            if ( visitor.getVisitorType() !== NodeVisitor.CULL_VISITOR ) {
+                for ( i = 0, l = this.children.length; i < l; i++ ) {
+                    this.children[ i ].accept( visitor );
+                }
+                break;
+            }
+
+            var screenSpaceError = this.computeScreenSpaceError( visitor );
+            var refine = childTiles.length > 0 && screenSpaceError > this.getMaximumScreenSpaceError();
+
+            if ( !refine ) {
+                this.traverseContent( visitor, screenSpaceError );
+                break;
+            }
+
+            if ( this._refine === Tile.ADD ) {
+                this.traverseContent( visitor, screenSpaceError );
+                for ( i = 0, l = childTiles.length; i < l; i++ ) {
+                    childTiles[ i ].getTileNode().accept( visitor );
+                }
+                break;
+            }
+
+            // replace the content only when all the child tiles are ready,
+            // to avoid holes while they are loading
+            var ready = true;
+            for ( i = 0, l = childTiles.length; i < l; i++ ) {
+                if ( !childTiles[ i ].isReady() ) ready = false;
+            }
+
+            if ( ready ) {
+                for ( i = 0, l = childTiles.length; i < l; i++ ) {
+                    childTiles[ i ].getTileNode().accept( visitor );
+                }
+            } else {
+                this.traverseContent( visitor, screenSpaceError );
+                for ( i = 0, l = childTiles.length; i < l; i++ ) {
+                    childTiles[ i ].requestContent( visitor, screenSpaceError );
+                }
+            }
+            break;
+
+        default:
+            break;
+        }
+    }
+
+} ), 'osg', 'Tile' );
+
+// Tile keeps the type of PagedLOD, to be managed by the DatabasePager
+module.exports = Tile;
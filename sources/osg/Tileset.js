@@ -0,0 +1,58 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Node = require( 'osg/Node' );
+var Tile = require( 'osg/Tile' );
+
+
+/**
+ *  Tileset is the root node of a 3D Tiles tileset, it contains the root
+ *  Tile and the settings of the refinement of its tiles.
+ *  See osgDB/ReaderWriter3DTiles to read a tileset json
+ *  @class Tileset
+ */
+var Tileset = function () {
+    Node.call( this );
+    this._root = undefined;
+    this._maximumScreenSpaceError = Tile.DEFAULT_MAXIMUM_SCREEN_SPACE_ERROR;
+    this._parentTileset = undefined;
+};
+
+/** @lends Tileset.prototype */
+Tileset.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Node.prototype, {
+
+    setRoot: function ( tile ) {
+        if ( this._root ) this.removeChild( this._root.getTileNode() );
+        this._root = tile;
+        tile.setTileset( this );
+        this.addChild( tile.getTileNode() );
+    },
+
+    getRoot: function () {
+        return this._root;
+    },
+
+    // an external tileset is refined with the settings of the tileset
+    // referencing it
+    setParentTileset: function ( tileset ) {
+        this._parentTileset = tileset;
+    },
+
+    getParentTileset: function () {
+        return this._parentTileset;
+    },
+
+    // the tiles are refined when their error in pixels is above this value
+    setMaximumScreenSpaceError: function ( error ) {
+        this._maximumScreenSpaceError = error;
+    },
+
+    getMaximumScreenSpaceError: function () {
+        if ( this._parentTileset ) return this._parentTileset.getMaximumScreenSpaceError();
+        return this._maximumScreenSpaceError;
+    }
+
+} ), 'osg', 'Tileset' );
+
+MACROUTILS.setTypeID( Tileset );
+
+module.exports = Tileset;
@@ -37,9 +37,41 @@ var WebGLCaps = function () {
     // for multiple context
     // allow checking we're on the good one
     this._gl = undefined;
+    this._isGL2 = false;
 
 };
 
+// extension enabling a compressed texture format
+var getCompressedFormatExtension = function ( format ) {
+    switch ( format ) {
+    case Texture.COMPRESSED_RGB_S3TC_DXT1_EXT:
+    case Texture.COMPRESSED_RGBA_S3TC_DXT1_EXT:
+    case Texture.COMPRESSED_RGBA_S3TC_DXT3_EXT:
+    case Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT:
+        return 'WEBGL_compressed_texture_s3tc';
+    case Texture.COMPRESSED_RGB_ATC_WEBGL:
+    case Texture.COMPRESSED_RGBA_ATC_EXPLICIT_ALPHA_WEBGL:
+    case Texture.COMPRESSED_RGBA_ATC_INTERPOLATED_ALPHA_WEBGL:
+        return 'WEBGL_compressed_texture_atc';
+    case Texture.COMPRESSED_RGB_PVRTC_4BPPV1_IMG:
+    case Texture.COMPRESSED_RGB_PVRTC_2BPPV1_IMG:
+    case Texture.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG:
+    case Texture.COMPRESSED_RGBA_PVRTC_2BPPV1_IMG:
+        return 'WEBGL_compressed_texture_pvrtc';
+    case Texture.COMPRESSED_RGB_ETC1_WEBGL:
+        return 'WEBGL_compressed_texture_etc1';
+    case Texture.COMPRESSED_RGB8_ETC2:
+    case Texture.COMPRESSED_RGBA8_ETC2_EAC:
+        return 'WEBGL_compressed_texture_etc';
+    case Texture.COMPRESSED_RGBA_ASTC_4X4_KHR:
+        return 'WEBGL_compressed_texture_astc';
+    case Texture.COMPRESSED_RGBA_BPTC_UNORM_EXT:
+        return 'EXT_texture_compression_bptc';
+    default:
+        return undefined;
+    }
+};
+
 WebGLCaps.instance = function ( glParam ) {
 
 
@@ -119,6 +151,7 @@ WebGLCaps.prototype = {
 
         // store context in case of multiple context
         this._gl = gl;
+        this._isGL2 = typeof window.WebGL2RenderingContext !== 'undefined' && gl instanceof window.WebGL2RenderingContext;
 
         // Takes care of circular dependencies on Texture
         // Texture should be resolved at this point
@@ -126,6 +159,7 @@ WebGLCaps.prototype = {
 
         // get extensions
         this.initWebGLExtensions( gl );
+        if ( this._isGL2 ) this.initWebGL2Extensions( gl );
 
         // get float support
         this.hasLinearHalfFloatRTT( gl );
@@ -147,41 +181,6 @@ WebGLCaps.prototype = {
 
         this.initContextDependant( gl );
 
-        this._isGL2 = typeof window.WebGL2RenderingContext !== 'undefined' && gl instanceof window.WebGL2RenderingContext;
-
-        if ( this._isGL2 ) {
-
-
-            // osgjs code is webgl1, so we fake webgl2 capabilities
-            // and calls for retrocompatibility with webgl1
-            this._checkRTT[ Texture.FLOAT + ',' + Texture.NEAREST ] = true;
-            this._checkRTT[ Texture.HALF_FLOAT + ',' + Texture.NEAREST ] = true;
-            this._checkRTT[ Texture.FLOAT + ',' + Texture.LINEAR ] = true;
-            this._checkRTT[ Texture.HALF_FLOAT + ',' + Texture.LINEAR ] = true;
-
-            var nativeExtension = [
-                'OES_element_index_uint',
-                'EXT_sRGB',
-                'EXT_blend_minmax',
-                'EXT_frag_depth',
-                'WEBGL_depth_texture',
-                'EXT_shader_texture_lod',
-                'OES_standard_derivatives',
-                'OES_texture_float',
-                'OES_texture_half_float',
-                'OES_vertex_array_object',
-                'WEBGL_draw_buffers',
-                'OES_fbo_render_mipmap',
-                'ANGLE_instanced_arrays'
-            ];
-
-            var ext = WebGLCaps._instance.getWebGLExtensions();
-            var dummyFunc = function () {};
-            for ( var i = 0, l = nativeExtension.length; i < l; i++ ) {
-                ext[ nativeExtension[ i ] ] = dummyFunc;
-            }
-        }
-
     },
 
     isWebGL2: function () {
@@ -356,6 +355,15 @@ WebGLCaps.prototype = {
     getWebGLExtensions: function () {
         return this._webGLExtensions;
     },
+    // true if the compressed format can be uploaded, the extensions
+    // can be prefixed on old browsers
+    hasCompressedTextureFormat: function ( format ) {
+        var name = getCompressedFormatExtension( format );
+        if ( !name ) return false;
+
+        var ext = this._webGLExtensions;
+        return ext[ name ] !== undefined || ext[ 'WEBKIT_' + name ] !== undefined || ext[ 'MOZ_' + name ] !== undefined;
+    },
     initWebGLExtensions: function ( gl, filterBugs ) {
 
         // nodejs, phantomjs
@@ -385,6 +393,77 @@ WebGLCaps.prototype = {
             Texture.ANISOTROPIC_SUPPORT_MAX = gl.getParameter( anisoExt.MAX_TEXTURE_MAX_ANISOTROPY_EXT );
         }
 
+    },
+
+    // the webgl1 extensions are core in webgl2, osgjs keeps using the
+    // extensions api which calls the native functions
+    initWebGL2Extensions: function ( gl ) {
+
+        var ext = this._webGLExtensions;
+        var flags = [
+            'OES_element_index_uint',
+            'EXT_frag_depth',
+            'EXT_shader_texture_lod',
+            'OES_texture_float',
+            'OES_texture_half_float_linear',
+            'OES_fbo_render_mipmap'
+        ];
+        for ( var i = 0, l = flags.length; i < l; i++ ) {
+            ext[ flags[ i ] ] = {};
+        }
+
+        ext[ 'OES_standard_derivatives' ] = {
+            FRAGMENT_SHADER_DERIVATIVE_HINT_OES: gl.FRAGMENT_SHADER_DERIVATIVE_HINT
+        };
+        ext[ 'OES_texture_half_float' ] = {
+            HALF_FLOAT_OES: gl.HALF_FLOAT
+        };
+        ext[ 'EXT_blend_minmax' ] = {
+            MIN_EXT: gl.MIN,
+            MAX_EXT: gl.MAX
+        };
+        ext[ 'EXT_sRGB' ] = {
+            SRGB_EXT: gl.SRGB8,
+            SRGB_ALPHA_EXT: gl.SRGB8_ALPHA8,
+            SRGB8_ALPHA8_EXT: gl.SRGB8_ALPHA8,
+            FRAMEBUFFER_ATTACHMENT_COLOR_ENCODING_EXT: gl.FRAMEBUFFER_ATTACHMENT_COLOR_ENCODING
+        };
+        ext[ 'WEBGL_depth_texture' ] = {
+            UNSIGNED_INT_24_8_WEBGL: gl.UNSIGNED_INT_24_8
+        };
+        ext[ 'OES_vertex_array_object' ] = {
+            VERTEX_ARRAY_BINDING_OES: gl.VERTEX_ARRAY_BINDING,
+            createVertexArrayOES: gl.createVertexArray.bind( gl ),
+            deleteVertexArrayOES: gl.deleteVertexArray.bind( gl ),
+            isVertexArrayOES: gl.isVertexArray.bind( gl ),
+            bindVertexArrayOES: gl.bindVertexArray.bind( gl )
+        };
+        ext[ 'ANGLE_instanced_arrays' ] = {
+            VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: gl.VERTEX_ATTRIB_ARRAY_DIVISOR,
+            drawArraysInstancedANGLE: gl.drawArraysInstanced.bind( gl ),
+            drawElementsInstancedANGLE: gl.drawElementsInstanced.bind( gl ),
+            vertexAttribDivisorANGLE: gl.vertexAttribDivisor.bind( gl )
+        };
+
+        var drawBuffers = {
+            MAX_COLOR_ATTACHMENTS_WEBGL: gl.MAX_COLOR_ATTACHMENTS,
+            MAX_DRAW_BUFFERS_WEBGL: gl.MAX_DRAW_BUFFERS,
+            drawBuffersWEBGL: gl.drawBuffers.bind( gl )
+        };
+        for ( var j = 0; j < 16; j++ ) {
+            drawBuffers[ 'COLOR_ATTACHMENT' + j + '_WEBGL' ] = gl.COLOR_ATTACHMENT0 + j;
+            drawBuffers[ 'DRAW_BUFFER' + j + '_WEBGL' ] = gl.DRAW_BUFFER0 + j;
+        }
+        ext[ 'WEBGL_draw_buffers' ] = drawBuffers;
+
+        // rendering to float textures needs EXT_color_buffer_float, half
+        // floats are filtered natively but floats need OES_texture_float_linear
+        var colorBufferFloat = ext[ 'EXT_color_buffer_float' ] !== undefined;
+        var colorBufferHalfFloat = colorBufferFloat || ext[ 'EXT_color_buffer_half_float' ] !== undefined;
+        this._checkRTT[ Texture.FLOAT + ',' + Texture.NEAREST ] = colorBufferFloat;
+        this._checkRTT[ Texture.FLOAT + ',' + Texture.LINEAR ] = colorBufferFloat && ext[ 'OES_texture_float_linear' ] !== undefined;
+        this._checkRTT[ Texture.HALF_FLOAT + ',' + Texture.NEAREST ] = colorBufferHalfFloat;
+        this._checkRTT[ Texture.HALF_FLOAT + ',' + Texture.LINEAR ] = colorBufferHalfFloat;
     }
 };
 
@@ -7,6 +7,7 @@ var BoundingBox = require( 'osg/BoundingBox' );
 var BoundingSphere = require( 'osg/BoundingSphere' );
 var BufferArray = require( 'osg/BufferArray' );
 var Camera = require( 'osg/Camera' );
+var ClipPlane = require( 'osg/ClipPlane' );
 var ColorMask = require( 'osg/ColorMask' );
 var ComputeBoundsVisitor = require( 'osg/ComputeBoundsVisitor' );
 var ComputeMatrixFromNodePath = require( 'osg/ComputeMatrixFromNodePath' );
@@ -20,12 +21,16 @@ var DrawArrayLengths = require( 'osg/DrawArrayLengths' );
 var DrawArrays = require( 'osg/DrawArrays' );
 var DrawElements = require( 'osg/DrawElements' );
 var EllipsoidModel = require( 'osg/EllipsoidModel' );
+var EnvironmentLight = require( 'osg/EnvironmentLight' );
+var Fog = require( 'osg/Fog' );
 var FrameBufferObject = require( 'osg/FrameBufferObject' );
 var FrameStamp = require( 'osg/FrameStamp' );
 var Geometry = require( 'osg/Geometry' );
 var GLObject = require( 'osg/GLObject' );
 var Image = require( 'osg/Image' );
 var ImageStream = require( 'osg/ImageStream' );
+var InstanceAttribute = require( 'osg/InstanceAttribute' );
+var InstancedGeometry = require( 'osg/InstancedGeometry' );
 var KdTree = require( 'osg/KdTree' );
 var KdTreeBuilder = require( 'osg/KdTreeBuilder' );
 var Light = require( 'osg/Light' );
@@ -42,9 +47,13 @@ var Node = require( 'osg/Node' );
 var NodeVisitor = require( 'osg/NodeVisitor' );
 var Notify = require( 'osg/Notify' );
 var Object = require( 'osg/Object' );
+var OrderIndependentTransparency = require( 'osg/OrderIndependentTransparency' );
+var OrderIndependentTransparencyAttribute = require( 'osg/OrderIndependentTransparencyAttribute' );
 var PagedLOD = require( 'osg/PagedLOD' );
+var PBRMaterial = require( 'osg/PBRMaterial' );
 var Polytope = require( 'osg/Polytope' );
 var Plane = require( 'osg/Plane' );
+var PolygonOffset = require( 'osg/PolygonOffset' );
 var PrimitiveFunctor = require( 'osg/PrimitiveFunctor' );
 var PrimitiveSet = require( 'osg/PrimitiveSet' );
 var Program = require( 'osg/Program' );
@@ -53,15 +62,23 @@ var Quat = require( 'osg/Quat' );
 var RenderBin = require( 'osg/RenderBin' );
 var RenderLeaf = require( 'osg/RenderLeaf' );
 var RenderStage = require( 'osg/RenderStage' );
+var Sampler = require( 'osg/Sampler' );
+var Scissor = require( 'osg/Scissor' );
+var Sequence = require( 'osg/Sequence' );
 var Shader = require( 'osg/Shader' );
 var Shape = require( 'osg/Shape' );
 var Stack = require( 'osg/Stack' );
+var Stencil = require( 'osg/Stencil' );
 var State = require( 'osg/State' );
 var StateAttribute = require( 'osg/StateAttribute' );
 var StateGraph = require( 'osg/StateGraph' );
 var StateSet = require( 'osg/StateSet' );
+var Switch = require( 'osg/Switch' );
 var Texture = require( 'osg/Texture' );
+var Texture3D = require( 'osg/Texture3D' );
 var TextureCubeMap = require( 'osg/TextureCubeMap' );
+var Tile = require( 'osg/Tile' );
+var Tileset = require( 'osg/Tileset' );
 var Transform = require( 'osg/Transform' );
 var TriangleIndexFunctor = require( 'osg/TriangleIndexFunctor' );
 var Uniform = require( 'osg/Uniform' );
@@ -88,6 +105,7 @@ osg.BoundingSphere = BoundingSphere;
 osg.BufferArray = BufferArray;
 osg.ColorMask = ColorMask;
 osg.Camera = Camera;
+osg.ClipPlane = ClipPlane;
 osg.ColorMask = ColorMask;
 osg.ComputeBoundsVisitor = ComputeBoundsVisitor;
 MACROUTILS.objectMix( osg, ComputeMatrixFromNodePath );
@@ -101,14 +119,18 @@ osg.DrawArrayLengths = DrawArrayLengths;
 osg.DrawArrays = DrawArrays;
 osg.DrawElements = DrawElements;
 osg.EllipsoidModel = EllipsoidModel;
+osg.EnvironmentLight = EnvironmentLight;
 osg.WGS_84_RADIUS_EQUATOR = EllipsoidModel.WGS_84_RADIUS_EQUATOR;
 osg.WGS_84_RADIUS_POLAR = EllipsoidModel.WGS_84_RADIUS_POLAR;
+osg.Fog = Fog;
 osg.FrameBufferObject = FrameBufferObject;
 osg.FrameStamp = FrameStamp;
 osg.Geometry = Geometry;
 osg.GLObject = GLObject;
 osg.Image = Image;
 osg.ImageStream = ImageStream;
+osg.InstanceAttribute = InstanceAttribute;
+osg.InstancedGeometry = InstancedGeometry;
 osg.KdTree = KdTree;
 osg.KdTreeBuilder = KdTreeBuilder;
 osg.Light = Light;
@@ -125,8 +147,12 @@ osg.Node = Node;
 osg.NodeVisitor = NodeVisitor;
 MACROUTILS.objectMix( osg, Notify );
 osg.Object = Object;
+osg.OrderIndependentTransparency = OrderIndependentTransparency;
+osg.OrderIndependentTransparencyAttribute = OrderIndependentTransparencyAttribute;
 osg.PagedLOD = PagedLOD;
+osg.PBRMaterial = PBRMaterial;
 osg.Plane = Plane;
+osg.PolygonOffset = PolygonOffset;
 osg.Polytope = Polytope;
 osg.PrimitiveSet = PrimitiveSet;
 osg.PrimitiveFunctor = PrimitiveFunctor;
@@ -136,15 +162,23 @@ osg.Quat = Quat;
 osg.RenderBin = RenderBin;
 osg.RenderLeaf = RenderLeaf;
 osg.RenderStage = RenderStage;
+osg.Sampler = Sampler;
+osg.Scissor = Scissor;
+osg.Sequence = Sequence;
 osg.Shader = Shader;
 MACROUTILS.objectMix( osg, Shape );
 osg.Stack = Stack;
+osg.Stencil = Stencil;
 osg.State = State;
 osg.StateAttribute = StateAttribute;
 osg.StateGraph = StateGraph;
 osg.StateSet = StateSet;
+osg.Switch = Switch;
 osg.Texture = Texture;
+osg.Texture3D = Texture3D;
 osg.TextureCubeMap = TextureCubeMap;
+osg.Tile = Tile;
+osg.Tileset = Tileset;
 osg.Transform = Transform;
 osg.TriangleIndexFunctor = TriangleIndexFunctor;
 osg.Uniform = Uniform;
@@ -27,6 +27,10 @@ StackedRotateAxis.prototype = MACROUTILS.objectInherit( Object.prototype, {
         Vec3.copy( axis, this._axis );
     },
 
+    getAxis: function () {
+        return this._axis;
+    },
+
     setAngle: function ( angle ) {
         this._target.value = angle;
     },
@@ -0,0 +1,189 @@
+'use strict';
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+
+
+// strings are stored in utf16
+var computeSize = function ( data ) {
+    if ( data.byteLength !== undefined ) return data.byteLength;
+    if ( data.size !== undefined ) return data.size;
+    return data.length * 2;
+};
+
+/**
+ * Cache is the base class of the persistent caches of files used by
+ * Input when the cache option is set. It keeps the entries of the files
+ * to evict the least recently used ones when the maximum size is reached,
+ * the storage of the data is implemented by the subclasses
+ * @class Cache
+ */
+var Cache = function () {
+    // key -> { key, size, date, lastAccess }
+    this._entries = {};
+    this._size = 0;
+    this._maximumSize = Cache.DEFAULT_MAXIMUM_SIZE;
+    this._validateCallback = undefined;
+    this._ready = undefined;
+};
+
+Cache.DEFAULT_MAXIMUM_SIZE = 256 * 1024 * 1024;
+
+Cache.computeSize = computeSize;
+
+Cache.prototype = {
+
+    setMaximumSize: function ( bytes ) {
+        this._maximumSize = bytes;
+        this._ready = this._init().then( this._evict.bind( this, undefined ) );
+    },
+
+    getMaximumSize: function () {
+        return this._maximumSize;
+    },
+
+    getSize: function () {
+        return this._size;
+    },
+
+    // callback( entry ) returns a boolean or a promise of boolean, the
+    // entry is removed when it's not valid. The entry contains the key,
+    // the size, the date it was stored and the date of the last access
+    setValidateCallback: function ( callback ) {
+        this._validateCallback = callback;
+    },
+
+    getValidateCallback: function () {
+        return this._validateCallback;
+    },
+
+    hasEntry: function ( key ) {
+        return this._entries[ key ] !== undefined;
+    },
+
+    // return a promise of the data, undefined if not in the cache
+    get: function ( key ) {
+        return this._init().then( function () {
+            var entry = this._entries[ key ];
+            if ( !entry ) return undefined;
+
+            var valid = this._validateCallback ? this._validateCallback( entry ) : true;
+            return P.resolve( valid ).then( function ( isValid ) {
+                if ( !isValid ) return this.remove( key ).then( function () {
+                    return undefined;
+                } );
+
+                entry.lastAccess = Date.now();
+                return P.resolve( this._readData( key, entry ) ).then( function ( data ) {
+                    // the storage can be cleared by the browser
+                    if ( data === undefined ) return this.remove( key ).then( function () {
+                        return undefined;
+                    } );
+                    return data;
+                }.bind( this ) );
+            }.bind( this ) );
+        }.bind( this ) );
+    },
+
+    put: function ( key, data ) {
+        var size = computeSize( data );
+        if ( size > this._maximumSize ) return P.resolve();
+
+        return this._init().then( function () {
+            var previous = this._entries[ key ];
+            if ( previous ) this._size -= previous.size;
+
+            var now = Date.now();
+            var entry = {
+                key: key,
+                size: size,
+                date: now,
+                lastAccess: now
+            };
+            this._entries[ key ] = entry;
+            this._size += size;
+
+            return P.all( [ this._evict( key ), this._writeData( key, data, entry ) ] );
+        }.bind( this ) ).catch( function ( error ) {
+            Notify.warn( 'Cache can\'t store ' + key + ' ' + error );
+        } );
+    },
+
+    remove: function ( key ) {
+        return this._init().then( function () {
+            var entry = this._entries[ key ];
+            if ( !entry ) return undefined;
+
+            this._size -= entry.size;
+            delete this._entries[ key ];
+            return this._deleteData( key );
+        }.bind( this ) );
+    },
+
+    clear: function () {
+        return this._init().then( function () {
+            this._entries = {};
+            this._size = 0;
+            return this._clearData();
+        }.bind( this ) );
+    },
+
+    // remove the least recently used entries, except keepKey, until the
+    // maximum size is respected
+    _evict: function ( keepKey ) {
+        if ( this._size <= this._maximumSize ) return P.resolve();
+
+        var entries = this._entries;
+        var keys = window.Object.keys( entries ).filter( function ( key ) {
+            return key !== keepKey;
+        } );
+        keys.sort( function ( a, b ) {
+            return entries[ a ].lastAccess - entries[ b ].lastAccess;
+        } );
+
+        var promises = [];
+        for ( var i = 0; i < keys.length && this._size > this._maximumSize; i++ ) {
+            this._size -= entries[ keys[ i ] ].size;
+            delete entries[ keys[ i ] ];
+            promises.push( this._deleteData( keys[ i ] ) );
+        }
+        return P.all( promises );
+    },
+
+    // read the entries stored
+    _init: function () {
+        if ( !this._ready ) {
+            this._ready = P.resolve( this._loadEntries() ).then( function ( entries ) {
+                for ( var i = 0; i < entries.length; i++ ) {
+                    this._entries[ entries[ i ].key ] = entries[ i ];
+                    this._size += entries[ i ].size;
+                }
+            }.bind( this ) ).catch( function ( error ) {
+                // the next calls try to read the entries again
+                this._ready = undefined;
+                throw error;
+            }.bind( this ) );
+        }
+        return this._ready;
+    },
+
+    // storage implemented by subclasses, they can return promises
+
+    _loadEntries: function () {
+        return [];
+    },
+
+    // _readData( key, entry ) returns the data of the entry
+    _readData: function () {
+        return undefined;
+    },
+
+    // _writeData( key, data, entry )
+    _writeData: function () {},
+
+    // _deleteData( key )
+    _deleteData: function () {},
+
+    _clearData: function () {}
+};
+
+module.exports = Cache;
@@ -1,6 +1,7 @@
 'use strict';
 var P = require( 'bluebird' );
 var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
 var NodeVisitor = require( 'osg/NodeVisitor' );
 var PagedLOD = require( 'osg/PagedLOD' );
 var Timer = require( 'osg/Timer' );
@@ -13,27 +14,44 @@ var Timer = require( 'osg/Timer' );
 var DatabasePager = function () {
     this._pendingRequests = [];
     this._pendingNodes = [];
+    // requests loaded by the worker waiting to be parsed
+    this._pendingParses = [];
+    this._workerLoader = undefined;
     this._loading = false;
     this._progressCallback = undefined;
     this._lastCB = true;
     this._activePagedLODList = new Set();
     this._childrenToRemoveList = new Set();
     this._downloadingRequestsNumber = 0;
+    this._downloadingRequests = new Set();
     this._maxRequestsPerFrame = 10;
     this._acceptNewRequests = true;
     // In OSG the targetMaximumNumberOfPagedLOD is 300 by default
     // here we set 75 as we need to be more strict with memory in a browser
     // This value can be setted using setTargetMaximumNumberOfPageLOD method.
     this._targetMaximumNumberOfPagedLOD = 75;
+    // Estimated bytes of the arrays and textures of the loaded subgraphs,
+    // expired subgraphs are removed when it's above the target
+    this._targetMaximumMemory = Infinity;
+    this._memoryUsed = 0;
+    this._memoryToRelease = 0;
+    this._subgraphMemory = new window.Map();
+    // textures of the loaded subgraphs counted once their image is loaded
+    this._pendingTextures = [];
+    // simulation time of the last update, requests older are cancelled
+    this._lastSimulationTime = undefined;
 };
 
 var DatabaseRequest = function () {
     this._loadedModel = undefined;
+    this._loadedData = undefined;
     this._group = undefined;
     this._url = undefined;
     this._function = undefined;
     this._timeStamp = 0.0;
     this._groupExpired = false;
+    this._cancelled = false;
+    this._xhrList = [];
     this._priority = 0.0;
 };
 
@@ -52,14 +70,98 @@ FindPagedLODsVisitor.prototype = MACROUTILS.objectInherit( NodeVisitor.prototype
     }
 } );
 
-var ReleaseVisitor = function () {
+var ReleaseVisitor = function ( subgraphMemory ) {
     NodeVisitor.call( this, NodeVisitor.TRAVERSE_ALL_CHILDREN );
+    this._subgraphMemory = subgraphMemory;
+    this._memory = 0;
 };
 ReleaseVisitor.prototype = MACROUTILS.objectInherit( NodeVisitor.prototype, {
     apply: function ( node ) {
         // mark GLResources in nodes to be released
         node.releaseGLObjects();
+        // memory of the subgraphs loaded in the released nodes
+        if ( this._subgraphMemory && this._subgraphMemory.has( node ) ) {
+            this._memory += this._subgraphMemory.get( node );
+            this._subgraphMemory.delete( node );
+        }
+        this.traverse( node );
+    }
+} );
+
+// sum the memory of the subgraphs loaded in a node
+var SubgraphMemoryVisitor = function ( subgraphMemory ) {
+    NodeVisitor.call( this, NodeVisitor.TRAVERSE_ALL_CHILDREN );
+    this._subgraphMemory = subgraphMemory;
+    this._memory = 0;
+};
+SubgraphMemoryVisitor.prototype = MACROUTILS.objectInherit( NodeVisitor.prototype, {
+    apply: function ( node ) {
+        if ( this._subgraphMemory.has( node ) ) this._memory += this._subgraphMemory.get( node );
+        this.traverse( node );
+    }
+} );
+
+// rgba bytes of a texture, 0 until the size of its image is known
+var getTextureMemory = function ( texture ) {
+    var width = texture.getWidth();
+    var height = texture.getHeight();
+    var image = texture.getImage();
+    if ( !width && image && image.getWidth ) {
+        width = image.getWidth();
+        height = image.getHeight();
+    }
+    return ( width * height * 4 ) || 0;
+};
+
+// estimate the bytes used by the arrays and textures of a subgraph, the
+// textures with images not loaded yet are kept in pendingTextures
+var ComputeMemoryVisitor = function () {
+    NodeVisitor.call( this, NodeVisitor.TRAVERSE_ALL_CHILDREN );
+    this._memory = 0;
+    this._counted = new Set();
+    this._pendingTextures = [];
+};
+ComputeMemoryVisitor.prototype = MACROUTILS.objectInherit( NodeVisitor.prototype, {
+    apply: function ( node ) {
+        this.applyStateSet( node.getStateSet() );
+
+        if ( node.getVertexAttributeList ) {
+            var attributes = node.getVertexAttributeList();
+            var keys = window.Object.keys( attributes );
+            for ( var i = 0, l = keys.length; i < l; i++ ) {
+                this.applyBufferArray( attributes[ keys[ i ] ] );
+            }
+
+            var primitives = node.getPrimitiveSetList();
+            for ( var j = 0, h = primitives.length; j < h; j++ ) {
+                if ( primitives[ j ].getIndices ) this.applyBufferArray( primitives[ j ].getIndices() );
+            }
+        }
+
         this.traverse( node );
+    },
+
+    applyBufferArray: function ( bufferArray ) {
+        if ( !bufferArray || this._counted.has( bufferArray ) ) return;
+        this._counted.add( bufferArray );
+
+        var elements = bufferArray.getElements();
+        if ( !elements ) return;
+        this._memory += elements.byteLength !== undefined ? elements.byteLength : elements.length * 4;
+    },
+
+    applyStateSet: function ( stateSet ) {
+        if ( !stateSet || this._counted.has( stateSet ) ) return;
+        this._counted.add( stateSet );
+
+        for ( var i = 0, l = stateSet.getNumTextureAttributeLists(); i < l; i++ ) {
+            var texture = stateSet.getTextureAttribute( i, 'Texture' );
+            if ( !texture || this._counted.has( texture ) ) continue;
+            this._counted.add( texture );
+            var memory = getTextureMemory( texture );
+            if ( memory ) this._memory += memory;
+            else this._pendingTextures.push( texture );
+        }
     }
 } );
 
@@ -118,17 +220,43 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
     getAcceptNewDatabaseRequests: function () {
         return this._acceptNewRequests;
     },
+    setWorkerLoader: function ( workerLoader ) {
+        this._workerLoader = workerLoader;
+    },
+    getWorkerLoader: function () {
+        return this._workerLoader;
+    },
+
+    // bytes of the loaded subgraphs to keep, Infinity by default
+    setTargetMaximumMemory: function ( bytes ) {
+        this._targetMaximumMemory = bytes;
+    },
+    getTargetMaximumMemory: function () {
+        return this._targetMaximumMemory;
+    },
+    // estimated bytes of the loaded subgraphs not released yet
+    getMemoryUsed: function () {
+        return this._memoryUsed;
+    },
     reset: function () {
         this._pendingRequests = [];
         this._pendingNodes = [];
+        this._pendingParses = [];
         this._loading = false;
         this._lastCB = true;
         this._activePagedLODList.clear();
         this._childrenToRemoveList.clear();
         this._downloadingRequestsNumber = 0;
+        this._downloadingRequests.clear();
         this._maxRequestsPerFrame = 10;
         this._acceptNewRequests = true;
         this._targetMaximumNumberOfPagedLOD = 75;
+        this._targetMaximumMemory = Infinity;
+        this._memoryUsed = 0;
+        this._memoryToRelease = 0;
+        this._subgraphMemory.clear();
+        this._pendingTextures = [];
+        this._lastSimulationTime = undefined;
     },
 
     updateSceneGraph: function ( frameStamp ) {
@@ -141,19 +269,28 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
         // avoid making the rendering slow.
         // Probably we can have a time parameter to manage all the tasks.
         // Now it is fixed to 0.0025 ms to remove expired childs
-        // and 0.005 ms  to add to the scene the loaded requests.
-
+        // and 0.005 ms  to add to the scene the loaded requests and
+        // to parse the data loaded by the worker.
+
+        // Cancel the requests of the PagedLODs not traversed since the last frame
+        if ( this._lastSimulationTime !== undefined ) this.cancelExpiredRequests( this._lastSimulationTime );
+        this._lastSimulationTime = frameStamp.getSimulationTime();
+        // Count the textures of the subgraphs loaded since the last frames
+        this.updatePendingTexturesMemory();
         // Remove expired nodes
         this.removeExpiredSubgraphs( frameStamp, 0.0025 );
         // Time to do the requests.
         this.takeRequests();
         // Add the loaded data to the graph
-        this.addLoadedDataToSceneGraph( frameStamp, 0.005 );
+        var availableTime = this.addLoadedDataToSceneGraph( frameStamp, 0.005 );
+        // Create the scene graph objects of the data loaded by the worker
+        this.parseLoadedData( availableTime );
     },
 
 
     executeProgressCallback: function () {
-        if ( this._pendingRequests.length > 0 || this._pendingNodes.length > 0 ) {
+        // requests waiting to be parsed are still counted as downloading
+        if ( this._pendingRequests.length > 0 || this._pendingNodes.length > 0 || this._pendingParses.length > 0 ) {
             this._progressCallback( this._pendingRequests.length + this._downloadingRequestsNumber, this._pendingNodes.length );
             this._lastCB = false;
         } else {
@@ -205,6 +342,7 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
                 plod.setTimeStamp( plod.children.length, timeStamp );
                 plod.setFrameNumber( plod.children.length, frameNumber );
                 plod.addChildNode( request._loadedModel );
+                this.addSubgraphMemory( request._loadedModel );
 
                 // Register PagedLODs.
                 if ( !this._activePagedLODList.has( plod ) ) {
@@ -254,11 +392,15 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
         if ( this._pendingRequests.length ) {
             var numRequests = Math.min( this._maxRequestsPerFrame, this._pendingRequests.length );
             this._pendingRequests.sort( function ( r1, r2 ) {
-                // Ask for newer requests first.
-                var value = r1._timeStamp - r2._timeStamp;
-                // Ask for the greater priority if the timestamp is the same.
+                // Ask for newer requests first. The PagedLODs still visited
+                // update the timestamp of their requests each frame, so the
+                // older requests are the ones not wanted anymore: they go
+                // after the requests of the last frame whatever their priority.
+                var value = r2._timeStamp - r1._timeStamp;
+                // Ask for the greater priority if the timestamp is the same,
+                // the PagedLODs update the priority of their requests each frame
                 if ( value === 0 ) {
-                    value = r1._priority - r2._priority;
+                    value = r2._priority - r1._priority;
                 }
                 return value;
 
@@ -282,25 +424,59 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
             return;
         }
 
+        this._downloadingRequests.add( dbrequest );
+
+        var onLoaded = function ( child ) {
+            if ( !that._removeDownloadingRequest( dbrequest ) ) return;
+            dbrequest._loadedModel = child;
+            that._pendingNodes.push( dbrequest );
+            that._loading = false;
+        };
+
+        var onError = function () {
+            if ( !that._removeDownloadingRequest( dbrequest ) ) return;
+            Notify.warn( 'DatabasePager can\'t load ' + dbrequest._url );
+            that._loading = false;
+        };
+
         // Load from function
         if ( dbrequest._function !== undefined ) {
-            this.loadNodeFromFunction( dbrequest._function, dbrequest._group ).then( function ( child ) {
-                that._downloadingRequestsNumber--;
-                dbrequest._loadedModel = child;
-                that._pendingNodes.push( dbrequest );
-                that._loading = false;
-            } );
+            this.loadNodeFromFunction( dbrequest._function, dbrequest._group ).then( onLoaded ).catch( onError );
+
+        } else if ( dbrequest._url !== '' && this._workerLoader !== undefined ) {
+            // Load from URL in the worker
+            this.loadDataFromURL( dbrequest._url, dbrequest ).then( function ( data ) {
+                if ( dbrequest._cancelled ) return;
+                // the node is created later in parseLoadedData
+                dbrequest._loadedData = data;
+                that._pendingParses.push( dbrequest );
+            } ).catch( onError );
 
         } else if ( dbrequest._url !== '' ) { // Load from URL
-            this.loadNodeFromURL( dbrequest._url ).then( function ( child ) {
-                that._downloadingRequestsNumber--;
-                dbrequest._loadedModel = child;
-                that._pendingNodes.push( dbrequest );
-                that._loading = false;
-            } );
+            this.loadNodeFromURL( dbrequest._url, dbrequest ).then( onLoaded ).catch( onError );
         }
     },
 
+    // return false if the request has been cancelled
+    _removeDownloadingRequest: function ( dbrequest ) {
+        if ( dbrequest._cancelled ) return false;
+        this._downloadingRequestsNumber--;
+        this._downloadingRequests.delete( dbrequest );
+        return true;
+    },
+
+    // options used to load the request, keep the xhr to be able to abort them
+    _getRequestOptions: function ( dbrequest ) {
+        var ReaderParser = require( 'osgDB/ReaderParser' );
+        var options = MACROUTILS.objectMix( {}, ReaderParser.registry().getOptions() );
+        var requestXHRCallback = options.requestXHRCallback;
+        options.requestXHRCallback = function ( xhr ) {
+            dbrequest._xhrList.push( xhr );
+            if ( requestXHRCallback ) requestXHRCallback( xhr );
+        };
+        return options;
+    },
+
     loadNodeFromFunction: function ( func, plod ) {
         // Need to call with pagedLOD as parent, to be able to have multiresolution structures.
         var promise = ( func )( plod );
@@ -310,20 +486,147 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
         return P.resolve( promise );
     },
 
-    loadNodeFromURL: function ( url ) {
+    loadNodeFromURL: function ( url, dbrequest ) {
         var ReaderParser = require( 'osgDB/ReaderParser' );
         // Call to ReaderParser just in case there is a custom readNodeURL Callback
         // See osgDB/Options.js and/or osgDB/Input.js
-        // TODO: We should study if performance can be improved if separating the XHTTP request from
-        // the parsing. This way several/many request could be done at the same time.
-        // Also we should be able to cancel requests, so there is a need to have access
-        // to the HTTPRequest Object
-        return ReaderParser.readNodeURL( url );
+        // The requests sent are kept in the dbrequest to be able to cancel them
+        return ReaderParser.readNodeURL( url, dbrequest ? this._getRequestOptions( dbrequest ) : undefined );
     },
 
-    releaseGLExpiredSubgraphs: function ( availableTime ) {
+    // fetch and decode the file in the worker, the json is parsed later
+    // within the time budget of the frame
+    loadDataFromURL: function ( url, dbrequest ) {
+        var ReaderParser = require( 'osgDB/ReaderParser' );
+        return this._workerLoader.readSceneGraph( ReaderParser.registry().computeURL( url ), dbrequest ? this._getRequestOptions( dbrequest ) : undefined );
+    },
+
+    parseLoadedData: function ( availableTime ) {
 
         if ( availableTime <= 0.0 ) return 0.0;
+
+        var ReaderParser = require( 'osgDB/ReaderParser' );
+        var elapsedTime = 0.0;
+        var beginTime = Timer.instance().tick();
+        var that = this;
+
+        var onParsed = function ( request, child ) {
+            if ( !that._removeDownloadingRequest( request ) ) return;
+            request._loadedModel = child;
+            that._pendingNodes.push( request );
+            that._loading = false;
+        };
+
+        var onError = function ( request ) {
+            if ( !that._removeDownloadingRequest( request ) ) return;
+            Notify.warn( 'DatabasePager can\'t parse ' + request._url );
+            that._loading = false;
+        };
+
+        while ( this._pendingParses.length && elapsedTime <= availableTime ) {
+            var request = this._pendingParses.shift();
+            var data = request._loadedData;
+            request._loadedData = undefined;
+
+            if ( request._groupExpired ) {
+                this._removeDownloadingRequest( request );
+                this._loading = false;
+            } else {
+                var url = ReaderParser.registry().computeURL( request._url );
+                var options = {
+                    prefixURL: url.substring( 0, url.lastIndexOf( '/' ) + 1 )
+                };
+                P.resolve( ReaderParser.parseSceneGraph( data, options ) ).then( onParsed.bind( undefined, request ) ).catch( onError.bind( undefined, request ) );
+            }
+            elapsedTime = Timer.instance().deltaS( beginTime, Timer.instance().tick() );
+        }
+
+        return availableTime - elapsedTime;
+    },
+
+    // cancel a request waiting or loading, the loading requests are aborted
+    // and the PagedLOD will request the child again if needed
+    cancelRequest: function ( dbrequest ) {
+        if ( dbrequest._cancelled ) return;
+
+        var index = this._pendingRequests.indexOf( dbrequest );
+        if ( index !== -1 ) this._pendingRequests.splice( index, 1 );
+
+        index = this._pendingParses.indexOf( dbrequest );
+        if ( index !== -1 ) this._pendingParses.splice( index, 1 );
+
+        if ( this._downloadingRequests.has( dbrequest ) ) this._removeDownloadingRequest( dbrequest );
+        dbrequest._cancelled = true;
+        dbrequest._loadedData = undefined;
+
+        var xhrList = dbrequest._xhrList;
+        dbrequest._xhrList = [];
+        for ( var i = 0; i < xhrList.length; i++ ) {
+            xhrList[ i ].abort();
+        }
+    },
+
+    // cancel the requests not updated since timeStamp, the PagedLODs
+    // update the timeStamp of their requests while they are visible
+    cancelExpiredRequests: function ( timeStamp ) {
+        var expired = [];
+        var isExpired = function ( dbrequest ) {
+            if ( dbrequest._timeStamp < timeStamp ) expired.push( dbrequest );
+        };
+
+        this._pendingRequests.forEach( isExpired );
+        this._downloadingRequests.forEach( isExpired );
+
+        for ( var i = 0; i < expired.length; i++ ) {
+            this.cancelRequest( expired[ i ] );
+        }
+        return expired.length;
+    },
+
+    addSubgraphMemory: function ( node ) {
+        if ( !node ) return;
+        var visitor = new ComputeMemoryVisitor();
+        node.accept( visitor );
+        this._subgraphMemory.set( node, visitor._memory );
+        this._memoryUsed += visitor._memory;
+
+        for ( var i = 0, l = visitor._pendingTextures.length; i < l; i++ ) {
+            this._pendingTextures.push( {
+                node: node,
+                texture: visitor._pendingTextures[ i ]
+            } );
+        }
+    },
+
+    // add the memory of the textures once their images are loaded
+    updatePendingTexturesMemory: function () {
+        var pendingTextures = this._pendingTextures;
+        var i = 0;
+        while ( i < pendingTextures.length ) {
+            var pending = pendingTextures[ i ];
+            var node = pending.node;
+            // the subgraph is released or going to be
+            if ( !this._subgraphMemory.has( node ) || this._childrenToRemoveList.has( node ) ) {
+                pendingTextures.splice( i, 1 );
+                continue;
+            }
+
+            var memory = getTextureMemory( pending.texture );
+            if ( !memory ) {
+                i++;
+                continue;
+            }
+
+            this._subgraphMemory.set( node, this._subgraphMemory.get( node ) + memory );
+            this._memoryUsed += memory;
+            pendingTextures.splice( i, 1 );
+        }
+    },
+
+    releaseGLExpiredSubgraphs: function ( availableTime ) {
+
+        // Above the memory budget the subgraphs are released without time limit
+        if ( availableTime <= 0.0 && this._memoryUsed <= this._targetMaximumMemory ) return 0.0;
         // We need to test if we have time to flush
         var elapsedTime = 0.0;
         var beginTime = Timer.instance().tick();
@@ -331,9 +634,12 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
 
         this._childrenToRemoveList.forEach( function ( node ) {
             // If we don't have more time, break the loop.
-            if ( elapsedTime > availableTime ) return;
+            if ( elapsedTime > availableTime && that._memoryUsed <= that._targetMaximumMemory ) return;
             that._childrenToRemoveList.delete( node );
-            node.accept( new ReleaseVisitor() );
+            var releaseVisitor = new ReleaseVisitor( that._subgraphMemory );
+            node.accept( releaseVisitor );
+            that._memoryUsed -= releaseVisitor._memory;
+            that._memoryToRelease -= releaseVisitor._memory;
             node.removeChildren();
             node = null;
             elapsedTime = Timer.instance().deltaS( beginTime, Timer.instance().tick() );
@@ -353,7 +659,7 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
         // First traverse and remove inactive PagedLODs, as their children will
         // certainly have expired.
         // TODO: Then traverse active nodes if we still need to prune.
-        if ( numToPrune > 0 ) {
+        if ( numToPrune > 0 || this._isSceneOverMemoryBudget() ) {
             availableTime = this.removeExpiredChildren( numToPrune, expiryTime, expiryFrame, availableTime );
         }
         return availableTime;
@@ -371,7 +677,7 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
         this._activePagedLODList.forEach( function ( plod ) {
             // Check if we have time, else return 0
             if ( elapsedTime > availableTime ) return 0.0;
-            if ( numToPrune < 0 ) return availableTime;
+            if ( numToPrune < 0 && !that._isSceneOverMemoryBudget() ) return availableTime;
             // See if plod is still active, so we don't have to prune
             if ( expiryFrame < plod.getFrameNumberOfLastTraversal() ) return availableTime;
             expiredPagedLODVisitor.removeExpiredChildrenAndFindPagedLODs( plod, expiryTime, expiryFrame, removedChildren );
@@ -382,6 +688,9 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
             // Add to the remove list all the childs deleted
             for ( i = 0; i < removedChildren.length; i++ ) {
                 that._childrenToRemoveList.add( removedChildren[ i ] );
+                var memoryVisitor = new SubgraphMemoryVisitor( that._subgraphMemory );
+                removedChildren[ i ].accept( memoryVisitor );
+                that._memoryToRelease += memoryVisitor._memory;
             }
             expiredPagedLODVisitor._childrenList.length = 0;
             removedChildren.length = 0;
@@ -389,6 +698,11 @@ DatabasePager.prototype = MACROUTILS.objectLibraryClass( {
         } );
         availableTime -= elapsedTime;
         return availableTime;
+    },
+
+    // memory of the subgraphs in the scene, without the removed ones
+    _isSceneOverMemoryBudget: function () {
+        return this._memoryUsed - this._memoryToRelease > this._targetMaximumMemory;
     }
 }, 'osgDB', 'DatabasePager' );
 
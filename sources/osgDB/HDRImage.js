@@ -0,0 +1,184 @@
+'use strict';
+var Image = require( 'osg/Image' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+
+
+/**
+ * HDRImage creates the Images of the hdr plugins (ReaderWriterHDR and
+ * ReaderWriterEXR). The colors are stored as FLOAT or HALF_FLOAT when the
+ * float textures can be rendered and filtered, else packed in RGBM. The
+ * storage is forced with the hdrImageStorage of the options, the
+ * colorEncoding of the Image tells the shaders how to decode RGBE and
+ * RGBM images (see decodeRGBM of osgShader)
+ */
+var HDRImage = {};
+
+HDRImage.FLOAT = 'FLOAT';
+HDRImage.HALF_FLOAT = 'HALF_FLOAT';
+HDRImage.RGBE = 'RGBE';
+HDRImage.RGBM = 'RGBM';
+
+HDRImage.DEFAULT_RGBM_RANGE = 8.0;
+
+// return the storage of the hdr images of the options or the best one
+// supported by the WebGLCaps
+HDRImage.getStorage = function ( options ) {
+    if ( options && options.hdrImageStorage ) return options.hdrImageStorage;
+
+    var caps = WebGLCaps.instance();
+    var gl = caps.getContext();
+    if ( caps.hasFloatRTT( gl ) && caps.hasLinearFloatRTT( gl ) ) return HDRImage.FLOAT;
+    if ( caps.hasHalfFloatRTT( gl ) && caps.hasLinearHalfFloatRTT( gl ) ) return HDRImage.HALF_FLOAT;
+    return HDRImage.RGBM;
+};
+
+var floatView = new Float32Array( 1 );
+var int32View = new Int32Array( floatView.buffer );
+
+// bits of the half float nearest to a float
+HDRImage.floatToHalf = function ( value ) {
+    floatView[ 0 ] = value;
+    var x = int32View[ 0 ];
+
+    var bits = ( x >> 16 ) & 0x8000;
+    var m = ( x >> 12 ) & 0x07ff;
+    var e = ( x >> 23 ) & 0xff;
+
+    // too small for a denormal half
+    if ( e < 103 ) return bits;
+
+    // infinity, NaN or too large
+    if ( e > 142 ) {
+        bits |= 0x7c00;
+        bits |= ( e === 255 && ( x & 0x007fffff ) ) ? 1 : 0;
+        return bits;
+    }
+
+    // denormal half
+    if ( e < 113 ) {
+        m |= 0x0800;
+        bits |= ( m >> ( 114 - e ) ) + ( ( m >> ( 113 - e ) ) & 1 );
+        return bits;
+    }
+
+    bits |= ( ( e - 112 ) << 10 ) | ( m >> 1 );
+    // rounding
+    bits += m & 1;
+    return bits;
+};
+
+HDRImage.halfToFloat = function ( bits ) {
+    var sign = bits & 0x8000 ? -1.0 : 1.0;
+    var e = ( bits & 0x7c00 ) >> 10;
+    var m = bits & 0x03ff;
+
+    if ( e === 0 ) return sign * Math.pow( 2, -14 ) * ( m / 1024 );
+    if ( e === 0x1f ) return m ? NaN : sign * Infinity;
+    return sign * Math.pow( 2, e - 15 ) * ( 1 + m / 1024 );
+};
+
+// decode the rgbe bytes like the shaders do
+HDRImage.decodeRGBE = function ( rgbe, result ) {
+    for ( var i = 0; i < rgbe.length; i += 4 ) {
+        var e = rgbe[ i + 3 ];
+        var f = e === 0 ? 0.0 : Math.pow( 2, e - 136 );
+        result[ i ] = rgbe[ i ] * f;
+        result[ i + 1 ] = rgbe[ i + 1 ] * f;
+        result[ i + 2 ] = rgbe[ i + 2 ] * f;
+        result[ i + 3 ] = 1.0;
+    }
+    return result;
+};
+
+HDRImage.encodeRGBE = function ( rgba, result ) {
+    for ( var i = 0; i < rgba.length; i += 4 ) {
+        var r = rgba[ i ];
+        var g = rgba[ i + 1 ];
+        var b = rgba[ i + 2 ];
+        var v = Math.max( r, g, b );
+
+        if ( v < 1e-32 ) {
+            result[ i ] = result[ i + 1 ] = result[ i + 2 ] = result[ i + 3 ] = 0;
+            continue;
+        }
+
+        // v = mantissa * 2^e with mantissa in [ 0.5, 1 [
+        var e = Math.floor( Math.log( v ) / Math.LN2 ) + 1;
+        var scale = 256.0 / Math.pow( 2, e );
+        result[ i ] = Math.min( 255, r * scale );
+        result[ i + 1 ] = Math.min( 255, g * scale );
+        result[ i + 2 ] = Math.min( 255, b * scale );
+        result[ i + 3 ] = e + 128;
+    }
+    return result;
+};
+
+// same encoding as encodeRGBM of osgShader
+HDRImage.encodeRGBM = function ( rgba, range, result ) {
+    for ( var i = 0; i < rgba.length; i += 4 ) {
+        var r = rgba[ i ] / range;
+        var g = rgba[ i + 1 ] / range;
+        var b = rgba[ i + 2 ] / range;
+        var m = Math.min( 1.0, Math.max( r, g, b, 1e-6 ) );
+        m = Math.ceil( m * 255.0 ) / 255.0;
+
+        result[ i ] = Math.round( Math.min( 1.0, r / m ) * 255.0 );
+        result[ i + 1 ] = Math.round( Math.min( 1.0, g / m ) * 255.0 );
+        result[ i + 2 ] = Math.round( Math.min( 1.0, b / m ) * 255.0 );
+        result[ i + 3 ] = m * 255.0;
+    }
+    return result;
+};
+
+var createTypedImage = function ( data, width, height, type ) {
+    var image = new Image( data );
+    image.setWidth( width );
+    image.setHeight( height );
+    image.setInternalFormat( Texture.RGBA );
+    image.setInternalFormatType( type );
+    return image;
+};
+
+// create the Image of the linear rgba float colors in the storage of the
+// options, the rgbm range is the hdrImageRGBMRange of the options
+HDRImage.createImage = function ( rgba, width, height, options ) {
+    var storage = HDRImage.getStorage( options );
+    var size = width * height * 4;
+    var i, image;
+
+    if ( storage === HDRImage.FLOAT ) {
+        return createTypedImage( rgba, width, height, Texture.FLOAT );
+    }
+
+    if ( storage === HDRImage.HALF_FLOAT ) {
+        var halfs = new Uint16Array( size );
+        for ( i = 0; i < size; i++ ) halfs[ i ] = HDRImage.floatToHalf( rgba[ i ] );
+        return createTypedImage( halfs, width, height, Texture.HALF_FLOAT );
+    }
+
+    if ( storage === HDRImage.RGBE ) {
+        image = createTypedImage( HDRImage.encodeRGBE( rgba, new Uint8Array( size ) ), width, height, Texture.UNSIGNED_BYTE );
+        image.setColorEncoding( HDRImage.RGBE );
+        return image;
+    }
+
+    var range = options && options.hdrImageRGBMRange || HDRImage.DEFAULT_RGBM_RANGE;
+    image = createTypedImage( HDRImage.encodeRGBM( rgba, range, new Uint8Array( size ) ), width, height, Texture.UNSIGNED_BYTE );
+    image.setColorEncoding( HDRImage.RGBM );
+    return image;
+};
+
+// create the Image of rgbe bytes, kept as they are for the RGBE storage
+HDRImage.createImageFromRGBE = function ( rgbe, width, height, options ) {
+    if ( HDRImage.getStorage( options ) === HDRImage.RGBE ) {
+        var image = createTypedImage( rgbe, width, height, Texture.UNSIGNED_BYTE );
+        image.setColorEncoding( HDRImage.RGBE );
+        return image;
+    }
+
+    var rgba = HDRImage.decodeRGBE( rgbe, new Float32Array( rgbe.length ) );
+    return HDRImage.createImage( rgba, width, height, options );
+};
+
+module.exports = HDRImage;
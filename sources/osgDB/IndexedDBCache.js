@@ -0,0 +1,135 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Cache = require( 'osgDB/Cache' );
+
+
+var DATA_STORE = 'data';
+var ENTRY_STORE = 'entries';
+
+// promise of the result of an IDBRequest
+var requestPromise = function ( request ) {
+    return new P( function ( resolve, reject ) {
+        request.onsuccess = function () {
+            resolve( request.result );
+        };
+        request.onerror = function () {
+            reject( request.error );
+        };
+    } );
+};
+
+/**
+ * IndexedDBCache stores the files in an IndexedDB database, they are
+ * kept between sessions. The entries are read when the cache is first
+ * used, the data are read only when requested
+ * @class IndexedDBCache
+ */
+var IndexedDBCache = function ( databaseName ) {
+    Cache.call( this );
+    this._databaseName = databaseName || 'osgjs-cache';
+    this._database = undefined;
+};
+
+IndexedDBCache.isSupported = function () {
+    return window.indexedDB !== undefined;
+};
+
+IndexedDBCache.prototype = MACROUTILS.objectInherit( Cache.prototype, {
+
+    getDatabaseName: function () {
+        return this._databaseName;
+    },
+
+    _openDatabase: function () {
+        if ( this._database ) return this._database;
+
+        var request = window.indexedDB.open( this._databaseName, 1 );
+        request.onupgradeneeded = function () {
+            var db = request.result;
+            db.createObjectStore( DATA_STORE, {
+                keyPath: 'key'
+            } );
+            db.createObjectStore( ENTRY_STORE, {
+                keyPath: 'key'
+            } );
+        };
+
+        // the next calls try to open the database again after a failure
+        this._database = requestPromise( request ).catch( function ( error ) {
+            this._database = undefined;
+            throw error;
+        }.bind( this ) );
+        return this._database;
+    },
+
+    _getStore: function ( name, mode ) {
+        return this._openDatabase().then( function ( db ) {
+            return db.transaction( name, mode ).objectStore( name );
+        } );
+    },
+
+    _loadEntries: function () {
+        return this._getStore( ENTRY_STORE, 'readonly' ).then( function ( store ) {
+            return new P( function ( resolve, reject ) {
+                var entries = [];
+                var request = store.openCursor();
+                request.onsuccess = function () {
+                    var cursor = request.result;
+                    if ( !cursor ) return resolve( entries );
+                    entries.push( cursor.value );
+                    cursor.continue();
+                    return undefined;
+                };
+                request.onerror = function () {
+                    reject( request.error );
+                };
+            } );
+        } );
+    },
+
+    _readData: function ( key, entry ) {
+        // keep the last access for the eviction of the next sessions
+        this._getStore( ENTRY_STORE, 'readwrite' ).then( function ( store ) {
+            store.put( entry );
+        } ).catch( function ( error ) {
+            Notify.warn( 'IndexedDBCache can\'t update the entry ' + key + ' ' + error );
+        } );
+
+        return this._getStore( DATA_STORE, 'readonly' ).then( function ( store ) {
+            return requestPromise( store.get( key ) );
+        } ).then( function ( result ) {
+            return result ? result.data : undefined;
+        } );
+    },
+
+    _writeData: function ( key, data, entry ) {
+        return this._openDatabase().then( function ( db ) {
+            var transaction = db.transaction( [ DATA_STORE, ENTRY_STORE ], 'readwrite' );
+            transaction.objectStore( DATA_STORE ).put( {
+                key: key,
+                data: data
+            } );
+            return requestPromise( transaction.objectStore( ENTRY_STORE ).put( entry ) );
+        } );
+    },
+
+    _deleteData: function ( key ) {
+        return this._openDatabase().then( function ( db ) {
+            var transaction = db.transaction( [ DATA_STORE, ENTRY_STORE ], 'readwrite' );
+            transaction.objectStore( DATA_STORE ).delete( key );
+            return requestPromise( transaction.objectStore( ENTRY_STORE ).delete( key ) );
+        } );
+    },
+
+    _clearData: function () {
+        return this._openDatabase().then( function ( db ) {
+            var transaction = db.transaction( [ DATA_STORE, ENTRY_STORE ], 'readwrite' );
+            transaction.objectStore( DATA_STORE ).clear();
+            return requestPromise( transaction.objectStore( ENTRY_STORE ).clear() );
+        } );
+    }
+} );
+
+module.exports = IndexedDBCache;
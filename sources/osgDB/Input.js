@@ -3,6 +3,7 @@ var P = require( 'bluebird' );
 var MACROUTILS = require( 'osg/Utils' );
 var osgNameSpace = require( 'osgNameSpace' );
 var Options = require( 'osgDB/Options' );
+var Registry = require( 'osgDB/Registry' );
 var Notify = require( 'osg/Notify' );
 var Image = require( 'osg/Image' );
 var BufferArray = require( 'osg/BufferArray' );
@@ -12,6 +13,56 @@ var DrawElements = require( 'osg/DrawElements' );
 var PrimitiveSet = require( 'osg/PrimitiveSet' );
 
 
+// bits of the integer types of the quantized arrays
+var quantizationBits = {
+    Uint8Array: 8,
+    Uint16Array: 16,
+    Uint32Array: 32
+};
+
+// replace the integer elements of a quantized buffer array by floats.
+// LINEAR decodes each component with value * Scale + Offset, OCTAHEDRAL
+// decodes unit vectors stored on two components to three components,
+// the range of the values is given by the Bits of the quantization
+var dequantizeBufferArray = function ( buf, quantization, bits ) {
+    var elements = buf.getElements();
+    var itemSize = buf.getItemSize();
+    var result, i, l;
+
+    if ( quantization.Mode === 'OCTAHEDRAL' ) {
+        var range = Math.pow( 2, quantization.Bits || bits ) - 1;
+        result = new Float32Array( elements.length / 2 * 3 );
+        for ( i = 0, l = elements.length / 2; i < l; i++ ) {
+            var x = elements[ i * 2 ] / range * 2.0 - 1.0;
+            var y = elements[ i * 2 + 1 ] / range * 2.0 - 1.0;
+            var z = 1.0 - Math.abs( x ) - Math.abs( y );
+            // lower hemisphere folded on the diagonals
+            if ( z < 0.0 ) {
+                var fx = ( 1.0 - Math.abs( y ) ) * ( x >= 0.0 ? 1.0 : -1.0 );
+                y = ( 1.0 - Math.abs( x ) ) * ( y >= 0.0 ? 1.0 : -1.0 );
+                x = fx;
+            }
+            var norm = Math.sqrt( x * x + y * y + z * z ) || 1.0;
+            result[ i * 3 ] = x / norm;
+            result[ i * 3 + 1 ] = y / norm;
+            result[ i * 3 + 2 ] = z / norm;
+        }
+        itemSize = 3;
+    } else {
+        var offset = quantization.Offset || [];
+        var scale = quantization.Scale || [];
+        result = new Float32Array( elements.length );
+        for ( i = 0, l = elements.length; i < l; i++ ) {
+            var component = i % itemSize;
+            result[ i ] = elements[ i ] * ( scale[ component ] !== undefined ? scale[ component ] : 1.0 ) + ( offset[ component ] || 0.0 );
+        }
+    }
+
+    buf.setItemSize( itemSize );
+    buf.setElements( result );
+    return buf;
+};
+
 var Input = function ( json, identifier ) {
     this._json = json;
     var map = identifier;
@@ -51,6 +102,8 @@ if ( !Input.imageFallback ) {
     } )();
 }
 
+Input.dequantizeBufferArray = dequantizeBufferArray;
+
 Input.prototype = {
 
     clone: function () {
@@ -115,8 +168,27 @@ Input.prototype = {
     },
 
 
+    // options.cache is an osgDB.Cache used to read and store the file
     requestFile: function ( url, options ) {
 
+        var cache = options && options.cache;
+        var isInline = url.substr( 0, 5 ) === 'data:' || url.substr( 0, 5 ) === 'blob:';
+        if ( !cache || isInline ) return this._sendRequest( url, options );
+
+        // the same url can be read as text and as arraybuffer
+        var key = ( options.responseType || 'text' ) + ':' + url;
+        return cache.get( key ).then( function ( data ) {
+            if ( data !== undefined ) return data;
+            return this._sendRequest( url, options, key );
+        }.bind( this ), function ( error ) {
+            // a cache that can't be read doesn't prevent the loading
+            Notify.warn( 'Input: can\'t read ' + key + ' in the cache ' + error );
+            return this._sendRequest( url, options, key );
+        }.bind( this ) );
+    },
+
+    _sendRequest: function ( url, options, cacheKey ) {
+
         var defer = P.defer();
 
         var req = new XMLHttpRequest();
@@ -130,16 +202,28 @@ Input.prototype = {
             req.addEventListener( 'progress', options.progress, false );
         }
 
+        // give access to the request to be able to abort it
+        if ( options && options.requestXHRCallback ) {
+            options.requestXHRCallback( req );
+        }
+
         req.addEventListener( 'error', function () {
             defer.reject();
         }, false );
 
+        req.addEventListener( 'abort', function () {
+            defer.reject();
+        }, false );
+
         req.addEventListener( 'load', function ( /*oEvent */) {
 
-            if ( req.responseType === 'arraybuffer' )
-                defer.resolve( req.response );
-            else
-                defer.resolve( req.responseText );
+            var response = req.responseType === 'arraybuffer' ? req.response : req.responseText;
+
+            // the error pages are not cached
+            if ( cacheKey !== undefined && req.status < 400 )
+                options.cache.put( cacheKey, response );
+
+            defer.resolve( response );
 
         } );
 
@@ -196,7 +280,30 @@ Input.prototype = {
         image.setURL( url );
         image.setImage( img );
 
-        img.src = url;
+        if ( !options.cache || isInlineImage || url.substr( 0, 5 ) === 'blob:' ) {
+            img.src = url;
+            return image;
+        }
+
+        // the image is read from the cache in a blob url released once loaded
+        this.requestFile( url, {
+            responseType: 'arraybuffer',
+            cache: options.cache
+        } ).then( function ( buffer ) {
+            var blobURL = window.URL.createObjectURL( new window.Blob( [ buffer ] ) );
+            var releaseBlobURL = function ( callback ) {
+                return function () {
+                    window.URL.revokeObjectURL( blobURL );
+                    callback();
+                };
+            };
+            img.onload = releaseBlobURL( img.onload );
+            img.onerror = releaseBlobURL( img.onerror );
+            img.src = blobURL;
+        } ).catch( function () {
+            img.src = url;
+        } );
+
         return image;
     },
 
@@ -215,11 +322,19 @@ Input.prototype = {
             return options.readImageURL.call( this, url, options );
         }
 
-        // if image is on inline image skip url computation
-        if ( url.substr( 0, 10 ) !== 'data:image' ) {
+        // if image is on inline image or an object url skip url computation
+        if ( url.substr( 0, 5 ) !== 'data:' && url.substr( 0, 5 ) !== 'blob:' ) {
             url = this.computeURL( url );
         }
 
+        // plugins always return a promise, imageLoadingUsePromise is
+        // ignored: their compressed or float images must be complete when
+        // given to a Texture, which reads their format in setImage
+        var readerWriter = Registry.instance().getReaderWriterForURL( url, 'readImageURL' );
+        if ( readerWriter ) {
+            return P.resolve( readerWriter.readImageURL( url, options ) );
+        }
+
 
         var image = new Image();
         if ( options.imageLoadingUsePromise !== true ) {
@@ -249,15 +364,16 @@ Input.prototype = {
             return options.readNodeURL.call( this, url, options );
         }
 
-        url = this.computeURL( url );
-
-        var defer = P.defer();
+        var isInline = url.substr( 0, 5 ) === 'data:';
+        if ( !isInline ) {
+            url = this.computeURL( url );
+        }
 
         // copy because we are going to modify it to have relative prefix to load assets
         options = MACROUTILS.objectMix( {}, options );
 
         // automatic prefix if non specfied
-        if ( !!!options.prefixURL ) {
+        if ( !!!options.prefixURL && !isInline ) {
             var prefix = this.getPrefixURL();
             var index = url.lastIndexOf( '/' );
             if ( index !== -1 ) {
@@ -266,9 +382,41 @@ Input.prototype = {
             options.prefixURL = prefix;
         }
 
-        var self = this;
+        // formats other than osgjs are read by plugins
+        var readerWriter = Registry.instance().getReaderWriterForURL( url, 'readNodeURL' );
+        if ( readerWriter ) {
+            return P.resolve( readerWriter.readNodeURL( url, options ) ).then( function ( node ) {
+                Notify.log( 'loaded ' + url );
+                return node;
+            } );
+        }
+
+        // fetch, parse and decode the binary arrays in a worker, the
+        // files the worker can't read are read again on the main thread
+        if ( options.workerLoader && !isInline ) {
+            var ReaderParser = require( 'osgDB/ReaderParser' );
+            var self = this;
+            return options.workerLoader.readSceneGraph( url, options ).then( function ( data ) {
+                return ReaderParser.parseSceneGraph( data, options ).then( function ( child ) {
+                    Notify.log( 'loaded ' + url );
+                    return child;
+                } );
+            }, function ( error ) {
+                if ( error && error.aborted ) throw error;
+                Notify.warn( 'cant read url ' + url + ' in the worker, read it on the main thread' );
+                return self._readSceneGraphURL( url, options );
+            } );
+        }
+
+        return this._readSceneGraphURL( url, options );
+    },
+
+    // fetch the osgjs file, gunzip it if needed and parse it
+    _readSceneGraphURL: function ( url, options ) {
 
         var ReaderParser = require( 'osgDB/ReaderParser' );
+        var defer = P.defer();
+        var self = this;
 
         var readSceneGraph = function ( data ) {
 
@@ -303,7 +451,10 @@ Input.prototype = {
 
 
         // try to get the file as responseText to parse JSON
-        var fileTextPromise = self.requestFile( url );
+        var fileTextPromise = self.requestFile( url, {
+            requestXHRCallback: options.requestXHRCallback,
+            cache: options.cache
+        } );
         fileTextPromise.then( function ( str ) {
 
             var data;
@@ -324,7 +475,9 @@ Input.prototype = {
 
             // no data try with gunzip
             var fileGzipPromise = self.requestFile( url, {
-                responseType: 'arraybuffer'
+                responseType: 'arraybuffer',
+                requestXHRCallback: options.requestXHRCallback,
+                cache: options.cache
             } );
             fileGzipPromise.then( function ( file ) {
 
@@ -387,17 +540,26 @@ Input.prototype = {
         if ( this._identifierMap[ url ] !== undefined ) {
             return this._identifierMap[ url ];
         }
+
+        var readerWriter = Registry.instance().getReaderWriterForURL( url, 'readBinaryArrayURL' );
+        if ( readerWriter ) {
+            this._identifierMap[ url ] = P.resolve( readerWriter.readBinaryArrayURL( url, options ) );
+            return this._identifierMap[ url ];
+        }
+
         var defer = P.defer();
 
         var filePromise = this.requestFile( url, {
             responseType: 'arraybuffer',
-            progress: this._defaultOptions.progressXHRCallback
+            progress: this._defaultOptions.progressXHRCallback,
+            requestXHRCallback: options.requestXHRCallback,
+            cache: options.cache
         } );
 
         this._identifierMap[ url ] = defer.promise;
         filePromise.then( function ( file ) {
             defer.resolve( this._unzipTypedArray( file ) );
-        }.bind( this ) );
+        }.bind( this ) ).catch( defer.reject.bind( defer ) );
 
         return defer.promise;
     },
@@ -442,6 +604,10 @@ Input.prototype = {
                     for ( ; i < l; i++ ) {
                         tmpArray[ i ] = data.getUint16( i * bytesPerElement, true );
                     }
+                } else if ( type === 'Uint32Array' ) {
+                    for ( ; i < l; i++ ) {
+                        tmpArray[ i ] = data.getUint32( i * bytesPerElement, true );
+                    }
                 } else if ( type === 'Float32Array' ) {
                     for ( ; i < l; i++ ) {
                         tmpArray[ i ] = data.getFloat32( i * bytesPerElement, true );
@@ -496,6 +662,9 @@ Input.prototype = {
             if ( jsonObj.Array.Float32Array ) {
                 vb = jsonObj.Array.Float32Array;
                 type = 'Float32Array';
+            } else if ( jsonObj.Array.Uint32Array ) {
+                vb = jsonObj.Array.Uint32Array;
+                type = 'Uint32Array';
             } else if ( jsonObj.Array.Uint16Array ) {
                 vb = jsonObj.Array.Uint16Array;
                 type = 'Uint16Array';
@@ -512,9 +681,18 @@ Input.prototype = {
             if ( vb.File ) {
                 promise = this.initializeBufferArray( vb, type, buf );
             } else if ( vb.Elements ) {
-                buf.setElements( new MACROUTILS[ type ]( vb.Elements ) );
+                // typed arrays decoded by the WorkerLoader are used as is
+                buf.setElements( vb.Elements instanceof MACROUTILS[ type ] ? vb.Elements : new MACROUTILS[ type ]( vb.Elements ) );
                 promise = P.resolve( buf );
             }
+
+            // quantized arrays are decoded to floats
+            var quantization = jsonObj.Quantization;
+            if ( quantization && promise ) {
+                promise = promise.then( function ( bufferArray ) {
+                    return dequantizeBufferArray( bufferArray, quantization, quantizationBits[ type ] );
+                } );
+            }
         }
 
         if ( uniqueID !== undefined ) {
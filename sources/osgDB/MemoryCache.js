@@ -0,0 +1,35 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Cache = require( 'osgDB/Cache' );
+
+
+/**
+ * MemoryCache keeps the files in memory, it's not persistent and is
+ * mostly useful for tests or as a stand-in when IndexedDB is not available
+ * @class MemoryCache
+ */
+var MemoryCache = function () {
+    Cache.call( this );
+    this._data = {};
+};
+
+MemoryCache.prototype = MACROUTILS.objectInherit( Cache.prototype, {
+
+    _readData: function ( key ) {
+        return this._data[ key ];
+    },
+
+    _writeData: function ( key, data ) {
+        this._data[ key ] = data;
+    },
+
+    _deleteData: function ( key ) {
+        delete this._data[ key ];
+    },
+
+    _clearData: function () {
+        this._data = {};
+    }
+} );
+
+module.exports = MemoryCache;
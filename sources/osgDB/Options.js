@@ -10,6 +10,10 @@ var defaultOptions = {
     // callback used when loading data
     progressXHRCallback: undefined,
 
+    // callback called with each request sent, used to abort the requests
+    // the requests are XMLHttpRequest or objects with an abort method
+    requestXHRCallback: undefined,
+
     // replacement of readImageURL to use your own code to load Nodes
     // the function will be execute in the context of Input, see Input:readNodeURL
     readNodeURL: undefined,
@@ -22,6 +26,22 @@ var defaultOptions = {
     // the function will be execute in the context of Input, see Input:readBinaryArrayURL
     readBinaryArrayURL: undefined,
 
+    // osgDB.WorkerLoader used to fetch and decode osgjs files in a Web Worker
+    // see Input:readNodeURL
+    workerLoader: undefined,
+
+    // osgDB.Cache (IndexedDBCache or MemoryCache) used to keep the files,
+    // images and binary arrays loaded, see Input:requestFile
+    // the files loaded by the workerLoader are not cached
+    cache: undefined,
+
+    // storage of the images read by the hdr and exr plugins: 'FLOAT',
+    // 'HALF_FLOAT', 'RGBE' or 'RGBM', chosen from the WebGLCaps when
+    // undefined, see HDRImage
+    hdrImageStorage: undefined,
+    hdrImageRGBMRange: 8.0,
+
+    // the images read by plugins always use a promise, see Input:readImageURL
     imageLoadingUsePromise: true, // use promise to load image instead of returning Image
     imageOnload: undefined, // use callback when loading an image
     imageCrossOrigin: undefined // use callback when loading an image
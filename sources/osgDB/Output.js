@@ -0,0 +1,390 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var DrawArrayLengths = require( 'osg/DrawArrayLengths' );
+var DrawElements = require( 'osg/DrawElements' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var Node = require( 'osg/Node' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var Projection = require( 'osg/Projection' );
+var LightSource = require( 'osg/LightSource' );
+var Geometry = require( 'osg/Geometry' );
+var PagedLOD = require( 'osg/PagedLOD' );
+var Sequence = require( 'osg/Sequence' );
+var Switch = require( 'osg/Switch' );
+var StateSet = require( 'osg/StateSet' );
+var Material = require( 'osg/Material' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var BlendColor = require( 'osg/BlendColor' );
+var CullFace = require( 'osg/CullFace' );
+var ClipPlane = require( 'osg/ClipPlane' );
+var Fog = require( 'osg/Fog' );
+var Light = require( 'osg/Light' );
+var PolygonOffset = require( 'osg/PolygonOffset' );
+var Scissor = require( 'osg/Scissor' );
+var Stencil = require( 'osg/Stencil' );
+var Texture = require( 'osg/Texture' );
+var BasicAnimationManager = require( 'osgAnimation/BasicAnimationManager' );
+var UpdateMatrixTransform = require( 'osgAnimation/UpdateMatrixTransform' );
+var UpdateBone = require( 'osgAnimation/UpdateBone' );
+var UpdateSkeleton = require( 'osgAnimation/UpdateSkeleton' );
+var UpdateMorph = require( 'osgAnimation/UpdateMorph' );
+var StackedTranslate = require( 'osgAnimation/StackedTranslate' );
+var StackedQuaternion = require( 'osgAnimation/StackedQuaternion' );
+var StackedRotateAxis = require( 'osgAnimation/StackedRotateAxis' );
+var StackedMatrix = require( 'osgAnimation/StackedMatrix' );
+var StackedScale = require( 'osgAnimation/StackedScale' );
+var Skeleton = require( 'osgAnimation/Skeleton' );
+var Bone = require( 'osgAnimation/Bone' );
+var MorphGeometry = require( 'osgAnimation/MorphGeometry' );
+var RigGeometry = require( 'osgAnimation/RigGeometry' );
+var Text = require( 'osgText/Text' );
+
+
+var defaultOptions = {
+
+    // name of the file containing the binary arrays, the url written
+    // in the json is relative to the json file
+    binaryFileName: 'model.bin',
+
+    // replacement of the url written for an osg.Image, the function
+    // will be execute in the context of Output, see Output:writeImageURL
+    writeImageURL: undefined
+};
+
+var primitiveModeNames = [ 'POINTS', 'LINES', 'LINE_LOOP', 'LINE_STRIP', 'TRIANGLES', 'TRIANGLE_STRIP', 'TRIANGLE_FAN' ];
+
+var drawElementsNames = {
+    Uint8Array: 'DrawElementsUByte',
+    Uint16Array: 'DrawElementsUShort',
+    Uint32Array: 'DrawElementsUInt'
+};
+
+var getArrayType = function ( elements ) {
+    if ( elements instanceof MACROUTILS.Float32Array ) return 'Float32Array';
+    if ( elements instanceof MACROUTILS.Uint32Array ) return 'Uint32Array';
+    if ( elements instanceof MACROUTILS.Uint16Array ) return 'Uint16Array';
+    if ( elements instanceof MACROUTILS.Uint8Array ) return 'Uint8Array';
+    return undefined;
+};
+
+var getPrimitiveModeName = function ( mode ) {
+    for ( var i = 0, l = primitiveModeNames.length; i < l; i++ ) {
+        if ( PrimitiveSet[ primitiveModeNames[ i ] ] === mode ) return primitiveModeNames[ i ];
+    }
+    return undefined;
+};
+
+/**
+ * Output walks a scene graph and writes it in the osgjs json format read
+ * by Input, the buffer arrays are written in a binary file readable with
+ * Input.readBinaryArrayURL. Shared objects are written once and then
+ * referenced by their UniqueID.
+ * The json is returned by writeNode and the binary files by getBinaryArrays,
+ * use one Output by scene to write.
+ * @class Output
+ */
+var Output = function () {
+    this._json = undefined;
+    this._identifierMap = new window.Map();
+    this._uniqueID = 0;
+
+    // classes are tested in reverse order, derived classes
+    // must be registered after their parent
+    this._objectRegistry = [];
+
+    this._binaryArrays = [];
+    this._binarySize = 0;
+
+    this._cacheWriteObject = {};
+
+    this.setOptions( MACROUTILS.objectMix( {}, defaultOptions ) );
+
+    this.registerObject( 'osg.Node', Node );
+    this.registerObject( 'osg.MatrixTransform', MatrixTransform );
+    this.registerObject( 'osg.Projection', Projection );
+    this.registerObject( 'osg.LightSource', LightSource );
+    this.registerObject( 'osg.Geometry', Geometry );
+    this.registerObject( 'osg.PagedLOD', PagedLOD );
+    this.registerObject( 'osg.Switch', Switch );
+    this.registerObject( 'osg.Sequence', Sequence );
+    this.registerObject( 'osg.StateSet', StateSet );
+    this.registerObject( 'osg.Material', Material );
+    this.registerObject( 'osg.BlendFunc', BlendFunc );
+    this.registerObject( 'osg.BlendColor', BlendColor );
+    this.registerObject( 'osg.CullFace', CullFace );
+    this.registerObject( 'osg.Stencil', Stencil );
+    this.registerObject( 'osg.Scissor', Scissor );
+    this.registerObject( 'osg.PolygonOffset', PolygonOffset );
+    this.registerObject( 'osg.ClipPlane', ClipPlane );
+    this.registerObject( 'osg.Fog', Fog );
+    this.registerObject( 'osg.Light', Light );
+    this.registerObject( 'osg.Texture', Texture );
+    this.registerObject( 'osgAnimation.BasicAnimationManager', BasicAnimationManager );
+    this.registerObject( 'osgAnimation.UpdateMatrixTransform', UpdateMatrixTransform );
+    this.registerObject( 'osgAnimation.UpdateBone', UpdateBone );
+    this.registerObject( 'osgAnimation.UpdateSkeleton', UpdateSkeleton );
+    this.registerObject( 'osgAnimation.UpdateMorph', UpdateMorph );
+    this.registerObject( 'osgAnimation.StackedTranslate', StackedTranslate );
+    this.registerObject( 'osgAnimation.StackedQuaternion', StackedQuaternion );
+    this.registerObject( 'osgAnimation.StackedRotateAxis', StackedRotateAxis );
+    this.registerObject( 'osgAnimation.StackedMatrix', StackedMatrix );
+    this.registerObject( 'osgAnimation.StackedScale', StackedScale );
+    this.registerObject( 'osgAnimation.Skeleton', Skeleton );
+    this.registerObject( 'osgAnimation.Bone', Bone );
+    this.registerObject( 'osgAnimation.MorphGeometry', MorphGeometry );
+    this.registerObject( 'osgAnimation.RigGeometry', RigGeometry );
+    this.registerObject( 'osgText.Text', Text );
+};
+
+Output.VERSION = 8;
+
+Output.prototype = {
+
+    setOptions: function ( options ) {
+        this._defaultOptions = options;
+    },
+    getOptions: function () {
+        return this._defaultOptions;
+    },
+
+    // used to write objects of a class with the writer of an other
+    // path, typically for your own classes
+    registerObject: function ( fullyQualifiedObjectname, constructor ) {
+        this._objectRegistry.push( {
+            name: fullyQualifiedObjectname,
+            constructor: constructor
+        } );
+    },
+
+    getObjectClassName: function ( obj ) {
+        for ( var i = this._objectRegistry.length - 1; i >= 0; i-- ) {
+            var entry = this._objectRegistry[ i ];
+            if ( obj instanceof entry.constructor ) return entry.name;
+        }
+        return undefined;
+    },
+
+    getJSON: function () {
+        return this._json;
+    },
+
+    setJSON: function ( json ) {
+        this._json = json;
+        return this;
+    },
+
+    // return the json of the scene, the json contains the
+    // url of the binary files given by getBinaryArrays
+    writeNode: function ( node ) {
+        var json = {
+            Generator: 'osgjs',
+            Version: Output.VERSION
+        };
+        return MACROUTILS.objectMix( json, this.writeObject( node ) );
+    },
+
+    // return a map of binary file name and ArrayBuffer
+    getBinaryArrays: function () {
+        var result = {};
+        if ( !this._binaryArrays.length ) return result;
+
+        var buffer = new ArrayBuffer( this._binarySize );
+        var bytes = new Uint8Array( buffer );
+        for ( var i = 0, l = this._binaryArrays.length; i < l; i++ ) {
+            var entry = this._binaryArrays[ i ];
+            var array = entry.array;
+            bytes.set( new Uint8Array( array.buffer, array.byteOffset, array.byteLength ), entry.offset );
+        }
+
+        result[ this._defaultOptions.binaryFileName ] = buffer;
+        return result;
+    },
+
+    writeImageURL: function ( image, options ) {
+        var opt = options === undefined ? this._defaultOptions : options;
+
+        // hook writer
+        if ( opt.writeImageURL ) {
+            return opt.writeImageURL.call( this, image, opt );
+        }
+
+        var url = image.getURL();
+        if ( url === undefined )
+            Notify.warn( 'can\'t write image without url' );
+        return url;
+    },
+
+    writeUserDataContainer: function ( userdata ) {
+        var uniqueID = this._identifierMap.get( userdata );
+        if ( uniqueID !== undefined ) {
+            return {
+                UniqueID: uniqueID
+            };
+        }
+
+        return {
+            UniqueID: this._generateUniqueID( userdata ),
+            Values: userdata
+        };
+    },
+
+    writeBufferArray: function ( bufferArray ) {
+        // morph targets use proxies of their buffer array
+        var buffer = bufferArray.getInitialBufferArray ? bufferArray.getInitialBufferArray() : bufferArray;
+
+        var uniqueID = this._identifierMap.get( buffer );
+        if ( uniqueID !== undefined ) {
+            return {
+                UniqueID: uniqueID
+            };
+        }
+
+        var isElementArray = buffer.getTarget() === BufferArray.ELEMENT_ARRAY_BUFFER;
+        var elements = buffer.getElements();
+        var type = getArrayType( elements );
+        if ( type === undefined ) {
+            type = isElementArray ? 'Uint32Array' : 'Float32Array';
+            elements = new MACROUTILS[ type ]( elements );
+        }
+
+        var jsonArray = {};
+        jsonArray[ type ] = this._writeBinaryArray( elements, buffer.getItemSize() );
+
+        return {
+            UniqueID: this._generateUniqueID( buffer ),
+            Array: jsonArray,
+            ItemSize: buffer.getItemSize(),
+            Type: isElementArray ? 'ELEMENT_ARRAY_BUFFER' : 'ARRAY_BUFFER'
+        };
+    },
+
+    writePrimitiveSet: function ( primitive ) {
+        var json = {};
+        var key, jsonPrimitive;
+
+        if ( primitive instanceof DrawElements ) {
+            key = drawElementsNames[ getArrayType( primitive.getIndices().getElements() ) ] || 'DrawElementsUInt';
+        } else if ( primitive instanceof DrawArrays ) {
+            key = 'DrawArrays';
+        } else if ( primitive instanceof DrawArrayLengths ) {
+            key = 'DrawArrayLengths';
+        } else {
+            Notify.warn( 'can\'t write primitive ' + primitive );
+            return undefined;
+        }
+
+        var uniqueID = this._identifierMap.get( primitive );
+        if ( uniqueID !== undefined ) {
+            json[ key ] = {
+                UniqueID: uniqueID
+            };
+            return json;
+        }
+
+        jsonPrimitive = {
+            UniqueID: this._generateUniqueID( primitive ),
+            Mode: getPrimitiveModeName( primitive.getMode() )
+        };
+
+        if ( primitive instanceof DrawElements ) {
+            jsonPrimitive.Indices = this.writeBufferArray( primitive.getIndices() );
+        } else if ( primitive instanceof DrawArrays ) {
+            jsonPrimitive.First = primitive.getFirst();
+            jsonPrimitive.Count = primitive.getCount();
+        } else {
+            jsonPrimitive.First = primitive.getFirst();
+            jsonPrimitive.ArrayLengths = primitive.getArrayLengths().slice( 0 );
+        }
+
+        json[ key ] = jsonPrimitive;
+        return json;
+    },
+
+    // className is needed for objects that are not instances of
+    // a registered class, eg animations and channels
+    writeObject: function ( obj, className ) {
+        var prop = className || this.getObjectClassName( obj );
+        if ( !prop ) {
+            Notify.warn( 'can\'t find class to write object ' + obj );
+            return undefined;
+        }
+
+        var json = {};
+        var uniqueID = this._identifierMap.get( obj );
+        if ( uniqueID !== undefined ) {
+            json[ prop ] = {
+                UniqueID: uniqueID
+            };
+            return json;
+        }
+
+        var writer = this._getObjectWriter( prop );
+        if ( !writer ) return undefined;
+
+        var prevJson = this._json;
+        var jsonObj = {
+            UniqueID: this._generateUniqueID( obj )
+        };
+
+        var result = writer( this.setJSON( jsonObj ), obj );
+        this.setJSON( prevJson );
+
+        if ( result === undefined ) {
+            Notify.warn( 'can\'t write object ' + prop );
+            this._identifierMap.delete( obj );
+            return undefined;
+        }
+
+        json[ prop ] = jsonObj;
+        return json;
+    },
+
+    _getObjectWriter: function ( prop ) {
+        if ( this._cacheWriteObject[ prop ] )
+            return this._cacheWriteObject[ prop ];
+
+        var ReaderParser = require( 'osgDB/ReaderParser' );
+        var scope = ReaderParser.ObjectWrapper.writers;
+
+        var splittedPath = prop.split( '.' );
+        for ( var i = 0, l = splittedPath.length; i < l; i++ ) {
+            var writer = scope[ splittedPath[ i ] ];
+            if ( writer === undefined ) {
+                Notify.warn( 'can\'t find function to write object ' + prop + ' - undefined' );
+                return undefined;
+            }
+            scope = writer;
+        }
+
+        this._cacheWriteObject[ prop ] = scope;
+        return scope;
+    },
+
+    _generateUniqueID: function ( obj ) {
+        var uniqueID = this._uniqueID++;
+        this._identifierMap.set( obj, uniqueID );
+        return uniqueID;
+    },
+
+    // typed arrays are aligned on 4 bytes so that the reader
+    // can create a view on the binary file
+    _writeBinaryArray: function ( array, itemSize ) {
+        var offset = this._binarySize;
+        this._binaryArrays.push( {
+            array: array,
+            offset: offset
+        } );
+        this._binarySize = offset + Math.ceil( array.byteLength / 4 ) * 4;
+
+        return {
+            File: this._defaultOptions.binaryFileName,
+            Offset: offset,
+            Size: array.length / itemSize
+        };
+    }
+};
+
+module.exports = Output;
@@ -19,6 +19,7 @@ var ReaderParser = {};
 
 ReaderParser.ObjectWrapper = {};
 ReaderParser.ObjectWrapper.serializers = {};
+ReaderParser.ObjectWrapper.writers = {};
 
 ReaderParser.readImage = function ( url, options ) {
     return ReaderParser.registry().readImageURL( url, options );
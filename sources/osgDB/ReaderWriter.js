@@ -0,0 +1,150 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var DrawElements = require( 'osg/DrawElements' );
+var Image = require( 'osg/Image' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+
+/**
+ * ReaderWriter is the base class of osgDB plugins. A plugin declares the
+ * file extensions and mime types it handles and implements any of
+ * readNodeURL, readImageURL or readBinaryArrayURL. Those functions
+ * receive the url already resolved with the prefixURL and the options
+ * of the Input, and return a value or a promise.
+ * Plugins are added to the Registry to be used by Input
+ * @class ReaderWriter
+ */
+var ReaderWriter = function () {
+    this._extensions = {};
+    this._mimeTypes = {};
+};
+
+// decode an utf-8 Uint8Array, used by plugins reading text formats
+// from an ArrayBuffer. Bytes that are not valid utf-8 are decoded one
+// by one as latin-1 characters
+ReaderWriter.decodeText = function ( array ) {
+    if ( window.TextDecoder ) return new window.TextDecoder( 'utf-8' ).decode( array );
+
+    var str = '';
+    var i, l = array.length;
+    for ( i = 0; i < l; i++ ) {
+        var hex = array[ i ].toString( 16 );
+        str += '%' + ( hex.length < 2 ? '0' + hex : hex );
+    }
+
+    try {
+        return decodeURIComponent( str );
+    } catch ( error ) {
+        str = '';
+        for ( i = 0; i < l; i++ ) str += String.fromCharCode( array[ i ] );
+        return str;
+    }
+};
+
+// create an Image from the levels { width, height, data } of a mipmap
+// chain, used by plugins reading compressed textures. The texture of
+// the image uses the internalFormat
+ReaderWriter.createMipmapImage = function ( levels, internalFormat ) {
+    var images = [];
+    for ( var i = 0; i < levels.length; i++ ) {
+        var level = new Image( levels[ i ].data );
+        level.setWidth( levels[ i ].width );
+        level.setHeight( levels[ i ].height );
+        images.push( level );
+    }
+
+    var image = new Image();
+    image.setImage( images );
+    image.setInternalFormat( internalFormat );
+    return image;
+};
+
+// add the primitive drawing the indices of nbVertexes to a geometry,
+// used by plugins reading meshes. Indices above 65535 need 32 bits
+// indices, without OES_element_index_uint in WebGL 1 the vertex
+// attributes are expanded to draw them with DrawArrays
+ReaderWriter.addIndexedPrimitive = function ( geometry, mode, indices, nbVertexes ) {
+    if ( nbVertexes <= 65535 ) {
+        var shortIndices = new BufferArray( BufferArray.ELEMENT_ARRAY_BUFFER, indices instanceof MACROUTILS.Uint16Array ? indices : new MACROUTILS.Uint16Array( indices ), 1, true );
+        geometry.getPrimitiveSetList().push( new DrawElements( mode, shortIndices ) );
+        return;
+    }
+
+    if ( WebGLCaps.instance().getWebGLExtension( 'OES_element_index_uint' ) ) {
+        var intIndices = new BufferArray( BufferArray.ELEMENT_ARRAY_BUFFER, indices instanceof MACROUTILS.Uint32Array ? indices : new MACROUTILS.Uint32Array( indices ), 1, true );
+        geometry.getPrimitiveSetList().push( new DrawElements( mode, intIndices ) );
+        return;
+    }
+
+    Notify.warn( 'ReaderWriter: no OES_element_index_uint to draw the indices of ' + nbVertexes + ' vertexes, the vertexes are expanded' );
+    var vertexAttributes = geometry.getVertexAttributeList();
+    var names = window.Object.keys( vertexAttributes );
+    // the arrays shared by several attributes are expanded once
+    var expandedArrays = new window.Map();
+    for ( var i = 0, l = names.length; i < l; i++ ) {
+        var bufferArray = vertexAttributes[ names[ i ] ];
+        if ( expandedArrays.has( bufferArray ) ) {
+            vertexAttributes[ names[ i ] ] = expandedArrays.get( bufferArray );
+            continue;
+        }
+
+        var itemSize = bufferArray.getItemSize();
+        var elements = bufferArray.getElements();
+        var expanded = new elements.constructor( indices.length * itemSize );
+        for ( var j = 0, nj = indices.length; j < nj; j++ ) {
+            for ( var k = 0; k < itemSize; k++ ) expanded[ j * itemSize + k ] = elements[ indices[ j ] * itemSize + k ];
+        }
+
+        var expandedArray = new BufferArray( BufferArray.ARRAY_BUFFER, expanded, itemSize, true );
+        expandedArray.setNormalize( bufferArray.getNormalize() );
+        expandedArrays.set( bufferArray, expandedArray );
+        vertexAttributes[ names[ i ] ] = expandedArray;
+    }
+    geometry.getPrimitiveSetList().push( new DrawArrays( mode, 0, indices.length ) );
+};
+
+ReaderWriter.prototype = {
+
+    supportsExtension: function ( extension, description ) {
+        this._extensions[ extension.toLowerCase() ] = description || '';
+    },
+
+    supportsMimeType: function ( mimeType ) {
+        this._mimeTypes[ mimeType.toLowerCase() ] = true;
+    },
+
+    getSupportedExtensions: function () {
+        return this._extensions;
+    },
+
+    getSupportedMimeTypes: function () {
+        return window.Object.keys( this._mimeTypes );
+    },
+
+    acceptsExtension: function ( extension ) {
+        return this._extensions[ extension.toLowerCase() ] !== undefined;
+    },
+
+    acceptsMimeType: function ( mimeType ) {
+        return this._mimeTypes[ mimeType.toLowerCase() ] === true;
+    },
+
+    // download a file and report the progress to the progressXHRCallback
+    // of the options (see Input.setProgressXHRCallback)
+    requestFile: function ( url, options, responseType ) {
+        var Input = require( 'osgDB/Input' );
+        var input = new Input();
+        if ( options ) input.setOptions( options );
+
+        return input.requestFile( url, {
+            responseType: responseType,
+            progress: input.getOptions().progressXHRCallback,
+            requestXHRCallback: input.getOptions().requestXHRCallback,
+            cache: input.getOptions().cache
+        } );
+    }
+};
+
+module.exports = ReaderWriter;
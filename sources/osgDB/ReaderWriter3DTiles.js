@@ -0,0 +1,248 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var Tile = require( 'osg/Tile' );
+var Tileset = require( 'osg/Tileset' );
+var BoundingBox = require( 'osg/BoundingBox' );
+var EllipsoidModel = require( 'osg/EllipsoidModel' );
+var Matrix = require( 'osg/Matrix' );
+var Vec3 = require( 'osg/Vec3' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+// b3dm header: magic, version, byteLength and the byte lengths of the
+// feature table and batch table json and binary
+var B3DM_HEADER_SIZE = 28;
+
+var reject = function ( message ) {
+    var error = 'ReaderWriter3DTiles: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+var isRelativeURL = function ( url ) {
+    return !/^(\w+:|\/)/.test( url );
+};
+
+// return the [ center, radius ] of the sphere containing a region in
+// radians [ west, south, east, north, minimum height, maximum height ].
+// The regions are in EPSG:4979 whatever the transforms of the tiles, the
+// sphere is placed in the space of the tile with the inverse of its world
+// matrix
+var computeRegionSphere = ( function () {
+    var ellipsoid = new EllipsoidModel();
+    var point = Vec3.create();
+    var inverse = Matrix.create();
+    var samples = 4;
+
+    var expand = function ( bbox, worldToLocal, latitude, longitude, height ) {
+        ellipsoid.convertLatLongHeightToXYZ( latitude, longitude, height, point );
+        if ( worldToLocal ) Matrix.transformVec3( worldToLocal, point, point );
+        bbox.expandByVec3( point );
+    };
+
+    return function ( region, worldMatrix ) {
+        var worldToLocal = worldMatrix && Matrix.inverse( worldMatrix, inverse ) ? inverse : undefined;
+        var bbox = new BoundingBox();
+        for ( var i = 0; i <= samples; i++ ) {
+            var latitude = region[ 1 ] + ( region[ 3 ] - region[ 1 ] ) * i / samples;
+            for ( var j = 0; j <= samples; j++ ) {
+                var longitude = region[ 0 ] + ( region[ 2 ] - region[ 0 ] ) * j / samples;
+                expand( bbox, worldToLocal, latitude, longitude, region[ 4 ] );
+                expand( bbox, worldToLocal, latitude, longitude, region[ 5 ] );
+            }
+        }
+        return [ bbox.center( Vec3.create() ), bbox.radius() ];
+    };
+} )();
+
+// return the [ center, radius ] of the sphere containing a bounding
+// volume, the world matrix of the tile is used for the regions
+var computeBoundingSphere = function ( volume, worldMatrix ) {
+    if ( volume.sphere ) {
+        var sphere = volume.sphere;
+        return [ Vec3.createAndSet( sphere[ 0 ], sphere[ 1 ], sphere[ 2 ] ), sphere[ 3 ] ];
+    }
+
+    if ( volume.box ) {
+        // center and the three half axes of the box
+        var box = volume.box;
+        var radius2 = 0.0;
+        for ( var i = 3; i < 12; i++ ) radius2 += box[ i ] * box[ i ];
+        return [ Vec3.createAndSet( box[ 0 ], box[ 1 ], box[ 2 ] ), Math.sqrt( radius2 ) ];
+    }
+
+    if ( volume.region ) return computeRegionSphere( volume.region, worldMatrix );
+
+    return undefined;
+};
+
+
+/**
+ * ReaderWriter3DTiles reads 3D Tiles tilesets and their Batched 3D Model
+ * (.b3dm) contents. A tileset is converted to a Tileset node, the
+ * contents of its tiles are loaded by the DatabasePager through the
+ * Registry when the tiles are refined.
+ * The json extension is not registered to keep the osgjs files, tilesets
+ * are read with readNodeURL of this plugin:
+ *
+ *     new ReaderWriter3DTiles().readNodeURL( 'tileset.json' )
+ *
+ * @class ReaderWriter3DTiles
+ */
+var ReaderWriter3DTiles = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'b3dm', 'Batched 3D Model' );
+};
+
+ReaderWriter3DTiles.computeBoundingSphere = computeBoundingSphere;
+
+ReaderWriter3DTiles.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readNodeURL: function ( url, options ) {
+        if ( Registry.getFileExtension( url ) === 'b3dm' ) {
+            return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+                return this.readNode( data, options );
+            }.bind( this ) );
+        }
+
+        // the contents are relative to the tileset
+        var tilesetOptions = MACROUTILS.objectMix( {}, options || {} );
+        tilesetOptions.prefixURL = url.substring( 0, url.lastIndexOf( '/' ) + 1 );
+
+        return this.requestFile( url, options, 'text' ).then( function ( data ) {
+            return this.readNode( data, tilesetOptions );
+        }.bind( this ) );
+    },
+
+    // data can be a b3dm ArrayBuffer, or a tileset json object or string.
+    // The urls of the tileset are relative to the prefixURL of the options
+    readNode: function ( data, options ) {
+        if ( data instanceof window.ArrayBuffer ) return this.readB3DM( data, options );
+
+        var json = data;
+        if ( typeof data === 'string' ) {
+            try {
+                json = JSON.parse( data );
+            } catch ( error ) {
+                return reject( 'can\'t parse tileset ' + error );
+            }
+        }
+        return this.readTileset( json, options );
+    },
+
+    // the tilesetWorldMatrix of the options is the world matrix of the
+    // tile referencing an external tileset
+    readTileset: function ( json, options ) {
+        if ( !json || !json.root ) return reject( 'tileset without root' );
+
+        var tileset = new Tileset();
+        var worldMatrix = options && options.tilesetWorldMatrix || Matrix.create();
+        tileset.setRoot( this._createTile( json.root, tileset, json.root.refine, worldMatrix, options || {} ) );
+        return P.resolve( tileset );
+    },
+
+    _createTile: function ( json, tileset, parentRefine, parentWorldMatrix, options ) {
+        var tile = new Tile();
+        tile.setTileset( tileset );
+        tile.setGeometricError( json.geometricError || 0.0 );
+        // the refine is inherited from the parent tile
+        var refine = json.refine || parentRefine;
+        tile.setRefine( refine && refine.toUpperCase() === Tile.ADD ? Tile.ADD : Tile.REPLACE );
+
+        var worldMatrix = parentWorldMatrix;
+        if ( json.transform ) {
+            var transform = Matrix.copy( json.transform, Matrix.create() );
+            tile.setTransform( transform );
+            worldMatrix = Matrix.mult( parentWorldMatrix, transform, Matrix.create() );
+        }
+
+        var sphere = json.boundingVolume ? computeBoundingSphere( json.boundingVolume, worldMatrix ) : undefined;
+        if ( sphere ) {
+            tile.setCenter( sphere[ 0 ] );
+            tile.setRadius( sphere[ 1 ] );
+        } else {
+            Notify.warn( 'ReaderWriter3DTiles: tile without bounding volume' );
+        }
+
+        // url is the name used by 3D Tiles 0.0
+        var uri = json.content ? json.content.uri || json.content.url : undefined;
+        if ( uri ) {
+            var prefix = isRelativeURL( uri ) && options.prefixURL ? options.prefixURL : '';
+            if ( Registry.getFileExtension( uri ) === 'json' ) {
+                // external tileset, refined with the settings of this tileset
+                var self = this;
+                var externalOptions = MACROUTILS.objectMix( {}, options );
+                externalOptions.tilesetWorldMatrix = worldMatrix;
+                tile.setFunction( 0, function () {
+                    return self.readNodeURL( prefix + uri, externalOptions ).then( function ( external ) {
+                        external.setParentTileset( tileset );
+                        return external;
+                    } );
+                } );
+            } else {
+                tile.setDatabasePath( prefix );
+                tile.setFileName( 0, uri );
+            }
+        }
+
+        var children = json.children || [];
+        for ( var i = 0; i < children.length; i++ ) {
+            tile.addChildTile( this._createTile( children[ i ], tileset, tile.getRefine(), worldMatrix, options ) );
+        }
+
+        return tile;
+    },
+
+    readB3DM: function ( arrayBuffer, options ) {
+        if ( arrayBuffer.byteLength < B3DM_HEADER_SIZE ) return reject( 'b3dm file too small' );
+
+        var view = new DataView( arrayBuffer );
+        var magic = ReaderWriter.decodeText( new Uint8Array( arrayBuffer, 0, 4 ) );
+        if ( magic !== 'b3dm' ) return reject( 'not a b3dm file' );
+
+        var version = view.getUint32( 4, true );
+        if ( version !== 1 ) return reject( 'b3dm version ' + version + ' not supported' );
+
+        var byteLength = view.getUint32( 8, true );
+        var featureTableJSONByteLength = view.getUint32( 12, true );
+        var featureTableBinaryByteLength = view.getUint32( 16, true );
+        var batchTableJSONByteLength = view.getUint32( 20, true );
+        var batchTableBinaryByteLength = view.getUint32( 24, true );
+
+        var featureTable = {};
+        if ( featureTableJSONByteLength ) {
+            var text = ReaderWriter.decodeText( new Uint8Array( arrayBuffer, B3DM_HEADER_SIZE, featureTableJSONByteLength ) );
+            try {
+                featureTable = JSON.parse( text );
+            } catch ( error ) {
+                return reject( 'can\'t parse the feature table ' + error );
+            }
+        }
+
+        var glbOffset = B3DM_HEADER_SIZE + featureTableJSONByteLength + featureTableBinaryByteLength + batchTableJSONByteLength + batchTableBinaryByteLength;
+        var glb = arrayBuffer.slice( glbOffset, Math.min( byteLength, arrayBuffer.byteLength ) );
+
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'glb', 'readNode' );
+        if ( !readerWriter ) return reject( 'no plugin to read the glb of b3dm' );
+
+        return P.resolve( readerWriter.readNode( glb, options ) ).then( function ( node ) {
+            // glTF is y up and 3D Tiles is z up
+            var matrix = Matrix.makeRotate( Math.PI * 0.5, 1.0, 0.0, 0.0, Matrix.create() );
+            var center = featureTable.RTC_CENTER;
+            if ( center ) Matrix.setTrans( matrix, center[ 0 ], center[ 1 ], center[ 2 ] );
+
+            var transform = new MatrixTransform();
+            transform.setMatrix( matrix );
+            transform.addChild( node );
+            return transform;
+        } );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriter3DTiles() );
+
+module.exports = ReaderWriter3DTiles;
@@ -0,0 +1,143 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+// magic and DDS_HEADER, the DDS_HEADER_DXT10 follows for the DX10 fourCC
+var DDS_HEADER_SIZE = 128;
+var DDS_HEADER_DXT10_SIZE = 20;
+
+var DDSD_MIPMAPCOUNT = 0x20000;
+var DDPF_FOURCC = 0x4;
+var DDSCAPS2_CUBEMAP = 0x200;
+
+// compressed formats of the fourCC of the pixel format, without the
+// trailing spaces
+var fourCCFormats = {
+    DXT1: Texture.COMPRESSED_RGBA_S3TC_DXT1_EXT,
+    DXT3: Texture.COMPRESSED_RGBA_S3TC_DXT3_EXT,
+    DXT5: Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+    ATC: Texture.COMPRESSED_RGB_ATC_WEBGL,
+    ATCA: Texture.COMPRESSED_RGBA_ATC_EXPLICIT_ALPHA_WEBGL,
+    ATCI: Texture.COMPRESSED_RGBA_ATC_INTERPOLATED_ALPHA_WEBGL,
+    ETC1: Texture.COMPRESSED_RGB_ETC1_WEBGL
+};
+
+// compressed formats of the DXGI_FORMAT of the DX10 header
+var dxgiFormats = {
+    // BC1_UNORM
+    71: Texture.COMPRESSED_RGBA_S3TC_DXT1_EXT,
+    // BC2_UNORM
+    74: Texture.COMPRESSED_RGBA_S3TC_DXT3_EXT,
+    // BC3_UNORM
+    77: Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+    // BC7_UNORM
+    98: Texture.COMPRESSED_RGBA_BPTC_UNORM_EXT
+};
+
+// size in bytes of the 4x4 blocks of a format
+var getBlockSize = function ( format ) {
+    switch ( format ) {
+    case Texture.COMPRESSED_RGB_S3TC_DXT1_EXT:
+    case Texture.COMPRESSED_RGBA_S3TC_DXT1_EXT:
+    case Texture.COMPRESSED_RGB_ATC_WEBGL:
+    case Texture.COMPRESSED_RGB_ETC1_WEBGL:
+        return 8;
+    default:
+        return 16;
+    }
+};
+
+var reject = function ( message ) {
+    var error = 'ReaderWriterDDS: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+
+/**
+ * ReaderWriterDDS reads the compressed 2D textures of DirectDraw Surface
+ * files with all their mipmaps. The S3TC (DXT1, DXT3, DXT5 and the DX10
+ * BC1, BC2, BC3), BC7, ATC and ETC1 formats are read, the file is rejected
+ * when the format is not supported by the WebGL extensions.
+ * The Image returned gives its compressed format to the Texture:
+ *
+ *     texture.setImage( image );
+ *
+ * @class ReaderWriterDDS
+ */
+var ReaderWriterDDS = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'dds', 'DirectDraw Surface' );
+};
+
+ReaderWriterDDS.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readImageURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readImage( data, options );
+        }.bind( this ) ).then( function ( image ) {
+            image.setURL( url );
+            return image;
+        } );
+    },
+
+    readImage: function ( arrayBuffer ) {
+        if ( arrayBuffer.byteLength < DDS_HEADER_SIZE ) return reject( 'file too small' );
+
+        var header = new Int32Array( arrayBuffer, 0, DDS_HEADER_SIZE / 4 );
+        var magic = ReaderWriter.decodeText( new Uint8Array( arrayBuffer, 0, 4 ) );
+        if ( magic !== 'DDS ' ) return reject( 'not a dds file' );
+
+        if ( header[ 28 ] & DDSCAPS2_CUBEMAP ) return reject( 'cube maps not supported' );
+        if ( !( header[ 20 ] & DDPF_FOURCC ) ) return reject( 'uncompressed formats not supported' );
+
+        var fourCC = ReaderWriter.decodeText( new Uint8Array( arrayBuffer, 84, 4 ) );
+        var dataOffset = DDS_HEADER_SIZE;
+        var format;
+        if ( fourCC === 'DX10' ) {
+            var dxgiFormat = new Uint32Array( arrayBuffer, DDS_HEADER_SIZE, 1 )[ 0 ];
+            format = dxgiFormats[ dxgiFormat ];
+            dataOffset += DDS_HEADER_DXT10_SIZE;
+            if ( format === undefined ) return reject( 'DXGI format ' + dxgiFormat + ' not supported' );
+        } else {
+            format = fourCCFormats[ fourCC.trim() ];
+            if ( format === undefined ) return reject( 'format ' + fourCC + ' not supported' );
+        }
+
+        if ( !WebGLCaps.instance().hasCompressedTextureFormat( format ) ) {
+            return reject( 'format ' + fourCC + ' not supported by the WebGL extensions' );
+        }
+
+        var height = header[ 3 ];
+        var width = header[ 4 ];
+        var nbLevels = header[ 2 ] & DDSD_MIPMAPCOUNT ? Math.max( 1, header[ 7 ] ) : 1;
+        var blockSize = getBlockSize( format );
+
+        var levels = [];
+        for ( var i = 0; i < nbLevels; i++ ) {
+            var size = Math.max( 1, ( width + 3 ) >> 2 ) * Math.max( 1, ( height + 3 ) >> 2 ) * blockSize;
+            if ( dataOffset + size > arrayBuffer.byteLength ) return reject( 'truncated file' );
+
+            levels.push( {
+                width: width,
+                height: height,
+                data: new Uint8Array( arrayBuffer, dataOffset, size )
+            } );
+            dataOffset += size;
+            width = Math.max( 1, width >> 1 );
+            height = Math.max( 1, height >> 1 );
+        }
+
+        return P.resolve( ReaderWriter.createMipmapImage( levels, format ) );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterDDS() );
+
+module.exports = ReaderWriterDDS;
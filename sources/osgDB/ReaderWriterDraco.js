@@ -0,0 +1,214 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Geometry = require( 'osg/Geometry' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var StateSet = require( 'osg/StateSet' );
+var Material = require( 'osg/Material' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+/*eslint new-cap: [2, {"capIsNewExceptions": ["DracoDecoderModule", "Init", "GetEncodedGeometryType", "DecodeBufferToMesh", "DecodeBufferToPointCloud", "GetAttributeId", "GetAttribute", "GetAttributeByUniqueId", "GetAttributeFloatForAllPoints", "GetFaceFromMesh", "GetValue"]}]*/
+
+var reject = function ( message ) {
+    var error = 'ReaderWriterDraco: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+// draco attribute types of the osgjs vertex attributes of a .drc file
+var defaultAttributes = {
+    Vertex: 'POSITION',
+    Normal: 'NORMAL',
+    Color: 'COLOR',
+    TexCoord0: 'TEX_COORD'
+};
+
+// read the values of an attribute as floats, the quantized attributes
+// are dequantized by the decoder
+var readAttribute = function ( module, decoder, geometry, attribute ) {
+    var nbComponents = attribute[ 'num_components' ]();
+    var nbValues = geometry[ 'num_points' ]() * nbComponents;
+    var dracoArray = new module.DracoFloat32Array();
+    decoder.GetAttributeFloatForAllPoints( geometry, attribute, dracoArray );
+
+    var array = new Float32Array( nbValues );
+    for ( var i = 0; i < nbValues; i++ ) array[ i ] = dracoArray.GetValue( i );
+    module.destroy( dracoArray );
+
+    return {
+        array: array,
+        itemSize: nbComponents
+    };
+};
+
+var readIndices = function ( module, decoder, mesh ) {
+    var nbFaces = mesh[ 'num_faces' ]();
+    // drawn with 32 bits indices only if OES_element_index_uint is
+    // supported, see ReaderWriter.addIndexedPrimitive
+    var indices = mesh[ 'num_points' ]() <= 65535 ? new Uint16Array( nbFaces * 3 ) : new Uint32Array( nbFaces * 3 );
+    var dracoArray = new module.DracoInt32Array();
+    for ( var i = 0; i < nbFaces; i++ ) {
+        decoder.GetFaceFromMesh( mesh, i, dracoArray );
+        indices[ i * 3 ] = dracoArray.GetValue( 0 );
+        indices[ i * 3 + 1 ] = dracoArray.GetValue( 1 );
+        indices[ i * 3 + 2 ] = dracoArray.GetValue( 2 );
+    }
+    module.destroy( dracoArray );
+    return indices;
+};
+
+
+/**
+ * ReaderWriterDraco decodes the meshes and point clouds compressed with
+ * Draco, the .drc files and the primitives of glTF assets using the
+ * KHR_draco_mesh_compression extension. The decoder is not part of
+ * osgjs: the module of the draco_decoder.js of Draco is given with
+ * setDecoderModule, or created from window.DracoDecoderModule
+ * @class ReaderWriterDraco
+ */
+var ReaderWriterDraco = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'drc', 'Draco compressed mesh' );
+    this._decoderModule = undefined;
+};
+
+ReaderWriterDraco.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    // module is the Draco decoder module or a promise of it
+    setDecoderModule: function ( module ) {
+        // the module is wrapped because emscripten modules are thenable
+        this._decoderModule = P.resolve( module ).then( function ( decoderModule ) {
+            return {
+                module: decoderModule
+            };
+        } );
+    },
+
+    hasDecoder: function () {
+        return this._decoderModule !== undefined || window.DracoDecoderModule !== undefined;
+    },
+
+    _getDecoderModule: function () {
+        if ( this._decoderModule ) return this._decoderModule;
+        if ( window.DracoDecoderModule === undefined ) return reject( 'no Draco decoder, see setDecoderModule' );
+
+        this._decoderModule = new P( function ( resolve ) {
+            window.DracoDecoderModule( {
+                onModuleLoaded: function ( module ) {
+                    resolve( {
+                        module: module
+                    } );
+                }
+            } );
+        } );
+        return this._decoderModule;
+    },
+
+    // return a promise of the attributes and indices of a compressed
+    // mesh, attributeIds maps the names of the attributes to the unique
+    // id of the draco attributes, the attributes of the .drc files are
+    // found from their type when not given
+    decodeGeometry: function ( arrayBuffer, attributeIds ) {
+        return this._getDecoderModule().then( function ( wrapper ) {
+            var module = wrapper.module;
+            var decoder = new module.Decoder();
+            var buffer = new module.DecoderBuffer();
+            buffer.Init( new Int8Array( arrayBuffer ), arrayBuffer.byteLength );
+
+            var isMesh = decoder.GetEncodedGeometryType( buffer ) === module.TRIANGULAR_MESH;
+            var geometry, status;
+            if ( isMesh ) {
+                geometry = new module.Mesh();
+                status = decoder.DecodeBufferToMesh( buffer, geometry );
+            } else {
+                geometry = new module.PointCloud();
+                status = decoder.DecodeBufferToPointCloud( buffer, geometry );
+            }
+
+            var result;
+            if ( status.ok() && geometry.ptr !== 0 ) {
+                result = {
+                    attributes: {},
+                    indices: isMesh ? readIndices( module, decoder, geometry ) : undefined
+                };
+
+                var names = window.Object.keys( attributeIds || defaultAttributes );
+                for ( var i = 0; i < names.length; i++ ) {
+                    var attribute;
+                    if ( attributeIds ) {
+                        attribute = decoder.GetAttributeByUniqueId( geometry, attributeIds[ names[ i ] ] );
+                    } else {
+                        var id = decoder.GetAttributeId( geometry, module[ defaultAttributes[ names[ i ] ] ] );
+                        attribute = id !== -1 ? decoder.GetAttribute( geometry, id ) : undefined;
+                    }
+                    if ( attribute ) result.attributes[ names[ i ] ] = readAttribute( module, decoder, geometry, attribute );
+                }
+            }
+
+            var error = result ? undefined : status[ 'error_msg' ]();
+            module.destroy( geometry );
+            module.destroy( buffer );
+            module.destroy( decoder );
+
+            if ( error !== undefined ) return reject( 'can\'t decode ' + error );
+            return result;
+        } );
+    },
+
+    readNodeURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readNode( data, options );
+        }.bind( this ) );
+    },
+
+    readNode: function ( arrayBuffer ) {
+        return this.decodeGeometry( arrayBuffer ).then( function ( decoded ) {
+            var geometry = new Geometry();
+            var attributes = decoded.attributes;
+            if ( !attributes.Vertex ) return reject( 'no position attribute' );
+
+            var names = window.Object.keys( attributes );
+            for ( var i = 0; i < names.length; i++ ) {
+                var attribute = attributes[ names[ i ] ];
+                var array = attribute.array;
+                var itemSize = attribute.itemSize;
+
+                // osgjs vertex colors are always rgba
+                if ( names[ i ] === 'Color' && itemSize === 3 ) {
+                    array = new Float32Array( attribute.array.length / 3 * 4 );
+                    for ( var j = 0, k = 0; j < attribute.array.length; j += 3, k += 4 ) {
+                        array[ k ] = attribute.array[ j ];
+                        array[ k + 1 ] = attribute.array[ j + 1 ];
+                        array[ k + 2 ] = attribute.array[ j + 2 ];
+                        array[ k + 3 ] = 1.0;
+                    }
+                    itemSize = 4;
+                }
+                geometry.getVertexAttributeList()[ names[ i ] ] = new BufferArray( BufferArray.ARRAY_BUFFER, array, itemSize );
+            }
+
+            if ( decoded.indices ) {
+                ReaderWriter.addIndexedPrimitive( geometry, PrimitiveSet.TRIANGLES, decoded.indices, attributes.Vertex.array.length / 3 );
+            } else {
+                geometry.getPrimitiveSetList().push( new DrawArrays( PrimitiveSet.POINTS, 0, attributes.Vertex.array.length / 3 ) );
+            }
+
+            // the material enables the vertex colors with the osgShader Compiler
+            if ( attributes.Color ) {
+                var stateSet = new StateSet();
+                stateSet.setAttributeAndModes( new Material() );
+                geometry.setStateSet( stateSet );
+            }
+
+            return geometry;
+        } );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterDraco() );
+
+module.exports = ReaderWriterDraco;
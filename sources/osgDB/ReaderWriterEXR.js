@@ -0,0 +1,208 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var HDRImage = require( 'osgDB/HDRImage' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+var EXR_MAGIC = 20000630;
+
+// flags of the version field
+var TILED_FLAG = 0x200;
+var NON_IMAGE_FLAG = 0x800;
+var MULTIPART_FLAG = 0x1000;
+
+// pixel types of the channels
+var UINT = 0;
+var HALF = 1;
+var FLOAT = 2;
+var pixelSizes = [ 4, 2, 4 ];
+
+// compressions and their number of scanlines per block
+var NO_COMPRESSION = 0;
+var ZIPS_COMPRESSION = 2;
+var ZIP_COMPRESSION = 3;
+var compressionScanlines = {};
+compressionScanlines[ NO_COMPRESSION ] = 1;
+compressionScanlines[ ZIPS_COMPRESSION ] = 1;
+compressionScanlines[ ZIP_COMPRESSION ] = 16;
+
+// offsets of the channels in the rgba colors, the luminance goes to rgb
+var channelOffsets = {
+    R: [ 0 ],
+    G: [ 1 ],
+    B: [ 2 ],
+    A: [ 3 ],
+    Y: [ 0, 1, 2 ]
+};
+
+var reject = function ( message ) {
+    var error = 'ReaderWriterEXR: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+var readString = function ( bytes, offset ) {
+    var end = offset;
+    while ( bytes[ end ] !== 0 ) end++;
+    return ReaderWriter.decodeText( bytes.subarray( offset, end ) );
+};
+
+var readChannels = function ( bytes, view, offset ) {
+    var channels = [];
+    var position = offset;
+    while ( bytes[ position ] !== 0 ) {
+        var name = readString( bytes, position );
+        position += name.length + 1;
+        channels.push( {
+            name: name,
+            pixelType: view.getInt32( position, true ),
+            xSampling: view.getInt32( position + 8, true ),
+            ySampling: view.getInt32( position + 12, true )
+        } );
+        position += 16;
+    }
+    return channels;
+};
+
+// undo the predictor and the interleaving of the zip compression
+var unpredict = function ( data ) {
+    var i;
+    for ( i = 1; i < data.length; i++ ) data[ i ] = ( data[ i - 1 ] + data[ i ] - 128 ) & 0xff;
+
+    var result = new Uint8Array( data.length );
+    var half = ( data.length + 1 ) >> 1;
+    for ( i = 0; i < data.length; i++ ) {
+        result[ i ] = i & 1 ? data[ half + ( i >> 1 ) ] : data[ i >> 1 ];
+    }
+    return result;
+};
+
+var inflate = function ( data ) {
+    var zlib = require( 'zlib' );
+    if ( !zlib || !zlib.Inflate ) return undefined;
+    return new zlib.Inflate( data ).decompress();
+};
+
+
+/**
+ * ReaderWriterEXR reads the OpenEXR scanline images without compression
+ * or compressed with ZIP and ZIPS, the HALF, FLOAT and UINT channels R, G,
+ * B, A and Y are read. The ZIP compression uses the Zlib.Inflate of the
+ * inflate.min.js of zlib.js, like Input uses gunzip.min.js.
+ * See HDRImage for the storage of the Image returned
+ * @class ReaderWriterEXR
+ */
+var ReaderWriterEXR = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'exr', 'OpenEXR' );
+};
+
+ReaderWriterEXR.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readImageURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readImage( data, options );
+        }.bind( this ) ).then( function ( image ) {
+            image.setURL( url );
+            return image;
+        } );
+    },
+
+    readImage: function ( arrayBuffer, options ) {
+        var bytes = new Uint8Array( arrayBuffer );
+        var view = new DataView( arrayBuffer );
+
+        if ( arrayBuffer.byteLength < 8 || view.getUint32( 0, true ) !== EXR_MAGIC ) return reject( 'not an exr file' );
+
+        var version = view.getUint32( 4, true );
+        if ( ( version & 0xff ) !== 2 ) return reject( 'version ' + ( version & 0xff ) + ' not supported' );
+        if ( version & ( TILED_FLAG | NON_IMAGE_FLAG | MULTIPART_FLAG ) ) return reject( 'only single part scanline images are supported' );
+
+        // attributes of the header, ends with an empty name
+        var header = {};
+        var offset = 8;
+        while ( bytes[ offset ] !== 0 ) {
+            var name = readString( bytes, offset );
+            offset += name.length + 1;
+            var type = readString( bytes, offset );
+            offset += type.length + 1;
+            var size = view.getInt32( offset, true );
+            offset += 4;
+
+            if ( type === 'chlist' ) header[ name ] = readChannels( bytes, view, offset );
+            else if ( type === 'compression' || type === 'lineOrder' ) header[ name ] = bytes[ offset ];
+            else if ( type === 'box2i' ) header[ name ] = [ view.getInt32( offset, true ), view.getInt32( offset + 4, true ), view.getInt32( offset + 8, true ), view.getInt32( offset + 12, true ) ];
+            offset += size;
+        }
+        offset++;
+
+        if ( !header.channels || !header.dataWindow ) return reject( 'missing channels or data window' );
+
+        var compression = header.compression || NO_COMPRESSION;
+        var nbScanlines = compressionScanlines[ compression ];
+        if ( nbScanlines === undefined ) return reject( 'compression ' + compression + ' not supported' );
+
+        var channels = header.channels;
+        var lineSize = 0;
+        for ( var c = 0; c < channels.length; c++ ) {
+            if ( channels[ c ].xSampling !== 1 || channels[ c ].ySampling !== 1 ) return reject( 'subsampled channels not supported' );
+            lineSize += pixelSizes[ channels[ c ].pixelType ];
+        }
+
+        var box = header.dataWindow;
+        var width = box[ 2 ] - box[ 0 ] + 1;
+        var height = box[ 3 ] - box[ 1 ] + 1;
+        lineSize *= width;
+
+        // alpha is 1.0 when not in the channels
+        var rgba = new Float32Array( width * height * 4 );
+        for ( var p = 3; p < rgba.length; p += 4 ) rgba[ p ] = 1.0;
+
+        var nbBlocks = Math.ceil( height / nbScanlines );
+        for ( var block = 0; block < nbBlocks; block++ ) {
+            // offsets are uint64, the high words are ignored
+            var blockOffset = view.getUint32( offset + block * 8, true );
+            var firstLine = view.getInt32( blockOffset, true ) - box[ 1 ];
+            var dataSize = view.getInt32( blockOffset + 4, true );
+            var blockLines = Math.min( nbScanlines, height - firstLine );
+            var data = new Uint8Array( arrayBuffer, blockOffset + 8, dataSize );
+
+            // blocks are not compressed when it does not make them smaller
+            if ( compression !== NO_COMPRESSION && dataSize < lineSize * blockLines ) {
+                var inflated = inflate( data );
+                if ( !inflated ) return reject( 'no zlib Inflate to uncompress the zip compression' );
+                data = unpredict( inflated );
+            }
+
+            var dataView = new DataView( data.buffer, data.byteOffset, data.byteLength );
+            var dataOffset = 0;
+            for ( var line = 0; line < blockLines; line++ ) {
+                var rowOffset = ( firstLine + line ) * width * 4;
+                for ( var channel = 0; channel < channels.length; channel++ ) {
+                    var pixelType = channels[ channel ].pixelType;
+                    var targets = channelOffsets[ channels[ channel ].name ];
+
+                    for ( var x = 0; x < width; x++ ) {
+                        var value;
+                        if ( pixelType === HALF ) value = HDRImage.halfToFloat( dataView.getUint16( dataOffset, true ) );
+                        else if ( pixelType === FLOAT ) value = dataView.getFloat32( dataOffset, true );
+                        else if ( pixelType === UINT ) value = dataView.getUint32( dataOffset, true );
+                        dataOffset += pixelSizes[ pixelType ];
+
+                        if ( !targets ) continue;
+                        for ( var t = 0; t < targets.length; t++ ) rgba[ rowOffset + x * 4 + targets[ t ] ] = value;
+                    }
+                }
+            }
+        }
+
+        return P.resolve( HDRImage.createImage( rgba, width, height, options ) );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterEXR() );
+
+module.exports = ReaderWriterEXR;
@@ -0,0 +1,1050 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Node = require( 'osg/Node' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var Geometry = require( 'osg/Geometry' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var DrawElements = require( 'osg/DrawElements' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var StateSet = require( 'osg/StateSet' );
+var PBRMaterial = require( 'osg/PBRMaterial' );
+var Texture = require( 'osg/Texture' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var CullFace = require( 'osg/CullFace' );
+var Matrix = require( 'osg/Matrix' );
+var Vec3 = require( 'osg/Vec3' );
+var Animation = require( 'osgAnimation/Animation' );
+var BasicAnimationManager = require( 'osgAnimation/BasicAnimationManager' );
+var Bone = require( 'osgAnimation/Bone' );
+var Channel = require( 'osgAnimation/Channel' );
+var MorphGeometry = require( 'osgAnimation/MorphGeometry' );
+var RigGeometry = require( 'osgAnimation/RigGeometry' );
+var Skeleton = require( 'osgAnimation/Skeleton' );
+var StackedMatrix = require( 'osgAnimation/StackedMatrix' );
+var StackedQuaternion = require( 'osgAnimation/StackedQuaternion' );
+var StackedScale = require( 'osgAnimation/StackedScale' );
+var StackedTranslate = require( 'osgAnimation/StackedTranslate' );
+var UpdateBone = require( 'osgAnimation/UpdateBone' );
+var UpdateMatrixTransform = require( 'osgAnimation/UpdateMatrixTransform' );
+var UpdateMorph = require( 'osgAnimation/UpdateMorph' );
+var Input = require( 'osgDB/Input' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+var TangentSpaceGenerator = require( 'osgUtil/TangentSpaceGenerator' );
+
+
+// binary glTF header and chunk types
+var GLB_MAGIC = 0x46546C67;
+var GLB_CHUNK_JSON = 0x4E4F534A;
+var GLB_CHUNK_BIN = 0x004E4942;
+
+// STEP interpolation is emulated with linear channels by duplicating keys
+var STEP_EPSILON = 1e-3;
+
+var componentTypes = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+
+// scale applied to normalized integer components
+var normalizedScales = {
+    5120: 1.0 / 127.0,
+    5121: 1.0 / 255.0,
+    5122: 1.0 / 32767.0,
+    5123: 1.0 / 65535.0
+};
+
+// extensions that can be required by the assets, the quantized
+// attributes are converted to floats
+var supportedExtensions = [ 'KHR_mesh_quantization' ];
+
+var typeSizes = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+var attributeNames = {
+    POSITION: 'Vertex',
+    NORMAL: 'Normal',
+    TANGENT: 'Tangent',
+    COLOR_0: 'Color',
+    JOINTS_0: 'Bones',
+    WEIGHTS_0: 'Weights'
+};
+
+var stackedTransformNames = {
+    translation: 'translate',
+    rotation: 'rotate',
+    scale: 'scale'
+};
+
+// texture units of the PBRMaterial maps
+var materialMaps = {
+    baseColor: {
+        unit: 0,
+        setTextureUnit: PBRMaterial.prototype.setBaseColorTextureUnit
+    },
+    metallicRoughness: {
+        unit: 1,
+        setTextureUnit: PBRMaterial.prototype.setMetallicRoughnessTextureUnit
+    },
+    normal: {
+        unit: 2,
+        setTextureUnit: PBRMaterial.prototype.setNormalTextureUnit
+    },
+    occlusion: {
+        unit: 3,
+        setTextureUnit: PBRMaterial.prototype.setOcclusionTextureUnit
+    },
+    emissive: {
+        unit: 4,
+        setTextureUnit: PBRMaterial.prototype.setEmissiveTextureUnit
+    }
+};
+
+// glTF texture infos of a material by PBRMaterial map
+var getTextureInfos = function ( gltfMaterial ) {
+    var pbr = gltfMaterial.pbrMetallicRoughness || {};
+    return {
+        baseColor: pbr.baseColorTexture,
+        metallicRoughness: pbr.metallicRoughnessTexture,
+        normal: gltfMaterial.normalTexture,
+        occlusion: gltfMaterial.occlusionTexture,
+        emissive: gltfMaterial.emissiveTexture
+    };
+};
+
+var getAttributeName = function ( semantic ) {
+    if ( attributeNames[ semantic ] ) return attributeNames[ semantic ];
+    if ( semantic.substr( 0, 9 ) === 'TEXCOORD_' ) return 'TexCoord' + semantic.substr( 9 );
+    return undefined;
+};
+
+var decodeDataURI = function ( uri ) {
+    var comma = uri.indexOf( ',' );
+    var isBase64 = uri.substring( 0, comma ).indexOf( ';base64' ) !== -1;
+    var data = uri.substring( comma + 1 );
+    var str = isBase64 ? window.atob( data ) : decodeURIComponent( data );
+
+    var array = new Uint8Array( str.length );
+    for ( var i = 0, l = str.length; i < l; i++ ) {
+        array[ i ] = str.charCodeAt( i );
+    }
+    return array.buffer;
+};
+
+// the keys and time arrays are created with a slightly bigger array
+// buffer like the osgjs serializers do
+var createKeysAndTimes = function ( size, itemSize ) {
+    return {
+        keys: new Float32Array( new ArrayBuffer( 4 * ( size + 1 ) * itemSize ), 0, size * itemSize ),
+        times: new Float32Array( new ArrayBuffer( 4 * ( size + 1 ) ), 0, size )
+    };
+};
+
+// sampler output is read through an accessor function so that the same
+// code can extract vec3/quat values and a single morph target weight
+// key: key index, part: 0 in tangent, 1 value, 2 out tangent
+var createLinearChannel = function ( times, getValue, itemSize, step, creator, targetName, channelName ) {
+    var nbKeys = times.length;
+    var size = step ? nbKeys * 2 - 1 : nbKeys;
+    var data = createKeysAndTimes( size, itemSize );
+    var keys = data.keys;
+
+    var id = 0;
+    var pushKey = function ( time, key ) {
+        data.times[ id ] = time;
+        for ( var c = 0; c < itemSize; c++ ) keys[ id * itemSize + c ] = getValue( key, 1, c );
+        id++;
+    };
+
+    for ( var i = 0; i < nbKeys; i++ ) {
+        pushKey( times[ i ], i );
+        if ( step && i < nbKeys - 1 ) {
+            var dt = times[ i + 1 ] - times[ i ];
+            pushKey( times[ i + 1 ] - Math.min( STEP_EPSILON, dt * 0.5 ), i );
+        }
+    }
+
+    return creator( keys, data.times, targetName, channelName );
+};
+
+// convert hermite splines to the cubic bezier layout used by osgAnimation
+// [ position, control point in, control point out ] for each key
+var createCubicBezierChannel = function ( times, getValue, itemSize, creator, targetName, channelName ) {
+    var nbKeys = times.length;
+    var data = createKeysAndTimes( nbKeys, itemSize * 3 );
+    var keys = data.keys;
+
+    for ( var i = 0; i < nbKeys; i++ ) {
+        data.times[ i ] = times[ i ];
+        var last = i === nbKeys - 1;
+        var dt = last ? 0.0 : ( times[ i + 1 ] - times[ i ] ) / 3.0;
+        var id = i * itemSize * 3;
+
+        for ( var c = 0; c < itemSize; c++ ) {
+            var value = getValue( i, 1, c );
+            keys[ id + c ] = value;
+            keys[ id + itemSize + c ] = last ? value : value + getValue( i, 2, c ) * dt;
+            keys[ id + itemSize * 2 + c ] = last ? value : getValue( i + 1, 1, c ) - getValue( i + 1, 0, c ) * dt;
+        }
+    }
+
+    return creator( keys, data.times, targetName, channelName );
+};
+
+
+/**
+ * Parse one glTF asset and keep all the data shared while building
+ * the scene graph (buffers, accessors, textures, state sets, nodes)
+ */
+var GLTFParser = function ( options ) {
+    this._input = new Input();
+    if ( options ) this._input.setOptions( options );
+
+    this._json = undefined;
+    this._binaryChunk = undefined;
+    this._buffers = [];
+
+    this._accessors = [];
+    this._bufferArrays = {};
+    this._images = [];
+    this._textures = [];
+    this._stateSets = {};
+    this._imagePromises = [];
+
+    this._nodes = [];
+    this._nodeNames = [];
+    this._parents = [];
+    this._joints = {};
+    this._skeletons = [];
+    this._skinSkeletons = [];
+};
+
+GLTFParser.prototype = {
+
+    parse: function ( data ) {
+        var json = data;
+        if ( data instanceof ArrayBuffer ) {
+            json = this._readBinaryContainer( data );
+        } else if ( typeof data === 'string' ) {
+            json = JSON.parse( data );
+        }
+
+        if ( !json || !json.asset || parseInt( json.asset.version, 10 ) !== 2 ) {
+            return this._reject( 'only glTF 2.0 assets are supported' );
+        }
+
+        var unsupported = ( json.extensionsRequired || [] ).filter( function ( extension ) {
+            if ( extension === 'KHR_draco_mesh_compression' ) return this._getDracoReaderWriter() === undefined;
+            return supportedExtensions.indexOf( extension ) === -1;
+        }, this );
+        if ( unsupported.length ) {
+            return this._reject( 'required extensions not supported ' + unsupported.join( ', ' ) );
+        }
+
+        this._json = json;
+
+        return this._readBuffers().then( this._decodeDracoPrimitives.bind( this ) ).then( function () {
+
+            var root = this._createScene();
+            return P.all( this._imagePromises ).then( function () {
+                return root;
+            } );
+
+        }.bind( this ) );
+    },
+
+    _reject: function ( message ) {
+        var error = 'ReaderWriterGLTF: ' + message;
+        Notify.error( error );
+        return P.reject( new Error( error ) );
+    },
+
+    _readBinaryContainer: function ( arrayBuffer ) {
+        var view = new DataView( arrayBuffer );
+        if ( arrayBuffer.byteLength < 12 || view.getUint32( 0, true ) !== GLB_MAGIC ) {
+            return JSON.parse( ReaderWriter.decodeText( new Uint8Array( arrayBuffer ) ) );
+        }
+
+        var json;
+        var length = Math.min( view.getUint32( 8, true ), arrayBuffer.byteLength );
+        var offset = 12;
+        while ( offset + 8 <= length ) {
+            var chunkLength = view.getUint32( offset, true );
+            var chunkType = view.getUint32( offset + 4, true );
+            offset += 8;
+
+            if ( chunkType === GLB_CHUNK_JSON ) {
+                json = JSON.parse( ReaderWriter.decodeText( new Uint8Array( arrayBuffer, offset, chunkLength ) ) );
+            } else if ( chunkType === GLB_CHUNK_BIN ) {
+                // copy the chunk to get an aligned buffer
+                this._binaryChunk = arrayBuffer.slice( offset, offset + chunkLength );
+            }
+            offset += chunkLength;
+        }
+        return json;
+    },
+
+    _readBuffers: function () {
+        var buffers = this._json.buffers || [];
+        var promises = [];
+
+        for ( var i = 0, l = buffers.length; i < l; i++ ) {
+            var uri = buffers[ i ].uri;
+            if ( uri === undefined ) {
+                if ( i !== 0 || !this._binaryChunk ) return this._reject( 'missing data for buffer ' + i );
+                promises.push( this._binaryChunk );
+            } else if ( uri.substr( 0, 5 ) === 'data:' ) {
+                promises.push( decodeDataURI( uri ) );
+            } else {
+                promises.push( this._input.readBinaryArrayURL( uri ) );
+            }
+        }
+
+        return P.all( promises ).then( function ( arrays ) {
+            this._buffers = arrays;
+        }.bind( this ) );
+    },
+
+    // the plugin of .drc files decodes the compressed primitives when a
+    // Draco decoder is available, see ReaderWriterDraco
+    _getDracoReaderWriter: function () {
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'drc', 'decodeGeometry' );
+        return readerWriter && readerWriter.hasDecoder() ? readerWriter : undefined;
+    },
+
+    // decoded arrays replace the accessors of the compressed primitives,
+    // they are read from their buffer views without a decoder
+    _decodeDracoPrimitives: function () {
+        var readerWriter = this._getDracoReaderWriter();
+        if ( !readerWriter ) return P.resolve();
+
+        var promises = [];
+        var meshes = this._json.meshes || [];
+        for ( var i = 0; i < meshes.length; i++ ) {
+            for ( var j = 0; j < meshes[ i ].primitives.length; j++ ) {
+                var primitive = meshes[ i ].primitives[ j ];
+                var draco = primitive.extensions && primitive.extensions[ 'KHR_draco_mesh_compression' ];
+                if ( draco ) promises.push( this._decodeDracoPrimitive( readerWriter, primitive, draco ) );
+            }
+        }
+        return P.all( promises );
+    },
+
+    _decodeDracoPrimitive: function ( readerWriter, primitive, draco ) {
+        var data = this._getBufferViewData( draco.bufferView );
+        var buffer = data.buffer.slice( data.byteOffset, data.byteOffset + data.byteLength );
+
+        return readerWriter.decodeGeometry( buffer, draco.attributes ).then( function ( decoded ) {
+            var semantics = window.Object.keys( decoded.attributes );
+            for ( var i = 0; i < semantics.length; i++ ) {
+                var index = primitive.attributes[ semantics[ i ] ];
+                if ( index !== undefined ) this._accessors[ index ] = decoded.attributes[ semantics[ i ] ].array;
+            }
+            if ( primitive.indices !== undefined && decoded.indices ) this._accessors[ primitive.indices ] = decoded.indices;
+        }.bind( this ) );
+    },
+
+    _getBufferViewData: function ( index ) {
+        var bufferView = this._json.bufferViews[ index ];
+        return new Uint8Array( this._buffers[ bufferView.buffer ], bufferView.byteOffset || 0, bufferView.byteLength );
+    },
+
+    _getTypedArray: function ( bufferViewIndex, offset, ArrayType, size ) {
+        var bufferView = this._json.bufferViews[ bufferViewIndex ];
+        var buffer = this._buffers[ bufferView.buffer ];
+        var byteOffset = ( bufferView.byteOffset || 0 ) + ( offset || 0 );
+
+        if ( byteOffset % ArrayType.BYTES_PER_ELEMENT === 0 )
+            return new ArrayType( buffer, byteOffset, size );
+
+        return new ArrayType( buffer.slice( byteOffset, byteOffset + size * ArrayType.BYTES_PER_ELEMENT ) );
+    },
+
+    // returns a packed typed array of the accessor component type
+    _readAccessor: function ( index ) {
+        if ( this._accessors[ index ] ) return this._accessors[ index ];
+
+        var accessor = this._json.accessors[ index ];
+        var ArrayType = componentTypes[ accessor.componentType ];
+        var itemSize = typeSizes[ accessor.type ];
+        var count = accessor.count;
+        var size = count * itemSize;
+        var array;
+
+        if ( accessor.bufferView === undefined ) {
+            array = new ArrayType( size );
+        } else {
+            var stride = this._json.bufferViews[ accessor.bufferView ].byteStride;
+            var elementStride = stride ? stride / ArrayType.BYTES_PER_ELEMENT : itemSize;
+
+            if ( elementStride === itemSize ) {
+                array = this._getTypedArray( accessor.bufferView, accessor.byteOffset, ArrayType, size );
+            } else {
+                // interleaved data, copy elements in a packed array
+                var source = this._getTypedArray( accessor.bufferView, accessor.byteOffset, ArrayType, ( count - 1 ) * elementStride + itemSize );
+                array = new ArrayType( size );
+                for ( var i = 0; i < count; i++ ) {
+                    for ( var j = 0; j < itemSize; j++ ) array[ i * itemSize + j ] = source[ i * elementStride + j ];
+                }
+            }
+        }
+
+        var sparse = accessor.sparse;
+        if ( sparse ) {
+            // don't modify the data shared with other accessors
+            if ( accessor.bufferView !== undefined ) array = new ArrayType( array );
+
+            var indices = this._getTypedArray( sparse.indices.bufferView, sparse.indices.byteOffset, componentTypes[ sparse.indices.componentType ], sparse.count );
+            var values = this._getTypedArray( sparse.values.bufferView, sparse.values.byteOffset, ArrayType, sparse.count * itemSize );
+            for ( var k = 0; k < sparse.count; k++ ) {
+                for ( var c = 0; c < itemSize; c++ ) array[ indices[ k ] * itemSize + c ] = values[ k * itemSize + c ];
+            }
+        }
+
+        this._accessors[ index ] = array;
+        return array;
+    },
+
+    _readAccessorAsFloat: function ( index ) {
+        var array = this._readAccessor( index );
+        if ( array instanceof Float32Array ) return array;
+
+        var accessor = this._json.accessors[ index ];
+        if ( !accessor.normalized ) return new Float32Array( array );
+
+        var scale = normalizedScales[ accessor.componentType ];
+        var result = new Float32Array( array.length );
+        for ( var i = 0, l = array.length; i < l; i++ ) {
+            result[ i ] = Math.max( array[ i ] * scale, -1.0 );
+        }
+        return result;
+    },
+
+    _getVertexBufferArray: function ( semantic, index ) {
+        var key = semantic + index;
+        if ( this._bufferArrays[ key ] ) return this._bufferArrays[ key ];
+
+        var itemSize = typeSizes[ this._json.accessors[ index ].type ];
+        var elements = this._readAccessorAsFloat( index );
+
+        // osgjs vertex colors are always rgba
+        if ( semantic === 'COLOR_0' && itemSize === 3 ) {
+            var colors = new Float32Array( elements.length / 3 * 4 );
+            for ( var i = 0, j = 0, l = elements.length; i < l; i += 3, j += 4 ) {
+                colors[ j ] = elements[ i ];
+                colors[ j + 1 ] = elements[ i + 1 ];
+                colors[ j + 2 ] = elements[ i + 2 ];
+                colors[ j + 3 ] = 1.0;
+            }
+            elements = colors;
+            itemSize = 4;
+        }
+
+        var bufferArray = new BufferArray( BufferArray.ARRAY_BUFFER, elements, itemSize );
+        this._bufferArrays[ key ] = bufferArray;
+        return bufferArray;
+    },
+
+    _getIndexBufferArray: function ( index ) {
+        var key = 'indices' + index;
+        if ( this._bufferArrays[ key ] ) return this._bufferArrays[ key ];
+
+        var elements = this._readAccessor( index );
+        if ( elements instanceof Uint8Array ) elements = new Uint16Array( elements );
+
+        var bufferArray = new BufferArray( BufferArray.ELEMENT_ARRAY_BUFFER, elements, 1, true );
+        this._bufferArrays[ key ] = bufferArray;
+        return bufferArray;
+    },
+
+    _readImage: function ( index ) {
+        if ( this._images[ index ] ) return this._images[ index ];
+
+        var gltfImage = this._json.images[ index ];
+        var url = gltfImage.uri;
+        var objectURL;
+        if ( gltfImage.bufferView !== undefined ) {
+            var blob = new window.Blob( [ this._getBufferViewData( gltfImage.bufferView ) ], {
+                type: gltfImage.mimeType
+            } );
+            url = objectURL = window.URL.createObjectURL( blob );
+        }
+
+        var options = MACROUTILS.objectMix( {}, this._input.getOptions() );
+        options.imageLoadingUsePromise = true;
+
+        var promise = this._input.readImageURL( url, options ).then( function ( image ) {
+            if ( objectURL ) window.URL.revokeObjectURL( objectURL );
+            return image;
+        } );
+
+        this._images[ index ] = promise;
+        return promise;
+    },
+
+    _getTexture: function ( index ) {
+        if ( this._textures[ index ] ) return this._textures[ index ];
+
+        var gltfTexture = this._json.textures[ index ];
+        if ( gltfTexture.source === undefined ) return undefined;
+
+        var sampler = gltfTexture.sampler !== undefined ? this._json.samplers[ gltfTexture.sampler ] : {};
+
+        var texture = new Texture();
+        if ( gltfTexture.name ) texture.setName( gltfTexture.name );
+
+        // glTF texture coordinates have their origin at the top left corner
+        texture.setFlipY( false );
+        texture.setWrapS( sampler.wrapS || Texture.REPEAT );
+        texture.setWrapT( sampler.wrapT || Texture.REPEAT );
+        texture.setMinFilter( sampler.minFilter || Texture.LINEAR_MIPMAP_LINEAR );
+        texture.setMagFilter( sampler.magFilter || Texture.LINEAR );
+
+        this._imagePromises.push( this._readImage( gltfTexture.source ).then( function ( image ) {
+            texture.setImage( image );
+        } ) );
+
+        this._textures[ index ] = texture;
+        return texture;
+    },
+
+    _getMaterial: function ( index ) {
+        return index === undefined ? {} : this._json.materials[ index ];
+    },
+
+    // each map of the PBRMaterial has its own texture unit, see materialMaps
+    _getStateSet: function ( index ) {
+        var key = index === undefined ? 'default' : index;
+        if ( this._stateSets[ key ] ) return this._stateSets[ key ];
+
+        var gltfMaterial = this._getMaterial( index );
+        var pbr = gltfMaterial.pbrMetallicRoughness || {};
+
+        var stateSet = new StateSet();
+        if ( gltfMaterial.name ) stateSet.setName( gltfMaterial.name );
+
+        var material = new PBRMaterial();
+        if ( pbr.baseColorFactor ) material.setBaseColor( pbr.baseColorFactor );
+        if ( pbr.metallicFactor !== undefined ) material.setMetallic( pbr.metallicFactor );
+        if ( pbr.roughnessFactor !== undefined ) material.setRoughness( pbr.roughnessFactor );
+        if ( gltfMaterial.emissiveFactor ) material.setEmissive( gltfMaterial.emissiveFactor );
+        stateSet.setAttributeAndModes( material );
+
+        var textureInfos = getTextureInfos( gltfMaterial );
+        var names = window.Object.keys( materialMaps );
+        for ( var i = 0, l = names.length; i < l; i++ ) {
+            var textureInfo = textureInfos[ names[ i ] ];
+            var texture = textureInfo && this._getTexture( textureInfo.index );
+            if ( !texture ) continue;
+
+            var map = materialMaps[ names[ i ] ];
+            stateSet.setTextureAttributeAndModes( map.unit, texture );
+            map.setTextureUnit.call( material, map.unit );
+        }
+
+        if ( gltfMaterial.alphaMode === 'BLEND' ) {
+            stateSet.setAttributeAndModes( new BlendFunc( BlendFunc.SRC_ALPHA, BlendFunc.ONE_MINUS_SRC_ALPHA ) );
+            stateSet.setRenderingHint( 'TRANSPARENT_BIN' );
+        }
+
+        stateSet.setAttributeAndModes( new CullFace( gltfMaterial.doubleSided ? CullFace.DISABLE : CullFace.BACK ) );
+
+        this._stateSets[ key ] = stateSet;
+        return stateSet;
+    },
+
+    _createGeometry: function ( primitive, GeometryType ) {
+        var geometry = new GeometryType();
+        var attributes = primitive.attributes;
+        var vertexAttributes = geometry.getVertexAttributeList();
+
+        var semantics = window.Object.keys( attributes );
+        for ( var i = 0, l = semantics.length; i < l; i++ ) {
+            var semantic = semantics[ i ];
+            var name = getAttributeName( semantic );
+            if ( !name ) {
+                Notify.warn( 'ReaderWriterGLTF: attribute ' + semantic + ' not supported' );
+                continue;
+            }
+            vertexAttributes[ name ] = this._getVertexBufferArray( semantic, attributes[ semantic ] );
+        }
+
+        var mode = primitive.mode !== undefined ? primitive.mode : PrimitiveSet.TRIANGLES;
+        var nbVertexes = this._json.accessors[ attributes.POSITION ].count;
+        var indices = primitive.indices !== undefined ? this._getIndexBufferArray( primitive.indices ) : undefined;
+        if ( indices && indices.getElements() instanceof Uint32Array ) {
+            // 32 bits indices need OES_element_index_uint
+            ReaderWriter.addIndexedPrimitive( geometry, mode, indices.getElements(), nbVertexes );
+        } else if ( indices ) {
+            geometry.getPrimitiveSetList().push( new DrawElements( mode, indices ) );
+        } else {
+            geometry.getPrimitiveSetList().push( new DrawArrays( mode, 0, nbVertexes ) );
+        }
+
+        geometry.setStateSet( this._getStateSet( primitive.material ) );
+        this._setMaterialTexCoords( geometry, primitive );
+        return geometry;
+    },
+
+    // the maps are sampled with the TexCoord of their texture unit, it is
+    // the TEXCOORD_n of the texCoord of their glTF texture info
+    _setMaterialTexCoords: function ( geometry, primitive ) {
+        var textureInfos = getTextureInfos( this._getMaterial( primitive.material ) );
+        var vertexAttributes = geometry.getVertexAttributeList();
+
+        var names = window.Object.keys( materialMaps );
+        for ( var i = 0, l = names.length; i < l; i++ ) {
+            var textureInfo = textureInfos[ names[ i ] ];
+            if ( !textureInfo ) continue;
+
+            var semantic = 'TEXCOORD_' + ( textureInfo.texCoord || 0 );
+            if ( primitive.attributes[ semantic ] === undefined ) continue;
+            vertexAttributes[ 'TexCoord' + materialMaps[ names[ i ] ].unit ] = this._getVertexBufferArray( semantic, primitive.attributes[ semantic ] );
+        }
+
+        // the normal map needs tangents
+        if ( textureInfos.normal && !vertexAttributes.Tangent ) this._generateTangents( geometry );
+    },
+
+    _generateTangents: function ( geometry ) {
+        var vertexAttributes = geometry.getVertexAttributeList();
+        var unit = materialMaps.normal.unit;
+        var indexed = geometry.getPrimitiveSetList().every( function ( primitiveSet ) {
+            return primitiveSet.getIndices !== undefined;
+        } );
+        if ( !vertexAttributes.Normal || !vertexAttributes[ 'TexCoord' + unit ] || !indexed ) {
+            Notify.warn( 'ReaderWriterGLTF: tangents of the normal map not generated without normals, texture coordinates or indices' );
+            return;
+        }
+
+        // the generator replaces the normals of the buffer array, it can be
+        // shared with other primitives
+        vertexAttributes.Normal = new BufferArray( BufferArray.ARRAY_BUFFER, vertexAttributes.Normal.getElements(), 3 );
+        new TangentSpaceGenerator().generate( geometry, unit );
+    },
+
+    // osgjs morph targets are absolute values where glTF stores displacements
+    _createMorphBufferArray: function ( baseIndex, displacementIndex ) {
+        var base = this._readAccessorAsFloat( baseIndex );
+        var elements = new Float32Array( base );
+        if ( displacementIndex !== undefined ) {
+            var displacement = this._readAccessorAsFloat( displacementIndex );
+            for ( var i = 0, l = elements.length; i < l; i++ ) elements[ i ] += displacement[ i ];
+        }
+        return new BufferArray( BufferArray.ARRAY_BUFFER, elements, 3 );
+    },
+
+    _addMorphTargets: function ( morph, primitive ) {
+        var attributes = primitive.attributes;
+        var gltfTargets = primitive.targets;
+
+        // all the targets must have the same vertex attributes
+        var hasNormal = false;
+        for ( var i = 0, l = gltfTargets.length; i < l; i++ ) {
+            if ( gltfTargets[ i ].NORMAL !== undefined ) hasNormal = attributes.NORMAL !== undefined;
+        }
+
+        var targets = morph.getMorphTargets();
+        for ( var t = 0, nt = gltfTargets.length; t < nt; t++ ) {
+            var target = new Geometry();
+            var vertexAttributes = target.getVertexAttributeList();
+            vertexAttributes.Vertex = this._createMorphBufferArray( attributes.POSITION, gltfTargets[ t ].POSITION );
+            if ( hasNormal ) vertexAttributes.Normal = this._createMorphBufferArray( attributes.NORMAL, gltfTargets[ t ].NORMAL );
+            targets.push( target );
+        }
+    },
+
+    // bones bounding boxes are needed for culling, they are computed
+    // in bone space from the vertices they influence
+    _expandBoneBoundingBoxes: function ( skinIndex, primitive ) {
+        var attributes = primitive.attributes;
+        if ( attributes.JOINTS_0 === undefined || attributes.WEIGHTS_0 === undefined ) return;
+
+        var joints = this._json.skins[ skinIndex ].joints;
+        var vertices = this._readAccessorAsFloat( attributes.POSITION );
+        var bones = this._readAccessor( attributes.JOINTS_0 );
+        var weights = this._readAccessorAsFloat( attributes.WEIGHTS_0 );
+        var vertex = Vec3.create();
+
+        for ( var i = 0, l = vertices.length / 3; i < l; i++ ) {
+            for ( var j = 0; j < 4; j++ ) {
+                if ( weights[ i * 4 + j ] === 0.0 ) continue;
+
+                var bone = this._nodes[ joints[ bones[ i * 4 + j ] ] ];
+                Vec3.set( vertices[ i * 3 ], vertices[ i * 3 + 1 ], vertices[ i * 3 + 2 ], vertex );
+                Matrix.transformVec3( bone.getInvBindMatrixInSkeletonSpace(), vertex, vertex );
+                bone.getBoneBoundingBox().expandByVec3( vertex );
+            }
+        }
+    },
+
+    _createMeshGeometries: function ( nodeIndex, parent ) {
+        var gltfNode = this._json.nodes[ nodeIndex ];
+        var mesh = this._json.meshes[ gltfNode.mesh ];
+        var name = this._nodeNames[ nodeIndex ];
+        var skinIndex = gltfNode.skin;
+        var nbTargets = 0;
+
+        for ( var i = 0, l = mesh.primitives.length; i < l; i++ ) {
+            var primitive = mesh.primitives[ i ];
+            var hasTargets = primitive.targets && primitive.targets.length;
+
+            var geometry = this._createGeometry( primitive, hasTargets ? MorphGeometry : Geometry );
+
+            // UpdateMorph finds its morph geometries by name
+            geometry.setName( hasTargets ? name : mesh.name || name );
+
+            if ( hasTargets ) {
+                this._addMorphTargets( geometry, primitive );
+                nbTargets = Math.max( nbTargets, primitive.targets.length );
+            }
+
+            if ( skinIndex !== undefined ) {
+                var rig = new RigGeometry();
+                rig.setName( geometry.getName() );
+                rig._boneNameID = this._getBoneMap( skinIndex );
+                rig.setSourceGeometry( geometry );
+                rig.mergeChildrenData();
+                this._expandBoneBoundingBoxes( skinIndex, primitive );
+                geometry = rig;
+            } else if ( hasTargets ) {
+                geometry.mergeChildrenVertexAttributeList();
+            }
+
+            parent.addChild( geometry );
+        }
+
+        if ( !nbTargets ) return;
+
+        var weights = gltfNode.weights || mesh.weights || [];
+        var updateMorph = new UpdateMorph();
+        updateMorph.setName( name );
+        for ( var t = 0; t < nbTargets; t++ ) {
+            updateMorph.addTarget( name, t );
+            var target = updateMorph.getTarget( t );
+            target.value = target.defaultValue = weights[ t ] || 0.0;
+        }
+        parent.addUpdateCallback( updateMorph );
+    },
+
+    _getBoneMap: function ( skinIndex ) {
+        var joints = this._json.skins[ skinIndex ].joints;
+        var boneMap = {};
+        for ( var i = 0, l = joints.length; i < l; i++ ) {
+            boneMap[ this._nodeNames[ joints[ i ] ] ] = i;
+        }
+        return boneMap;
+    },
+
+    _computeNodeNames: function () {
+        var nodes = this._json.nodes || [];
+        var used = {};
+        for ( var i = 0, l = nodes.length; i < l; i++ ) {
+            var name = nodes[ i ].name || 'node' + i;
+            if ( used[ name ] ) name += '_' + i;
+            used[ name ] = true;
+            this._nodeNames[ i ] = name;
+
+            var children = nodes[ i ].children || [];
+            for ( var j = 0, nj = children.length; j < nj; j++ ) this._parents[ children[ j ] ] = i;
+        }
+    },
+
+    _createNode: function ( index, animated ) {
+        var gltfNode = this._json.nodes[ index ];
+        var name = this._nodeNames[ index ];
+        var isJoint = this._joints[ index ];
+        var node = isJoint ? new Bone() : new MatrixTransform();
+        node.setName( name );
+
+        var translation = gltfNode.translation || Vec3.zero;
+        var rotation = gltfNode.rotation || [ 0.0, 0.0, 0.0, 1.0 ];
+        var scale = gltfNode.scale || Vec3.one;
+
+        var matrix = node.getMatrix();
+        if ( gltfNode.matrix ) {
+            Matrix.copy( gltfNode.matrix, matrix );
+        } else {
+            Matrix.makeRotateFromQuat( rotation, matrix );
+            Matrix.preMultScale( matrix, scale );
+            Matrix.setTrans( matrix, translation[ 0 ], translation[ 1 ], translation[ 2 ] );
+        }
+
+        if ( !isJoint && !animated ) return node;
+
+        // bones always need an update callback to compute their matrix
+        // in skeleton space
+        var callback = isJoint ? new UpdateBone() : new UpdateMatrixTransform();
+        callback.setName( name );
+
+        var stackedTransforms = callback.getStackedTransforms();
+        if ( gltfNode.matrix ) {
+            stackedTransforms.push( new StackedMatrix( 'matrix', gltfNode.matrix ) );
+        } else {
+            stackedTransforms.push( new StackedTranslate( 'translate', translation ) );
+            stackedTransforms.push( new StackedQuaternion( 'rotate', rotation ) );
+            stackedTransforms.push( new StackedScale( 'scale', scale ) );
+        }
+        callback.computeChannels();
+        node.addUpdateCallback( callback );
+
+        return node;
+    },
+
+    // bones are the joints of skins, a Skeleton is inserted above the
+    // root joints of each skin
+    _createSkins: function () {
+        var skins = this._json.skins || [];
+        var i, j, l, nj;
+
+        for ( i = 0, l = skins.length; i < l; i++ ) {
+            var joints = skins[ i ].joints;
+            for ( j = 0, nj = joints.length; j < nj; j++ ) this._joints[ joints[ j ] ] = true;
+        }
+
+        for ( i = 0, l = skins.length; i < l; i++ ) {
+            var skin = skins[ i ];
+            var skinJoints = {};
+            for ( j = 0, nj = skin.joints.length; j < nj; j++ ) skinJoints[ skin.joints[ j ] ] = true;
+
+            var roots = [];
+            var skeleton;
+            for ( j = 0, nj = skin.joints.length; j < nj; j++ ) {
+                var joint = skin.joints[ j ];
+                if ( skinJoints[ this._parents[ joint ] ] ) continue;
+                roots.push( joint );
+                skeleton = skeleton || this._skeletons[ joint ];
+            }
+
+            if ( !skeleton ) {
+                skeleton = new Skeleton();
+                skeleton.setName( skin.name || 'skeleton' + i );
+                skeleton.setDefaultUpdateCallback();
+            }
+
+            for ( j = 0, nj = roots.length; j < nj; j++ ) {
+                if ( this._parents[ roots[ j ] ] !== this._parents[ roots[ 0 ] ] )
+                    Notify.warn( 'ReaderWriterGLTF: root joints of skin ' + i + ' have different parents' );
+                this._skeletons[ roots[ j ] ] = skeleton;
+            }
+            this._skinSkeletons[ i ] = skeleton;
+        }
+    },
+
+    _setInverseBindMatrices: function () {
+        var skins = this._json.skins || [];
+        for ( var i = 0, l = skins.length; i < l; i++ ) {
+            var skin = skins[ i ];
+            if ( skin.inverseBindMatrices === undefined ) continue;
+
+            var matrices = this._readAccessorAsFloat( skin.inverseBindMatrices );
+            for ( var j = 0, nj = skin.joints.length; j < nj; j++ ) {
+                this._nodes[ skin.joints[ j ] ].setInvBindMatrixInSkeletonSpace( matrices.subarray( j * 16, j * 16 + 16 ) );
+            }
+        }
+    },
+
+    _addChild: function ( parent, index ) {
+        var child = this._nodes[ index ];
+        var skeleton = this._skeletons[ index ];
+        if ( !skeleton ) {
+            parent.addChild( child );
+            return;
+        }
+
+        if ( !skeleton.getParents().length ) parent.addChild( skeleton );
+        skeleton.addChild( child );
+    },
+
+    _getAnimatedNodes: function () {
+        var animated = {};
+        var animations = this._json.animations || [];
+        for ( var i = 0, l = animations.length; i < l; i++ ) {
+            var channels = animations[ i ].channels;
+            for ( var j = 0, nj = channels.length; j < nj; j++ ) {
+                var target = channels[ j ].target;
+                if ( stackedTransformNames[ target.path ] ) animated[ target.node ] = true;
+            }
+        }
+        return animated;
+    },
+
+    _createChannels: function ( gltfChannel, sampler, channels ) {
+        var target = gltfChannel.target;
+        var targetName = this._nodeNames[ target.node ];
+        var times = this._readAccessorAsFloat( sampler.input );
+        var values = this._readAccessorAsFloat( sampler.output );
+        var interpolation = sampler.interpolation || 'LINEAR';
+        var cubic = interpolation === 'CUBICSPLINE';
+        var step = interpolation === 'STEP';
+        var nbParts = cubic ? 3 : 1;
+
+        if ( target.path === 'weights' ) {
+            var nbTargets = values.length / ( times.length * nbParts );
+            var createWeightGetter = function ( t ) {
+                return function ( key, part ) {
+                    return values[ ( key * nbParts + ( cubic ? part : 0 ) ) * nbTargets + t ];
+                };
+            };
+
+            for ( var t = 0; t < nbTargets; t++ ) {
+                if ( cubic ) channels.push( createCubicBezierChannel( times, createWeightGetter( t ), 1, Channel.createFloatCubicBezierChannel, targetName, String( t ) ) );
+                else channels.push( createLinearChannel( times, createWeightGetter( t ), 1, step, Channel.createFloatChannel, targetName, String( t ) ) );
+            }
+            return;
+        }
+
+        var channelName = stackedTransformNames[ target.path ];
+        if ( !channelName ) {
+            Notify.warn( 'ReaderWriterGLTF: animation path ' + target.path + ' not supported' );
+            return;
+        }
+
+        var isRotation = target.path === 'rotation';
+        var itemSize = isRotation ? 4 : 3;
+        var getValue = function ( key, part, component ) {
+            return values[ ( key * nbParts + ( cubic ? part : 0 ) ) * itemSize + component ];
+        };
+
+        // there is no cubic quaternion channel, rotations fall back to
+        // a linear interpolation of the spline values
+        if ( cubic && !isRotation ) {
+            channels.push( createCubicBezierChannel( times, getValue, itemSize, Channel.createVec3CubicBezierChannel, targetName, channelName ) );
+        } else {
+            var creator = isRotation ? Channel.createQuatChannel : Channel.createVec3Channel;
+            channels.push( createLinearChannel( times, getValue, itemSize, step, creator, targetName, channelName ) );
+        }
+    },
+
+    _createAnimationManager: function () {
+        var gltfAnimations = this._json.animations || [];
+        var animations = [];
+        var names = {};
+
+        for ( var i = 0, l = gltfAnimations.length; i < l; i++ ) {
+            var gltfAnimation = gltfAnimations[ i ];
+            var channels = [];
+            for ( var j = 0, nj = gltfAnimation.channels.length; j < nj; j++ ) {
+                var gltfChannel = gltfAnimation.channels[ j ];
+                if ( gltfChannel.target.node === undefined ) continue;
+                this._createChannels( gltfChannel, gltfAnimation.samplers[ gltfChannel.sampler ], channels );
+            }
+
+            if ( !channels.length ) continue;
+
+            var name = gltfAnimation.name || 'animation' + i;
+            if ( names[ name ] ) name += '_' + i;
+            names[ name ] = true;
+            animations.push( Animation.createAnimation( channels, name ) );
+        }
+
+        if ( !animations.length ) return undefined;
+
+        var manager = new BasicAnimationManager();
+        manager.init( animations );
+        return manager;
+    },
+
+    _createScene: function () {
+        var json = this._json;
+        var nodes = json.nodes || [];
+        var i, l;
+
+        this._computeNodeNames();
+        this._createSkins();
+
+        var animated = this._getAnimatedNodes();
+        for ( i = 0, l = nodes.length; i < l; i++ ) this._nodes[ i ] = this._createNode( i, animated[ i ] );
+
+        this._setInverseBindMatrices();
+
+        for ( i = 0, l = nodes.length; i < l; i++ ) {
+            var children = nodes[ i ].children || [];
+            for ( var j = 0, nj = children.length; j < nj; j++ ) this._addChild( this._nodes[ i ], children[ j ] );
+        }
+
+        var root = new Node();
+        var roots;
+        var scene = json.scenes && json.scenes[ json.scene || 0 ];
+        if ( scene ) {
+            if ( scene.name ) root.setName( scene.name );
+            roots = scene.nodes || [];
+        } else {
+            roots = [];
+            for ( i = 0, l = nodes.length; i < l; i++ ) {
+                if ( this._parents[ i ] === undefined ) roots.push( i );
+            }
+        }
+        for ( i = 0, l = roots.length; i < l; i++ ) this._addChild( root, roots[ i ] );
+
+        for ( i = 0, l = nodes.length; i < l; i++ ) {
+            if ( nodes[ i ].mesh === undefined ) continue;
+
+            var parent = this._nodes[ i ];
+            // glTF ignores the transform of skinned mesh nodes, rigs are
+            // attached directly to the skeleton
+            if ( nodes[ i ].skin !== undefined ) {
+                parent = new Node();
+                parent.setName( this._nodeNames[ i ] );
+                this._skinSkeletons[ nodes[ i ].skin ].addChild( parent );
+            }
+            this._createMeshGeometries( i, parent );
+        }
+
+        var manager = this._createAnimationManager();
+        if ( manager ) root.addUpdateCallback( manager );
+
+        return root;
+    }
+};
+
+
+/**
+ * ReaderWriterGLTF converts glTF 2.0 assets (.gltf and .glb) to an
+ * osgjs scene graph, the materials are PBRMaterials, skins and morph
+ * targets are converted to osgAnimation nodes and animations are played by a
+ * BasicAnimationManager set on the returned node. The primitives
+ * compressed with KHR_draco_mesh_compression are decoded by
+ * ReaderWriterDraco when it has a decoder
+ * @class ReaderWriterGLTF
+ */
+var ReaderWriterGLTF = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'gltf', 'glTF 2.0 json' );
+    this.supportsExtension( 'glb', 'glTF 2.0 binary' );
+    this.supportsMimeType( 'model/gltf+json' );
+    this.supportsMimeType( 'model/gltf-binary' );
+};
+
+ReaderWriterGLTF.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readNodeURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readNode( data, options );
+        }.bind( this ) );
+    },
+
+    // data can be a glTF json object or string, or an ArrayBuffer
+    // containing a .gltf or .glb file
+    readNode: function ( data, options ) {
+        return new GLTFParser( options ).parse( data );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterGLTF() );
+
+module.exports = ReaderWriterGLTF;
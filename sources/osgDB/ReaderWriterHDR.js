@@ -0,0 +1,123 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var HDRImage = require( 'osgDB/HDRImage' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+var reject = function ( message ) {
+    var error = 'ReaderWriterHDR: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+// return the index after the end of the line starting at offset
+var readLine = function ( bytes, offset ) {
+    var end = offset;
+    while ( end < bytes.length && bytes[ end ] !== 10 ) end++;
+    return end + 1;
+};
+
+// decode a run length encoded scanline, the four channels follow each
+// other. return the offset after the scanline or -1 for bad data
+var readRLEScanline = function ( bytes, offset, width, scanline ) {
+    var readOffset = offset + 4;
+    for ( var channel = 0; channel < 4; channel++ ) {
+        var x = 0;
+        while ( x < width ) {
+            if ( readOffset >= bytes.length ) return -1;
+            var count = bytes[ readOffset++ ];
+
+            if ( count > 128 ) {
+                // a run of the same value
+                count -= 128;
+                if ( count > width - x ) return -1;
+                var value = bytes[ readOffset++ ];
+                while ( count-- > 0 ) scanline[ ( x++ ) * 4 + channel ] = value;
+            } else {
+                if ( count === 0 || count > width - x ) return -1;
+                while ( count-- > 0 ) scanline[ ( x++ ) * 4 + channel ] = bytes[ readOffset++ ];
+            }
+        }
+    }
+    return readOffset;
+};
+
+var isRLEScanline = function ( bytes, offset, width ) {
+    if ( width < 8 || width > 0x7fff ) return false;
+    return bytes[ offset ] === 2 && bytes[ offset + 1 ] === 2 && ( bytes[ offset + 2 ] & 0x80 ) === 0 &&
+        ( ( bytes[ offset + 2 ] << 8 ) | bytes[ offset + 3 ] ) === width;
+};
+
+
+/**
+ * ReaderWriterHDR reads the Radiance RGBE (.hdr) images, the flat and
+ * run length encoded scanlines are supported. See HDRImage for the
+ * storage of the Image returned
+ * @class ReaderWriterHDR
+ */
+var ReaderWriterHDR = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'hdr', 'Radiance RGBE' );
+};
+
+ReaderWriterHDR.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readImageURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readImage( data, options );
+        }.bind( this ) ).then( function ( image ) {
+            image.setURL( url );
+            return image;
+        } );
+    },
+
+    readImage: function ( arrayBuffer, options ) {
+        var bytes = new Uint8Array( arrayBuffer );
+
+        var offset = readLine( bytes, 0 );
+        var line = ReaderWriter.decodeText( bytes.subarray( 0, offset - 1 ) );
+        if ( line !== '#?RADIANCE' && line !== '#?RGBE' ) return reject( 'not a radiance file' );
+
+        // the header ends with an empty line
+        var format = '32-bit_rle_rgbe';
+        while ( offset < bytes.length && bytes[ offset ] !== 10 ) {
+            var end = readLine( bytes, offset );
+            line = ReaderWriter.decodeText( bytes.subarray( offset, end - 1 ) );
+            if ( line.indexOf( 'FORMAT=' ) === 0 ) format = line.substring( 7 ).trim();
+            offset = end;
+        }
+        if ( format !== '32-bit_rle_rgbe' ) return reject( 'format ' + format + ' not supported' );
+
+        offset++;
+        var resolutionEnd = readLine( bytes, offset );
+        var resolution = ReaderWriter.decodeText( bytes.subarray( offset, resolutionEnd - 1 ) ).match( /^-Y (\d+) \+X (\d+)/ );
+        if ( !resolution ) return reject( 'image orientation not supported' );
+        offset = resolutionEnd;
+
+        var height = parseInt( resolution[ 1 ], 10 );
+        var width = parseInt( resolution[ 2 ], 10 );
+        var rgbe = new Uint8Array( width * height * 4 );
+
+        var scanlineSize = width * 4;
+        for ( var y = 0; y < height; y++ ) {
+            var scanline = rgbe.subarray( y * scanlineSize, ( y + 1 ) * scanlineSize );
+            if ( isRLEScanline( bytes, offset, width ) ) {
+                offset = readRLEScanline( bytes, offset, width, scanline );
+                if ( offset === -1 ) return reject( 'bad scanline data' );
+            } else {
+                if ( offset + scanlineSize > bytes.length ) return reject( 'truncated file' );
+                scanline.set( bytes.subarray( offset, offset + scanlineSize ) );
+                offset += scanlineSize;
+            }
+        }
+
+        return P.resolve( HDRImage.createImageFromRGBE( rgbe, width, height, options ) );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterHDR() );
+
+module.exports = ReaderWriterHDR;
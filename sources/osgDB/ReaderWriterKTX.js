@@ -0,0 +1,316 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+/*eslint new-cap: [2, {"capIsNewExceptions": ["BASIS"]}]*/
+
+var KTX_IDENTIFIER = [ 0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A ];
+var KTX2_IDENTIFIER = [ 0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A ];
+var KTX_HEADER_SIZE = 64;
+var KTX2_HEADER_SIZE = 80;
+var KTX2_LEVEL_INDEX_SIZE = 24;
+
+// supercompression schemes of KTX2
+var KTX2_BASISLZ = 1;
+
+// internal formats of the VkFormat of KTX2
+var vkFormats = {
+    // R8G8B8A8_UNORM
+    37: Texture.RGBA,
+    // BC1_RGB_UNORM_BLOCK
+    131: Texture.COMPRESSED_RGB_S3TC_DXT1_EXT,
+    // BC1_RGBA_UNORM_BLOCK
+    133: Texture.COMPRESSED_RGBA_S3TC_DXT1_EXT,
+    // BC2_UNORM_BLOCK
+    135: Texture.COMPRESSED_RGBA_S3TC_DXT3_EXT,
+    // BC3_UNORM_BLOCK
+    137: Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+    // BC7_UNORM_BLOCK
+    145: Texture.COMPRESSED_RGBA_BPTC_UNORM_EXT,
+    // ETC2_R8G8B8_UNORM_BLOCK
+    147: Texture.COMPRESSED_RGB8_ETC2,
+    // ETC2_R8G8B8A8_UNORM_BLOCK
+    151: Texture.COMPRESSED_RGBA8_ETC2_EAC,
+    // ASTC_4x4_UNORM_BLOCK
+    157: Texture.COMPRESSED_RGBA_ASTC_4X4_KHR
+};
+
+// formats the Basis Universal textures are transcoded to, in order of
+// preference. opaque formats are only used for textures without alpha
+var transcoderTargets = [ {
+    format: Texture.COMPRESSED_RGBA_ASTC_4X4_KHR,
+    // cTFASTC_4x4_RGBA
+    transcoderFormat: 10
+}, {
+    format: Texture.COMPRESSED_RGBA_BPTC_UNORM_EXT,
+    // cTFBC7_RGBA
+    transcoderFormat: 6
+}, {
+    format: Texture.COMPRESSED_RGB_S3TC_DXT1_EXT,
+    // cTFBC1_RGB
+    transcoderFormat: 2,
+    opaque: true
+}, {
+    format: Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT,
+    // cTFBC3_RGBA
+    transcoderFormat: 3
+}, {
+    format: Texture.COMPRESSED_RGB_ETC1_WEBGL,
+    // cTFETC1_RGB
+    transcoderFormat: 0,
+    opaque: true
+}, {
+    format: Texture.COMPRESSED_RGBA8_ETC2_EAC,
+    // cTFETC2_RGBA
+    transcoderFormat: 1
+}, {
+    format: Texture.COMPRESSED_RGBA_PVRTC_4BPPV1_IMG,
+    // cTFPVRTC1_4_RGBA
+    transcoderFormat: 9,
+    powerOfTwo: true
+} ];
+
+// uncompressed fallback of the transcoder
+var TRANSCODER_RGBA32 = 13;
+
+var reject = function ( message ) {
+    var error = 'ReaderWriterKTX: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+var hasIdentifier = function ( arrayBuffer, identifier ) {
+    if ( arrayBuffer.byteLength < identifier.length ) return false;
+    var bytes = new Uint8Array( arrayBuffer, 0, identifier.length );
+    for ( var i = 0; i < identifier.length; i++ ) {
+        if ( bytes[ i ] !== identifier[ i ] ) return false;
+    }
+    return true;
+};
+
+var isPowerOfTwo = function ( value ) {
+    return ( value & ( value - 1 ) ) === 0;
+};
+
+var checkFormat = function ( format ) {
+    if ( format === Texture.RGBA || WebGLCaps.instance().hasCompressedTextureFormat( format ) ) return undefined;
+    return reject( 'format 0x' + format.toString( 16 ) + ' not supported by the WebGL extensions' );
+};
+
+
+/**
+ * ReaderWriterKTX reads the 2D textures of the KTX and KTX2 files with all
+ * their mipmaps. The compressed formats are used when supported by the
+ * WebGL extensions, the Image returned gives its format to the Texture.
+ * The Basis Universal textures of KTX2 are transcoded to the best format
+ * supported, RGBA is used when no compressed format is available. The
+ * transcoder is not part of osgjs: the module of the basis_transcoder.js
+ * of Basis Universal is given with setTranscoderModule, or created from
+ * window.BASIS
+ * @class ReaderWriterKTX
+ */
+var ReaderWriterKTX = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'ktx', 'Khronos Texture' );
+    this.supportsExtension( 'ktx2', 'Khronos Texture 2.0' );
+    this._transcoderModule = undefined;
+};
+
+ReaderWriterKTX.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    // module is the Basis Universal transcoder module or a promise of it
+    setTranscoderModule: function ( module ) {
+        // the module is wrapped because emscripten modules are thenable
+        this._transcoderModule = P.resolve( module ).then( function ( transcoderModule ) {
+            transcoderModule.initializeBasis();
+            return {
+                module: transcoderModule
+            };
+        } );
+    },
+
+    _getTranscoderModule: function () {
+        if ( this._transcoderModule ) return this._transcoderModule;
+        if ( window.BASIS === undefined ) return reject( 'no Basis Universal transcoder, see setTranscoderModule' );
+
+        this._transcoderModule = new P( function ( resolve ) {
+            window.BASIS().then( function ( module ) {
+                module.initializeBasis();
+                resolve( {
+                    module: module
+                } );
+            } );
+        } );
+        return this._transcoderModule;
+    },
+
+    readImageURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readImage( data, options );
+        }.bind( this ) ).then( function ( image ) {
+            image.setURL( url );
+            return image;
+        } );
+    },
+
+    readImage: function ( arrayBuffer ) {
+        if ( hasIdentifier( arrayBuffer, KTX2_IDENTIFIER ) ) return this.readKTX2( arrayBuffer );
+        if ( hasIdentifier( arrayBuffer, KTX_IDENTIFIER ) ) return this.readKTX( arrayBuffer );
+        return reject( 'not a ktx file' );
+    },
+
+    readKTX: function ( arrayBuffer ) {
+        if ( arrayBuffer.byteLength < KTX_HEADER_SIZE ) return reject( 'file too small' );
+
+        var view = new DataView( arrayBuffer );
+        // the endianness field is written 0x04030201 by the writer
+        var littleEndian = view.getUint32( 12, true ) === 0x04030201;
+        var glType = view.getUint32( 16, littleEndian );
+        var glFormat = view.getUint32( 24, littleEndian );
+        var glInternalFormat = view.getUint32( 28, littleEndian );
+        var width = view.getUint32( 36, littleEndian );
+        var height = Math.max( 1, view.getUint32( 40, littleEndian ) );
+        var nbFaces = view.getUint32( 52, littleEndian );
+        var nbLevels = Math.max( 1, view.getUint32( 56, littleEndian ) );
+        var keyValueSize = view.getUint32( 60, littleEndian );
+
+        if ( nbFaces !== 1 ) return reject( 'cube maps not supported' );
+
+        var format = glInternalFormat;
+        if ( glType !== 0 ) {
+            if ( glType !== Texture.UNSIGNED_BYTE || glFormat !== Texture.RGBA ) return reject( 'uncompressed formats other than RGBA not supported' );
+            format = Texture.RGBA;
+        }
+        var error = checkFormat( format );
+        if ( error ) return error;
+
+        var levels = [];
+        var offset = KTX_HEADER_SIZE + keyValueSize;
+        for ( var i = 0; i < nbLevels; i++ ) {
+            if ( offset + 4 > arrayBuffer.byteLength ) return reject( 'truncated file' );
+            var size = view.getUint32( offset, littleEndian );
+            offset += 4;
+            if ( offset + size > arrayBuffer.byteLength ) return reject( 'truncated file' );
+
+            levels.push( {
+                width: width,
+                height: height,
+                data: new Uint8Array( arrayBuffer, offset, size )
+            } );
+            // mip padding to 4 bytes
+            offset += ( size + 3 ) & ~3;
+            width = Math.max( 1, width >> 1 );
+            height = Math.max( 1, height >> 1 );
+        }
+
+        return P.resolve( ReaderWriter.createMipmapImage( levels, format ) );
+    },
+
+    readKTX2: function ( arrayBuffer ) {
+        if ( arrayBuffer.byteLength < KTX2_HEADER_SIZE ) return reject( 'file too small' );
+
+        var view = new DataView( arrayBuffer );
+        var vkFormat = view.getUint32( 12, true );
+        var width = view.getUint32( 20, true );
+        var height = Math.max( 1, view.getUint32( 24, true ) );
+        var nbLayers = view.getUint32( 32, true );
+        var nbFaces = view.getUint32( 36, true );
+        var nbLevels = Math.max( 1, view.getUint32( 40, true ) );
+        var supercompression = view.getUint32( 44, true );
+
+        if ( nbFaces !== 1 ) return reject( 'cube maps not supported' );
+        if ( nbLayers > 1 ) return reject( 'texture arrays not supported' );
+
+        // VK_FORMAT_UNDEFINED are the Basis Universal textures
+        if ( vkFormat === 0 || supercompression === KTX2_BASISLZ ) return this.transcodeKTX2( arrayBuffer );
+        if ( supercompression !== 0 ) return reject( 'supercompression scheme ' + supercompression + ' not supported' );
+
+        var format = vkFormats[ vkFormat ];
+        if ( format === undefined ) return reject( 'VkFormat ' + vkFormat + ' not supported' );
+        var error = checkFormat( format );
+        if ( error ) return error;
+
+        var levels = [];
+        for ( var i = 0; i < nbLevels; i++ ) {
+            // the offsets and lengths are uint64, the high words are ignored
+            var index = KTX2_HEADER_SIZE + i * KTX2_LEVEL_INDEX_SIZE;
+            var offset = view.getUint32( index, true );
+            var size = view.getUint32( index + 8, true );
+            if ( offset + size > arrayBuffer.byteLength ) return reject( 'truncated file' );
+
+            levels.push( {
+                width: Math.max( 1, width >> i ),
+                height: Math.max( 1, height >> i ),
+                data: new Uint8Array( arrayBuffer, offset, size )
+            } );
+        }
+
+        return P.resolve( ReaderWriter.createMipmapImage( levels, format ) );
+    },
+
+    transcodeKTX2: function ( arrayBuffer ) {
+        return this._getTranscoderModule().then( function ( wrapper ) {
+            var module = wrapper.module;
+            var file = new module.KTX2File( new Uint8Array( arrayBuffer ) );
+
+            var close = function () {
+                file.close();
+                file.delete();
+            };
+
+            if ( !file.isValid() || !file.startTranscoding() ) {
+                close();
+                return reject( 'can\'t transcode the Basis Universal texture' );
+            }
+
+            var width = file.getWidth();
+            var height = file.getHeight();
+            var target = ReaderWriterKTX.getTranscoderTarget( file.getHasAlpha(), width, height );
+
+            var levels = [];
+            for ( var i = 0, nbLevels = file.getLevels(); i < nbLevels; i++ ) {
+                var info = file.getImageLevelInfo( i, 0, 0 );
+                var data = new Uint8Array( file.getImageTranscodedSizeInBytes( i, 0, 0, target.transcoderFormat ) );
+                if ( !file.transcodeImage( data, i, 0, 0, target.transcoderFormat, 0, -1, -1 ) ) {
+                    close();
+                    return reject( 'can\'t transcode the level ' + i );
+                }
+
+                levels.push( {
+                    width: info.origWidth,
+                    height: info.origHeight,
+                    data: data
+                } );
+            }
+            close();
+
+            return ReaderWriter.createMipmapImage( levels, target.format );
+        } );
+    }
+} );
+
+// return the { format, transcoderFormat } a Basis Universal texture is
+// transcoded to with the WebGL extensions available
+ReaderWriterKTX.getTranscoderTarget = function ( hasAlpha, width, height ) {
+    var caps = WebGLCaps.instance();
+    for ( var i = 0; i < transcoderTargets.length; i++ ) {
+        var target = transcoderTargets[ i ];
+        if ( target.opaque && hasAlpha ) continue;
+        if ( target.powerOfTwo && ( width !== height || !isPowerOfTwo( width ) ) ) continue;
+        if ( caps.hasCompressedTextureFormat( target.format ) ) return target;
+    }
+
+    return {
+        format: Texture.RGBA,
+        transcoderFormat: TRANSCODER_RGBA32
+    };
+};
+
+Registry.instance().addReaderWriter( new ReaderWriterKTX() );
+
+module.exports = ReaderWriterKTX;
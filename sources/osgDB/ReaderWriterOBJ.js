@@ -0,0 +1,527 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Node = require( 'osg/Node' );
+var Geometry = require( 'osg/Geometry' );
+var BufferArray = require( 'osg/BufferArray' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var StateSet = require( 'osg/StateSet' );
+var Material = require( 'osg/Material' );
+var Texture = require( 'osg/Texture' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var Vec3 = require( 'osg/Vec3' );
+var Input = require( 'osgDB/Input' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+// number of arguments of the texture map options of the mtl format,
+// -o -s and -t take from 1 to 3 numbers
+var textureOptionSizes = {
+    '-blendu': 1,
+    '-blendv': 1,
+    '-bm': 1,
+    '-boost': 1,
+    '-cc': 1,
+    '-clamp': 1,
+    '-imfchan': 1,
+    '-mm': 2,
+    '-o': 3,
+    '-s': 3,
+    '-t': 3,
+    '-texres': 1,
+    '-type': 1
+};
+
+var textureMapRoles = {
+    'map_kd': 'diffuse',
+    'map_ks': 'specular',
+    'map_bump': 'normal',
+    'bump': 'normal',
+    'norm': 'normal'
+};
+
+// texture units and names of the maps of the mtl materials, all
+// units use the texture coordinates of the obj. Only the diffuse unit
+// is a color, see Material.setDiffuseTextureUnit
+var textureUnits = {
+    diffuse: 0,
+    normal: 1,
+    specular: 2
+};
+
+var textureNames = {
+    diffuse: undefined,
+    normal: 'normalMap',
+    specular: 'specularMap'
+};
+
+var splitLine = function ( line ) {
+    return line.trim().split( /\s+/ );
+};
+
+var parseVec3 = function ( tokens ) {
+    return Vec3.createAndSet( parseFloat( tokens[ 1 ] ) || 0.0, parseFloat( tokens[ 2 ] ) || 0.0, parseFloat( tokens[ 3 ] ) || 0.0 );
+};
+
+// obj indices start at 1, negative indices are relative to the
+// end of the list read so far
+var resolveIndex = function ( str, count ) {
+    if ( !str ) return undefined;
+    var index = parseInt( str, 10 );
+    return index < 0 ? count + index : index - 1;
+};
+
+// parse the arguments of a map_xx statement and return the file
+// name and the options we use
+var parseTextureMap = function ( tokens ) {
+    var map = {
+        clamp: false
+    };
+
+    var i = 1;
+    while ( i < tokens.length && textureOptionSizes[ tokens[ i ] ] !== undefined ) {
+        var option = tokens[ i++ ];
+        if ( option === '-clamp' ) map.clamp = tokens[ i ] === 'on';
+
+        var nbArgs = textureOptionSizes[ option ];
+        for ( var j = 0; j < nbArgs && i < tokens.length; j++ ) {
+            // optional numbers of -o -s -t
+            if ( j > 0 && isNaN( parseFloat( tokens[ i ] ) ) ) break;
+            i++;
+        }
+    }
+
+    map.fileName = tokens.slice( i ).join( ' ' );
+    return map;
+};
+
+var getDirectory = function ( url ) {
+    var index = url.lastIndexOf( '/' );
+    return index === -1 ? '' : url.substring( 0, index + 1 );
+};
+
+
+var OBJParser = function ( options ) {
+    this._input = new Input();
+    if ( options ) this._input.setOptions( options );
+
+    this._positions = [];
+    this._colors = [];
+    this._normals = [];
+    this._texCoords = [];
+
+    this._materialLibraries = [];
+    this._materials = {};
+    this._stateSets = {};
+    this._textures = {};
+    this._imagePromises = [];
+
+    this._root = new Node();
+    this._sections = [];
+    this._object = undefined;
+    this._section = this._createSection( undefined, undefined );
+    this._materialName = undefined;
+    this._smoothingGroup = 1;
+    this._nbFaces = 0;
+};
+
+OBJParser.prototype = {
+
+    parse: function ( text ) {
+        var lines = text.replace( /\\\r?\n/g, ' ' ).split( /\r?\n/ );
+        var unsupported = {};
+
+        for ( var i = 0, l = lines.length; i < l; i++ ) {
+            var line = lines[ i ].trim();
+            if ( !line || line[ 0 ] === '#' ) continue;
+
+            var tokens = splitLine( line );
+            var keyword = tokens[ 0 ];
+
+            if ( keyword === 'v' ) {
+                this._positions.push( parseVec3( tokens ) );
+                // vertex colors extension: v x y z r g b
+                if ( tokens.length >= 7 ) this._colors[ this._positions.length - 1 ] = parseVec3( tokens.slice( 3 ) );
+            } else if ( keyword === 'vn' ) {
+                this._normals.push( parseVec3( tokens ) );
+            } else if ( keyword === 'vt' ) {
+                this._texCoords.push( [ parseFloat( tokens[ 1 ] ) || 0.0, parseFloat( tokens[ 2 ] ) || 0.0 ] );
+            } else if ( keyword === 'f' ) {
+                this._parseFace( tokens );
+            } else if ( keyword === 'o' ) {
+                this._object = this._section = this._createSection( line.substring( 1 ).trim(), undefined );
+            } else if ( keyword === 'g' ) {
+                // groups are children of the current object
+                this._section = this._createSection( line.substring( 1 ).trim(), this._object );
+            } else if ( keyword === 'usemtl' ) {
+                this._materialName = line.substring( 6 ).trim();
+            } else if ( keyword === 'mtllib' ) {
+                this._materialLibraries.push( line.substring( 6 ).trim() );
+            } else if ( keyword === 's' ) {
+                this._smoothingGroup = tokens[ 1 ] === 'off' ? 0 : parseInt( tokens[ 1 ], 10 ) || 0;
+            } else if ( !unsupported[ keyword ] ) {
+                unsupported[ keyword ] = true;
+                Notify.warn( 'ReaderWriterOBJ: ' + keyword + ' statements are not supported' );
+            }
+        }
+
+        return this._readMaterialLibraries().then( function () {
+
+            var root = this._createScene();
+            return P.all( this._imagePromises ).then( function () {
+                return root;
+            } );
+
+        }.bind( this ) );
+    },
+
+    // sections are the o and g statements, their node are created
+    // only if they contain faces
+    _createSection: function ( name, object ) {
+        var section = {
+            name: name,
+            object: object,
+            meshes: {},
+            node: undefined
+        };
+        this._sections.push( section );
+        return section;
+    },
+
+    _getMesh: function () {
+        var key = this._materialName === undefined ? '' : this._materialName;
+        var mesh = this._section.meshes[ key ];
+        if ( !mesh ) {
+            mesh = {
+                materialName: this._materialName,
+                corners: []
+            };
+            this._section.meshes[ key ] = mesh;
+        }
+        return mesh;
+    },
+
+    // faces are triangulated as fans
+    _parseFace: function ( tokens ) {
+        var corners = [];
+        for ( var i = 1, l = tokens.length; i < l; i++ ) {
+            var refs = tokens[ i ].split( '/' );
+            corners.push( {
+                position: resolveIndex( refs[ 0 ], this._positions.length ),
+                texCoord: resolveIndex( refs[ 1 ], this._texCoords.length ),
+                normal: resolveIndex( refs[ 2 ], this._normals.length ),
+                // faces outside smoothing groups get flat normals
+                smoothing: this._smoothingGroup ? this._smoothingGroup : 'f' + this._nbFaces
+            } );
+        }
+        this._nbFaces++;
+
+        var meshCorners = this._getMesh().corners;
+        for ( var j = 1, nj = corners.length - 1; j < nj; j++ ) {
+            meshCorners.push( corners[ 0 ], corners[ j ], corners[ j + 1 ] );
+        }
+    },
+
+    _readMaterialLibraries: function () {
+        var promises = this._materialLibraries.map( function ( fileName ) {
+            var url = this._input.computeURL( fileName );
+            return this._input.requestFile( url, {
+                responseType: 'text',
+                progress: this._input.getOptions().progressXHRCallback
+            } ).then( function ( text ) {
+                this._parseMaterials( text, getDirectory( fileName ) );
+            }.bind( this ) ).catch( function () {
+                Notify.warn( 'ReaderWriterOBJ: can\'t read material library ' + url );
+            } );
+        }, this );
+
+        return P.all( promises );
+    },
+
+    // texture urls are relative to the material library
+    _parseMaterials: function ( text, directory ) {
+        var lines = text.replace( /\\\r?\n/g, ' ' ).split( /\r?\n/ );
+        var material;
+
+        for ( var i = 0, l = lines.length; i < l; i++ ) {
+            var line = lines[ i ].trim();
+            if ( !line || line[ 0 ] === '#' ) continue;
+
+            var tokens = splitLine( line );
+            var keyword = tokens[ 0 ].toLowerCase();
+
+            if ( keyword === 'newmtl' ) {
+                material = {
+                    maps: {}
+                };
+                this._materials[ line.substring( 6 ).trim() ] = material;
+            } else if ( !material ) {
+                continue;
+            } else if ( keyword === 'ka' || keyword === 'kd' || keyword === 'ks' || keyword === 'ke' ) {
+                material[ keyword ] = parseVec3( tokens );
+            } else if ( keyword === 'ns' ) {
+                material.ns = parseFloat( tokens[ 1 ] );
+            } else if ( keyword === 'd' ) {
+                material.d = parseFloat( tokens[ tokens.length - 1 ] );
+            } else if ( keyword === 'tr' ) {
+                material.d = 1.0 - parseFloat( tokens[ tokens.length - 1 ] );
+            } else if ( textureMapRoles[ keyword ] ) {
+                var map = parseTextureMap( tokens );
+                map.fileName = directory + map.fileName;
+                material.maps[ textureMapRoles[ keyword ] ] = map;
+            }
+        }
+    },
+
+    _readImage: function ( fileName ) {
+        var options = MACROUTILS.objectMix( {}, this._input.getOptions() );
+        options.imageLoadingUsePromise = true;
+        return this._input.readImageURL( fileName, options );
+    },
+
+    _getTexture: function ( map, name ) {
+        var key = name + ':' + map.fileName + ':' + map.clamp;
+        if ( this._textures[ key ] ) return this._textures[ key ];
+
+        var texture = new Texture();
+        if ( name ) texture.setName( name );
+
+        var wrap = map.clamp ? Texture.CLAMP_TO_EDGE : Texture.REPEAT;
+        texture.setWrapS( wrap );
+        texture.setWrapT( wrap );
+        texture.setMinFilter( Texture.LINEAR_MIPMAP_LINEAR );
+        texture.setMagFilter( Texture.LINEAR );
+
+        this._imagePromises.push( this._readImage( map.fileName ).then( function ( image ) {
+            texture.setImage( image );
+        } ) );
+
+        this._textures[ key ] = texture;
+        return texture;
+    },
+
+    _getStateSet: function ( materialName ) {
+        var key = materialName === undefined ? '' : materialName;
+        if ( this._stateSets[ key ] ) return this._stateSets[ key ];
+
+        var mtl = this._materials[ key ];
+        if ( !mtl ) {
+            if ( materialName !== undefined ) Notify.warn( 'ReaderWriterOBJ: material ' + materialName + ' not found' );
+            mtl = {
+                maps: {}
+            };
+        }
+
+        var stateSet = new StateSet();
+        if ( materialName !== undefined ) stateSet.setName( materialName );
+
+        var material = new Material();
+        var alpha = mtl.d !== undefined ? mtl.d : 1.0;
+        if ( mtl.ka ) material.setAmbient( [ mtl.ka[ 0 ], mtl.ka[ 1 ], mtl.ka[ 2 ], 1.0 ] );
+        if ( mtl.kd ) material.setDiffuse( [ mtl.kd[ 0 ], mtl.kd[ 1 ], mtl.kd[ 2 ], alpha ] );
+        if ( mtl.ks ) material.setSpecular( [ mtl.ks[ 0 ], mtl.ks[ 1 ], mtl.ks[ 2 ], 1.0 ] );
+        if ( mtl.ke ) material.setEmission( [ mtl.ke[ 0 ], mtl.ke[ 1 ], mtl.ke[ 2 ], 1.0 ] );
+        if ( mtl.ns !== undefined ) material.setShininess( mtl.ns );
+        material.setDiffuseTextureUnit( textureUnits.diffuse );
+        stateSet.setAttributeAndModes( material );
+
+        if ( alpha < 1.0 ) {
+            stateSet.setAttributeAndModes( new BlendFunc( BlendFunc.SRC_ALPHA, BlendFunc.ONE_MINUS_SRC_ALPHA ) );
+            stateSet.setRenderingHint( 'TRANSPARENT_BIN' );
+        }
+
+        var roles = window.Object.keys( textureUnits );
+        for ( var i = 0, l = roles.length; i < l; i++ ) {
+            var role = roles[ i ];
+            var map = mtl.maps[ role ];
+            if ( !map || !map.fileName ) continue;
+            stateSet.setTextureAttributeAndModes( textureUnits[ role ], this._getTexture( map, textureNames[ role ] ) );
+        }
+
+        this._stateSets[ key ] = stateSet;
+        return stateSet;
+    },
+
+    _getSectionNode: function ( section ) {
+        if ( section.name === undefined ) return this._root;
+        if ( section.node ) return section.node;
+
+        section.node = new Node();
+        section.node.setName( section.name );
+
+        var parent = section.object ? this._getSectionNode( section.object ) : this._root;
+        parent.addChild( section.node );
+        return section.node;
+    },
+
+    // normals are generated from the faces sharing a position in the same
+    // smoothing group, weighted by the area of the faces
+    _generateNormals: function ( corners ) {
+        var normals = {};
+        var normal = Vec3.create();
+        var edge0 = Vec3.create();
+        var edge1 = Vec3.create();
+
+        var getKey = function ( corner ) {
+            return corner.position + '/' + corner.smoothing;
+        };
+
+        var i, l, key;
+        for ( i = 0, l = corners.length; i < l; i += 3 ) {
+            var p0 = this._positions[ corners[ i ].position ];
+            Vec3.sub( this._positions[ corners[ i + 1 ].position ], p0, edge0 );
+            Vec3.sub( this._positions[ corners[ i + 2 ].position ], p0, edge1 );
+            Vec3.cross( edge0, edge1, normal );
+
+            for ( var j = 0; j < 3; j++ ) {
+                key = getKey( corners[ i + j ] );
+                if ( !normals[ key ] ) normals[ key ] = Vec3.create();
+                Vec3.add( normals[ key ], normal, normals[ key ] );
+            }
+        }
+
+        var keys = window.Object.keys( normals );
+        for ( i = 0, l = keys.length; i < l; i++ ) {
+            Vec3.normalize( normals[ keys[ i ] ], normals[ keys[ i ] ] );
+        }
+
+        return function ( corner ) {
+            return normals[ getKey( corner ) ];
+        };
+    },
+
+    _createGeometry: function ( mesh ) {
+        var corners = mesh.corners;
+        var nbCorners = corners.length;
+
+        var hasNormals = true;
+        var hasTexCoords = false;
+        var hasColors = this._colors.length > 0;
+        var i, corner;
+        for ( i = 0; i < nbCorners; i++ ) {
+            corner = corners[ i ];
+            if ( corner.position === undefined || !this._positions[ corner.position ] ) {
+                Notify.warn( 'ReaderWriterOBJ: invalid vertex index in ' + ( mesh.materialName || 'geometry' ) );
+                return undefined;
+            }
+            if ( corner.normal === undefined || !this._normals[ corner.normal ] ) hasNormals = false;
+            if ( corner.texCoord !== undefined ) hasTexCoords = true;
+            if ( !this._colors[ corner.position ] ) hasColors = false;
+        }
+
+        var getGeneratedNormal = hasNormals ? undefined : this._generateNormals( corners );
+
+        // a vertex is created for each unique combination of indices
+        var vertexIndices = {};
+        var vertexCorners = [];
+        var indices = [];
+        for ( i = 0; i < nbCorners; i++ ) {
+            corner = corners[ i ];
+            var key = corner.position + '/' + corner.texCoord + '/' + ( hasNormals ? corner.normal : corner.smoothing );
+            var index = vertexIndices[ key ];
+            if ( index === undefined ) {
+                index = vertexIndices[ key ] = vertexCorners.length;
+                vertexCorners.push( corner );
+            }
+            indices.push( index );
+        }
+
+        var nbVertexes = vertexCorners.length;
+        var vertexes = new MACROUTILS.Float32Array( nbVertexes * 3 );
+        var normals = new MACROUTILS.Float32Array( nbVertexes * 3 );
+        var texCoords = hasTexCoords ? new MACROUTILS.Float32Array( nbVertexes * 2 ) : undefined;
+        var colors = hasColors ? new MACROUTILS.Float32Array( nbVertexes * 4 ) : undefined;
+
+        for ( i = 0; i < nbVertexes; i++ ) {
+            corner = vertexCorners[ i ];
+            vertexes.set( this._positions[ corner.position ], i * 3 );
+            normals.set( hasNormals ? this._normals[ corner.normal ] : getGeneratedNormal( corner ), i * 3 );
+
+            if ( texCoords ) {
+                var texCoord = this._texCoords[ corner.texCoord ];
+                if ( texCoord ) texCoords.set( texCoord, i * 2 );
+            }
+
+            if ( colors ) {
+                colors.set( this._colors[ corner.position ], i * 4 );
+                colors[ i * 4 + 3 ] = 1.0;
+            }
+        }
+
+        var geometry = new Geometry();
+        var vertexAttributes = geometry.getVertexAttributeList();
+        vertexAttributes.Vertex = new BufferArray( BufferArray.ARRAY_BUFFER, vertexes, 3 );
+        vertexAttributes.Normal = new BufferArray( BufferArray.ARRAY_BUFFER, normals, 3 );
+        if ( colors ) vertexAttributes.Color = new BufferArray( BufferArray.ARRAY_BUFFER, colors, 4 );
+
+        var stateSet = this._getStateSet( mesh.materialName );
+        geometry.setStateSet( stateSet );
+
+        // the texture coordinates are shared by all the texture units
+        // used by the material
+        if ( texCoords ) {
+            var texCoordArray = new BufferArray( BufferArray.ARRAY_BUFFER, texCoords, 2 );
+            vertexAttributes.TexCoord0 = texCoordArray;
+            for ( var unit = 1, nbUnits = stateSet.getNumTextureAttributeLists(); unit < nbUnits; unit++ ) {
+                vertexAttributes[ 'TexCoord' + unit ] = texCoordArray;
+            }
+        }
+
+        ReaderWriter.addIndexedPrimitive( geometry, PrimitiveSet.TRIANGLES, indices, nbVertexes );
+
+        return geometry;
+    },
+
+    _createScene: function () {
+        for ( var i = 0, l = this._sections.length; i < l; i++ ) {
+            var section = this._sections[ i ];
+            var keys = window.Object.keys( section.meshes );
+            for ( var j = 0, nj = keys.length; j < nj; j++ ) {
+                var mesh = section.meshes[ keys[ j ] ];
+                if ( !mesh.corners.length ) continue;
+
+                var geometry = this._createGeometry( mesh );
+                if ( geometry ) this._getSectionNode( section ).addChild( geometry );
+            }
+        }
+        return this._root;
+    }
+};
+
+
+/**
+ * ReaderWriterOBJ converts Wavefront OBJ files and their MTL material
+ * libraries to an osgjs scene graph. Objects and groups become named
+ * nodes containing a Geometry for each material, normals are generated
+ * when the file does not contain them
+ * @class ReaderWriterOBJ
+ */
+var ReaderWriterOBJ = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'obj', 'Wavefront OBJ' );
+    this.supportsMimeType( 'model/obj' );
+};
+
+ReaderWriterOBJ.textureUnits = textureUnits;
+ReaderWriterOBJ.textureNames = textureNames;
+
+ReaderWriterOBJ.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readNodeURL: function ( url, options ) {
+        return this.requestFile( url, options, 'text' ).then( function ( text ) {
+            return this.readNode( text, options );
+        }.bind( this ) );
+    },
+
+    // data is the content of an obj file, material libraries and
+    // textures are read relatively to the prefixURL of the options
+    readNode: function ( data, options ) {
+        return new OBJParser( options ).parse( data );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterOBJ() );
+
+module.exports = ReaderWriterOBJ;
@@ -0,0 +1,362 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Node = require( 'osg/Node' );
+var Geometry = require( 'osg/Geometry' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var StateSet = require( 'osg/StateSet' );
+var Material = require( 'osg/Material' );
+var Vec3 = require( 'osg/Vec3' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+// size and DataView getter of the ply scalar types
+var scalarTypes = {
+    'char': [ 1, 'getInt8' ],
+    'uchar': [ 1, 'getUint8' ],
+    'short': [ 2, 'getInt16' ],
+    'ushort': [ 2, 'getUint16' ],
+    'int': [ 4, 'getInt32' ],
+    'uint': [ 4, 'getUint32' ],
+    'float': [ 4, 'getFloat32' ],
+    'double': [ 8, 'getFloat64' ],
+    'int8': [ 1, 'getInt8' ],
+    'uint8': [ 1, 'getUint8' ],
+    'int16': [ 2, 'getInt16' ],
+    'uint16': [ 2, 'getUint16' ],
+    'int32': [ 4, 'getInt32' ],
+    'uint32': [ 4, 'getUint32' ],
+    'float32': [ 4, 'getFloat32' ],
+    'float64': [ 8, 'getFloat64' ]
+};
+
+// vertex properties used, the first name found is used
+var vertexProperties = {
+    position: [ 'x', 'y', 'z' ],
+    normal: [ 'nx', 'ny', 'nz' ],
+    color: [ 'red', 'green', 'blue', 'alpha' ],
+    diffuseColor: [ 'diffuse_red', 'diffuse_green', 'diffuse_blue', 'diffuse_alpha' ],
+    texCoord: [ 's', 't' ],
+    uv: [ 'u', 'v' ],
+    textureUV: [ 'texture_u', 'texture_v' ]
+};
+
+// decode the ascii header of a file up to the line of end_header, the
+// binary data after it is not valid text
+var decodeHeader = function ( bytes ) {
+    var text = '';
+    var lineStart = 0;
+    for ( var i = 0, l = bytes.length; i < l; i++ ) {
+        text += String.fromCharCode( bytes[ i ] );
+        if ( bytes[ i ] !== 10 ) continue;
+
+        if ( text.indexOf( 'end_header', lineStart ) !== -1 ) break;
+        lineStart = text.length;
+    }
+    return text;
+};
+
+var parseHeader = function ( text ) {
+    var end = text.indexOf( 'end_header' );
+    if ( text.substr( 0, 3 ) !== 'ply' || end === -1 ) return undefined;
+
+    var header = {
+        format: undefined,
+        elements: [],
+        // the data starts after the line of end_header
+        size: text.indexOf( '\n', end ) + 1
+    };
+
+    var lines = text.substring( 0, end ).split( /\r?\n/ );
+    var element;
+    for ( var i = 0, l = lines.length; i < l; i++ ) {
+        var tokens = lines[ i ].trim().split( /\s+/ );
+        if ( tokens[ 0 ] === 'format' ) {
+            header.format = tokens[ 1 ];
+        } else if ( tokens[ 0 ] === 'element' ) {
+            element = {
+                name: tokens[ 1 ],
+                count: parseInt( tokens[ 2 ], 10 ),
+                properties: []
+            };
+            header.elements.push( element );
+        } else if ( tokens[ 0 ] === 'property' && element ) {
+            if ( tokens[ 1 ] === 'list' ) {
+                element.properties.push( {
+                    name: tokens[ 4 ],
+                    countType: tokens[ 2 ],
+                    type: tokens[ 3 ]
+                } );
+            } else {
+                element.properties.push( {
+                    name: tokens[ 2 ],
+                    type: tokens[ 1 ]
+                } );
+            }
+        }
+    }
+
+    return header;
+};
+
+// read the values of the elements in arrays of values by property, the
+// values of list properties are arrays
+var createElementData = function ( element ) {
+    var data = {};
+    for ( var i = 0, l = element.properties.length; i < l; i++ ) {
+        data[ element.properties[ i ].name ] = [];
+    }
+    return data;
+};
+
+var readASCIIElements = function ( header, text ) {
+    var tokens = text.substring( header.size ).trim().split( /\s+/ );
+    var id = 0;
+    var elements = {};
+
+    for ( var e = 0, ne = header.elements.length; e < ne; e++ ) {
+        var element = header.elements[ e ];
+        var data = elements[ element.name ] = createElementData( element );
+
+        for ( var i = 0; i < element.count; i++ ) {
+            for ( var p = 0, np = element.properties.length; p < np; p++ ) {
+                var property = element.properties[ p ];
+                if ( property.countType ) {
+                    var count = parseInt( tokens[ id++ ], 10 );
+                    var list = [];
+                    for ( var k = 0; k < count; k++ ) list.push( parseFloat( tokens[ id++ ] ) );
+                    data[ property.name ].push( list );
+                } else {
+                    data[ property.name ].push( parseFloat( tokens[ id++ ] ) );
+                }
+            }
+        }
+    }
+
+    return elements;
+};
+
+var readBinaryElements = function ( header, arrayBuffer, littleEndian ) {
+    var view = new DataView( arrayBuffer );
+    var offset = header.size;
+    var elements = {};
+
+    var readScalar = function ( type ) {
+        var scalarType = scalarTypes[ type ];
+        var value = view[ scalarType[ 1 ] ]( offset, littleEndian );
+        offset += scalarType[ 0 ];
+        return value;
+    };
+
+    for ( var e = 0, ne = header.elements.length; e < ne; e++ ) {
+        var element = header.elements[ e ];
+        var data = elements[ element.name ] = createElementData( element );
+
+        for ( var i = 0; i < element.count; i++ ) {
+            for ( var p = 0, np = element.properties.length; p < np; p++ ) {
+                var property = element.properties[ p ];
+                if ( property.countType ) {
+                    var count = readScalar( property.countType );
+                    var list = [];
+                    for ( var k = 0; k < count; k++ ) list.push( readScalar( property.type ) );
+                    data[ property.name ].push( list );
+                } else {
+                    data[ property.name ].push( readScalar( property.type ) );
+                }
+            }
+        }
+    }
+
+    return elements;
+};
+
+// return the arrays of the first set of properties found in the vertex
+var getVertexArrays = function ( vertex, names ) {
+    var arrays = [];
+    for ( var i = 0, l = names.length; i < l; i++ ) {
+        arrays.push( vertex[ names[ i ] ] );
+    }
+    return arrays[ 0 ] && arrays[ 1 ] ? arrays : undefined;
+};
+
+var createFloatArray = function ( arrays, itemSize, nbVertexes, scale, defaultValue ) {
+    var array = new MACROUTILS.Float32Array( nbVertexes * itemSize );
+    for ( var i = 0; i < nbVertexes; i++ ) {
+        for ( var j = 0; j < itemSize; j++ ) {
+            var values = arrays[ j ];
+            array[ i * itemSize + j ] = values ? values[ i ] * scale : defaultValue;
+        }
+    }
+    return array;
+};
+
+// normals of the vertexes are generated from the faces sharing them,
+// weighted by the area of the faces
+var generateNormals = function ( vertexes, indices ) {
+    var normals = new MACROUTILS.Float32Array( vertexes.length );
+    var normal = Vec3.create();
+    var edge0 = Vec3.create();
+    var edge1 = Vec3.create();
+
+    var i, l;
+    for ( i = 0, l = indices.length; i < l; i += 3 ) {
+        var i0 = indices[ i ] * 3;
+        var i1 = indices[ i + 1 ] * 3;
+        var i2 = indices[ i + 2 ] * 3;
+        var v0 = vertexes.subarray( i0, i0 + 3 );
+        Vec3.sub( vertexes.subarray( i1, i1 + 3 ), v0, edge0 );
+        Vec3.sub( vertexes.subarray( i2, i2 + 3 ), v0, edge1 );
+        Vec3.cross( edge0, edge1, normal );
+
+        for ( var j = 0; j < 3; j++ ) {
+            var n = normals.subarray( indices[ i + j ] * 3, indices[ i + j ] * 3 + 3 );
+            Vec3.add( n, normal, n );
+        }
+    }
+
+    for ( i = 0, l = normals.length; i < l; i += 3 ) {
+        var vn = normals.subarray( i, i + 3 );
+        Vec3.normalize( vn, vn );
+    }
+
+    return normals;
+};
+
+var getVertexPropertyType = function ( header, name ) {
+    for ( var i = 0, l = header.elements.length; i < l; i++ ) {
+        var element = header.elements[ i ];
+        if ( element.name !== 'vertex' ) continue;
+        for ( var j = 0, nj = element.properties.length; j < nj; j++ ) {
+            if ( element.properties[ j ].name === name ) return element.properties[ j ].type;
+        }
+    }
+    return undefined;
+};
+
+var createGeometry = function ( header, elements ) {
+    var vertex = elements.vertex;
+    var position = vertex && getVertexArrays( vertex, vertexProperties.position );
+    if ( !position ) return undefined;
+
+    var nbVertexes = position[ 0 ].length;
+    var geometry = new Geometry();
+    var vertexAttributes = geometry.getVertexAttributeList();
+
+    var vertexes = createFloatArray( position, 3, nbVertexes, 1.0, 0.0 );
+    vertexAttributes.Vertex = new BufferArray( BufferArray.ARRAY_BUFFER, vertexes, 3 );
+
+    // faces are triangulated as fans
+    var face = elements.face;
+    var faceIndices = face && ( face[ 'vertex_indices' ] || face[ 'vertex_index' ] );
+    var indices;
+    if ( faceIndices && faceIndices.length ) {
+        indices = [];
+        for ( var f = 0, nf = faceIndices.length; f < nf; f++ ) {
+            var polygon = faceIndices[ f ];
+            for ( var k = 1, nk = polygon.length - 1; k < nk; k++ ) {
+                indices.push( polygon[ 0 ], polygon[ k ], polygon[ k + 1 ] );
+            }
+        }
+    }
+
+    var normal = getVertexArrays( vertex, vertexProperties.normal );
+    if ( normal ) {
+        vertexAttributes.Normal = new BufferArray( BufferArray.ARRAY_BUFFER, createFloatArray( normal, 3, nbVertexes, 1.0, 0.0 ), 3 );
+    } else if ( indices ) {
+        vertexAttributes.Normal = new BufferArray( BufferArray.ARRAY_BUFFER, generateNormals( vertexes, indices ), 3 );
+    }
+
+    // integer colors are in [0, 255]
+    var colorNames = vertex.red ? vertexProperties.color : vertexProperties.diffuseColor;
+    var color = getVertexArrays( vertex, colorNames );
+    if ( color ) {
+        var colorType = getVertexPropertyType( header, colorNames[ 0 ] );
+        var isFloat = colorType.indexOf( 'float' ) === 0 || colorType === 'double';
+        vertexAttributes.Color = new BufferArray( BufferArray.ARRAY_BUFFER, createFloatArray( color, 4, nbVertexes, isFloat ? 1.0 : 1.0 / 255.0, 1.0 ), 4 );
+    }
+
+    var texCoord = getVertexArrays( vertex, vertexProperties.texCoord ) || getVertexArrays( vertex, vertexProperties.uv ) || getVertexArrays( vertex, vertexProperties.textureUV );
+    if ( texCoord ) {
+        vertexAttributes.TexCoord0 = new BufferArray( BufferArray.ARRAY_BUFFER, createFloatArray( texCoord, 2, nbVertexes, 1.0, 0.0 ), 2 );
+    }
+
+    // a ply without faces is a point cloud
+    if ( indices ) {
+        ReaderWriter.addIndexedPrimitive( geometry, PrimitiveSet.TRIANGLES, indices, nbVertexes );
+    } else {
+        geometry.getPrimitiveSetList().push( new DrawArrays( PrimitiveSet.POINTS, 0, nbVertexes ) );
+    }
+
+    // the material enables the vertex colors with the osgShader Compiler
+    var stateSet = new StateSet();
+    stateSet.setAttributeAndModes( new Material() );
+    geometry.setStateSet( stateSet );
+
+    return geometry;
+};
+
+
+/**
+ * ReaderWriterPLY reads ascii and binary PLY files. Faces are drawn with
+ * DrawElements and files without faces are drawn as points, the vertex
+ * colors are read in the Color vertex attribute
+ * @class ReaderWriterPLY
+ */
+var ReaderWriterPLY = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'ply', 'Stanford polygon file' );
+};
+
+ReaderWriterPLY.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readNodeURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readNode( data, options );
+        }.bind( this ) );
+    },
+
+    // data can be an ArrayBuffer or the text of an ascii file
+    readNode: function ( data ) {
+        var text = data;
+        if ( typeof data !== 'string' ) {
+            // the header is in ascii, only the header is decoded for binary files
+            var bytes = new Uint8Array( data );
+            text = decodeHeader( bytes );
+            if ( text.indexOf( 'format ascii' ) !== -1 ) text = ReaderWriter.decodeText( bytes );
+        }
+
+        var header = parseHeader( text );
+        if ( !header ) return this._reject( 'invalid header' );
+
+        var elements;
+        if ( header.format === 'ascii' ) {
+            elements = readASCIIElements( header, text );
+        } else if ( header.format === 'binary_little_endian' || header.format === 'binary_big_endian' ) {
+            if ( typeof data === 'string' ) return this._reject( 'binary data must be given in an ArrayBuffer' );
+            elements = readBinaryElements( header, data, header.format === 'binary_little_endian' );
+        } else {
+            return this._reject( 'format ' + header.format + ' not supported' );
+        }
+
+        var geometry = createGeometry( header, elements );
+        if ( !geometry ) return this._reject( 'no vertex found' );
+
+        var root = new Node();
+        root.addChild( geometry );
+        return P.resolve( root );
+    },
+
+    _reject: function ( message ) {
+        var error = 'ReaderWriterPLY: ' + message;
+        Notify.error( error );
+        return P.reject( new Error( error ) );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterPLY() );
+
+module.exports = ReaderWriterPLY;
@@ -0,0 +1,196 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Node = require( 'osg/Node' );
+var Geometry = require( 'osg/Geometry' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var StateSet = require( 'osg/StateSet' );
+var Material = require( 'osg/Material' );
+var Vec3 = require( 'osg/Vec3' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+
+
+// binary stl: 80 bytes header, number of triangles and 50 bytes by triangle
+var HEADER_SIZE = 84;
+var TRIANGLE_SIZE = 50;
+
+var reject = function ( message ) {
+    var error = 'ReaderWriterSTL: ' + message;
+    Notify.error( error );
+    return P.reject( new Error( error ) );
+};
+
+var isBinary = function ( arrayBuffer ) {
+    if ( arrayBuffer.byteLength < HEADER_SIZE ) return false;
+
+    var nbTriangles = new DataView( arrayBuffer ).getUint32( 80, true );
+    if ( HEADER_SIZE + nbTriangles * TRIANGLE_SIZE === arrayBuffer.byteLength ) return true;
+
+    // some binary files start with solid too, so it's only
+    // checked when the size does not match
+    var start = ReaderWriter.decodeText( new Uint8Array( arrayBuffer, 0, 5 ) );
+    return start !== 'solid';
+};
+
+// the normals written in stl are often zero or wrong,
+// they are computed from the vertexes in this case
+var computeNormal = ( function () {
+    var edge0 = Vec3.create();
+    var edge1 = Vec3.create();
+    return function ( vertexes, offset, normal ) {
+        var length = Vec3.length( normal );
+        if ( length > 0.5 && length < 1.5 ) return Vec3.normalize( normal, normal );
+
+        var v0 = vertexes.subarray( offset, offset + 3 );
+        Vec3.sub( vertexes.subarray( offset + 3, offset + 6 ), v0, edge0 );
+        Vec3.sub( vertexes.subarray( offset + 6, offset + 9 ), v0, edge1 );
+        Vec3.cross( edge0, edge1, normal );
+        return Vec3.normalize( normal, normal );
+    };
+} )();
+
+var createStateSet = function () {
+    // the material enables the vertex colors with the osgShader Compiler
+    var stateSet = new StateSet();
+    stateSet.setAttributeAndModes( new Material() );
+    return stateSet;
+};
+
+// triangles are not indexed, each triangle has its own normal
+var createGeometry = function ( vertexes, normals, colors, stateSet ) {
+    var geometry = new Geometry();
+    var vertexAttributes = geometry.getVertexAttributeList();
+    vertexAttributes.Vertex = new BufferArray( BufferArray.ARRAY_BUFFER, vertexes, 3 );
+    vertexAttributes.Normal = new BufferArray( BufferArray.ARRAY_BUFFER, normals, 3 );
+    if ( colors ) vertexAttributes.Color = new BufferArray( BufferArray.ARRAY_BUFFER, colors, 4 );
+
+    geometry.getPrimitiveSetList().push( new DrawArrays( PrimitiveSet.TRIANGLES, 0, vertexes.length / 3 ) );
+    geometry.setStateSet( stateSet );
+    return geometry;
+};
+
+// colors are stored in the attribute of the triangles when the header
+// contains a default color (Materialise Magics convention)
+var readBinary = function ( arrayBuffer ) {
+    var view = new DataView( arrayBuffer );
+    var nbTriangles = view.getUint32( 80, true );
+    if ( HEADER_SIZE + nbTriangles * TRIANGLE_SIZE > arrayBuffer.byteLength ) {
+        return reject( 'truncated binary file' );
+    }
+
+    var defaultColor;
+    var header = new Uint8Array( arrayBuffer, 0, 80 );
+    for ( var h = 0; h < 70; h++ ) {
+        if ( String.fromCharCode( header[ h ], header[ h + 1 ], header[ h + 2 ], header[ h + 3 ], header[ h + 4 ], header[ h + 5 ] ) === 'COLOR=' ) {
+            defaultColor = [ header[ h + 6 ] / 255, header[ h + 7 ] / 255, header[ h + 8 ] / 255, header[ h + 9 ] / 255 ];
+            break;
+        }
+    }
+
+    var vertexes = new MACROUTILS.Float32Array( nbTriangles * 9 );
+    var normals = new MACROUTILS.Float32Array( nbTriangles * 9 );
+    var colors = defaultColor ? new MACROUTILS.Float32Array( nbTriangles * 12 ) : undefined;
+    var normal = Vec3.create();
+
+    for ( var i = 0; i < nbTriangles; i++ ) {
+        var offset = HEADER_SIZE + i * TRIANGLE_SIZE;
+        var j;
+        for ( j = 0; j < 9; j++ ) vertexes[ i * 9 + j ] = view.getFloat32( offset + 12 + j * 4, true );
+
+        Vec3.set( view.getFloat32( offset, true ), view.getFloat32( offset + 4, true ), view.getFloat32( offset + 8, true ), normal );
+        computeNormal( vertexes, i * 9, normal );
+        for ( j = 0; j < 3; j++ ) normals.set( normal, i * 9 + j * 3 );
+
+        if ( colors ) {
+            var packedColor = view.getUint16( offset + 48, true );
+            var color = defaultColor;
+            if ( ( packedColor & 0x8000 ) === 0 ) {
+                color = [ ( packedColor & 0x1F ) / 31, ( ( packedColor >> 5 ) & 0x1F ) / 31, ( ( packedColor >> 10 ) & 0x1F ) / 31, defaultColor[ 3 ] ];
+            }
+            for ( j = 0; j < 3; j++ ) colors.set( color, i * 12 + j * 4 );
+        }
+    }
+
+    var root = new Node();
+    root.addChild( createGeometry( vertexes, normals, colors, createStateSet() ) );
+    return P.resolve( root );
+};
+
+// each solid of an ascii file is a geometry
+var readASCII = function ( text ) {
+    var root = new Node();
+    var stateSet = createStateSet();
+    var solidPattern = /solid([^\n]*)\n([\s\S]*?)endsolid/g;
+    var facetPattern = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)[\s\S]*?vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)[\s\S]*?endfacet/g;
+    var normal = Vec3.create();
+
+    var solid = solidPattern.exec( text );
+    while ( solid !== null ) {
+        var values = [];
+        facetPattern.lastIndex = 0;
+        var facet = facetPattern.exec( solid[ 2 ] );
+        while ( facet !== null ) {
+            for ( var k = 1; k < 13; k++ ) values.push( parseFloat( facet[ k ] ) );
+            facet = facetPattern.exec( solid[ 2 ] );
+        }
+
+        var nbTriangles = values.length / 12;
+        var vertexes = new MACROUTILS.Float32Array( nbTriangles * 9 );
+        var normals = new MACROUTILS.Float32Array( nbTriangles * 9 );
+        for ( var i = 0; i < nbTriangles; i++ ) {
+            vertexes.set( values.slice( i * 12 + 3, i * 12 + 12 ), i * 9 );
+            Vec3.set( values[ i * 12 ], values[ i * 12 + 1 ], values[ i * 12 + 2 ], normal );
+            computeNormal( vertexes, i * 9, normal );
+            for ( var j = 0; j < 3; j++ ) normals.set( normal, i * 9 + j * 3 );
+        }
+
+        var geometry = createGeometry( vertexes, normals, undefined, stateSet );
+        var name = solid[ 1 ].trim();
+        if ( name ) geometry.setName( name );
+        root.addChild( geometry );
+        solid = solidPattern.exec( text );
+    }
+
+    if ( !root.getChildren().length ) {
+        return reject( 'no solid found' );
+    }
+
+    return P.resolve( root );
+};
+
+
+/**
+ * ReaderWriterSTL reads ascii and binary STL files. Triangles are
+ * drawn with DrawArrays with one normal by triangle, the colors of
+ * binary files are read in the Color vertex attribute
+ * @class ReaderWriterSTL
+ */
+var ReaderWriterSTL = function () {
+    ReaderWriter.call( this );
+    this.supportsExtension( 'stl', 'STL stereolithography' );
+    this.supportsMimeType( 'model/stl' );
+};
+
+ReaderWriterSTL.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+
+    readNodeURL: function ( url, options ) {
+        return this.requestFile( url, options, 'arraybuffer' ).then( function ( data ) {
+            return this.readNode( data, options );
+        }.bind( this ) );
+    },
+
+    // data can be an ArrayBuffer or the text of an ascii file
+    readNode: function ( data ) {
+        if ( typeof data === 'string' ) return readASCII( data );
+        if ( isBinary( data ) ) return readBinary( data );
+        return readASCII( ReaderWriter.decodeText( new Uint8Array( data ) ) );
+    }
+} );
+
+Registry.instance().addReaderWriter( new ReaderWriterSTL() );
+
+module.exports = ReaderWriterSTL;
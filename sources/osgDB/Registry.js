@@ -0,0 +1,90 @@
+'use strict';
+var Notify = require( 'osg/Notify' );
+
+
+// extension of the file pointed by an url, without query and fragment
+var getFileExtension = function ( url ) {
+    var path = url.split( /[?#]/ )[ 0 ];
+    var slash = path.lastIndexOf( '/' );
+    var dot = path.lastIndexOf( '.' );
+    if ( dot === -1 || dot < slash ) return '';
+    return path.substring( dot + 1 ).toLowerCase();
+};
+
+// mime type of a data uri
+var getDataURIMimeType = function ( url ) {
+    if ( url.substr( 0, 5 ) !== 'data:' ) return undefined;
+    return url.substring( 5 ).split( /[;,]/ )[ 0 ].toLowerCase();
+};
+
+/**
+ * Registry keeps the list of ReaderWriter plugins and finds the one to use
+ * for an url from its extension or from the mime type of a data uri.
+ * The last plugin added for an extension is the one used
+ * @class Registry
+ */
+var Registry = function () {
+    this._readerWriters = [];
+};
+
+Registry.instance = function () {
+
+    if ( !Registry._instance )
+        Registry._instance = new Registry();
+
+    return Registry._instance;
+};
+
+Registry.getFileExtension = getFileExtension;
+Registry.getDataURIMimeType = getDataURIMimeType;
+
+Registry.prototype = {
+
+    addReaderWriter: function ( readerWriter ) {
+        if ( this._readerWriters.indexOf( readerWriter ) !== -1 ) {
+            Notify.warn( 'ReaderWriter already registered' );
+            return;
+        }
+        this._readerWriters.push( readerWriter );
+    },
+
+    removeReaderWriter: function ( readerWriter ) {
+        var index = this._readerWriters.indexOf( readerWriter );
+        if ( index !== -1 ) this._readerWriters.splice( index, 1 );
+    },
+
+    getReaderWriterList: function () {
+        return this._readerWriters;
+    },
+
+    // method is optional and is the name of the function the plugin must
+    // implement, eg: readNodeURL
+    getReaderWriterForExtension: function ( extension, method ) {
+        for ( var i = this._readerWriters.length - 1; i >= 0; i-- ) {
+            var readerWriter = this._readerWriters[ i ];
+            if ( method && !readerWriter[ method ] ) continue;
+            if ( readerWriter.acceptsExtension( extension ) ) return readerWriter;
+        }
+        return undefined;
+    },
+
+    getReaderWriterForMimeType: function ( mimeType, method ) {
+        for ( var i = this._readerWriters.length - 1; i >= 0; i-- ) {
+            var readerWriter = this._readerWriters[ i ];
+            if ( method && !readerWriter[ method ] ) continue;
+            if ( readerWriter.acceptsMimeType( mimeType ) ) return readerWriter;
+        }
+        return undefined;
+    },
+
+    getReaderWriterForURL: function ( url, method ) {
+        var mimeType = getDataURIMimeType( url );
+        if ( mimeType !== undefined ) return this.getReaderWriterForMimeType( mimeType, method );
+
+        var extension = getFileExtension( url );
+        if ( !extension ) return undefined;
+        return this.getReaderWriterForExtension( extension, method );
+    }
+};
+
+module.exports = Registry;
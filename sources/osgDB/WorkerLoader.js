@@ -0,0 +1,313 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+
+
+// The functions below are serialized in the source of the worker, they
+// must not use anything outside of their scope. window is an alias of
+// the global scope of the worker
+
+// return the buffer arrays of the scene that reference a binary file
+var collectBufferArrays = function ( json, entries ) {
+    var types = [ 'Float32Array', 'Uint32Array', 'Uint16Array', 'Uint8Array' ];
+    var stack = [ json ];
+
+    while ( stack.length ) {
+        var object = stack.pop();
+        if ( !object || typeof object !== 'object' ) continue;
+
+        // buffer arrays have no children
+        if ( object.Array && object.ItemSize ) {
+            for ( var t = 0; t < types.length; t++ ) {
+                var vb = object.Array[ types[ t ] ];
+                if ( vb && vb.File ) {
+                    entries.push( {
+                        array: object.Array,
+                        type: types[ t ],
+                        vb: vb,
+                        itemSize: object.ItemSize
+                    } );
+                    break;
+                }
+            }
+            continue;
+        }
+
+        var keys = window.Object.keys( object );
+        for ( var i = keys.length - 1; i >= 0; i-- ) stack.push( object[ keys[ i ] ] );
+    }
+
+    return entries;
+};
+
+// replace the file references of the buffer arrays by typed arrays
+// decoded from the files, and return the buffers to transfer
+var decodeBufferArrays = function ( entries, files ) {
+    var typedArrays = {
+        Float32Array: Float32Array,
+        Uint32Array: Uint32Array,
+        Uint16Array: Uint16Array,
+        Uint8Array: Uint8Array
+    };
+    var getters = {
+        Float32Array: 'getFloat32',
+        Uint32Array: 'getUint32',
+        Uint16Array: 'getUint16',
+        Uint8Array: 'getUint8'
+    };
+    var littleEndian = new Uint16Array( new Uint8Array( [ 0x12, 0x34 ] ).buffer )[ 0 ] === 0x3412;
+
+    var buffers = [];
+    for ( var i = 0, l = entries.length; i < l; i++ ) {
+        var entry = entries[ i ];
+        var buffer = files[ entry.vb.File ];
+        if ( !buffer ) continue;
+
+        // gzip files are uncompressed on the main thread
+        var magic = new Uint8Array( buffer, 0, 2 );
+        if ( magic[ 0 ] === 0x1f && magic[ 1 ] === 0x8b ) continue;
+
+        var TypedArray = typedArrays[ entry.type ];
+        var offset = entry.vb.Offset || 0;
+        var count = entry.vb.Size * entry.itemSize;
+        var typedArray;
+
+        if ( littleEndian && offset % TypedArray.BYTES_PER_ELEMENT === 0 ) {
+            typedArray = new TypedArray( buffer, offset, count );
+            if ( buffers.indexOf( buffer ) === -1 ) buffers.push( buffer );
+        } else {
+            typedArray = new TypedArray( count );
+            var view = new DataView( buffer, offset, count * TypedArray.BYTES_PER_ELEMENT );
+            for ( var j = 0; j < count; j++ ) {
+                typedArray[ j ] = view[ getters[ entry.type ] ]( j * TypedArray.BYTES_PER_ELEMENT, true );
+            }
+            buffers.push( typedArray.buffer );
+        }
+
+        entry.array[ entry.type ] = {
+            Elements: typedArray
+        };
+    }
+
+    return buffers;
+};
+
+var workerMain = function ( scope, collect, decode ) {
+
+    // requests sent by id of message, to be able to abort them
+    var pendingRequests = {};
+
+    var requestFile = function ( id, url, responseType, callback ) {
+        var req = new XMLHttpRequest();
+        pendingRequests[ id ].push( req );
+        req.open( 'GET', url, true );
+        req.responseType = responseType;
+        req.addEventListener( 'error', function () {
+            callback( 'cant get file ' + url );
+        }, false );
+        req.addEventListener( 'load', function () {
+            // the message has been aborted
+            if ( !pendingRequests[ id ] ) return;
+            if ( req.status >= 400 ) callback( 'cant get file ' + url + ' status ' + req.status );
+            else callback( undefined, req.response );
+        }, false );
+        req.send( null );
+    };
+
+    scope.onmessage = function ( event ) {
+        var id = event.data.id;
+        var url = event.data.url;
+
+        if ( event.data.abort ) {
+            var requests = pendingRequests[ id ] || [];
+            delete pendingRequests[ id ];
+            requests.forEach( function ( req ) {
+                req.abort();
+            } );
+            return;
+        }
+        pendingRequests[ id ] = [];
+
+        var prefixURL = url.substring( 0, url.lastIndexOf( '/' ) + 1 );
+
+        var postError = function ( error ) {
+            delete pendingRequests[ id ];
+            scope.postMessage( {
+                id: id,
+                error: error
+            } );
+        };
+
+        requestFile( id, url, 'text', function ( error, text ) {
+            if ( error ) return postError( error );
+
+            var json;
+            try {
+                json = JSON.parse( text );
+            } catch ( e ) {
+                return postError( 'cant parse url ' + url );
+            }
+
+            var entries = collect( json, [] );
+            var fileNames = [];
+            entries.forEach( function ( entry ) {
+                if ( fileNames.indexOf( entry.vb.File ) === -1 ) fileNames.push( entry.vb.File );
+            } );
+
+            var files = {};
+            var nbFiles = fileNames.length;
+            var done = function () {
+                delete pendingRequests[ id ];
+                var buffers = decode( entries, files );
+                scope.postMessage( {
+                    id: id,
+                    json: json
+                }, buffers );
+            };
+
+            if ( !nbFiles ) return done();
+
+            // the files that fail are read again on the main thread
+            fileNames.forEach( function ( fileName ) {
+                requestFile( id, prefixURL + fileName, 'arraybuffer', function ( fileError, buffer ) {
+                    if ( !fileError ) files[ fileName ] = buffer;
+                    if ( --nbFiles === 0 ) done();
+                } );
+            } );
+
+            return undefined;
+        } );
+    };
+};
+
+
+/**
+ * WorkerLoader fetches osgjs files in a Web Worker: the JSON is parsed
+ * and the binary arrays are decoded in the worker, then the buffers are
+ * transferred to the main thread. Only the creation of the scene graph
+ * objects is left to the main thread, see the workerLoader option of
+ * Input and DatabasePager.setWorkerLoader
+ * @class WorkerLoader
+ */
+var WorkerLoader = function () {
+    this._worker = undefined;
+    this._requests = {};
+    this._requestID = 0;
+};
+
+WorkerLoader.collectBufferArrays = collectBufferArrays;
+WorkerLoader.decodeBufferArrays = decodeBufferArrays;
+
+WorkerLoader.isSupported = function () {
+    return typeof window.Worker !== 'undefined' && typeof window.Blob !== 'undefined' && typeof window.URL !== 'undefined';
+};
+
+WorkerLoader.prototype = MACROUTILS.objectLibraryClass( {
+
+    // return a promise of the json of the scene, with the binary arrays
+    // already decoded in typed arrays. The requestXHRCallback of the
+    // options receives an object to abort the loading
+    readSceneGraph: function ( url, options ) {
+        try {
+            this._getWorker().postMessage( {
+                id: this._requestID,
+                // the worker is created from a blob, urls must be absolute
+                url: new window.URL( url, window.location.href ).href
+            } );
+        } catch ( error ) {
+            // the blob workers can be forbidden, Input reads the file
+            // on the main thread
+            Notify.warn( 'WorkerLoader: cant start the worker, ' + error );
+            return P.reject( error );
+        }
+
+        var defer = P.defer();
+        var id = this._requestID++;
+        this._requests[ id ] = defer;
+
+        if ( options && options.requestXHRCallback ) {
+            options.requestXHRCallback( {
+                abort: this._abort.bind( this, id )
+            } );
+        }
+
+        return defer.promise;
+    },
+
+    // stop the worker and reject the pending requests
+    terminate: function () {
+        if ( this._worker ) {
+            this._worker.terminate();
+            this._worker = undefined;
+        }
+
+        this._rejectRequests( new Error( 'WorkerLoader terminated' ) );
+    },
+
+    _rejectRequests: function ( error ) {
+        var requests = this._requests;
+        this._requests = {};
+        window.Object.keys( requests ).forEach( function ( id ) {
+            requests[ id ].reject( error );
+        } );
+    },
+
+    _getWorker: function () {
+        if ( this._worker ) return this._worker;
+
+        var source = 'var window = self;\n(' + workerMain.toString() + ')(self,' + collectBufferArrays.toString() + ',' + decodeBufferArrays.toString() + ');';
+        var blobURL = window.URL.createObjectURL( new window.Blob( [ source ], {
+            type: 'application/javascript'
+        } ) );
+
+        this._worker = new window.Worker( blobURL );
+        this._worker.onmessage = this._onMessage.bind( this );
+        this._worker.onerror = this._onError.bind( this );
+        return this._worker;
+    },
+
+    // an error not caught by the worker, like a worker script that can't
+    // be loaded, leaves the requests without answer: the worker is dropped
+    // and the requests are rejected to be read on the main thread
+    _onError: function ( event ) {
+        var message = event && event.message || 'worker error';
+        Notify.error( 'WorkerLoader: ' + message );
+        this._worker.terminate();
+        this._worker = undefined;
+        this._rejectRequests( new Error( message ) );
+    },
+
+    _abort: function ( id ) {
+        var defer = this._requests[ id ];
+        if ( !defer ) return;
+        delete this._requests[ id ];
+
+        this._worker.postMessage( {
+            id: id,
+            abort: true
+        } );
+        // aborted requests must not be read again on the main thread
+        var error = new Error( 'WorkerLoader request aborted' );
+        error.aborted = true;
+        defer.reject( error );
+    },
+
+    _onMessage: function ( event ) {
+        var data = event.data;
+        var defer = this._requests[ data.id ];
+        if ( !defer ) return;
+        delete this._requests[ data.id ];
+
+        if ( data.error ) {
+            Notify.error( 'WorkerLoader: ' + data.error );
+            defer.reject( new Error( data.error ) );
+            return;
+        }
+
+        defer.resolve( data.json );
+    }
+
+}, 'osgDB', 'WorkerLoader' );
+
+module.exports = WorkerLoader;
@@ -1,18 +1,60 @@
 'use strict';
 var MACROUTILS = require( 'osg/Utils' );
 var Input = require( 'osgDB/Input' );
+var Output = require( 'osgDB/Output' );
 var ReaderParser = require( 'osgDB/ReaderParser' );
 var DatabasePager = require( 'osgDB/DatabasePager' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var Registry = require( 'osgDB/Registry' );
+var ReaderWriterGLTF = require( 'osgDB/ReaderWriterGLTF' );
+var ReaderWriterOBJ = require( 'osgDB/ReaderWriterOBJ' );
+var ReaderWriterSTL = require( 'osgDB/ReaderWriterSTL' );
+var ReaderWriterPLY = require( 'osgDB/ReaderWriterPLY' );
+var ReaderWriter3DTiles = require( 'osgDB/ReaderWriter3DTiles' );
+var ReaderWriterDraco = require( 'osgDB/ReaderWriterDraco' );
+var ReaderWriterDDS = require( 'osgDB/ReaderWriterDDS' );
+var ReaderWriterKTX = require( 'osgDB/ReaderWriterKTX' );
+var ReaderWriterHDR = require( 'osgDB/ReaderWriterHDR' );
+var ReaderWriterEXR = require( 'osgDB/ReaderWriterEXR' );
+var HDRImage = require( 'osgDB/HDRImage' );
+var WorkerLoader = require( 'osgDB/WorkerLoader' );
+var Cache = require( 'osgDB/Cache' );
+var MemoryCache = require( 'osgDB/MemoryCache' );
+var IndexedDBCache = require( 'osgDB/IndexedDBCache' );
 var osgWrappers = require( 'osgWrappers/serializers/osg' );
 var osgAnimationWrappers = require( 'osgWrappers/serializers/osgAnimation' );
 var osgTextWrappers = require( 'osgWrappers/serializers/osgText' );
+var osgWriters = require( 'osgWrappers/writers/osg' );
+var osgAnimationWriters = require( 'osgWrappers/writers/osgAnimation' );
+var osgTextWriters = require( 'osgWrappers/writers/osgText' );
 
 var osgDB = {};
 osgDB.Input = Input;
+osgDB.Output = Output;
 MACROUTILS.objectMix( osgDB, ReaderParser );
 osgDB.DatabasePager = DatabasePager;
+osgDB.ReaderWriter = ReaderWriter;
+osgDB.Registry = Registry;
+osgDB.ReaderWriterGLTF = ReaderWriterGLTF;
+osgDB.ReaderWriterOBJ = ReaderWriterOBJ;
+osgDB.ReaderWriterSTL = ReaderWriterSTL;
+osgDB.ReaderWriterPLY = ReaderWriterPLY;
+osgDB.ReaderWriter3DTiles = ReaderWriter3DTiles;
+osgDB.ReaderWriterDraco = ReaderWriterDraco;
+osgDB.ReaderWriterDDS = ReaderWriterDDS;
+osgDB.ReaderWriterKTX = ReaderWriterKTX;
+osgDB.ReaderWriterHDR = ReaderWriterHDR;
+osgDB.ReaderWriterEXR = ReaderWriterEXR;
+osgDB.HDRImage = HDRImage;
+osgDB.WorkerLoader = WorkerLoader;
+osgDB.Cache = Cache;
+osgDB.MemoryCache = MemoryCache;
+osgDB.IndexedDBCache = IndexedDBCache;
 osgDB.ObjectWrapper.serializers.osg = osgWrappers;
 osgDB.ObjectWrapper.serializers.osgAnimation = osgAnimationWrappers;
 osgDB.ObjectWrapper.serializers.osgText = osgTextWrappers;
+osgDB.ObjectWrapper.writers.osg = osgWriters;
+osgDB.ObjectWrapper.writers.osgAnimation = osgAnimationWriters;
+osgDB.ObjectWrapper.writers.osgText = osgTextWriters;
 
 module.exports = osgDB;
@@ -1,13 +1,17 @@
 'use strict';
+var Fog = require( 'osg/Fog' );
 var Light = require( 'osg/Light' );
 var Notify = require( 'osg/Notify' );
 var MACROUTILS = require( 'osg/Utils' );
 var Uniform = require( 'osg/Uniform' );
 var factory = require( 'osgShader/nodeFactory' );
 
-var Compiler = function ( attributes, textureAttributes, shaderProcessor ) {
+// hooks is an object of callbacks arrays by hook point, see
+// ShaderGenerator.addHook
+var Compiler = function ( attributes, textureAttributes, shaderProcessor, hooks ) {
     this._attributes = attributes;
     this._textureAttributes = textureAttributes;
+    this._hooks = hooks || {};
 
     this._activeNodeList = {};
     this._compiledNodeList = {};
@@ -27,10 +31,14 @@ var Compiler = function ( attributes, textureAttributes, shaderProcessor ) {
     // (not counting loops done above in shader generator)
 
     this._shadowsTextures = [];
+    this._environmentTextures = [];
     this._lights = [];
     this._shadows = [];
+    this._clipPlanes = [];
     this._textures = [];
     this._material = null;
+    this._environmentLight = null;
+    this._fog = null;
 
 
     // LOW-LEVEL info
@@ -72,7 +80,7 @@ var Compiler = function ( attributes, textureAttributes, shaderProcessor ) {
 
     // no need to test light
     var hasMaterial = !!this._material;
-    this._isLighted = hasMaterial && this._lights.length > 0;
+    this._isLighted = hasMaterial && ( this._lights.length > 0 || this.hasEnvironmentLighting() );
 
     // backup shader, FS just output 'fofd'
     this._isVertexColored = hasMaterial;
@@ -85,6 +93,12 @@ var Compiler = function ( attributes, textureAttributes, shaderProcessor ) {
     this._customFragmentShader = false;
 };
 
+// hook points of the node graphs, see ShaderGenerator.addHook
+Compiler.HOOK_VERTEX_DISPLACEMENT = 'vertexDisplacement';
+Compiler.HOOK_PRE_LIGHTING = 'preLighting';
+Compiler.HOOK_POST_LIGHTING = 'postLighting';
+Compiler.HOOK_FINAL_COLOR = 'finalColor';
+
 Compiler.prototype = {
 
     initAttributes: function () {
@@ -103,7 +117,7 @@ Compiler.prototype = {
                 lights.push( attributes[ i ] );
 
 
-            } else if ( type === 'Material' ) {
+            } else if ( type === 'Material' || type === 'PBRMaterial' ) {
                 this._material = attributes[ i ];
             } else if ( type === 'ShadowReceiveAttribute' ) {
                 shadows.push( attributes[ i ] );
@@ -113,6 +127,16 @@ Compiler.prototype = {
                 this._skinningAttribute = attributes[ i ];
             } else if ( type === 'MorphAttribute' ) {
                 this._morphAttribute = attributes[ i ];
+            } else if ( type === 'InstanceAttribute' ) {
+                this._instanceAttribute = attributes[ i ];
+            } else if ( type === 'ClipPlane' ) {
+                if ( attributes[ i ].isEnabled() ) this._clipPlanes.push( attributes[ i ] );
+            } else if ( type === 'EnvironmentLight' ) {
+                if ( attributes[ i ].isEnabled() ) this._environmentLight = attributes[ i ];
+            } else if ( type === 'Fog' ) {
+                if ( attributes[ i ].isEnabled() ) this._fog = attributes[ i ];
+            } else if ( type === 'OrderIndependentTransparencyAttribute' ) {
+                if ( attributes[ i ].isEnabled() ) this._orderIndependentTransparency = attributes[ i ];
             }
         }
     },
@@ -121,7 +145,7 @@ Compiler.prototype = {
 
         var textureAttributes = this._textureAttributes;
         var texturesNum = textureAttributes.length;
-        this._textures.length = this._shadowsTextures.length = texturesNum;
+        this._textures.length = this._shadowsTextures.length = this._environmentTextures.length = texturesNum;
 
         for ( var j = 0; j < texturesNum; j++ ) {
             var tu = textureAttributes[ j ];
@@ -135,6 +159,7 @@ Compiler.prototype = {
 
     registerTextureAttributes: function ( tuTarget, tunit ) {
         var tType = tuTarget.className();
+        if ( this.isEnvironmentTextureUnit( tunit ) ) return this.registerTextureEnvironment( tuTarget, tunit );
         if ( tType === 'Texture' ) return this.registerTexture( tuTarget, tunit );
         if ( tType === 'ShadowTexture' ) return this.registerTextureShadow( tuTarget, tunit );
     },
@@ -170,6 +195,19 @@ Compiler.prototype = {
         };
     },
 
+    // the textures of the environment light are sampled by its node, they
+    // have no texture coordinates
+    registerTextureEnvironment: function ( tuTarget, texUnit ) {
+        this._environmentTextures[ texUnit ] = tuTarget;
+    },
+
+    isEnvironmentTextureUnit: function ( texUnit ) {
+        var environment = this._environmentLight;
+        if ( !environment )
+            return false;
+        return texUnit === environment.getSpecularTextureUnit() || texUnit === environment.getBRDFTextureUnit();
+    },
+
     // cache all requested node, so that we can list
     // and log unused Node that where called
     // or/cache unique or predefined node
@@ -217,6 +255,21 @@ Compiler.prototype = {
         return this._variables[ nameID ];
     },
 
+    hasHooks: function ( hookName ) {
+        var hooks = this._hooks[ hookName ];
+        return !!hooks && hooks.length > 0;
+    },
+
+    // the callbacks add their nodes to the graph through the variables
+    callHooks: function ( hookName, variables ) {
+        var hooks = this._hooks[ hookName ];
+        if ( !hooks ) return;
+
+        for ( var i = 0, l = hooks.length; i < l; i++ ) {
+            hooks[ i ].callback( this, variables );
+        }
+    },
+
     getAttributeType: function ( type ) {
 
         for ( var i = 0; i < this._attributes.length; i++ ) {
@@ -598,6 +651,7 @@ Compiler.prototype = {
 
         var texturesInput = [];
         var textures = this._texturesByName;
+        var diffuseUnit = this._material && this._material.getDiffuseTextureUnit ? this._material.getDiffuseTextureUnit() : undefined;
 
         var keys = window.Object.keys( textures );
         for ( var i = 0; i < keys.length; i++ ) {
@@ -609,6 +663,11 @@ Compiler.prototype = {
             if ( texture.shadow )
                 continue;
 
+            // the material can restrict the diffuse color to one texture
+            // unit, the others are not colors (normal maps, ...)
+            if ( diffuseUnit !== undefined && texture.textureUnit !== diffuseUnit )
+                continue;
+
             texturesInput.push( texture.variable );
         }
 
@@ -1289,13 +1348,48 @@ Compiler.prototype = {
         } );
         return outputVertex;
     },
+    // transform an attribute with the matrix of the instance, the
+    // instance is the outer transform of the vertices of an InstancedGeometry
+    instanceTransform: function ( inputVec, type, name, direction ) {
+        var vecOut = this.getVariable( name );
+        if ( vecOut ) return vecOut;
+
+        vecOut = this.createVariable( type, name );
+        var node = this.getNode( direction ? 'MatrixMultDirection' : 'MatrixMultPosition' );
+        if ( type === 'vec4' ) node.setOverwriteW( false );
+        node.inputs( {
+            matrix: this.getOrCreateAttribute( 'mat4', 'InstanceMatrix' ),
+            vec: inputVec
+        } ).outputs( {
+            vec: vecOut
+        } );
+        return vecOut;
+    },
+    // local vertex position displaced by the hooks
     getOrCreateVertexAttribute: function () {
+        var vertex = this.getOrCreateAnimatedVertexAttribute();
+        if ( !this.hasHooks( Compiler.HOOK_VERTEX_DISPLACEMENT ) ) return vertex;
+
+        var vecOut = this.getVariable( 'vertexDisplaced' );
+        if ( vecOut ) return vecOut;
+
+        vecOut = this.createVariable( 'vec3', 'vertexDisplaced' );
+        this.getNode( 'SetFromNode' ).inputs( vertex ).outputs( vecOut );
+        this.callHooks( Compiler.HOOK_VERTEX_DISPLACEMENT, {
+            vertex: vecOut
+        } );
+        return vecOut;
+    },
+
+    // local vertex position after the instancing, morphing and skinning
+    getOrCreateAnimatedVertexAttribute: function () {
         var vecOut = this.getVariable( 'vertexAttribute' );
         if ( vecOut ) return vecOut;
 
         var hasMorph = this._morphAttribute && this._morphAttribute.hasTarget( 'Vertex' );
 
         var inputVertex = this.getOrCreateAttribute( 'vec3', 'Vertex' );
+        if ( this._instanceAttribute ) inputVertex = this.instanceTransform( inputVertex, 'vec3', 'vertexInstance' );
         if ( !this._skinningAttribute && !hasMorph ) return inputVertex;
 
         vecOut = this.createVariable( 'vec3', 'vertexAttribute' );
@@ -1314,6 +1408,7 @@ Compiler.prototype = {
         var hasMorph = this._morphAttribute && this._morphAttribute.hasTarget( 'Normal' );
 
         var inputNormal = this.getOrCreateAttribute( 'vec3', 'Normal' );
+        if ( this._instanceAttribute ) inputNormal = this.instanceTransform( inputNormal, 'vec3', 'normalInstance', true );
         if ( !this._skinningAttribute && !hasMorph ) return inputNormal;
 
         var tmpAnim;
@@ -1346,6 +1441,7 @@ Compiler.prototype = {
         var hasMorph = this._morphAttribute && this._morphAttribute.hasTarget( 'Tangent' );
 
         var inputTangent = this.getOrCreateAttribute( 'vec4', 'Tangent' );
+        if ( this._instanceAttribute ) inputTangent = this.instanceTransform( inputTangent, 'vec4', 'tangentInstance', true );
         if ( !this._skinningAttribute && !hasMorph ) return inputTangent;
 
         var tmpAnim;
@@ -1392,6 +1488,10 @@ Compiler.prototype = {
             vec: tempViewSpace
         } );
 
+        // the fog needs the eye position
+        if ( this._fog )
+            this.getNode( 'SetFromNode' ).inputs( tempViewSpace ).outputs( this.getOrCreateInputPosition() );
+
         //glpos
         this.getNode( 'MatrixMultPosition' ).inputs( {
             matrix: this.getOrCreateProjectionMatrix(),
@@ -1402,19 +1502,20 @@ Compiler.prototype = {
     },
 
     declareVertexTransformBillboard: function ( glPosition ) {
-        this.getOrCreateInputPosition();
         this.getNode( 'Billboard' ).inputs( {
             Vertex: this.getOrCreateAttribute( 'vec3', 'Vertex' ),
             ModelViewMatrix: this.getOrCreateUniform( 'mat4', 'ModelViewMatrix' ),
             ProjectionMatrix: this.getOrCreateUniform( 'mat4', 'ProjectionMatrix' )
         } ).outputs( {
-            vec: glPosition
+            vec: glPosition,
+            position: this.getOrCreateInputPosition()
         } );
     },
 
     needTangent: function () {
         // the application choose whether or not to use tangent
-        return false;
+        // the normal texture of a PBRMaterial needs them
+        return this.hasPBRMaterial() && this._textures[ this._material.getNormalTextureUnit() ] !== undefined;
     },
     declareVertexTransformLighted: function ( glPosition ) {
         // FragNormal
@@ -1540,6 +1641,10 @@ Compiler.prototype = {
         this.declareVertexTransforms( glPosition, roots );
         this.declareVertexTextureCoords( glPosition, roots );
 
+        // clip planes are in world space
+        if ( this._clipPlanes.length && !this._varyings.WorldPosition )
+            this.declareVertexTransformShadowed( glPosition );
+
 
         if ( this._isVertexColored ) {
             var vertexDynamicColoring = [ '',
@@ -1549,10 +1654,17 @@ Compiler.prototype = {
                 '    %VertexColor = vec4(1.0,1.0,1.0,1.0);'
             ];
 
-            this.getNode( 'InlineCode' ).code( vertexDynamicColoring.join( '\n' ) ).inputs( {
+            var colorInputs = {
                 ArrayColorEnabled: this.getOrCreateUniform( 'float', 'ArrayColorEnabled' ),
                 Color: this.getOrCreateAttribute( 'vec4', 'Color' )
-            } ).outputs( {
+            };
+
+            if ( this._instanceAttribute && this._instanceAttribute.hasColor() ) {
+                vertexDynamicColoring.push( '%VertexColor *= %InstanceColor;' );
+                colorInputs.InstanceColor = this.getOrCreateAttribute( 'vec4', 'InstanceColor' );
+            }
+
+            this.getNode( 'InlineCode' ).code( vertexDynamicColoring.join( '\n' ) ).inputs( colorInputs ).outputs( {
                 VertexColor: this.getOrCreateVarying( 'vec4', 'VertexColor' )
             } );
         }
@@ -1725,6 +1837,8 @@ Compiler.prototype = {
 
         // Call to specialised inhenrited shader Compiler
         var roots = this.createFragmentShaderGraph();
+        this.declareClipPlanes( roots );
+        this.declareOrderIndependentTransparency( roots );
         var fname = this.getFragmentShaderName();
         if ( fname )
             roots.push( this.getNode( 'Define', 'SHADER_NAME' ).setValue( fname ) );
@@ -1741,12 +1855,66 @@ Compiler.prototype = {
     },
 
 
+    // discard the fragments clipped by the clip planes
+    declareClipPlanes: function ( roots ) {
+
+        if ( !this._clipPlanes.length ) return;
+
+        var inputs = {
+            worldPosition: this.getOrCreateVarying( 'vec3', 'WorldPosition' )
+        };
+        var code = [];
+        for ( var i = 0, l = this._clipPlanes.length; i < l; i++ ) {
+            var uniforms = this.getOrCreateStateAttributeUniforms( this._clipPlanes[ i ], 'clipPlane' + i );
+            inputs[ 'plane' + i ] = uniforms[ 'clipPlane' + i + 'plane' ];
+            code.push( 'if ( dot( vec4( %worldPosition, 1.0 ), %plane' + i + ' ) < 0.0 ) discard;' );
+        }
+
+        // evaluated first as it has no output
+        roots.unshift( this.getNode( 'InlineCode' ).code( code.join( '\n' ) ).inputs( inputs ) );
+    },
+
+    // output of the fragment color, with order independent transparency
+    // it's a variable written in the targets by declareOrderIndependentTransparency
+    getOrCreateFragColor: function () {
+        if ( !this._orderIndependentTransparency ) return this.getNode( 'glFragColor' );
+        return this.getVariable( 'fragColor' ) || this.createVariable( 'vec4', 'fragColor' );
+    },
+
+    // write the premultiplied fragment color in the accumulation and
+    // revealage targets of OrderIndependentTransparency, weighted by
+    // its alpha and depth (McGuire and Bavoil 2013)
+    declareOrderIndependentTransparency: function ( roots ) {
+
+        if ( !this._orderIndependentTransparency ) return;
+
+        // custom graphs writing gl_FragColor are left untouched
+        var fragColor = this.getVariable( 'fragColor' );
+        var index = fragColor ? roots.indexOf( fragColor ) : -1;
+        if ( index === -1 ) return;
+
+        var accumulation = this.getNode( 'glFragData', 0 );
+        var revealage = this.getNode( 'glFragData', 1 );
+        this.getNode( 'InlineCode' ).code( [
+            'float oitWeight = clamp( pow( min( 1.0, %color.a * 10.0 ) + 0.01, 3.0 ) * 1e8 * pow( 1.0 - gl_FragCoord.z * 0.9, 3.0 ), 1e-2, 3e3 );',
+            '%accumulation = vec4( %color.rgb * oitWeight, %color.a );',
+            '%revealage = vec4( %color.a * oitWeight, 0.0, 0.0, %color.a );'
+        ].join( '\n' ) ).inputs( {
+            color: fragColor
+        } ).outputs( {
+            accumulation: accumulation,
+            revealage: revealage
+        } );
+
+        roots.splice( index, 1, accumulation, revealage );
+    },
+
     // This function is used when no material
     // is present. If you inherit from this Compiler
     // you could change the default behavior
     createDefaultFragmentShaderGraph: function () {
         var fofd = this.getOrCreateConstant( 'vec4', 'fofd' ).setValue( 'vec4(1.0, 0.0, 1.0, 0.7)' );
-        var fragCol = this.getNode( 'glFragColor' );
+        var fragCol = this.getOrCreateFragColor();
         this.getNode( 'SetFromNode' ).inputs( fofd ).outputs( fragCol );
         return fragCol;
     },
@@ -1767,6 +1935,9 @@ Compiler.prototype = {
             return roots;
         }
 
+        if ( this.hasPBRMaterial() )
+            return this.createPBRFragmentShaderGraph();
+
         var materialUniforms = this.getOrCreateStateAttributeUniforms( this._material );
 
         // vertex color needs to be computed to diffuse
@@ -1781,9 +1952,15 @@ Compiler.prototype = {
 
         if ( this._lights.length > 0 ) {
 
-            // creates lights nodes
-            var lightedOutput = this.createLighting( {
+            var materials = {
                 materialdiffuse: diffuseColor
+            };
+            this.callHooks( Compiler.HOOK_PRE_LIGHTING, materials );
+
+            // creates lights nodes
+            var lightedOutput = this.createLighting( materials );
+            this.callHooks( Compiler.HOOK_POST_LIGHTING, {
+                color: lightedOutput
             } );
             finalColor = lightedOutput;
 
@@ -1827,10 +2004,12 @@ Compiler.prototype = {
         } ).outputs( {
             alpha: alpha
         } );
+        this.createFog( finalColor );
+
         // premult alpha
         finalColor = this.getPremultAlpha( finalColor, alpha );
 
-        var fragColor = this.getNode( 'glFragColor' );
+        var fragColor = this.getOrCreateFragColor();
 
         // todo add gamma corrected color, but it would also
         // mean to handle correctly srgb texture. So it should be done
@@ -1841,6 +2020,292 @@ Compiler.prototype = {
         } ).outputs( {
             color: fragColor
         } );
+        this.callHooks( Compiler.HOOK_FINAL_COLOR, {
+            color: fragColor
+        } );
+
+        roots.push( fragColor );
+
+        return roots;
+    },
+
+    hasPBRMaterial: function () {
+        return Boolean( this._material ) && this._material.className() === 'PBRMaterial';
+    },
+
+    // only the PBRMaterial is lit by the environment
+    hasEnvironmentLighting: function () {
+        return Boolean( this._environmentLight ) && this.hasPBRMaterial();
+    },
+
+    createEnvironmentLighting: function ( materials ) {
+
+        var environment = this._environmentLight;
+        var output = this.createVariable( 'vec3', 'environmentLighting' );
+
+        // declared first to get the array of 9 coefficients
+        this.getOrCreateUniform( 'vec3', 'EnvironmentLightSphericalHarmonics', 9 );
+        var environmentUniforms = this.getOrCreateStateAttributeUniforms( environment, 'environment' );
+
+        var inputs = MACROUTILS.objectMix( {
+            normal: this.getOrCreateNormalizedNormal(),
+            eyeVector: this.getOrCreateNormalizedPosition(),
+            viewmatrix: this.getOrCreateUniform( 'mat4', 'ViewMatrix' )
+        }, environmentUniforms );
+        inputs = MACROUTILS.objectMix( inputs, materials );
+
+        var specularUnit = environment.getSpecularTextureUnit();
+        if ( this._environmentTextures[ specularUnit ] ) {
+            inputs.environmentspecular = this.getOrCreateSampler( 'samplerCube', 'Texture' + specularUnit );
+
+            var brdfUnit = environment.getBRDFTextureUnit();
+            if ( this._environmentTextures[ brdfUnit ] )
+                inputs.environmentbrdf = this.getOrCreateSampler( 'sampler2D', 'Texture' + brdfUnit );
+        } else {
+            delete inputs.environmentspecularMaxLod;
+            delete inputs.environmentspecularRange;
+        }
+
+        this.getNode( 'EnvironmentLight' ).inputs( inputs ).outputs( {
+            color: output
+        } );
+
+        return output;
+    },
+
+    // blends the color with the fog after the lighting
+    createFog: function ( color ) {
+
+        var fog = this._fog;
+        if ( !fog )
+            return;
+
+        // only the uniforms of the mode
+        var fogUniforms = fog.getOrCreateUniforms();
+        var inputs = {
+            position: this.getOrCreateInputPosition(),
+            fogcolor: this.getOrCreateUniform( fogUniforms.color )
+        };
+
+        if ( fog.getMode() === Fog.LINEAR ) {
+            inputs.fogstart = this.getOrCreateUniform( fogUniforms.start );
+            inputs.fogend = this.getOrCreateUniform( fogUniforms.end );
+        } else {
+            inputs.fogdensity = this.getOrCreateUniform( fogUniforms.density );
+        }
+
+        if ( fog.getHeightFog() ) {
+            inputs.viewmatrix = this.getOrCreateUniform( 'mat4', 'ViewMatrix' );
+            inputs.fogheight = this.getOrCreateUniform( fogUniforms.height );
+            inputs.fogheightFalloff = this.getOrCreateUniform( fogUniforms.heightFalloff );
+        }
+
+        var mode = 'EXP';
+        if ( fog.getMode() === Fog.LINEAR ) mode = 'LINEAR';
+        else if ( fog.getMode() === Fog.EXP2 ) mode = 'EXP2';
+
+        this.getNode( 'Fog', mode ).inputs( inputs ).outputs( {
+            color: color
+        } );
+    },
+
+    // texel of the texture declared at unit, undefined if there is none
+    getTextureVariable: function ( unit ) {
+        var texture = this._textures[ unit ];
+        if ( !texture )
+            return undefined;
+
+        var textureMaterial = this._texturesByName[ texture.getName() ];
+        return textureMaterial ? textureMaterial.variable : undefined;
+    },
+
+    // texel of the sRGB texture declared at unit in linear space
+    getLinearTextureVariable: function ( unit ) {
+        var texel = this.getTextureVariable( unit );
+        if ( !texel )
+            return undefined;
+
+        var linearTexel = this.createVariable( 'vec4' );
+        this.getNode( 'sRGBToLinear' ).inputs( {
+            color: texel
+        } ).outputs( {
+            color: linearTexel
+        } );
+        return linearTexel;
+    },
+
+    // the normal perturbed by the tangent space normal texture at unit
+    getOrCreatePBRNormal: function ( unit ) {
+        var normal = this.getOrCreateNormalizedNormal();
+        var texel = this.getTextureVariable( unit );
+        if ( !texel || !this.needTangent() )
+            return normal;
+
+        var perturbedNormal = this.createVariable( 'vec3', 'perturbedNormal' );
+        var str = [ '',
+            '%ortho = normalize( %tangent.xyz - %normal * dot( %tangent.xyz, %normal ) );',
+            '%result = normalize( mat3( %ortho, cross( %normal, %ortho ) * ( %tangent.w < 0.0 ? -1.0 : 1.0 ), %normal ) * ( %bump.rgb * 2.0 - 1.0 ) );'
+        ].join( '\n' );
+
+        this.getNode( 'InlineCode' ).code( str ).inputs( {
+            normal: normal,
+            tangent: this.getOrCreateFrontTangent(),
+            bump: texel
+        } ).outputs( {
+            ortho: this.createVariable( 'vec3', 'orthoTangent' ),
+            result: perturbedNormal
+        } ).comment( 'normal from the tangent space normal texture' );
+
+        return perturbedNormal;
+    },
+
+    // fragment shader graph of a PBRMaterial, the lights are computed with GGX
+    // in linear space and the result is converted to sRGB
+    createPBRFragmentShaderGraph: function () {
+
+        var roots = [];
+        var material = this._material;
+        var materialUniforms = this.getOrCreateStateAttributeUniforms( material, 'material' );
+
+        // base color = factor * vertex color * texture
+        var baseColor = this.createVariable( 'vec3', 'baseColor' );
+        this.getNode( 'SetFromNode' ).inputs( this.getVertexColor( materialUniforms.materialbaseColor ) ).outputs( baseColor );
+
+        var baseColorTexel = this.getLinearTextureVariable( material.getBaseColorTextureUnit() );
+        if ( baseColorTexel ) {
+            this.getNode( 'InlineCode' ).code( '%color *= %texel.rgb;' ).inputs( {
+                texel: baseColorTexel
+            } ).outputs( {
+                color: baseColor
+            } );
+        }
+
+        var finalColor = this.createVariable( 'vec3' );
+
+        if ( this._isLighted ) {
+
+            var metallic = this.createVariable( 'float', 'metallic' );
+            var roughness = this.createVariable( 'float', 'roughness' );
+            var metallicRoughnessTexel = this.getTextureVariable( material.getMetallicRoughnessTextureUnit() );
+            var str = '%metal = %factorMetal;\n%rough = %factorRough;';
+            if ( metallicRoughnessTexel )
+                str += '\n%metal *= %texel.b;\n%rough *= %texel.g;';
+
+            this.getNode( 'InlineCode' ).code( str ).inputs( {
+                factorMetal: materialUniforms.materialmetallic,
+                factorRough: materialUniforms.materialroughness,
+                texel: metallicRoughnessTexel
+            } ).outputs( {
+                metal: metallic,
+                rough: roughness
+            } );
+
+            // dielectrics reflect 4% at normal incidence, metals have no diffuse
+            var albedo = this.createVariable( 'vec3', 'albedo' );
+            var reflectance = this.createVariable( 'vec3', 'reflectance' );
+            this.getNode( 'InlineCode' ).code( '%albedo = %color * ( 1.0 - %metal );\n%reflectance = mix( vec3( 0.04 ), %color, %metal );' ).inputs( {
+                color: baseColor,
+                metal: metallic
+            } ).outputs( {
+                albedo: albedo,
+                reflectance: reflectance
+            } );
+
+            // the occlusion only darkens the ambient of the lights
+            var ambient = albedo;
+            var occlusionTexel = this.getTextureVariable( material.getOcclusionTextureUnit() );
+            if ( occlusionTexel ) {
+                ambient = this.createVariable( 'vec3', 'occludedAlbedo' );
+                this.getNode( 'InlineCode' ).code( '%ambient = %albedo * %texel.r;' ).inputs( {
+                    albedo: albedo,
+                    texel: occlusionTexel
+                } ).outputs( {
+                    ambient: ambient
+                } );
+            }
+
+            var materials = {
+                normal: this.getOrCreatePBRNormal( material.getNormalTextureUnit() ),
+                materialambient: ambient,
+                materialdiffuse: albedo,
+                materialspecular: reflectance,
+                materialroughness: roughness
+            };
+            this.callHooks( Compiler.HOOK_PRE_LIGHTING, materials );
+
+            var lightedOutput = this.createLighting( materials, {
+                DIRECTION: 'SunLightPBR',
+                SPOT: 'SpotLightPBR',
+                POINT: 'PointLightPBR',
+                HEMI: 'HemiLightPBR'
+            } );
+            this.getNode( 'SetFromNode' ).inputs( lightedOutput ).outputs( finalColor );
+
+            if ( this.hasEnvironmentLighting() ) {
+                // the environment is ambient lighting, darkened by the occlusion
+                this.getNode( 'InlineCode' ).code( occlusionTexel ? '%color += %environment * %texel.r;' : '%color += %environment;' ).inputs( {
+                    environment: this.createEnvironmentLighting( materials ),
+                    texel: occlusionTexel
+                } ).outputs( {
+                    color: finalColor
+                } );
+            }
+            this.callHooks( Compiler.HOOK_POST_LIGHTING, {
+                color: finalColor
+            } );
+
+        } else {
+            // no light, use the base color
+            this.getNode( 'SetFromNode' ).inputs( baseColor ).outputs( finalColor );
+        }
+
+        var emissive = materialUniforms.materialemissive;
+        var emissiveTexel = this.getLinearTextureVariable( material.getEmissiveTextureUnit() );
+        if ( emissiveTexel ) {
+            emissive = this.createVariable( 'vec3', 'emissive' );
+            this.getNode( 'InlineCode' ).code( '%emissive = %factor * %texel.rgb;' ).inputs( {
+                factor: materialUniforms.materialemissive,
+                texel: emissiveTexel
+            } ).outputs( {
+                emissive: emissive
+            } );
+        }
+        this.getNode( 'InlineCode' ).code( '%color += %emissive;' ).inputs( {
+            emissive: emissive
+        } ).outputs( {
+            color: finalColor
+        } );
+
+        // compute alpha
+        var alpha = this.createVariable( 'float' );
+        var alphaCompute = baseColorTexel ? '%alpha = %color.a * %texel.a;' : '%alpha = %color.a;';
+
+        // Discard fragments totally transparents when rendering billboards
+        if ( this._isBillboard )
+            alphaCompute += 'if ( %alpha == 0.0) discard;';
+
+        this.getNode( 'InlineCode' ).code( alphaCompute ).inputs( {
+            color: materialUniforms.materialbaseColor,
+            texel: baseColorTexel
+        } ).outputs( {
+            alpha: alpha
+        } );
+
+        // the fog color is in the space of the clear color
+        var srgbColor = this.getColorsRGB( finalColor );
+        this.createFog( srgbColor );
+
+        var fragColor = this.getOrCreateFragColor();
+
+        this.getNode( 'SetAlpha' ).inputs( {
+            color: this.getPremultAlpha( srgbColor, alpha ),
+            alpha: alpha
+        } ).outputs( {
+            color: fragColor
+        } );
+        this.callHooks( Compiler.HOOK_FINAL_COLOR, {
+            color: fragColor
+        } );
 
         roots.push( fragColor );
 
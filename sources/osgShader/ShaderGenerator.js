@@ -16,8 +16,20 @@ var DefaultsAcceptAttributeTypes = [
     'ShadowTexture',
     'Texture',
     'Light',
+    'EnvironmentLight',
     'Material',
-    'Billboard'
+    'Billboard',
+    'Instance',
+    'ClipPlane',
+    'Fog',
+    'OrderIndependentTransparency'
+];
+
+// libraries of the attributes accepted, see acceptAttributeType
+var DefaultsAcceptLibraryNames = [
+    'osg',
+    'osgShadow',
+    'osgAnimation'
 ];
 
 var ShaderGenerator = function () {
@@ -27,6 +39,11 @@ var ShaderGenerator = function () {
     // but user can replace it if needed
     this._shaderProcessor = new ShaderProcessor();
     this._acceptAttributeTypes = new window.Set( DefaultsAcceptAttributeTypes );
+    this._acceptLibraryNames = new window.Set( DefaultsAcceptLibraryNames );
+
+    // callbacks by hook point of the compiler, see addHook
+    this._hooks = {};
+    this._hooksHash = '';
 
     // ShaderCompiler Object to instanciate
     this._ShaderCompiler = Compiler;
@@ -49,6 +66,79 @@ ShaderGenerator.prototype = {
         return this._acceptAttributeTypes;
     },
 
+    // accept the attributes of a type and of a library, the ones created with
+    // MACROUTILS.objectLibraryClass( ..., libraryName, className ), they are
+    // given to the compiler and their hash is part of the program cache key.
+    // The hooks find them with compiler.getAttributeType( type )
+    acceptAttributeType: function ( type, libraryName ) {
+        this._acceptAttributeTypes.add( type );
+        if ( libraryName ) this._acceptLibraryNames.add( libraryName );
+    },
+
+    /**
+     * Adds a node graph fragment at a hook point of the compiler, the
+     * callback is called with the compiler and the variables of the hook:
+     * - Compiler.HOOK_VERTEX_DISPLACEMENT: { vertex } the local vec3 position
+     * - Compiler.HOOK_PRE_LIGHTING: the inputs of the lights, normal,
+     *   materialdiffuse, ... entries can be replaced by other variables
+     * - Compiler.HOOK_POST_LIGHTING: { color } the vec3 lit color
+     * - Compiler.HOOK_FINAL_COLOR: { color } the vec4 fragment color
+     *
+     * The callback writes in the variables with nodes of the compiler,
+     * including the ones added with nodeFactory.registerNode:
+     *
+     * shaderGenerator.addHook( Compiler.HOOK_POST_LIGHTING, 'rim', function ( compiler, variables ) {
+     *     compiler.getNode( 'InlineCode' ).code( '%color += %rim;' ).inputs( {
+     *         rim: compiler.getOrCreateUniform( 'vec3', 'RimColor' )
+     *     } ).outputs( {
+     *         color: variables.color
+     *     } );
+     * } );
+     *
+     * The name identifies the hook in the program cache key and replaces
+     * the hook of the same name
+     */
+    addHook: function ( hookName, name, callback ) {
+        var hooks = this._hooks[ hookName ] || ( this._hooks[ hookName ] = [] );
+        this.removeHook( hookName, name );
+        hooks.push( {
+            name: name,
+            callback: callback
+        } );
+        this.dirtyHooks();
+    },
+
+    removeHook: function ( hookName, name ) {
+        var hooks = this._hooks[ hookName ];
+        if ( !hooks ) return;
+
+        for ( var i = 0; i < hooks.length; i++ ) {
+            if ( hooks[ i ].name !== name ) continue;
+
+            hooks.splice( i, 1 );
+            // the programs generated with the previous callback are obsolete
+            this._cache.clear();
+            this.dirtyHooks();
+            return;
+        }
+    },
+
+    getHooks: function () {
+        return this._hooks;
+    },
+
+    dirtyHooks: function () {
+        var hash = '';
+        var hookNames = window.Object.keys( this._hooks );
+        for ( var i = 0; i < hookNames.length; i++ ) {
+            var hooks = this._hooks[ hookNames[ i ] ];
+            for ( var j = 0; j < hooks.length; j++ ) {
+                hash += hookNames[ i ] + ':' + hooks[ j ].name + ';';
+            }
+        }
+        this._hooksHash = hash;
+    },
+
 
     getShaderProcessor: function () {
         return this._shaderProcessor;
@@ -65,7 +155,7 @@ ShaderGenerator.prototype = {
         // with a default set in a var and use overwrittable Set
         // when inheriting the class
         // Faster && Flexiblier
-        if ( attribute.libraryName() !== 'osg' && attribute.libraryName() !== 'osgShadow' && attribute.libraryName() !== 'osgAnimation' )
+        if ( !this._acceptLibraryNames.has( attribute.libraryName() ) )
             return true;
 
         var attributeType = attribute.getType();
@@ -209,6 +299,7 @@ ShaderGenerator.prototype = {
             textureAttributes.length = 0;
             hash += this.getActiveAttributeList( state, attributes );
             hash += this.getActiveTextureAttributeList( state, textureAttributes );
+            hash += this._hooksHash;
 
             var cache = this._cache.get( hash );
             if ( cache !== undefined ) {
@@ -218,7 +309,7 @@ ShaderGenerator.prototype = {
 
             // use ShaderCompiler, it can be overrided by a custom one
             var ShaderCompiler = this._ShaderCompiler;
-            var shaderGen = new ShaderCompiler( attributes, textureAttributes, this._shaderProcessor );
+            var shaderGen = new ShaderCompiler( attributes, textureAttributes, this._shaderProcessor, this._hooks );
 
             /* develblock:start */
             // Logs hash, attributes and compiler
@@ -234,9 +325,13 @@ ShaderGenerator.prototype = {
             var vertexshader = shaderGen.createVertexShader();
             var fragmentshader = shaderGen.createFragmentShader();
 
-            var program = new Program(
-                new Shader( Shader.VERTEX_SHADER, vertexshader ),
-                new Shader( Shader.FRAGMENT_SHADER, fragmentshader ) );
+            // the errors are located in the includes with the source maps
+            var vertex = new Shader( Shader.VERTEX_SHADER, vertexshader );
+            vertex.setSourceMap( this._shaderProcessor.getSourceMap( vertexshader ) );
+            var fragment = new Shader( Shader.FRAGMENT_SHADER, fragmentshader );
+            fragment.setSourceMap( this._shaderProcessor.getSourceMap( fragmentshader ) );
+
+            var program = new Program( vertex, fragment );
 
             program.hash = hash;
             program.setActiveUniforms( this.getActiveUniforms( state, attributes, textureAttributes ) );
@@ -3,6 +3,7 @@ var ShaderGenerator = require( 'osgShader/ShaderGenerator' );
 var ShadowCastShaderGenerator = require( 'osgShadow/ShadowCastShaderGenerator' );
 var DisplayNormalVisitor = require( 'osgUtil/DisplayNormalVisitor' );
 var DisplayGeometryVisitor = require( 'osgUtil/DisplayGeometryVisitor' );
+var PickingShaderGenerator = require( 'osgUtil/PickingShaderGenerator' );
 
 var ShaderGeneratorProxy = function () {
 
@@ -14,6 +15,7 @@ var ShaderGeneratorProxy = function () {
     this.addShaderGenerator( 'debugTangent', new DisplayNormalVisitor.ShaderGeneratorCompilerOffsetTangent() );
     this.addShaderGenerator( 'debugGeometry', new DisplayGeometryVisitor.ShaderGeneratorCompilerColorGeometry() );
     this.addShaderGenerator( 'debugSkinning', new DisplayGeometryVisitor.ShaderGeneratorCompilerColorSkinning() );
+    this.addShaderGenerator( 'picking', new PickingShaderGenerator() );
 
     return this;
 };
@@ -1,5 +1,6 @@
 'use strict';
 var Notify = require( 'osg/Notify' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
 var shaderLib = require( 'osgShader/shaderLib' );
 var shadowShaderLib = require( 'osgShadow/shaderLib' );
 
@@ -28,11 +29,14 @@ ShaderProcessor.prototype = {
     _shadersText: {},
     _shadersList: {},
     _globalDefaultprecision: '#ifdef GL_FRAGMENT_PRECISION_HIGH\n precision highp float;\n #else\n precision mediump float;\n#endif',
-    _debugLines: false,
+    _sourceMaps: new window.Map(),
+    _maxSourceMaps: 256,
     _includeR: /#pragma include "([^"]+)"/g,
     _includeCondR: /#pragma include (["^+"]?["\ "[a-zA-Z_0-9](.*)"]*?)/g,
     _defineR: /\#define\s+([a-zA-Z_0-9]+)/,
     _precisionR: /precision\s+(high|low|medium)p\s+float/,
+    // extensions that are part of GLSL 300 es
+    _promotedExtensionR: /#extension\s+GL_(OES_standard_derivatives|EXT_shader_texture_lod|EXT_frag_depth|EXT_draw_buffers)\b.*\n?/g,
 
 
     // {
@@ -54,27 +58,90 @@ ShaderProcessor.prototype = {
     },
 
 
-    instrumentShaderlines: function ( content, sourceID ) {
-        // TODO instrumentShaderlines
-        // http://immersedcode.org/2012/1/12/random-notes-on-webgl/
-        // one ID per "file"
-        // Each file has its line number starting at 0
-        //   handle include, the do that numbering also in preprocess...
-        // Then on shader error using sourceID and line you can point the correct line...
-        // has to attach that info to osg.shader object.
-        /*
-          var allLines = content.split('\n');
-          var i = 0;
-          for (var k = 0; k _< allLines.length; k++) {
-          if (!this._includeR.test(allLines[k])) {
-          allLines[k] = "#line " + (i++) + " " + sourceID + '\n' + allLines[k] ;
-          }
-          }
-          content = allLines.join('\n');
-        */
-
-        // seems just  prefixing first line seems ok to help renumbering error mesg
-        return '\n#line ' + 0 + ' ' + sourceID + '\n' + content;
+    // wraps the text of an include with markers, they are removed by
+    // processShader that maps the lines of the result to the lines of the
+    // includes, see getSourceMap
+    instrumentShaderlines: function ( content, sourceName ) {
+        return '\u0001' + sourceName + '\u0001' + content + '\u0002';
+    },
+
+    // segments { line, source, sourceLine } of the lines of a shader
+    // returned by processShader, sorted by line starting at 1. The source
+    // is the name of the include, 'main' for the text given to processShader
+    // and 'header' for the version, extensions, precision and defines
+    getSourceMap: function ( shader ) {
+        return this._sourceMaps.get( shader );
+    },
+
+    // removes the markers of instrumentShaderlines, the lines are shifted
+    // by the header lines
+    stripShaderlines: function ( content, headerLines ) {
+        var segments = [];
+        if ( headerLines > 0 ) {
+            segments.push( {
+                line: 1,
+                source: 'header',
+                sourceLine: 1
+            } );
+        }
+
+        var stack = [];
+        var current = {
+            source: 'main',
+            line: 1
+        };
+        var markerR = /\u0001([^\u0001]*)\u0001|\u0002/g;
+
+        var source, sourceLine, match;
+        var lines = content.split( '\n' );
+        for ( var i = 0, l = lines.length; i < l; i++ ) {
+            var text = lines[ i ];
+
+            // the line is the one of its last text that is not blank
+            source = undefined;
+            var start = 0;
+            markerR.lastIndex = 0;
+            match = markerR.exec( text );
+            while ( match !== null ) {
+                if ( /\S/.test( text.substring( start, match.index ) ) ) {
+                    source = current.source;
+                    sourceLine = current.line;
+                }
+                start = markerR.lastIndex;
+
+                if ( match[ 1 ] !== undefined ) {
+                    stack.push( current );
+                    current = {
+                        source: match[ 1 ],
+                        line: 1
+                    };
+                } else if ( stack.length ) {
+                    current = stack.pop();
+                }
+                match = markerR.exec( text );
+            }
+            if ( source === undefined || /\S/.test( text.substring( start ) ) ) {
+                source = current.source;
+                sourceLine = current.line;
+            }
+            if ( start > 0 ) lines[ i ] = text.replace( markerR, '' );
+
+            var last = segments[ segments.length - 1 ];
+            var line = i + 1 + headerLines;
+            if ( !last || last.source !== source || last.sourceLine + line - last.line !== sourceLine ) {
+                segments.push( {
+                    line: line,
+                    source: source,
+                    sourceLine: sourceLine
+                } );
+            }
+            current.line++;
+        }
+
+        return {
+            text: lines.join( '\n' ),
+            segments: segments
+        };
     },
 
     getShaderTextPure: function ( shaderName ) {
@@ -138,13 +205,10 @@ ShaderProcessor.prototype = {
             var txt = this.getShaderTextPure( includeName );
             // make sure it's not included twice
             includeList.push( includeName );
-            if ( this._debugLines ) {
-                txt = this.instrumentShaderlines( txt, sourceID );
-            }
             sourceID++;
             // to the infinite and beyond !
             txt = this.preprocess( txt, sourceID, includeList, inputsDefines );
-            return txt;
+            return this.instrumentShaderlines( txt, includeName );
         }.bind( this ) );
 
     },
@@ -153,16 +217,12 @@ ShaderProcessor.prototype = {
     //  get a full expanded single shader source code
     //  resolving include dependencies
     //  adding defines
-    //  adding line instrumenting.
+    //  mapping the lines to the includes, see getSourceMap
     processShader: function ( shader, defines, extensions, type ) {
 
         var includeList = [];
         var preShader = shader;
         var sourceID = 0;
-        if ( this._debugLines ) {
-            preShader = this.instrumentShaderlines( preShader, sourceID );
-            sourceID++;
-        }
 
         // removes duplicates
         if ( defines !== undefined ) {
@@ -178,8 +238,26 @@ ShaderProcessor.prototype = {
 
         var postShader = this.preprocess( preShader, sourceID, includeList, defines, type );
 
+        // shaders of a known type are converted to GLSL 300 es with WebGL2,
+        // the others stay in GLSL 100 that WebGL2 still compiles
+        var glsl300 = type !== undefined && WebGLCaps.instance().isWebGL2();
+        var outputs = '';
+        if ( glsl300 ) {
+            if ( extensions !== undefined ) {
+                extensions = extensions.filter( function ( extension ) {
+                    return extension.search( this._promotedExtensionR ) === -1;
+                }, this );
+            }
+            // keeps the lines of the source map
+            postShader = postShader.replace( this._promotedExtensionR, function ( extension ) {
+                return extension.indexOf( '\n' ) !== -1 ? '\n' : '';
+            } );
+            postShader = this.convertToGLSL300( postShader, type );
+            outputs = this.getGLSL300Outputs( postShader, type );
+        }
+
         var prePrend = '';
-        prePrend += '#version 100\n'; // webgl1  (webgl2 #version 130 ?)
+        prePrend += glsl300 ? '#version 300 es\n' : '#version 100\n';
 
         // then
         // it's extensions first
@@ -209,9 +287,57 @@ ShaderProcessor.prototype = {
         if ( defines !== undefined ) {
             prePrend += defines.join( '\n' ) + '\n';
         }
-        postShader = prePrend + postShader;
+        prePrend += outputs;
+
+        var stripped = this.stripShaderlines( postShader, prePrend.split( '\n' ).length - 1 );
+        postShader = prePrend + stripped.text;
+
+        // keeps the maps of the last shaders
+        var sourceMaps = this._sourceMaps;
+        if ( sourceMaps.size >= this._maxSourceMaps ) sourceMaps.delete( sourceMaps.keys().next().value );
+        sourceMaps.set( postShader, stripped.segments );
 
         return postShader;
+    },
+
+    // convert the GLSL 100 keywords, texture functions and fragment outputs
+    // to GLSL 300 es, type is 'vertex' or 'fragment'
+    convertToGLSL300: function ( shader, type ) {
+        // texture is a function of GLSL 300 es, the GLSL 100 identifiers
+        // with this name would hide it
+        var result = shader.replace( /\btexture\b/g, 'osg_texture' );
+        result = result.replace( /\btexture(2D|Cube)(Lod|Grad)(EXT)?\s*\(/g, 'texture$2(' );
+        result = result.replace( /\btexture2DProj(Lod)?(EXT)?\s*\(/g, 'textureProj$1(' );
+        result = result.replace( /\btexture(2D|Cube)\s*\(/g, 'texture(' );
+
+        if ( type === 'vertex' ) {
+            result = result.replace( /\battribute\s/g, 'in ' );
+            result = result.replace( /\bvarying\s/g, 'out ' );
+            return result;
+        }
+
+        result = result.replace( /\bvarying\s/g, 'in ' );
+        result = result.replace( /\bgl_FragDepthEXT\b/g, 'gl_FragDepth' );
+        result = result.replace( /\bgl_FragColor\b/g, 'osg_FragColor' );
+        result = result.replace( /\bgl_FragData(EXT)?\b/g, 'osg_FragData' );
+        return result;
+    },
+
+    // declarations of the outputs replacing gl_FragColor and gl_FragData,
+    // the size of osg_FragData is its largest index used
+    getGLSL300Outputs: function ( shader, type ) {
+        if ( type !== 'fragment' ) return '';
+
+        var dataR = /\bosg_FragData\s*\[\s*(\d+)\s*\]/g;
+        var nbData = 0;
+        var match = dataR.exec( shader );
+        while ( match !== null ) {
+            nbData = Math.max( nbData, parseInt( match[ 1 ], 10 ) + 1 );
+            match = dataR.exec( shader );
+        }
+        if ( nbData ) return 'layout(location = 0) out highp vec4 osg_FragData[' + nbData + '];\n';
+        if ( /\bosg_FragColor\b/.test( shader ) ) return 'out highp vec4 osg_FragColor;\n';
+        return '';
     }
 };
 module.exports = ShaderProcessor;
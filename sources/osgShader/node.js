@@ -7,7 +7,8 @@ var subnamespace = [
     require( 'osgShader/node/textures' ),
     require( 'osgShader/node/functions' ),
     require( 'osgShader/node/lights' ),
-    require( 'osgShader/node/operations' )
+    require( 'osgShader/node/operations' ),
+    require( 'osgShader/node/fog' )
 ];
 
 var lib = {};
@@ -10,7 +10,11 @@ vec3 getScale( const in mat4 matrix ) {
       return scale;
 }
 
-vec4 billboard( const in vec3 vertex, const in mat4 modelViewMatrix, const in mat4 projectionMatrix ) {
+vec4 billboardViewPosition( const in vec3 vertex, const in mat4 modelViewMatrix ) {
       vec3 scale = getScale( modelViewMatrix );
-      return projectionMatrix * ( vec4( scale.x* vertex.x , scale.y * vertex.y, scale.z * vertex.z, 1.0 ) + vec4( modelViewMatrix[ 3 ].xyz, 0.0 ) );
+      return vec4( scale.x* vertex.x , scale.y * vertex.y, scale.z * vertex.z, 1.0 ) + vec4( modelViewMatrix[ 3 ].xyz, 0.0 );
+}
+
+vec4 billboard( const in vec3 vertex, const in mat4 modelViewMatrix, const in mat4 projectionMatrix ) {
+      return projectionMatrix * billboardViewPosition( vertex, modelViewMatrix );
 }
@@ -10,13 +10,15 @@ var Billboard = function () {
 Billboard.prototype = MACROUTILS.objectInherit( Node.prototype, {
     type: 'Billboard',
     validInputs: [ 'Vertex', 'ModelViewMatrix', 'ProjectionMatrix' ],
-    validOutputs: [ 'vec' ],
+    // position is the eye space position used by the lighting and the fog
+    validOutputs: [ 'vec', 'position' ],
 
     globalFunctionDeclaration: function () {
         return '#pragma include "billboard.glsl"';
     },
     computeShader: function () {
-        return ShaderUtils.callFunction( 'billboard', this._outputs.vec, [ this._inputs.Vertex, this._inputs.ModelViewMatrix, this._inputs.ProjectionMatrix ] );
+        return ShaderUtils.callFunction( 'billboardViewPosition', this._outputs.position, [ this._inputs.Vertex, this._inputs.ModelViewMatrix ] ) + '\n' +
+            ShaderUtils.callFunction( 'billboard', this._outputs.vec, [ this._inputs.Vertex, this._inputs.ModelViewMatrix, this._inputs.ProjectionMatrix ] );
     }
 } );
 
@@ -158,6 +158,18 @@ var glFragColor = function () {
 };
 glFragColor.prototype = MACROUTILS.objectInherit( Output.prototype, {} );
 
+// output of a multiple render targets fragment shader, written in the
+// color attachment index of the camera (see Camera.attachTextures)
+var glFragData = function ( index ) {
+    Output.call( this, 'vec4', 'gl_FragData[' + ( index || 0 ) + ']' );
+    this._name = 'glFragData';
+};
+glFragData.prototype = MACROUTILS.objectInherit( Output.prototype, {
+    getExtensions: function () {
+        return [ '#extension GL_EXT_draw_buffers : require' ];
+    }
+} );
+
 var glPosition = function () {
     Output.call( this, 'vec4', 'gl_Position' );
     this._name = 'glPosition';
@@ -176,6 +188,7 @@ module.exports = {
     glPointSize: glPointSize,
     glPosition: glPosition,
     glFragColor: glFragColor,
+    glFragData: glFragData,
     Sampler: Sampler,
     Variable: Variable,
     Constant: Constant,
@@ -0,0 +1,150 @@
+#pragma include "functions.glsl"
+
+// direction of the eye space in the environment space
+vec3 environmentDirection(const in mat4 viewMatrix, const in mat4 environmentMatrix, const in vec3 dir)
+{
+    // the transpose of the rotation of the view is its inverse
+    vec3 world = vec3(dot(viewMatrix[0].xyz, dir), dot(viewMatrix[1].xyz, dir), dot(viewMatrix[2].xyz, dir));
+    return normalize(mat3(environmentMatrix[0].xyz, environmentMatrix[1].xyz, environmentMatrix[2].xyz) * world);
+}
+
+// coefficients multiplied by the basis, see osg.EnvironmentLight
+// https://github.com/cedricpinson/envtools/blob/master/Cubemap.cpp#L523
+vec3 sphericalHarmonics(const in vec3 sph[9], const in vec3 normal)
+{
+    float x = normal.x;
+    float y = normal.y;
+    float z = normal.z;
+
+    vec3 result = (
+        sph[0] +
+
+        sph[1] * y +
+        sph[2] * z +
+        sph[3] * x +
+
+        sph[4] * y * x +
+        sph[5] * y * z +
+        sph[6] * (3.0 * z * z - 1.0) +
+        sph[7] * (z * x) +
+        sph[8] * (x*x - y*y)
+    );
+
+    return max(result, vec3(0.0));
+}
+
+// https://www.unrealengine.com/blog/physically-based-shading-on-mobile
+vec3 integrateBRDFApprox(const in vec3 specular, const in float roughness, const in float NdotV)
+{
+    const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);
+    const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);
+    vec4 r = roughness * c0 + c1;
+    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;
+    vec2 AB = vec2(-1.04, 1.04) * a004 + r.zw;
+    return specular * AB.x + AB.y;
+}
+
+// scale and bias of the reflectance packed in 16 bits in the look up table
+// of osgUtil.IntegrateBRDF
+vec3 integrateBRDF(const in sampler2D brdfTexture, const in vec3 specular, const in float roughness, const in float NdotV)
+{
+    vec4 rgba = texture2D(brdfTexture, vec2(NdotV, roughness));
+    const float div = 1.0 / 65535.0;
+    float a = (rgba[1] * 65280.0 + rgba[0] * 255.0) * div;
+    float b = (rgba[3] * 65280.0 + rgba[2] * 255.0) * div;
+    return specular * a + b;
+}
+
+vec3 prefilteredSpecular(const in samplerCube specularTexture, const in vec3 dir, const in float roughness, const in float maxLod, const in float range)
+{
+    float lod = roughness * maxLod;
+#if defined(GL_EXT_shader_texture_lod) || __VERSION__ >= 300
+    vec4 rgba = textureCubeLodEXT(specularTexture, dir, lod);
+#else
+    // the bias approximates the lod for the magnified surfaces
+    vec4 rgba = textureCube(specularTexture, dir, lod);
+#endif
+    return decodeRGBM(rgba, range);
+}
+
+////////////////////////
+/// Main func
+///////////////////////
+// materialDiffuse and materialSpecular as in the lightsPBR.glsl lights
+
+vec3 computeEnvironmentLightShading(
+                                    const in vec3 normal,
+                                    const in vec3 eyeVector,
+
+                                    const in vec3 materialDiffuse,
+                                    const in vec3 materialSpecular,
+                                    const in float materialRoughness,
+
+                                    const in mat4 viewMatrix,
+                                    const in mat4 environmentMatrix,
+                                    const in vec3 environmentSphericalHarmonics[9],
+                                    const in float environmentIntensity)
+{
+    float NdotV = clamp(dot(normal, eyeVector), 1e-4, 1.0);
+    vec3 R = reflect(-eyeVector, normal);
+
+    vec3 diffuse = materialDiffuse * sphericalHarmonics(environmentSphericalHarmonics, environmentDirection(viewMatrix, environmentMatrix, normal));
+    // the diffuse lighting of the reflection blurs the specular as a rough surface
+    vec3 specular = sphericalHarmonics(environmentSphericalHarmonics, environmentDirection(viewMatrix, environmentMatrix, R));
+    specular *= integrateBRDFApprox(materialSpecular, materialRoughness, NdotV);
+
+    return environmentIntensity * (diffuse + specular);
+}
+
+vec3 computeEnvironmentLightShadingCubemap(
+                                           const in vec3 normal,
+                                           const in vec3 eyeVector,
+
+                                           const in vec3 materialDiffuse,
+                                           const in vec3 materialSpecular,
+                                           const in float materialRoughness,
+
+                                           const in mat4 viewMatrix,
+                                           const in mat4 environmentMatrix,
+                                           const in vec3 environmentSphericalHarmonics[9],
+                                           const in float environmentIntensity,
+                                           const in samplerCube environmentSpecular,
+                                           const in float environmentSpecularMaxLod,
+                                           const in float environmentSpecularRange)
+{
+    float NdotV = clamp(dot(normal, eyeVector), 1e-4, 1.0);
+    vec3 R = reflect(-eyeVector, normal);
+
+    vec3 diffuse = materialDiffuse * sphericalHarmonics(environmentSphericalHarmonics, environmentDirection(viewMatrix, environmentMatrix, normal));
+    vec3 specular = prefilteredSpecular(environmentSpecular, environmentDirection(viewMatrix, environmentMatrix, R), materialRoughness, environmentSpecularMaxLod, environmentSpecularRange);
+    specular *= integrateBRDFApprox(materialSpecular, materialRoughness, NdotV);
+
+    return environmentIntensity * (diffuse + specular);
+}
+
+vec3 computeEnvironmentLightShadingCubemapBRDF(
+                                               const in vec3 normal,
+                                               const in vec3 eyeVector,
+
+                                               const in vec3 materialDiffuse,
+                                               const in vec3 materialSpecular,
+                                               const in float materialRoughness,
+
+                                               const in mat4 viewMatrix,
+                                               const in mat4 environmentMatrix,
+                                               const in vec3 environmentSphericalHarmonics[9],
+                                               const in float environmentIntensity,
+                                               const in samplerCube environmentSpecular,
+                                               const in float environmentSpecularMaxLod,
+                                               const in float environmentSpecularRange,
+                                               const in sampler2D environmentBRDF)
+{
+    float NdotV = clamp(dot(normal, eyeVector), 1e-4, 1.0);
+    vec3 R = reflect(-eyeVector, normal);
+
+    vec3 diffuse = materialDiffuse * sphericalHarmonics(environmentSphericalHarmonics, environmentDirection(viewMatrix, environmentMatrix, normal));
+    vec3 specular = prefilteredSpecular(environmentSpecular, environmentDirection(viewMatrix, environmentMatrix, R), materialRoughness, environmentSpecularMaxLod, environmentSpecularRange);
+    specular *= integrateBRDF(environmentBRDF, materialSpecular, materialRoughness, NdotV);
+
+    return environmentIntensity * (diffuse + specular);
+}
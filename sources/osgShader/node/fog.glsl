@@ -0,0 +1,30 @@
+// fog factors of osg.Fog, 1.0 out of the fog and 0.0 in the fog color
+
+float fogLinear(const in float distance, const in float start, const in float end)
+{
+    return clamp((end - distance) / max(end - start, 1e-5), 0.0, 1.0);
+}
+
+float fogExp(const in float distance, const in float density)
+{
+    return clamp(exp(-density * distance), 0.0, 1.0);
+}
+
+float fogExp2(const in float distance, const in float density)
+{
+    float d = density * distance;
+    return clamp(exp(-d * d), 0.0, 1.0);
+}
+
+// thins the fog above the height in the world
+float fogHeight(const in float factor, const in vec3 eyePosition, const in mat4 viewMatrix, const in float height, const in float falloff)
+{
+    // the transpose of the rotation of the view is its inverse
+    float z = dot(viewMatrix[2].xyz, eyePosition - viewMatrix[3].xyz);
+    return 1.0 - (1.0 - factor) * exp(-falloff * max(z - height, 0.0));
+}
+
+vec3 computeFog(const in vec3 color, const in vec3 fogColor, const in float factor)
+{
+    return mix(fogColor, color, factor);
+}
@@ -0,0 +1,53 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var ShaderUtils = require( 'osgShader/utils' );
+var Node = require( 'osgShader/node/Node' );
+
+var fogFunctions = {
+    LINEAR: 'fogLinear',
+    EXP: 'fogExp',
+    EXP2: 'fogExp2'
+};
+
+// blends the color output with the fog color of osg.Fog, mode is the name
+// of the fog mode, the height fog needs the optional inputs viewmatrix,
+// fogheight and fogheightFalloff
+var Fog = function ( mode ) {
+    Node.call( this );
+    this._mode = mode || 'EXP';
+};
+
+Fog.prototype = MACROUTILS.objectInherit( Node.prototype, {
+    type: 'Fog',
+    validInputs: [ 'position', 'fogcolor' ],
+    validOutputs: [ 'color' ],
+
+    globalFunctionDeclaration: function () {
+        return '#pragma include "fog.glsl"';
+    },
+
+    computeShader: function () {
+        var inputs = this._inputs;
+        var color = this._outputs.color;
+        if ( color.getType() === 'vec4' ) color = color.getVariable() + '.rgb';
+
+        var position = inputs.position.getVariable() + '.xyz';
+        var distance = 'length( ' + position + ' )';
+
+        var factor;
+        if ( this._mode === 'LINEAR' )
+            factor = fogFunctions.LINEAR + '( ' + distance + ', ' + inputs.fogstart.getVariable() + ', ' + inputs.fogend.getVariable() + ' )';
+        else
+            factor = fogFunctions[ this._mode ] + '( ' + distance + ', ' + inputs.fogdensity.getVariable() + ' )';
+
+        if ( inputs.fogheight ) {
+            factor = 'fogHeight( ' + factor + ', ' + position + ', ' + inputs.viewmatrix.getVariable() + ', ' + inputs.fogheight.getVariable() + ', ' + inputs.fogheightFalloff.getVariable() + ' )';
+        }
+
+        return ShaderUtils.callFunction( 'computeFog', color, [ color, inputs.fogcolor.getVariable() + '.rgb', factor ] );
+    }
+} );
+
+module.exports = {
+    Fog: Fog
+};
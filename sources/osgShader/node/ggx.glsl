@@ -0,0 +1,59 @@
+//
+// GGX TERMS
+///
+// shared by the PBR lights and the environment prefiltering of osgUtil
+
+// normal distribution, alpha is the roughness squared
+float distributionGGX(const in float NdotH, const in float alpha)
+{
+    float a2 = alpha * alpha;
+    float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+    return a2 / (3.141592653589793 * d * d);
+}
+
+// height correlated smith, includes the 1 / (4 * NdotL * NdotV) of the brdf
+float visibilitySmithGGXCorrelated(const in float NdotL, const in float NdotV, const in float alpha)
+{
+    float a2 = alpha * alpha;
+    float gv = NdotL * sqrt(NdotV * (NdotV - NdotV * a2) + a2);
+    float gl = NdotV * sqrt(NdotL * (NdotL - NdotL * a2) + a2);
+    return 0.5 / max(gv + gl, 1e-5);
+}
+
+vec3 fresnelSchlick(const in vec3 f0, const in float VdotH)
+{
+    float fc = pow(1.0 - VdotH, 5.0);
+    return f0 + (vec3(1.0) - f0) * fc;
+}
+
+// van der corput radical inverse without the bit operations of GLSL 1.0
+float radicalInverse(const in float index)
+{
+    float i = index;
+    float result = 0.0;
+    float base = 0.5;
+    for (int b = 0; b < 16; b++) {
+        result += base * mod(i, 2.0);
+        i = floor(i * 0.5);
+        base *= 0.5;
+    }
+    return result;
+}
+
+vec2 hammersley(const in float index, const in float numSamples)
+{
+    return vec2(index / numSamples, radicalInverse(index));
+}
+
+// half vector around the normal n distributed as the GGX lobe
+vec3 importanceSampleGGX(const in vec2 xi, const in float alpha, const in vec3 n)
+{
+    float phi = 2.0 * 3.141592653589793 * xi.x;
+    float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (alpha * alpha - 1.0) * xi.y));
+    float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+
+    vec3 up = abs(n.z) < 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0);
+    vec3 tangent = normalize(cross(up, n));
+    vec3 bitangent = cross(n, tangent);
+    return normalize(tangent * (sinTheta * cos(phi)) + bitangent * (sinTheta * sin(phi)) + n * cosTheta);
+}
@@ -267,9 +267,322 @@ HemiLight.prototype = MACROUTILS.objectInherit( NodeLights.prototype, {
     }
 } );
 
+// base class of the GGX lights of the PBRMaterial, the material inputs are
+// the albedo (materialdiffuse), the reflectance (materialspecular) and the
+// roughness. The light color is its diffuse, its specular is not used
+var NodeLightsPBR = function () {
+    Node.call( this );
+};
+
+NodeLightsPBR.prototype = MACROUTILS.objectInherit( Node.prototype, {
+
+    validOutputs: [ 'color' ],
+    globalFunctionDeclaration: function () {
+        return '#pragma include "lightsPBR.glsl"';
+    }
+
+} );
+
+var PointLightPBR = function () {
+    NodeLightsPBR.call( this );
+};
+
+PointLightPBR.prototype = MACROUTILS.objectInherit( NodeLightsPBR.prototype, {
+
+    type: 'PointLightPBR',
+
+    validInputs: [
+        'normal',
+        'eyeVector',
+        'materialdiffuse',
+        'materialspecular',
+        'materialroughness',
+
+        'lightdiffuse',
+
+        'lightposition',
+        'lightattenuation',
+
+        'lightmatrix',
+
+        'lighted',
+        'lightEyePos',
+        'lightEyeDir',
+        'lightNDL'
+
+    ],
+
+    computeShader: function () {
+
+        return shaderUtils.callFunction(
+            'computePointLightShadingPBR',
+            this._outputs.color, [ this._inputs.normal,
+                this._inputs.eyeVector,
+
+                getVec3( this._inputs.materialdiffuse ),
+                getVec3( this._inputs.materialspecular ),
+                this._inputs.materialroughness,
+
+                getVec3( this._inputs.lightdiffuse ),
+
+                this._inputs.lightposition,
+                this._inputs.lightattenuation,
+
+                this._inputs.lightmatrix,
+
+                this._inputs.lightEyePos,
+                this._inputs.lightEyeDir,
+                this._inputs.lightNDL,
+                this._inputs.lighted
+            ] );
+    }
+
+} );
+
+
+var SpotLightPBR = function () {
+    NodeLightsPBR.call( this );
+};
+
+SpotLightPBR.prototype = MACROUTILS.objectInherit( NodeLightsPBR.prototype, {
+
+    type: 'SpotLightPBR',
+
+    validInputs: [
+        'normal',
+        'eyeVector',
+        'materialdiffuse',
+        'materialspecular',
+        'materialroughness',
+
+        'lightdiffuse',
+
+        'lightdirection',
+        'lightattenuation',
+        'lightposition',
+        'lightspotCutOff',
+        'lightspotBlend',
+
+        'lightmatrix',
+        'lightinvMatrix',
+
+        'lighted',
+        'lightEyePos',
+        'lightEyeDir',
+        'lightNDL'
+
+    ],
+
+    computeShader: function () {
+
+        return shaderUtils.callFunction(
+            'computeSpotLightShadingPBR',
+            this._outputs.color, [ this._inputs.normal,
+                this._inputs.eyeVector,
+
+                getVec3( this._inputs.materialdiffuse ),
+                getVec3( this._inputs.materialspecular ),
+                this._inputs.materialroughness,
+
+                getVec3( this._inputs.lightdiffuse ),
+
+                this._inputs.lightdirection,
+                this._inputs.lightattenuation,
+                this._inputs.lightposition,
+                this._inputs.lightspotCutOff,
+                this._inputs.lightspotBlend,
+
+                this._inputs.lightmatrix,
+                this._inputs.lightinvMatrix,
+
+                this._inputs.lightEyePos,
+                this._inputs.lightEyeDir,
+                this._inputs.lightNDL,
+                this._inputs.lighted
+            ] );
+    }
+
+} );
+
+
+var SunLightPBR = function () {
+    NodeLightsPBR.call( this );
+};
+
+SunLightPBR.prototype = MACROUTILS.objectInherit( NodeLightsPBR.prototype, {
+
+    type: 'SunLightPBR',
+
+    validInputs: [
+        'normal',
+        'eyeVector',
+        'materialdiffuse',
+        'materialspecular',
+        'materialroughness',
+
+        'lightdiffuse',
+
+        'lightposition',
+
+        'lightmatrix',
+
+        'lighted',
+        'lightEyeDir',
+        'lightNDL'
+
+    ],
+
+    computeShader: function () {
+
+        return shaderUtils.callFunction(
+            'computeSunLightShadingPBR',
+            this._outputs.color, [ this._inputs.normal,
+                this._inputs.eyeVector,
+
+                getVec3( this._inputs.materialdiffuse ),
+                getVec3( this._inputs.materialspecular ),
+                this._inputs.materialroughness,
+
+                getVec3( this._inputs.lightdiffuse ),
+
+                this._inputs.lightposition,
+
+                this._inputs.lightmatrix,
+
+                this._inputs.lightEyeDir,
+                this._inputs.lightNDL,
+                this._inputs.lighted
+            ] );
+    }
+} );
+
+var HemiLightPBR = function () {
+    NodeLightsPBR.call( this );
+};
+
+HemiLightPBR.prototype = MACROUTILS.objectInherit( NodeLightsPBR.prototype, {
+
+    type: 'HemiLightPBR',
+
+    validInputs: [
+        'normal',
+        'eyeVector',
+        'materialdiffuse',
+        'materialspecular',
+        'materialroughness',
+
+        'lightdiffuse',
+        'lightground',
+
+        'lightposition',
+
+        'lightmatrix',
+
+        'lighted',
+        'lightEyeDir',
+        'lightNDL'
+    ],
+
+    computeShader: function () {
+
+        return shaderUtils.callFunction(
+            'computeHemiLightShadingPBR',
+            this._outputs.color, [ this._inputs.normal,
+                this._inputs.eyeVector,
+
+                getVec3( this._inputs.materialdiffuse ),
+                getVec3( this._inputs.materialspecular ),
+                this._inputs.materialroughness,
+
+                getVec3( this._inputs.lightdiffuse ),
+                getVec3( this._inputs.lightground ),
+
+                this._inputs.lightposition,
+
+                this._inputs.lightmatrix,
+
+                this._inputs.lightEyeDir,
+                this._inputs.lightNDL,
+                this._inputs.lighted
+            ] );
+    }
+} );
+
+// image based lighting of the PBRMaterial by osg.EnvironmentLight, the
+// specular cubemap and the BRDF look up table are optional inputs
+var EnvironmentLight = function () {
+    Node.call( this );
+};
+
+EnvironmentLight.prototype = MACROUTILS.objectInherit( Node.prototype, {
+
+    type: 'EnvironmentLight',
+
+    validInputs: [
+        'normal',
+        'eyeVector',
+        'materialdiffuse',
+        'materialspecular',
+        'materialroughness',
+
+        'viewmatrix',
+        'environmentmatrix',
+        'environmentsphericalHarmonics',
+        'environmentintensity'
+        // 'environmentspecular', 'environmentspecularMaxLod', 'environmentspecularRange', 'environmentbrdf'
+    ],
+
+    validOutputs: [ 'color' ],
+
+    globalFunctionDeclaration: function () {
+        return '#pragma include "environment.glsl"';
+    },
+
+    getExtensions: function () {
+        if ( this._inputs.environmentspecular )
+            return [ '#extension GL_EXT_shader_texture_lod : enable' ];
+        return [];
+    },
+
+    computeShader: function () {
+
+        var inputs = this._inputs;
+        var args = [ inputs.normal,
+            inputs.eyeVector,
+
+            getVec3( inputs.materialdiffuse ),
+            getVec3( inputs.materialspecular ),
+            inputs.materialroughness,
+
+            inputs.viewmatrix,
+            inputs.environmentmatrix,
+            inputs.environmentsphericalHarmonics,
+            inputs.environmentintensity
+        ];
+
+        var functionName = 'computeEnvironmentLightShading';
+        if ( inputs.environmentspecular ) {
+            functionName += 'Cubemap';
+            args.push( inputs.environmentspecular, inputs.environmentspecularMaxLod, inputs.environmentspecularRange );
+
+            if ( inputs.environmentbrdf ) {
+                functionName += 'BRDF';
+                args.push( inputs.environmentbrdf );
+            }
+        }
+
+        return shaderUtils.callFunction( functionName, this._outputs.color, args );
+    }
+} );
+
 module.exports = {
     PointLight: PointLight,
     SpotLight: SpotLight,
     SunLight: SunLight,
-    HemiLight: HemiLight
+    HemiLight: HemiLight,
+    PointLightPBR: PointLightPBR,
+    SpotLightPBR: SpotLightPBR,
+    SunLightPBR: SunLightPBR,
+    HemiLightPBR: HemiLightPBR,
+    EnvironmentLight: EnvironmentLight
 };
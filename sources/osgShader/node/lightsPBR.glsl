@@ -0,0 +1,185 @@
+#pragma include "lights.glsl"
+#pragma include "ggx.glsl"
+
+// the light colors are scaled by PI, a white light lits a white lambertian
+// surface in white as with the lambert of the phong lighting
+
+void specularGGX(const in vec3 n, const in vec3 l, const in vec3 v, const in float NdotL, const in float roughness, const in vec3 materialSpecular, out vec3 fresnel, out vec3 specularContrib)
+{
+    vec3 h = normalize(l + v);
+    float NdotV = max(dot(n, v), 1e-4);
+    float NdotH = max(dot(n, h), 0.0);
+    float VdotH = max(dot(v, h), 0.0);
+    float alpha = max(roughness * roughness, 1e-3);
+
+    fresnel = fresnelSchlick(materialSpecular, VdotH);
+    specularContrib = 3.141592653589793 * distributionGGX(NdotH, alpha) * visibilitySmithGGXCorrelated(NdotL, NdotV, alpha) * fresnel;
+}
+
+vec3 computeGGX(const in vec3 n, const in vec3 l, const in vec3 v, const in float NdotL, const in vec3 materialDiffuse, const in vec3 materialSpecular, const in float roughness, const in vec3 lightColor)
+{
+    vec3 fresnel;
+    vec3 specularContrib;
+    specularGGX(n, l, v, NdotL, roughness, materialSpecular, fresnel, specularContrib);
+    return NdotL * lightColor * (materialDiffuse * (vec3(1.0) - fresnel) + specularContrib);
+}
+
+////////////////////////
+/// Main func
+///////////////////////
+// materialDiffuse is the albedo: base color of the dielectrics
+// materialSpecular is the reflectance at normal incidence: base color of the metals
+
+vec3 computeSpotLightShadingPBR(
+                                const in vec3 normal,
+                                const in vec3 eyeVector,
+
+                                const in vec3 materialDiffuse,
+                                const in vec3 materialSpecular,
+                                const in float materialRoughness,
+
+                                const in vec3 lightDiffuse,
+
+                                const in vec3  lightSpotDirection,
+                                const in vec4  lightAttenuation,
+                                const in vec4  lightSpotPosition,
+                                const in float lightCosSpotCutoff,
+                                const in float lightSpotBlend,
+
+                                const in mat4 lightMatrix,
+                                const in mat4 lightInvMatrix,
+
+                                out vec3 eyeLightPos,
+                                out vec3 eyeLightDir,
+                                out float NdotL,
+                                out bool lighted)
+{
+    lighted = false;
+    eyeLightPos = vec3(lightMatrix * lightSpotPosition);
+    eyeLightDir = eyeLightPos - FragEyeVector.xyz;
+    float dist = length(eyeLightDir);
+    float attenuation = getLightAttenuation(dist, lightAttenuation);
+    if (attenuation == 0.0 || lightCosSpotCutoff <= 0.0)
+        return vec3(0.0);
+
+    eyeLightDir = dist > 0.0 ? eyeLightDir / dist :  vec3( 0.0, 1.0, 0.0 );
+
+    vec3 lightSpotDirectionEye = normalize(mat3(vec3(lightInvMatrix[0]), vec3(lightInvMatrix[1]), vec3(lightInvMatrix[2]))*lightSpotDirection);
+    float cosCurAngle = dot(-eyeLightDir, lightSpotDirectionEye);
+    float diffAngle = cosCurAngle - lightCosSpotCutoff;
+    if ( diffAngle < 0.0 )
+        return vec3(0.0);
+
+    float spot = 1.0;
+    if ( lightSpotBlend > 0.0 )
+        spot = cosCurAngle * smoothstep(0.0, 1.0, diffAngle / lightSpotBlend);
+
+    NdotL = dot(eyeLightDir, normal);
+    if (spot <= 0.0 || NdotL <= 0.0)
+        return vec3(0.0);
+
+    lighted = true;
+    return spot * attenuation * computeGGX(normal, eyeLightDir, eyeVector, NdotL, materialDiffuse, materialSpecular, materialRoughness, lightDiffuse);
+}
+
+vec3 computePointLightShadingPBR(
+                                 const in vec3 normal,
+                                 const in vec3 eyeVector,
+
+                                 const in vec3 materialDiffuse,
+                                 const in vec3 materialSpecular,
+                                 const in float materialRoughness,
+
+                                 const in vec3 lightDiffuse,
+
+                                 const in vec4 lightPosition,
+                                 const in vec4 lightAttenuation,
+
+                                 const in mat4 lightMatrix,
+
+                                 out vec3 eyeLightPos,
+                                 out vec3 eyeLightDir,
+                                 out float NdotL,
+                                 out bool lighted)
+{
+    lighted = false;
+    eyeLightPos = vec3(lightMatrix * lightPosition);
+    eyeLightDir = eyeLightPos - FragEyeVector.xyz;
+    float dist = length(eyeLightDir);
+    float attenuation = getLightAttenuation(dist, lightAttenuation);
+    if (attenuation == 0.0)
+        return vec3(0.0);
+
+    eyeLightDir = dist > 0.0 ? eyeLightDir / dist :  vec3( 0.0, 1.0, 0.0 );
+    NdotL = dot(eyeLightDir, normal);
+    if (NdotL <= 0.0)
+        return vec3(0.0);
+
+    lighted = true;
+    return attenuation * computeGGX(normal, eyeLightDir, eyeVector, NdotL, materialDiffuse, materialSpecular, materialRoughness, lightDiffuse);
+}
+
+vec3 computeSunLightShadingPBR(
+                               const in vec3 normal,
+                               const in vec3 eyeVector,
+
+                               const in vec3 materialDiffuse,
+                               const in vec3 materialSpecular,
+                               const in float materialRoughness,
+
+                               const in vec3 lightDiffuse,
+
+                               const in vec4 lightPosition,
+
+                               const in mat4 lightMatrix,
+
+                               out vec3 eyeLightDir,
+                               out float NdotL,
+                               out bool lighted)
+{
+    lighted = false;
+    eyeLightDir = normalize( vec3(lightMatrix * lightPosition ) );
+    NdotL = dot(eyeLightDir, normal);
+    if (NdotL <= 0.0)
+        return vec3(0.0);
+
+    lighted = true;
+    return computeGGX(normal, eyeLightDir, eyeVector, NdotL, materialDiffuse, materialSpecular, materialRoughness, lightDiffuse);
+}
+
+vec3 computeHemiLightShadingPBR(
+                                const in vec3 normal,
+                                const in vec3 eyeVector,
+
+                                const in vec3 materialDiffuse,
+                                const in vec3 materialSpecular,
+                                const in float materialRoughness,
+
+                                const in vec3 lightDiffuse,
+                                const in vec3 lightGround,
+
+                                const in vec4 lightPosition,
+
+                                const in mat4 lightMatrix,
+
+                                out vec3 eyeLightDir,
+                                out float NdotL,
+                                out bool lighted)
+{
+    lighted = false;
+    eyeLightDir = normalize( vec3(lightMatrix * lightPosition ) );
+    NdotL = dot(eyeLightDir, normal);
+    float weight = 0.5 * NdotL + 0.5;
+    vec3 diffuseContrib = materialDiffuse * mix(lightGround, lightDiffuse, weight);
+
+    // specular of the sky and of the ground as two opposite lights
+    vec3 fresnel;
+    vec3 skySpecular;
+    vec3 groundSpecular;
+    float skyNdotL = max(NdotL, 0.0);
+    float groundNdotL = max(-NdotL, 0.0);
+    specularGGX(normal, eyeLightDir, eyeVector, skyNdotL, materialRoughness, materialSpecular, fresnel, skySpecular);
+    specularGGX(normal, -eyeLightDir, eyeVector, groundNdotL, materialRoughness, materialSpecular, fresnel, groundSpecular);
+
+    return diffuseContrib + skyNdotL * lightDiffuse * skySpecular + groundNdotL * lightGround * groundSpecular;
+}
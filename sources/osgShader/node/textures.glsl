@@ -1,15 +1,15 @@
-vec3 textureRGB(const in sampler2D texture, const in vec2 uv) {
-    return texture2D(texture, uv.xy ).rgb;
+vec3 textureRGB(const in sampler2D tex, const in vec2 uv) {
+    return texture2D(tex, uv.xy ).rgb;
 }
 
-vec4 textureRGBA(const in sampler2D texture, const in vec2 uv) {
-    return texture2D(texture, uv.xy ).rgba;
+vec4 textureRGBA(const in sampler2D tex, const in vec2 uv) {
+    return texture2D(tex, uv.xy ).rgba;
 }
 
-float textureIntensity(const in sampler2D texture, const in vec2 uv) {
-    return texture2D(texture, uv).r;
+float textureIntensity(const in sampler2D tex, const in vec2 uv) {
+    return texture2D(tex, uv).r;
 }
 
-float textureAlpha(const in sampler2D texture, const in vec2 uv) {
-    return texture2D(texture, uv.xy ).a;
+float textureAlpha(const in sampler2D tex, const in vec2 uv) {
+    return texture2D(tex, uv.xy ).a;
 }
@@ -9,6 +9,7 @@ var operations = require( 'osgShader/node/operations' );
 var textures = require( 'osgShader/node/textures' );
 var morph = require( 'osgShader/node/morph' );
 var billboard = require( 'osgShader/node/billboard' );
+var fog = require( 'osgShader/node/fog' );
 
 var Factory = function () {
 
@@ -23,6 +24,7 @@ var Factory = function () {
     this.registerNodes( shadows );
     this.registerNodes( operations );
     this.registerNodes( billboard );
+    this.registerNodes( fog );
 };
 
 Factory.prototype = {
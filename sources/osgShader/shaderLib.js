@@ -1,17 +1,25 @@
 'use strict';
 var functions = require( 'osgShader/node/functions.glsl' );
 var lights = require( 'osgShader/node/lights.glsl' );
+var ggx = require( 'osgShader/node/ggx.glsl' );
+var lightsPBR = require( 'osgShader/node/lightsPBR.glsl' );
+var environment = require( 'osgShader/node/environment.glsl' );
 var skinning = require( 'osgShader/node/skinning.glsl' );
 var textures = require( 'osgShader/node/textures.glsl' );
 var colorEncode = require( 'osgShader/node/colorEncode.glsl' );
 var noise = require( 'osgShader/node/noise.glsl' );
 var billboard = require( 'osgShader/node/billboard.glsl' );
+var fog = require( 'osgShader/node/fog.glsl' );
 module.exports = {
     'functions.glsl': functions,
     'lights.glsl': lights,
+    'ggx.glsl': ggx,
+    'lightsPBR.glsl': lightsPBR,
+    'environment.glsl': environment,
     'skinning.glsl': skinning,
     'textures.glsl': textures,
     'colorEncode.glsl': colorEncode,
     'noise.glsl': noise,
-    'billboard.glsl': billboard
+    'billboard.glsl': billboard,
+    'fog.glsl': fog
 };
@@ -46,6 +46,17 @@ var Vec3 = require( 'osg/Vec3' );
  myGeometry.getStateSet().setTextureAttributeAndModes(0, resultTexture);
  rootnode.addChild(composer);
 
+ // a pass can render into several textures with multiple render targets,
+ // its fragment shader writes gl_FragData[0], gl_FragData[1], ...
+ // the next pass reads them on the units 0, 1, ... or only the ones
+ // selected with setInputAttachments
+ var colorTexture, normalTexture; // textures of the same size
+ var composer = new Composer();
+ composer.addPass(new Composer.Filter.InputTexture(myTexture));
+ composer.addPass(new Composer.Filter.Custom(mrtShader), [colorTexture, normalTexture]);
+ var blur = composer.addPass(new Composer.Filter.HBlur(5));
+ blur.setInputAttachments([1]); // blur normalTexture
+
  */
 
 var Composer = function () {
@@ -85,6 +96,7 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
     // addPass(filter) -> the filter will be done on a texture of the same size than the previous pass
     // addPass(filter, textureWidth, textureHeight) -> the filter will be done on a texture width and height
     // addPass(filter, texture) -> the filter will be done on the giver texture using its width and height
+    // addPass(filter, [texture0, texture1, ...]) -> the filter will be done on the textures attached as multiple render targets
     addPass: function ( filter, arg0, arg1 ) {
 
         var newPass = {};
@@ -92,7 +104,11 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
         // when arg0 is a texture
         // arg1 is the target, can be TEXTURE_2D ( by default ) or
         // a cubemape's face like TEXTURE_CUBE_MAP_POSITIVE_X, ...
-        if ( arg0 instanceof Texture ) {
+        if ( Array.isArray( arg0 ) ) {
+            newPass.textures = arg0;
+            newPass.texture = arg0[ 0 ];
+            newPass.textureTarget = arg1 || Texture.TEXTURE_2D;
+        } else if ( arg0 instanceof Texture ) {
             newPass.texture = arg0;
             newPass.textureTarget = arg1 || Texture.TEXTURE_2D;
         } else if ( arg0 !== undefined && arg1 !== undefined ) {
@@ -111,6 +127,10 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
     getResultTexture: function () {
         return this._resultTexture;
     },
+    // all the textures of the last pass when it has multiple render targets
+    getResultTextures: function () {
+        return this._resultTextures;
+    },
     isDirty: function () {
         for ( var i = 0, l = this._stack.length; i < l; i++ ) {
             if ( this._stack[ i ].filter.isDirty() ) {
@@ -134,6 +154,27 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
     },
     /*develblock:end*/
 
+    // bind the textures rendered by a pass on the units of the next filter,
+    // all of them or the attachments chosen by the filter
+    _connectTextures: function ( filter, textures ) {
+        var stateSet = filter.getStateSet();
+        var attachments = filter.getInputAttachments();
+        if ( !attachments ) {
+            for ( var i = 0, l = textures.length; i < l; i++ )
+                stateSet.setTextureAttributeAndModes( i, textures[ i ] );
+            return;
+        }
+
+        for ( var j = 0, k = attachments.length; j < k; j++ ) {
+            var texture = textures[ attachments[ j ] ];
+            if ( !texture ) {
+                Notify.warn( 'Composer: no texture on attachment ' + attachments[ j ] + ' of the previous pass' );
+                continue;
+            }
+            stateSet.setTextureAttributeAndModes( j, texture );
+        }
+    },
+
     build: function () {
 
         var self = this;
@@ -146,6 +187,7 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
 
         this.removeChildren();
         var lastTextureResult;
+        var lastTextureResults;
 
         this._stack.forEach( function ( element, i, array ) {
 
@@ -157,6 +199,7 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
             // this filter need a special setup that composer build cannot do
             if ( element.filter.interConnectFilters ) {
                 lastTextureResult = element.filter.interConnectFilters( self, i, array );
+                lastTextureResults = lastTextureResult ? [ lastTextureResult ] : undefined;
                 // goto next filter directly
                 return;
             }
@@ -208,6 +251,7 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
 
 
             var textureResult;
+            var textureResults;
             // check if we want to render on screen
             if ( lastFilterRenderToScreen === true ) {
                 w = self._renderToScreenWidth;
@@ -227,7 +271,13 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
                 }
                 // Attach the render texture target as FBO
                 // Note: node depth attachment because we're in 2D
-                camera.attachTexture( FrameBufferObject.COLOR_ATTACHMENT0, textureResult, textureTarget );
+                if ( element.textures ) {
+                    textureResults = element.textures;
+                    camera.attachTextures( textureResults, textureTarget );
+                } else {
+                    textureResults = [ textureResult ];
+                    camera.attachTexture( FrameBufferObject.COLOR_ATTACHMENT0, textureResult, textureTarget );
+                }
             }
 
             var vp = new Viewport( 0, 0, w, h );
@@ -249,16 +299,18 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
             if ( textureResult ) {
 
                 /*develblock:start*/
-                self.debugCheckRttNotReadWrite( textureResult, stateSet );
+                for ( var t = 0; t < textureResults.length; t++ )
+                    self.debugCheckRttNotReadWrite( textureResults[ t ], stateSet );
                 /*develblock:end*/
 
-                // assign the result texture to the next stateset
+                // assign the result textures to the next stateset
                 if ( i + 1 < array.length ) {
-                    array[ i + 1 ].filter.getStateSet().setTextureAttributeAndModes( 0, textureResult );
+                    self._connectTextures( array[ i + 1 ].filter, textureResults );
                 }
 
             }
             lastTextureResult = textureResult;
+            lastTextureResults = textureResults;
 
 
             camera.addChild( quad );
@@ -277,6 +329,7 @@ Composer.prototype = MACROUTILS.objectInherit( Node.prototype, {
         // reference to the resulting texture
         // undefined if rendering directly to screen
         this._resultTexture = lastTextureResult;
+        this._resultTextures = lastTextureResults;
     }
 } );
 
@@ -285,6 +338,7 @@ Composer.Filter = function () {
     this._dirty = true;
     this._fragmentName = 'FilterOSGJS';
     this._vertexName = '';
+    this._inputAttachments = undefined;
 };
 
 Composer.Filter.prototype = {
@@ -317,6 +371,14 @@ Composer.Filter.prototype = {
     },
     isDirty: function () {
         return this._dirty;
+    },
+    // indices of the color attachments of the previous pass bound on the
+    // units 0, 1, ... of the filter, by default all the attachments
+    setInputAttachments: function ( attachments ) {
+        this._inputAttachments = attachments;
+    },
+    getInputAttachments: function () {
+        return this._inputAttachments;
     }
 };
 
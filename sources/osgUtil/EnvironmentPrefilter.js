@@ -0,0 +1,434 @@
+'use strict';
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Camera = require( 'osg/Camera' );
+var CullFace = require( 'osg/CullFace' );
+var Depth = require( 'osg/Depth' );
+var EnvironmentLight = require( 'osg/EnvironmentLight' );
+var FrameBufferObject = require( 'osg/FrameBufferObject' );
+var Image = require( 'osg/Image' );
+var Node = require( 'osg/Node' );
+var Program = require( 'osg/Program' );
+var Shader = require( 'osg/Shader' );
+var Shape = require( 'osg/Shape' );
+var Texture = require( 'osg/Texture' );
+var TextureCubeMap = require( 'osg/TextureCubeMap' );
+var TransformEnums = require( 'osg/TransformEnums' );
+var Uniform = require( 'osg/Uniform' );
+var Viewport = require( 'osg/Viewport' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+// columns mapping the coordinates ( u, v, 1 ) of a face, from -1 to 1 with
+// v going up in the framebuffer, to the direction of the cubemap texel
+var faceMatrices = [
+    // POSITIVE_X: ( 1, -v, -u )
+    [ 0, 0, -1, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1 ],
+    // NEGATIVE_X: ( -1, -v, u )
+    [ 0, 0, 1, 0, 0, -1, 0, 0, -1, 0, 0, 0, 0, 0, 0, 1 ],
+    // POSITIVE_Y: ( u, 1, v )
+    [ 1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 1 ],
+    // NEGATIVE_Y: ( u, -1, -v )
+    [ 1, 0, 0, 0, 0, 0, -1, 0, 0, -1, 0, 0, 0, 0, 0, 1 ],
+    // POSITIVE_Z: ( u, -v, 1 )
+    [ 1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1 ],
+    // NEGATIVE_Z: ( -u, -v, -1 )
+    [ -1, 0, 0, 0, 0, -1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1 ]
+];
+
+// the irradiance divided by PI is the radiance convolved by the cosine,
+// the factor of each band is A_l / PI
+var irradianceBandFactors = [ 1.0, 2.0 / 3.0, 2.0 / 3.0, 2.0 / 3.0, 0.25, 0.25, 0.25, 0.25, 0.25 ];
+
+var vertexShader = [
+    'attribute vec2 Vertex;',
+    'varying vec2 FragPosition;',
+    'void main(void) {',
+    '  gl_Position = vec4(Vertex, 0.0, 1.0);',
+    '  FragPosition = Vertex;',
+    '}'
+].join( '\n' );
+
+var fragmentShader = [
+    '#pragma include "functions.glsl"',
+    '#pragma include "ggx.glsl"',
+    '',
+    '#ifdef PANORAMA',
+    'uniform sampler2D Texture0;',
+    '#else',
+    'uniform samplerCube Texture0;',
+    '#endif',
+    'uniform mat4 PrefilterFace;',
+    'uniform float PrefilterRoughness;',
+    'uniform float PrefilterInputRange;',
+    'uniform float PrefilterInputTexelSolidAngle;',
+    'uniform float PrefilterRange;',
+    'varying vec2 FragPosition;',
+    '',
+    '#if defined(GL_EXT_shader_texture_lod) || __VERSION__ >= 300',
+    '#define TEXTURE_LOD',
+    '#endif',
+    '',
+    '// equirectangular panorama with z up',
+    'vec2 panoramaUV(const in vec3 dir) {',
+    '  float u = atan(dir.y, dir.x) * (0.5 / 3.141592653589793) + 0.5;',
+    '  float v = acos(clamp(dir.z, -1.0, 1.0)) / 3.141592653589793;',
+    '  return vec2(u, 1.0 - v);',
+    '}',
+    '',
+    'vec3 textureEnvironment(const in vec3 dir, const in float lod) {',
+    '#ifdef PANORAMA',
+    '#ifdef TEXTURE_LOD',
+    '  vec4 rgba = texture2DLodEXT(Texture0, panoramaUV(dir), lod);',
+    '#else',
+    '  vec4 rgba = texture2D(Texture0, panoramaUV(dir));',
+    '#endif',
+    '#else',
+    '#ifdef TEXTURE_LOD',
+    '  vec4 rgba = textureCubeLodEXT(Texture0, dir, lod);',
+    '#else',
+    '  vec4 rgba = textureCube(Texture0, dir);',
+    '#endif',
+    '#endif',
+    '  return decodeRGBM(rgba, PrefilterInputRange);',
+    '}',
+    '',
+    'void main(void) {',
+    '  vec3 n = normalize(mat3(PrefilterFace) * vec3(FragPosition, 1.0));',
+    '  if (PrefilterRoughness == 0.0) {',
+    '    gl_FragColor = encodeRGBM(textureEnvironment(n, 0.0), PrefilterRange);',
+    '    return;',
+    '  }',
+    '',
+    '  // the view is the normal, the mipmaps of the input reduce the noise of',
+    '  // the samples in the directions of low probability',
+    '  float alpha = PrefilterRoughness * PrefilterRoughness;',
+    '  vec3 color = vec3(0.0);',
+    '  float weight = 0.0;',
+    '  for (int i = 0; i < NB_SAMPLES; i++) {',
+    '    vec3 h = importanceSampleGGX(hammersley(float(i), float(NB_SAMPLES)), alpha, n);',
+    '    float NdotH = dot(n, h);',
+    '    vec3 l = 2.0 * NdotH * h - n;',
+    '    float NdotL = dot(n, l);',
+    '    if (NdotL > 0.0) {',
+    '      float pdf = distributionGGX(NdotH, alpha) * 0.25;',
+    '      float sampleSolidAngle = 1.0 / (float(NB_SAMPLES) * pdf);',
+    '      float lod = max(0.5 * log2(sampleSolidAngle / PrefilterInputTexelSolidAngle) + 1.0, 0.0);',
+    '      color += textureEnvironment(l, lod) * NdotL;',
+    '      weight += NdotL;',
+    '    }',
+    '  }',
+    '  gl_FragColor = encodeRGBM(color / weight, PrefilterRange);',
+    '}'
+].join( '\n' );
+
+
+/**
+ * EnvironmentPrefilter prefilters an environment on the GPU for the
+ * osg.EnvironmentLight. The mipmap levels of the resulting cubemap are the
+ * environment convolved by GGX lobes of increasing roughness, from 0 for the
+ * level 0 to 1 for the 1x1 level. The spherical harmonics of the irradiance
+ * are projected from the level 0.
+ *
+ * The input is a TextureCubeMap or an equirectangular panorama Texture with
+ * z up, in linear space and encoded in RGBM if setInputRange is used.
+ * The result is encoded in RGBM with the range of setRange.
+ *
+ * The node renders the prefiltering once when it is in the scene, the
+ * promise of getPromise is resolved with the textures read back and the
+ * node can be removed:
+ *
+ * var prefilter = new EnvironmentPrefilter( panorama, 256 );
+ * root.addChild( prefilter );
+ * prefilter.getPromise().then( function ( result ) {
+ *     root.removeChild( prefilter );
+ *     stateSet.setTextureAttributeAndModes( 2, result.texture );
+ *     environmentLight.setSpecularTextureUnit( 2 );
+ *     environmentLight.setSpecularMaxLod( result.maxLod );
+ *     environmentLight.setSphericalHarmonics( result.sphericalHarmonics );
+ * } );
+ *
+ * @class EnvironmentPrefilter
+ * @inherits Node
+ */
+var EnvironmentPrefilter = function ( texture, size ) {
+    Node.call( this );
+
+    this._inputTexture = texture;
+    this._size = size || 256;
+    this._inputRange = 0.0;
+    this._range = 8.0;
+    this._numSamples = 64;
+
+    this._defer = P.defer();
+    this._dirty = true;
+    this._done = false;
+
+    var UpdateCallback = function () {};
+    UpdateCallback.prototype = {
+        update: function ( node ) {
+            // wait for the size of the input
+            if ( !node.getInputTexelSolidAngle() ) return true;
+
+            if ( node._dirty ) node.build();
+            node.getOrCreateStateSet().getUniform( 'PrefilterInputTexelSolidAngle' ).setFloat( node.getInputTexelSolidAngle() );
+            return true;
+        }
+    };
+    this.addUpdateCallback( new UpdateCallback() );
+
+    var stateSet = this.getOrCreateStateSet();
+    stateSet.setAttributeAndModes( new Depth( 'DISABLE' ) );
+    stateSet.setAttributeAndModes( new CullFace( 'DISABLE' ) );
+};
+
+EnvironmentPrefilter.prototype = MACROUTILS.objectInherit( Node.prototype, {
+
+    // range of the RGBM encoding of the input, 0 if it is not encoded
+    setInputRange: function ( range ) {
+        this._inputRange = range;
+        this._dirty = true;
+    },
+
+    getInputRange: function () {
+        return this._inputRange;
+    },
+
+    // range of the RGBM encoding of the result
+    setRange: function ( range ) {
+        this._range = range;
+        this._dirty = true;
+    },
+
+    getRange: function () {
+        return this._range;
+    },
+
+    // samples per texel of the rough levels
+    setNumSamples: function ( numSamples ) {
+        this._numSamples = numSamples;
+        this._dirty = true;
+    },
+
+    getNumSamples: function () {
+        return this._numSamples;
+    },
+
+    getPromise: function () {
+        return this._defer.promise;
+    },
+
+    isPanorama: function () {
+        return this._inputTexture.className() !== 'TextureCubeMap';
+    },
+
+    createProgram: function () {
+        var shaderProcessor = new ShaderProcessor();
+        var defines = [ '#define NB_SAMPLES ' + this._numSamples ];
+        if ( this.isPanorama() ) defines.push( '#define PANORAMA' );
+        var extensions = [ '#extension GL_EXT_shader_texture_lod : enable' ];
+
+        return new Program(
+            new Shader( Shader.VERTEX_SHADER, shaderProcessor.processShader( vertexShader, undefined, undefined, 'vertex' ) ),
+            new Shader( Shader.FRAGMENT_SHADER, shaderProcessor.processShader( fragmentShader, defines, extensions, 'fragment' ) ) );
+    },
+
+    // 0 while the size of the input is unknown
+    getInputTexelSolidAngle: function () {
+        var texels = this._inputTexture.getWidth() * this._inputTexture.getHeight();
+        if ( !this.isPanorama() ) texels *= 6;
+        return texels ? 4.0 * Math.PI / texels : 0.0;
+    },
+
+    build: function () {
+        this.removeChildren();
+        this._dirty = false;
+        this._done = false;
+
+        var numLevels = Math.round( Math.log( this._size ) / Math.LN2 ) + 1;
+        this._maxLod = numLevels - 1;
+        this._images = [];
+        this._remaining = numLevels * 6;
+
+        var stateSet = this.getOrCreateStateSet();
+        stateSet.setAttributeAndModes( this.createProgram() );
+        stateSet.setTextureAttributeAndModes( 0, this._inputTexture );
+        stateSet.addUniform( Uniform.createInt1( 0, 'Texture0' ) );
+        stateSet.addUniform( Uniform.createFloat1( this._inputRange, 'PrefilterInputRange' ) );
+        stateSet.addUniform( Uniform.createFloat1( this._range, 'PrefilterRange' ) );
+        stateSet.addUniform( Uniform.createFloat1( 0.0, 'PrefilterInputTexelSolidAngle' ) );
+
+        var quad = Shape.createTexturedFullScreenFakeQuadGeometry();
+
+        for ( var face = 0; face < 6; face++ ) {
+            this._images[ face ] = [];
+
+            for ( var level = 0; level < numLevels; level++ ) {
+                var size = this._size >> level;
+
+                // the framebuffer of the level is shared by its faces as they
+                // are read back after their rendering
+                var texture = this.getLevelTexture( level, size );
+
+                var camera = new Camera();
+                camera.setName( 'EnvironmentPrefilter_' + face + '_' + level );
+                camera.setRenderOrder( Camera.PRE_RENDER, 0 );
+                camera.setReferenceFrame( TransformEnums.ABSOLUTE_RF );
+                camera.setViewport( new Viewport( 0, 0, size, size ) );
+                camera.attachTexture( FrameBufferObject.COLOR_ATTACHMENT0, texture );
+                camera.setClearMask( 0 );
+                camera.setInitialDrawCallback( this.disableDither );
+                camera.setFinalDrawCallback( this.readPixels.bind( this, face, level, size ) );
+
+                var cameraStateSet = camera.getOrCreateStateSet();
+                cameraStateSet.addUniform( Uniform.createMatrix4( faceMatrices[ face ], 'PrefilterFace' ) );
+                cameraStateSet.addUniform( Uniform.createFloat1( level / ( numLevels - 1 ), 'PrefilterRoughness' ) );
+
+                camera.addChild( quad );
+                this.addChild( camera );
+            }
+        }
+    },
+
+    getLevelTexture: function ( level, size ) {
+        if ( !this._levelTextures ) this._levelTextures = [];
+        var texture = this._levelTextures[ level ];
+        if ( !texture ) {
+            texture = new Texture();
+            texture.setMinFilter( Texture.NEAREST );
+            texture.setMagFilter( Texture.NEAREST );
+            this._levelTextures[ level ] = texture;
+        }
+        texture.setTextureSize( size, size );
+        return texture;
+    },
+
+    // initial draw callback of the cameras, the dithering alters the encoding
+    disableDither: function ( state ) {
+        var gl = state.getGraphicContext();
+        gl.disable( gl.DITHER );
+    },
+
+    // final draw callback of the cameras, the framebuffer is still bound
+    readPixels: function ( face, level, size, state ) {
+        var gl = state.getGraphicContext();
+        gl.enable( gl.DITHER );
+        if ( this._done || this._images[ face ][ level ] ) return;
+
+        var pixels = new MACROUTILS.Uint8Array( size * size * 4 );
+        gl.readPixels( 0, 0, size, size, gl.RGBA, gl.UNSIGNED_BYTE, pixels );
+
+        var image = new Image();
+        image.setImage( pixels );
+        image.setWidth( size );
+        image.setHeight( size );
+        this._images[ face ][ level ] = image;
+
+        this._remaining--;
+        if ( this._remaining === 0 ) this.resolve();
+    },
+
+    resolve: function () {
+        this._done = true;
+        // nothing to render anymore
+        this.setNodeMask( 0x0 );
+
+        var texture = new TextureCubeMap();
+        texture.setMinFilter( Texture.LINEAR_MIPMAP_LINEAR );
+        texture.setMagFilter( Texture.LINEAR );
+        for ( var face = 0; face < 6; face++ ) {
+            texture.setImage( Texture.TEXTURE_CUBE_MAP_POSITIVE_X + face, this._images[ face ] );
+        }
+
+        var levels0 = this._images.map( function ( images ) {
+            return images[ 0 ].getImage();
+        } );
+
+        this._defer.resolve( {
+            texture: texture,
+            maxLod: this._maxLod,
+            range: this._range,
+            sphericalHarmonics: EnvironmentPrefilter.computeSphericalHarmonics( levels0, this._size, this._range )
+        } );
+    }
+
+} );
+
+/**
+ * Projects the 6 faces of a cubemap of RGBA bytes, in the order of the
+ * targets POSITIVE_X to NEGATIVE_Z and encoded in RGBM if range is not 0,
+ * on the spherical harmonics of the irradiance of osg.EnvironmentLight
+ * @param {Array} faces
+ * @param {Number} size
+ * @param {Number} range
+ * @return {Float32Array} the 27 coefficients
+ */
+EnvironmentPrefilter.computeSphericalHarmonics = function ( faces, size, range ) {
+
+    var shBasis = EnvironmentLight.shBasis;
+    var coefficients = new MACROUTILS.Float32Array( 27 );
+    var polynomials = new Array( 9 );
+    var totalWeight = 0.0;
+    var decode = range > 0.0 ? range / ( 255.0 * 255.0 ) : 1.0 / 255.0;
+
+    for ( var face = 0; face < 6; face++ ) {
+        var pixels = faces[ face ];
+        var m = faceMatrices[ face ];
+
+        for ( var j = 0; j < size; j++ ) {
+            var v = ( j + 0.5 ) / size * 2.0 - 1.0;
+
+            for ( var i = 0; i < size; i++ ) {
+                var u = ( i + 0.5 ) / size * 2.0 - 1.0;
+
+                var x = m[ 0 ] * u + m[ 4 ] * v + m[ 8 ];
+                var y = m[ 1 ] * u + m[ 5 ] * v + m[ 9 ];
+                var z = m[ 2 ] * u + m[ 6 ] * v + m[ 10 ];
+                var lengthSquared = x * x + y * y + z * z;
+                var invLength = 1.0 / Math.sqrt( lengthSquared );
+                x *= invLength;
+                y *= invLength;
+                z *= invLength;
+
+                // solid angle of the texel, up to the constant of the face area
+                var weight = invLength / lengthSquared;
+                totalWeight += weight;
+
+                polynomials[ 0 ] = 1.0;
+                polynomials[ 1 ] = y;
+                polynomials[ 2 ] = z;
+                polynomials[ 3 ] = x;
+                polynomials[ 4 ] = y * x;
+                polynomials[ 5 ] = y * z;
+                polynomials[ 6 ] = 3.0 * z * z - 1.0;
+                polynomials[ 7 ] = z * x;
+                polynomials[ 8 ] = x * x - y * y;
+
+                var index = ( j * size + i ) * 4;
+                var scale = range > 0.0 ? pixels[ index + 3 ] * decode : decode;
+                var r = pixels[ index ] * scale;
+                var g = pixels[ index + 1 ] * scale;
+                var b = pixels[ index + 2 ] * scale;
+
+                for ( var k = 0; k < 9; k++ ) {
+                    var basis = weight * shBasis[ k ] * polynomials[ k ];
+                    coefficients[ k * 3 ] += r * basis;
+                    coefficients[ k * 3 + 1 ] += g * basis;
+                    coefficients[ k * 3 + 2 ] += b * basis;
+                }
+            }
+        }
+    }
+
+    // the weights sum to the solid angle of the sphere
+    var normalize = 4.0 * Math.PI / totalWeight;
+    for ( var c = 0; c < 27; c++ ) {
+        coefficients[ c ] *= normalize * irradianceBandFactors[ Math.floor( c / 3 ) ];
+    }
+
+    return coefficients;
+};
+
+EnvironmentPrefilter.faceMatrices = faceMatrices;
+
+module.exports = EnvironmentPrefilter;
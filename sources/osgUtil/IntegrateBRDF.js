@@ -0,0 +1,152 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Camera = require( 'osg/Camera' );
+var CullFace = require( 'osg/CullFace' );
+var Depth = require( 'osg/Depth' );
+var FrameBufferObject = require( 'osg/FrameBufferObject' );
+var Node = require( 'osg/Node' );
+var Program = require( 'osg/Program' );
+var Shader = require( 'osg/Shader' );
+var Shape = require( 'osg/Shape' );
+var Texture = require( 'osg/Texture' );
+var TransformEnums = require( 'osg/TransformEnums' );
+var Viewport = require( 'osg/Viewport' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+var vertexShader = [
+    'attribute vec2 Vertex;',
+    'varying vec2 FragTexCoord0;',
+    'void main(void) {',
+    '  gl_Position = vec4(Vertex, 0.0, 1.0);',
+    '  FragTexCoord0 = Vertex * 0.5 + 0.5;',
+    '}'
+].join( '\n' );
+
+var fragmentShader = [
+    '#pragma include "ggx.glsl"',
+    '',
+    'varying vec2 FragTexCoord0;',
+    '',
+    '// 16 bits in two bytes, low byte first',
+    'vec2 pack16(const in float value) {',
+    '  float v = floor(clamp(value, 0.0, 1.0) * 65535.0 + 0.5);',
+    '  float high = floor(v / 256.0);',
+    '  return vec2(v - high * 256.0, high) / 255.0;',
+    '}',
+    '',
+    'void main(void) {',
+    '  float NdotV = max(FragTexCoord0.x, 1e-4);',
+    '  float roughness = FragTexCoord0.y;',
+    '  float alpha = max(roughness * roughness, 1e-3);',
+    '  vec3 n = vec3(0.0, 0.0, 1.0);',
+    '  vec3 v = vec3(sqrt(1.0 - NdotV * NdotV), 0.0, NdotV);',
+    '',
+    '  float a = 0.0;',
+    '  float b = 0.0;',
+    '  for (int i = 0; i < NB_SAMPLES; i++) {',
+    '    vec3 h = importanceSampleGGX(hammersley(float(i), float(NB_SAMPLES)), alpha, n);',
+    '    float VdotH = dot(v, h);',
+    '    vec3 l = 2.0 * VdotH * h - v;',
+    '    float NdotL = l.z;',
+    '    if (NdotL > 0.0) {',
+    '      VdotH = max(VdotH, 0.0);',
+    '      // brdf * NdotL / pdf without the fresnel',
+    '      float visibility = visibilitySmithGGXCorrelated(NdotL, NdotV, alpha) * 4.0 * NdotL * VdotH / max(h.z, 1e-5);',
+    '      float fc = pow(1.0 - VdotH, 5.0);',
+    '      a += (1.0 - fc) * visibility;',
+    '      b += fc * visibility;',
+    '    }',
+    '  }',
+    '  gl_FragColor = vec4(pack16(a / float(NB_SAMPLES)), pack16(b / float(NB_SAMPLES)));',
+    '}'
+].join( '\n' );
+
+
+/**
+ * IntegrateBRDF bakes the look up table of the split sum approximation of
+ * the GGX specular for the osg.EnvironmentLight: the scale and the bias of
+ * the reflectance for NdotV on u and the roughness on v, each one packed on
+ * 16 bits in two bytes.
+ *
+ * The node renders the table once when it is in the scene:
+ *
+ * var brdf = new IntegrateBRDF( 256 );
+ * root.addChild( brdf );
+ * stateSet.setTextureAttributeAndModes( 3, brdf.getTexture() );
+ * environmentLight.setBRDFTextureUnit( 3 );
+ *
+ * @class IntegrateBRDF
+ * @inherits Node
+ */
+var IntegrateBRDF = function ( size ) {
+    Node.call( this );
+
+    this._size = size || 256;
+    this._numSamples = 1024;
+
+    // the packed values can not be interpolated
+    this._texture = new Texture();
+    this._texture.setTextureSize( this._size, this._size );
+    this._texture.setMinFilter( Texture.NEAREST );
+    this._texture.setMagFilter( Texture.NEAREST );
+
+    this._camera = new Camera();
+    this._camera.setName( 'IntegrateBRDF' );
+    this._camera.setRenderOrder( Camera.PRE_RENDER, 0 );
+    this._camera.setReferenceFrame( TransformEnums.ABSOLUTE_RF );
+    this._camera.setViewport( new Viewport( 0, 0, this._size, this._size ) );
+    this._camera.attachTexture( FrameBufferObject.COLOR_ATTACHMENT0, this._texture );
+    this._camera.setClearMask( 0 );
+    this._camera.setInitialDrawCallback( this.disableDither );
+    this._camera.setFinalDrawCallback( this.done.bind( this ) );
+    this._camera.addChild( Shape.createTexturedFullScreenFakeQuadGeometry() );
+    this.addChild( this._camera );
+
+    var stateSet = this.getOrCreateStateSet();
+    stateSet.setAttributeAndModes( new Depth( 'DISABLE' ) );
+    stateSet.setAttributeAndModes( new CullFace( 'DISABLE' ) );
+    stateSet.setAttributeAndModes( this.createProgram() );
+};
+
+IntegrateBRDF.prototype = MACROUTILS.objectInherit( Node.prototype, {
+
+    getTexture: function () {
+        return this._texture;
+    },
+
+    // samples per texel
+    setNumSamples: function ( numSamples ) {
+        this._numSamples = numSamples;
+        this.getOrCreateStateSet().setAttributeAndModes( this.createProgram() );
+    },
+
+    getNumSamples: function () {
+        return this._numSamples;
+    },
+
+    createProgram: function () {
+        var shaderProcessor = new ShaderProcessor();
+        var defines = [ '#define NB_SAMPLES ' + this._numSamples ];
+
+        return new Program(
+            new Shader( Shader.VERTEX_SHADER, shaderProcessor.processShader( vertexShader ) ),
+            new Shader( Shader.FRAGMENT_SHADER, shaderProcessor.processShader( fragmentShader, defines ) ) );
+    },
+
+    // initial draw callback of the camera, the dithering alters the packing
+    disableDither: function ( state ) {
+        var gl = state.getGraphicContext();
+        gl.disable( gl.DITHER );
+    },
+
+    // final draw callback of the camera, the table is rendered once
+    done: function ( state ) {
+        var gl = state.getGraphicContext();
+        gl.enable( gl.DITHER );
+        this.setNodeMask( 0x0 );
+    }
+
+} );
+
+module.exports = IntegrateBRDF;
@@ -74,19 +74,70 @@ LineSegmentIntersector.prototype = {
         };
     } )(),
 
-    intersect: ( function () {
+    intersect: function ( iv, node ) {
+        if ( node.getNumInstances ) return this.intersectInstances( iv, node );
+        return this.intersectGeometry( iv, node, this._iStart, this._iEnd );
+    },
 
-        var ti = new TriangleIntersector();
+    // intersect each instance of an InstancedGeometry with the segment in
+    // the space of the instance, the intersections have the instanceIndex
+    // and their point and normal in the space of the geometry
+    intersectInstances: ( function () {
+
+        var matrix = Matrix.create();
+        var inverse = Matrix.create();
+        var start = Vec3.create();
+        var end = Vec3.create();
+        var normal = Vec3.create();
 
         return function ( iv, node ) {
 
+            if ( !node.getVertexAttributeList().InstanceMatrix ) return false;
+
+            var intersections = this._intersections;
+            var hit = false;
+            // the instances without matrix are not drawn
+            var numInstances = Math.min( node.getNumInstances(), node.getVertexAttributeList().InstanceMatrix.getElements().length / 16 );
+            for ( var i = 0; i < numInstances; i++ ) {
+                node.getInstanceMatrix( i, matrix );
+                if ( !Matrix.inverse( matrix, inverse ) ) continue;
+
+                Matrix.transformVec3( inverse, this._iStart, start );
+                Matrix.transformVec3( inverse, this._iEnd, end );
+
+                var first = intersections.length;
+                if ( !this.intersectGeometry( iv, node, start, end ) ) continue;
+
+                hit = true;
+                for ( var j = first; j < intersections.length; j++ ) {
+                    var intersection = intersections[ j ];
+                    intersection.instanceIndex = i;
+                    if ( intersection.point ) Matrix.transformVec3( matrix, intersection.point, intersection.point );
+                    // the normals are transformed by the inverse transpose
+                    var triangle = intersection.TriangleIntersection;
+                    if ( triangle && triangle.normal ) {
+                        Matrix.transform3x3( inverse, triangle.normal, normal );
+                        Vec3.normalize( normal, triangle.normal );
+                    }
+                }
+            }
+            return hit;
+        };
+    } )(),
+
+    intersectGeometry: ( function () {
+
+        var ti = new TriangleIntersector();
+
+        return function ( iv, node, start, end ) {
+
             var kdtree = node.getShape();
             if ( kdtree )
-                return kdtree.intersectRay( this._iStart, this._iEnd, this._intersections, iv.nodePath );
+                return kdtree.intersectRay( start, end, this._intersections, iv.nodePath );
 
             ti.reset();
             ti.setNodePath( iv.nodePath );
-            ti.set( this._iStart, this._iEnd );
+            ti.set( start, end );
 
             // handle rig transformed vertices
             if ( node.computeTransformedVertices ) {
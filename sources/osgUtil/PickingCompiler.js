@@ -0,0 +1,31 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var Compiler = require( 'osgShader/Compiler' );
+
+
+// Writes the picking color of the geometry, an id encoded by the GPUPicker,
+// the vertices are transformed like in the default compiler (skinning,
+// morphing, instancing, billboard) and the clip planes are applied
+var PickingCompiler = function () {
+    Compiler.apply( this, arguments );
+    this._isVertexColored = false;
+    this._isLighted = false;
+};
+
+PickingCompiler.prototype = MACROUTILS.objectInherit( Compiler.prototype, {
+    getCompilerName: function () {
+        return 'Picking';
+    },
+    getFragmentShaderName: function () {
+        return this.getCompilerName();
+    },
+    initTextureAttributes: function () {},
+
+    createFragmentShaderGraph: function () {
+        var frag = this.getNode( 'glFragColor' );
+        this.getNode( 'SetFromNode' ).inputs( this.getOrCreateUniform( 'vec4', 'uPickingColor' ) ).outputs( frag );
+        return [ frag ];
+    }
+} );
+
+module.exports = PickingCompiler;
@@ -0,0 +1,16 @@
+'use strict';
+var ShaderGenerator = require( 'osgShader/ShaderGenerator' );
+var PickingCompiler = require( 'osgUtil/PickingCompiler' );
+
+var PickingShaderGenerator = function () {
+
+    ShaderGenerator.apply( this, arguments );
+    this.setShaderCompiler( PickingCompiler );
+    // only the attributes moving or clipping the vertices
+    this._acceptAttributeTypes = new window.Set( [ 'Skinning', 'Morph', 'Billboard', 'Instance', 'ClipPlane' ] );
+
+};
+
+PickingShaderGenerator.prototype = ShaderGenerator.prototype;
+
+module.exports = PickingShaderGenerator;
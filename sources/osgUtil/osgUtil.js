@@ -3,6 +3,8 @@ var Composer = require( 'osgUtil/Composer' );
 var DisplayNormalVisitor = require( 'osgUtil/DisplayNormalVisitor' );
 var DisplayGeometryVisitor = require( 'osgUtil/DisplayGeometryVisitor' );
 var DisplayGraph = require( 'osgUtil/DisplayGraph' );
+var EnvironmentPrefilter = require( 'osgUtil/EnvironmentPrefilter' );
+var IntegrateBRDF = require( 'osgUtil/IntegrateBRDF' );
 var IntersectionVisitor = require( 'osgUtil/IntersectionVisitor' );
 var LineSegmentIntersector = require( 'osgUtil/LineSegmentIntersector' );
 var NodeGizmo = require( 'osgUtil/NodeGizmo' );
@@ -23,6 +25,8 @@ osgUtil.Composer = Composer;
 osgUtil.DisplayNormalVisitor = DisplayNormalVisitor;
 osgUtil.DisplayGeometryVisitor = DisplayGeometryVisitor;
 osgUtil.DisplayGraph = DisplayGraph;
+osgUtil.EnvironmentPrefilter = EnvironmentPrefilter;
+osgUtil.IntegrateBRDF = IntegrateBRDF;
 osgUtil.IntersectionVisitor = IntersectionVisitor;
 osgUtil.LineSegmentIntersector = LineSegmentIntersector;
 osgUtil.NodeGizmo = NodeGizmo;
@@ -0,0 +1,314 @@
+'use strict';
+var MACROUTILS = require( 'osg/Utils' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var Camera = require( 'osg/Camera' );
+var CullVisitor = require( 'osg/CullVisitor' );
+var FrameBufferObject = require( 'osg/FrameBufferObject' );
+var Matrix = require( 'osg/Matrix' );
+var StateAttribute = require( 'osg/StateAttribute' );
+var StateSet = require( 'osg/StateSet' );
+var Texture = require( 'osg/Texture' );
+var Uniform = require( 'osg/Uniform' );
+var Vec3 = require( 'osg/Vec3' );
+var Vec4 = require( 'osg/Vec4' );
+var Viewport = require( 'osg/Viewport' );
+var LineSegmentIntersector = require( 'osgUtil/LineSegmentIntersector' );
+var Renderer = require( 'osgViewer/Renderer' );
+
+
+// CullVisitor pushing the picking color of each culled geometry
+var PickingCullVisitor = function ( picker ) {
+    CullVisitor.call( this );
+    this._picker = picker;
+    this._pickPushed = false;
+};
+
+PickingCullVisitor.prototype = MACROUTILS.objectInherit( CullVisitor.prototype, {
+
+    // the geometries drawn with their own Program don't draw the picking
+    // color, they get no id so their pixels are not read as an other pick
+    _hasProgram: function () {
+        for ( var sg = this._currentStateGraph; sg; sg = sg.parent ) {
+            if ( sg.stateset && sg.stateset.getAttribute( 'Program' ) ) return true;
+        }
+        return false;
+    },
+
+    postPushGeometry: function ( cull, node ) {
+        CullVisitor.prototype.postPushGeometry.call( this, cull, node );
+        this._pickPushed = !this._hasProgram();
+        if ( this._pickPushed ) cull.pushStateSet( this._picker.addPick( this.nodePath, node, this.getCurrentModelWorldMatrix() ) );
+    },
+
+    prePopGeometry: function ( cull, node ) {
+        if ( this._pickPushed ) cull.popStateSet();
+        this._pickPushed = false;
+        CullVisitor.prototype.prePopGeometry.call( this, cull, node );
+    }
+} );
+
+
+/**
+ * GPUPicker renders an id per geometry in an offscreen camera and reads back
+ * the pixels under the cursor, it picks what is drawn: skinned, morphed and
+ * instanced geometries, clipped geometries, dense meshes for the cost of a
+ * draw of the region of the pick.
+ * Each picked geometry is then intersected on the CPU under its pixel to fill
+ * the same intersection as the LineSegmentIntersector (nodepath, ratio, point,
+ * TriangleIntersection, instanceIndex). The geometries displaced in their vertex
+ * shader, or drawn as lines or points, only have the nodepath.
+ * The geometries with their own Program keep it and are not pickable.
+ * @class GPUPicker
+ */
+var GPUPicker = function () {
+
+    this._camera = new Camera();
+    this._camera.setComputeNearFar( false );
+    this._camera.setInitialDrawCallback( this.disableDither.bind( this ) );
+    this._camera.setFinalDrawCallback( this.readPixels.bind( this ) );
+
+    this._renderer = new Renderer( this._camera );
+    this._renderer.setCullVisitor( new PickingCullVisitor( this ) );
+
+    /*jshint bitwise: false */
+    var override = StateAttribute.ON | StateAttribute.OVERRIDE;
+    /*jshint bitwise: true */
+    var stateSet = this._camera.getOrCreateStateSet();
+    stateSet.setShaderGeneratorName( 'picking', override );
+    stateSet.setAttributeAndModes( new BlendFunc(), override );
+
+    this._width = 0;
+    this._height = 0;
+    this._texture = undefined;
+    this._pixels = undefined;
+
+    // culled geometries, the id of a pick is its index + 1
+    this._picks = [];
+    this._stateSets = [];
+
+    this._intersector = new LineSegmentIntersector();
+};
+
+/** @lends GPUPicker.prototype */
+GPUPicker.prototype = MACROUTILS.objectLibraryClass( {
+
+    getCamera: function () {
+        return this._camera;
+    },
+
+    // called by the cull visitor, returns the state set with the picking color
+    addPick: function ( nodePath, geometry, modelWorld ) {
+
+        var id = this._picks.length + 1;
+        this._picks.push( {
+            nodepath: nodePath.slice( 0 ),
+            geometry: geometry,
+            matrix: Matrix.copy( modelWorld, Matrix.create() )
+        } );
+
+        var stateSet = this._stateSets[ id - 1 ];
+        if ( !stateSet ) {
+            stateSet = new StateSet();
+            stateSet.addUniform( Uniform.createFloat4( Vec4.create(), 'uPickingColor' ) );
+            this._stateSets.push( stateSet );
+        }
+
+        /*jshint bitwise: false */
+        var color = stateSet.getUniform( 'uPickingColor' ).getInternalArray();
+        color[ 0 ] = ( id & 0xFF ) / 255.0;
+        color[ 1 ] = ( ( id >> 8 ) & 0xFF ) / 255.0;
+        color[ 2 ] = ( ( id >> 16 ) & 0xFF ) / 255.0;
+        color[ 3 ] = 1.0;
+        /*jshint bitwise: true */
+
+        return stateSet;
+    },
+
+    // initial draw callback of the camera, the dithering alters the colors
+    disableDither: function ( state ) {
+        var gl = state.getGraphicContext();
+        gl.disable( gl.DITHER );
+    },
+
+    // final draw callback of the camera, the framebuffer is still bound
+    readPixels: function ( state ) {
+        var gl = state.getGraphicContext();
+        gl.readPixels( 0, 0, this._width, this._height, gl.RGBA, gl.UNSIGNED_BYTE, this._pixels );
+        gl.enable( gl.DITHER );
+    },
+
+    _resize: function ( width, height ) {
+
+        if ( width === this._width && height === this._height ) return;
+
+        this._width = width;
+        this._height = height;
+        this._pixels = new MACROUTILS.Uint8Array( width * height * 4 );
+
+        if ( this._texture ) this._texture.releaseGLObjects();
+        this._texture = new Texture();
+        this._texture.setMinFilter( Texture.NEAREST );
+        this._texture.setMagFilter( Texture.NEAREST );
+        this._texture.setTextureSize( width, height );
+
+        var camera = this._camera;
+        camera.resetAttachments();
+        camera.setViewport( new Viewport( 0, 0, width, height ) );
+        camera.attachTexture( FrameBufferObject.COLOR_ATTACHMENT0, this._texture );
+        camera.attachRenderBuffer( FrameBufferObject.DEPTH_ATTACHMENT, FrameBufferObject.DEPTH_COMPONENT16 );
+    },
+
+    // projection of the view camera zoomed on the region
+    _computeProjection: ( function () {
+
+        var scale = Matrix.create();
+
+        return function ( viewCamera, x, y, width, height ) {
+
+            var viewport = viewCamera.getViewport();
+            var sx = viewport.width() / width;
+            var sy = viewport.height() / height;
+            var cx = 2.0 * ( x + 0.5 * width - viewport.x() ) / viewport.width() - 1.0;
+            var cy = 2.0 * ( y + 0.5 * height - viewport.y() ) / viewport.height() - 1.0;
+
+            var projection = this._camera.getProjectionMatrix();
+            Matrix.makeTranslate( -cx * sx, -cy * sy, 0.0, projection );
+            Matrix.preMult( projection, Matrix.makeScale( sx, sy, 1.0, scale ) );
+            Matrix.preMult( projection, viewCamera.getProjectionMatrix() );
+        };
+    } )(),
+
+    // draws the picking colors of the region in the pixels
+    _draw: function ( view, x, y, width, height, traversalMask ) {
+
+        var viewCamera = view.getCamera();
+        var camera = this._camera;
+
+        this._resize( Math.max( 1, Math.ceil( width ) ), Math.max( 1, Math.ceil( height ) ) );
+        this._computeProjection( viewCamera, x, y, width, height );
+        Matrix.copy( viewCamera.getViewMatrix(), camera.getViewMatrix() );
+        camera.setView( view );
+
+        var viewRenderer = viewCamera.getRenderer();
+        var renderer = this._renderer;
+        renderer.setState( viewRenderer.getState() );
+        renderer.setFrameStamp( viewRenderer.getFrameStamp() );
+        renderer.getCullVisitor().setTraversalMask( traversalMask );
+
+        this._picks.length = 0;
+
+        // the scene is only a child of the picking camera during the draw
+        var children = viewCamera.getChildren().slice( 0 );
+        var i, l = children.length;
+        for ( i = 0; i < l; i++ ) camera.addChild( children[ i ] );
+
+        renderer.cullAndDraw();
+
+        for ( i = 0; i < l; i++ ) camera.removeChild( children[ i ] );
+    },
+
+    // intersect the picked geometry under the window coordinates x, y
+    _computeHit: ( function () {
+
+        var start = Vec3.create();
+        var end = Vec3.create();
+        // 64 bit precision, see IntersectionVisitor.getTransformation
+        var matrix = new Float64Array( 16 );
+
+        return function ( viewCamera, pick, x, y ) {
+
+            var nodePath = [ viewCamera ].concat( pick.nodepath );
+
+            var lsi = this._intersector;
+            lsi.reset();
+            lsi.set( Vec3.set( x, y, 0.0, start ), Vec3.set( x, y, 1.0, end ) );
+
+            viewCamera.getViewport().computeWindowMatrix( matrix );
+            Matrix.preMult( matrix, viewCamera.getProjectionMatrix() );
+            Matrix.preMult( matrix, viewCamera.getViewMatrix() );
+            Matrix.preMult( matrix, pick.matrix );
+            lsi.setCurrentTransformation( matrix );
+
+            lsi.intersect( {
+                nodePath: nodePath
+            }, pick.geometry );
+
+            var intersections = lsi.getIntersections();
+            var hit;
+            for ( var i = 0, l = intersections.length; i < l; i++ ) {
+                if ( !hit || intersections[ i ].ratio < hit.ratio ) hit = intersections[ i ];
+            }
+            return hit || {
+                nodepath: nodePath
+            };
+        };
+    } )(),
+
+    /**
+     * Returns the front most intersection under the window coordinates
+     * x, y (0 at the bottom) in an array as View.computeIntersections
+     */
+    computeIntersections: function ( view, x, y, traversalMask ) {
+        return this.computeRectangleIntersections( view, x - 0.5, y - 0.5, 1.0, 1.0, traversalMask );
+    },
+
+    /**
+     * Returns an intersection per geometry visible in the rectangle of the
+     * window starting at x, y (0 at the bottom), computed at the pixel of the
+     * geometry the closest to the center of the rectangle
+     */
+    computeRectangleIntersections: function ( view, x, y, width, height, traversalMask ) {
+
+        /*jshint bitwise: false */
+        this._draw( view, x, y, width, height, traversalMask === undefined ? ~0 : traversalMask );
+
+        var w = this._width;
+        var h = this._height;
+        var pixels = this._pixels;
+        var centerX = 0.5 * ( w - 1 );
+        var centerY = 0.5 * ( h - 1 );
+
+        // pixel the closest to the center by id
+        var closest = {};
+        var ids = [];
+        for ( var j = 0; j < h; j++ ) {
+            for ( var i = 0; i < w; i++ ) {
+                var index = ( j * w + i ) * 4;
+                var id = pixels[ index ] | ( pixels[ index + 1 ] << 8 ) | ( pixels[ index + 2 ] << 16 );
+                if ( id === 0 || id > this._picks.length ) continue;
+
+                var distance = ( i - centerX ) * ( i - centerX ) + ( j - centerY ) * ( j - centerY );
+                var pixel = closest[ id ];
+                if ( !pixel ) {
+                    ids.push( id );
+                    closest[ id ] = [ i, j, distance ];
+                } else if ( distance < pixel[ 2 ] ) {
+                    pixel[ 0 ] = i;
+                    pixel[ 1 ] = j;
+                    pixel[ 2 ] = distance;
+                }
+            }
+        }
+        /*jshint bitwise: true */
+
+        var viewCamera = view.getCamera();
+        var intersections = [];
+        for ( var k = 0, l = ids.length; k < l; k++ ) {
+            var best = closest[ ids[ k ] ];
+            var px = x + ( best[ 0 ] + 0.5 ) * width / w;
+            var py = y + ( best[ 1 ] + 0.5 ) * height / h;
+            intersections.push( this._computeHit( viewCamera, this._picks[ ids[ k ] - 1 ], px, py ) );
+        }
+        return intersections;
+    },
+
+    releaseGLObjects: function () {
+        this._camera.resetAttachments();
+        if ( this._texture ) this._texture.releaseGLObjects();
+        this._texture = undefined;
+        this._width = this._height = 0;
+    }
+
+}, 'osgViewer', 'GPUPicker' );
+
+module.exports = GPUPicker;
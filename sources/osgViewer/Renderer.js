@@ -159,6 +159,7 @@ Renderer.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( Ob
         this._renderStage.setClearColor( camera.getClearColor() );
         this._renderStage.setClearMask( camera.getClearMask() );
         this._renderStage.setViewport( camera.getViewport() );
+        this._renderStage.setOrderIndependentTransparency( camera.getOrderIndependentTransparency() );
 
         // pass de dbpager to the cullvisitor, so plod's can do the requests
         this._cullVisitor.setDatabaseRequestHandler( this._camera.getView().getDatabasePager() );
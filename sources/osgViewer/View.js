@@ -13,6 +13,7 @@ var Viewport = require( 'osg/Viewport' );
 var WebGLCaps = require( 'osg/WebGLCaps' );
 var IntersectionVisitor = require( 'osgUtil/IntersectionVisitor' );
 var LineSegmentIntersector = require( 'osgUtil/LineSegmentIntersector' );
+var GPUPicker = require( 'osgViewer/GPUPicker' );
 var Renderer = require( 'osgViewer/Renderer' );
 var Scene = require( 'osgViewer/Scene' );
 var DisplayGraph = require( 'osgUtil/DisplayGraph' );
@@ -35,6 +36,9 @@ var View = function () {
     this._requestContinousUpdate = true;
     this._requestRedraw = true;
 
+    this._gpuPicking = false;
+    this._gpuPicker = undefined;
+
     this.setLightingMode( View.LightingMode.HEADLIGHT );
     // assign a renderer to the camera
     var renderer = this.createRenderer( this.getCamera() );
@@ -192,6 +196,8 @@ View.prototype = {
      */
     computeIntersections: function ( x, y, traversalMask ) {
 
+        if ( this._gpuPicking ) return this.getOrCreateGPUPicker().computeIntersections( this, x, y, traversalMask );
+
         /*jshint bitwise: false */
         if ( traversalMask === undefined ) {
             traversalMask = ~0;
@@ -225,6 +231,29 @@ View.prototype = {
         return this._lsi.getIntersections();
     },
 
+    /**
+     * Returns an intersection per geometry visible in the rectangle
+     * starting at x, y, see GPUPicker.computeRectangleIntersections
+     */
+    computeRectangleIntersections: function ( x, y, width, height, traversalMask ) {
+        return this.getOrCreateGPUPicker().computeRectangleIntersections( this, x, y, width, height, traversalMask );
+    },
+
+    // computeIntersections picks the geometries drawn in an offscreen
+    // camera instead of intersecting the triangles, see GPUPicker
+    setGPUPicking: function ( enable ) {
+        this._gpuPicking = enable;
+    },
+
+    getGPUPicking: function () {
+        return this._gpuPicking;
+    },
+
+    getOrCreateGPUPicker: function () {
+        if ( !this._gpuPicker ) this._gpuPicker = new GPUPicker();
+        return this._gpuPicker;
+    },
+
     setFrameStamp: function ( frameStamp ) {
         this._frameStamp = frameStamp;
     },
@@ -1,4 +1,5 @@
 'use strict';
+var GPUPicker = require( 'osgViewer/GPUPicker' );
 var Renderer = require( 'osgViewer/Renderer' );
 var View = require( 'osgViewer/View' );
 var Viewer = require( 'osgViewer/Viewer' );
@@ -8,6 +9,7 @@ var Scene = require( 'osgViewer/Scene' );
 
 var osgViewer = {};
 
+osgViewer.GPUPicker = GPUPicker;
 osgViewer.Renderer = Renderer;
 osgViewer.View = View;
 osgViewer.Viewer = Viewer;
@@ -1,5 +1,6 @@
 'use strict';
 var P = require( 'bluebird' );
+var Sequence = require( 'osg/Sequence' );
 var TransformEnums = require( 'osg/TransformEnums' );
 
 var osgWrapper = {};
@@ -159,6 +160,69 @@ osgWrapper.BlendColor = function ( input, attr ) {
     return P.resolve( attr );
 };
 
+osgWrapper.Stencil = function ( input, attr ) {
+    var jsonObj = input.getJSON();
+    if ( !jsonObj.Function )
+        return P.reject();
+
+    osgWrapper.Object( input, attr );
+    attr.setFunction( jsonObj.Function, jsonObj.FunctionRef, jsonObj.FunctionMask );
+    if ( jsonObj.StencilFailOperation ) attr.setStencilFailOperation( jsonObj.StencilFailOperation );
+    if ( jsonObj.StencilPassAndDepthFailOperation ) attr.setStencilPassAndDepthFailOperation( jsonObj.StencilPassAndDepthFailOperation );
+    if ( jsonObj.StencilPassAndDepthPassOperation ) attr.setStencilPassAndDepthPassOperation( jsonObj.StencilPassAndDepthPassOperation );
+    if ( jsonObj.WriteMask !== undefined ) attr.setWriteMask( jsonObj.WriteMask );
+    return P.resolve( attr );
+};
+
+osgWrapper.Scissor = function ( input, attr ) {
+    var jsonObj = input.getJSON();
+    if ( jsonObj.X === undefined || jsonObj.Y === undefined || jsonObj.Width === undefined || jsonObj.Height === undefined )
+        return P.reject();
+
+    osgWrapper.Object( input, attr );
+    attr.setScissor( jsonObj.X, jsonObj.Y, jsonObj.Width, jsonObj.Height );
+    return P.resolve( attr );
+};
+
+osgWrapper.PolygonOffset = function ( input, attr ) {
+    var jsonObj = input.getJSON();
+    if ( jsonObj.Factor === undefined || jsonObj.Units === undefined )
+        return P.reject();
+
+    osgWrapper.Object( input, attr );
+    attr.setFactor( jsonObj.Factor );
+    attr.setUnits( jsonObj.Units );
+    return P.resolve( attr );
+};
+
+osgWrapper.ClipPlane = function ( input, attr ) {
+    var jsonObj = input.getJSON();
+    if ( !jsonObj.ClipPlane || jsonObj.ClipNum === undefined )
+        return P.reject();
+
+    osgWrapper.Object( input, attr );
+    attr.setClipNum( jsonObj.ClipNum );
+    attr.setClipPlane( jsonObj.ClipPlane );
+    return P.resolve( attr );
+};
+
+osgWrapper.Fog = function ( input, fog ) {
+    var jsonObj = input.getJSON();
+    if ( !jsonObj.Mode || !jsonObj.Color )
+        return P.reject();
+
+    osgWrapper.Object( input, fog );
+    fog.setMode( jsonObj.Mode );
+    fog.setColor( jsonObj.Color );
+    if ( jsonObj.Density !== undefined ) fog.setDensity( jsonObj.Density );
+    if ( jsonObj.Start !== undefined ) fog.setStart( jsonObj.Start );
+    if ( jsonObj.End !== undefined ) fog.setEnd( jsonObj.End );
+    if ( jsonObj.HeightFog !== undefined ) fog.setHeightFog( jsonObj.HeightFog );
+    if ( jsonObj.Height !== undefined ) fog.setHeight( jsonObj.Height );
+    if ( jsonObj.HeightFalloff !== undefined ) fog.setHeightFalloff( jsonObj.HeightFalloff );
+    return P.resolve( fog );
+};
+
 osgWrapper.Light = function ( input, light ) {
     var jsonObj = input.getJSON();
 
@@ -220,7 +284,7 @@ osgWrapper.Projection = function ( input, node ) {
         return P.reject();
 
     var promise = osgWrapper.Node( input, node );
-    node.setMatrix( jsonObj.Matrix );
+    node.setProjectionMatrix( jsonObj.Matrix );
     return promise;
 };
 
@@ -250,6 +314,36 @@ osgWrapper.LightSource = function ( input, node ) {
     } );
 };
 
+osgWrapper.Switch = function ( input, node ) {
+    var jsonObj = input.getJSON();
+
+    if ( jsonObj.NewChildDefaultValue !== undefined )
+        node.setNewChildDefaultValue( jsonObj.NewChildDefaultValue );
+
+    // the values are set once the children are added
+    return osgWrapper.Node( input, node ).then( function () {
+        if ( jsonObj.ValueList ) node.setValueList( jsonObj.ValueList );
+        return node;
+    } );
+};
+
+osgWrapper.Sequence = function ( input, node ) {
+    var jsonObj = input.getJSON();
+
+    if ( jsonObj.TimeList ) node.setTimeList( jsonObj.TimeList );
+    if ( jsonObj.DefaultTime !== undefined ) node.setDefaultTime( jsonObj.DefaultTime );
+
+    var loopMode = jsonObj.LoopMode === 'SWING' ? Sequence.SWING : Sequence.LOOP;
+    node.setInterval( loopMode, jsonObj.Begin !== undefined ? jsonObj.Begin : 0, jsonObj.End !== undefined ? jsonObj.End : -1 );
+
+    node.setDuration( jsonObj.Speed !== undefined ? jsonObj.Speed : 1.0, jsonObj.NbLoop !== undefined ? jsonObj.NbLoop : -1 );
+
+    if ( jsonObj.Mode !== undefined && Sequence[ jsonObj.Mode ] !== undefined )
+        node.setMode( Sequence[ jsonObj.Mode ] );
+
+    return osgWrapper.Node( input, node );
+};
+
 osgWrapper.Geometry = function ( input, node ) {
     var jsonObj = input.getJSON();
     if ( !jsonObj.VertexAttributeList )
@@ -293,16 +387,17 @@ osgWrapper.PagedLOD = function ( input, plod ) {
     var jsonObj = input.getJSON();
 
     osgWrapper.Object( input, plod );
-    // Parse center Mode
-    if ( jsonObj.CenterMode === 'USE_BOUNDING_SPHERE_CENTER' )
-        plod.setCenterMode( 0 );
-    else if ( jsonObj.CenterMode === 'UNION_OF_BOUNDING_SPHERE_AND_USER_DEFINED' )
-        plod.setCenterMode( 2 );
 
     // Parse center and radius
     plod.setCenter( [ jsonObj.UserCenter[ 0 ], jsonObj.UserCenter[ 1 ], jsonObj.UserCenter[ 2 ] ] );
     plod.setRadius( jsonObj.UserCenter[ 3 ] );
 
+    // Parse center Mode, after the center as setCenter changes the mode
+    if ( jsonObj.CenterMode === 'USE_BOUNDING_SPHERE_CENTER' )
+        plod.setCenterMode( 0 );
+    else if ( jsonObj.CenterMode === 'UNION_OF_BOUNDING_SPHERE_AND_USER_DEFINED' )
+        plod.setCenterMode( 2 );
+
     // Parse RangeMode
     if ( jsonObj.RangeMode === 'PIXEL_SIZE_ON_SCREEN' )
         plod.setRangeMode( 1 );
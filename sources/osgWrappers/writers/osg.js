@@ -0,0 +1,374 @@
+'use strict';
+var Notify = require( 'osg/Notify' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var CullFace = require( 'osg/CullFace' );
+var Fog = require( 'osg/Fog' );
+var Lod = require( 'osg/Lod' );
+var Sequence = require( 'osg/Sequence' );
+var Stencil = require( 'osg/Stencil' );
+var Texture = require( 'osg/Texture' );
+var TransformEnums = require( 'osg/TransformEnums' );
+
+var osgWriter = {};
+
+// the writers follow the order used by the serializers to read the
+// properties, an object shared in the scene is fully written the first
+// time the reader meets it and only referenced by its UniqueID after
+
+var blendFuncNames = [ 'DISABLE', 'ZERO', 'ONE', 'SRC_COLOR', 'ONE_MINUS_SRC_COLOR', 'SRC_ALPHA', 'ONE_MINUS_SRC_ALPHA', 'DST_ALPHA', 'ONE_MINUS_DST_ALPHA', 'DST_COLOR', 'ONE_MINUS_DST_COLOR', 'SRC_ALPHA_SATURATE', 'CONSTANT_COLOR', 'ONE_MINUS_CONSTANT_COLOR', 'CONSTANT_ALPHA', 'ONE_MINUS_CONSTANT_ALPHA' ];
+var cullFaceNames = [ 'DISABLE', 'FRONT', 'BACK', 'FRONT_AND_BACK' ];
+var stencilFunctionNames = [ 'DISABLE', 'NEVER', 'LESS', 'EQUAL', 'LEQUAL', 'GREATER', 'NOTEQUAL', 'GEQUAL', 'ALWAYS' ];
+var stencilOperationNames = [ 'ZERO', 'KEEP', 'REPLACE', 'INCR', 'DECR', 'INVERT', 'INCR_WRAP', 'DECR_WRAP' ];
+var fogModeNames = [ 'LINEAR', 'EXP', 'EXP2' ];
+var filterNames = [ 'NEAREST', 'LINEAR', 'NEAREST_MIPMAP_NEAREST', 'LINEAR_MIPMAP_NEAREST', 'NEAREST_MIPMAP_LINEAR', 'LINEAR_MIPMAP_LINEAR' ];
+var sequenceModeNames = [ 'START', 'STOP', 'PAUSE', 'RESUME' ];
+var wrapNames = [ 'CLAMP_TO_EDGE', 'REPEAT', 'MIRRORED_REPEAT' ];
+
+var getEnumName = function ( classObject, names, value ) {
+    for ( var i = 0, l = names.length; i < l; i++ ) {
+        if ( classObject[ names[ i ] ] === value ) return names[ i ];
+    }
+    return undefined;
+};
+
+var toArray = function ( array ) {
+    return Array.prototype.slice.call( array );
+};
+
+var isExcluded = function ( excluded, obj ) {
+    return excluded !== undefined && excluded.indexOf( obj ) !== -1;
+};
+
+osgWriter.Object = function ( output, obj ) {
+    var jsonObj = output.getJSON();
+
+    var name = obj.getName();
+    if ( name !== undefined ) jsonObj.Name = name;
+
+    var userdata = obj.getUserData();
+    if ( userdata !== undefined ) {
+        jsonObj.UserDataContainer = output.writeUserDataContainer( userdata );
+    }
+
+    return jsonObj;
+};
+
+// excluded contains the objects that are not written with the node, eg the
+// data merged from an other geometry (see RigGeometry and MorphGeometry)
+osgWriter.Node = function ( output, node, excluded ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, node );
+
+    // callbacks without writer are part of the runtime (eg UpdateRigGeometry)
+    var callbacks = node.getUpdateCallbackList();
+    var updateCallbacks = [];
+    for ( var i = 0, l = callbacks.length; i < l; i++ ) {
+        if ( !output.getObjectClassName( callbacks[ i ] ) ) continue;
+        var callback = output.writeObject( callbacks[ i ] );
+        if ( callback ) updateCallbacks.push( callback );
+    }
+    if ( updateCallbacks.length ) jsonObj.UpdateCallbacks = updateCallbacks;
+
+    var stateSet = node.getStateSet();
+    if ( stateSet && !isExcluded( excluded, stateSet ) ) jsonObj.StateSet = output.writeObject( stateSet );
+
+    var children = node.getChildren();
+    var jsonChildren = [];
+    for ( var j = 0, k = children.length; j < k; j++ ) {
+        if ( isExcluded( excluded, children[ j ] ) ) continue;
+        var child = output.writeObject( children[ j ] );
+        if ( child ) jsonChildren.push( child );
+    }
+    if ( jsonChildren.length ) jsonObj.Children = jsonChildren;
+
+    return jsonObj;
+};
+
+osgWriter.StateSet = function ( output, stateSet ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, stateSet );
+
+    if ( stateSet.getBinName() === 'DepthSortedBin' ) {
+        jsonObj.RenderingHint = 'TRANSPARENT_BIN';
+    } else if ( stateSet.getBinName() === 'RenderBin' ) {
+        jsonObj.RenderingHint = 'OPAQUE_BIN';
+    }
+
+    var attributeList = [];
+    var attributes = stateSet.getAttributeList();
+    for ( var i = 0, l = attributes.length; i < l; i++ ) {
+        var attribute = output.writeObject( attributes[ i ].getAttribute() );
+        if ( attribute ) attributeList.push( attribute );
+    }
+    if ( attributeList.length ) jsonObj.AttributeList = attributeList;
+
+    var textureAttributeList = [];
+    var hasTexture = false;
+    for ( var t = 0, lt = stateSet.getNumTextureAttributeLists(); t < lt; t++ ) {
+        var textureAttributes = [];
+        var textureMap = stateSet.textureAttributeMapList[ t ];
+        var keys = textureMap ? textureMap.getKeys() : [];
+        for ( var a = 0, al = keys.length; a < al; a++ ) {
+            var textureAttribute = output.writeObject( textureMap[ keys[ a ] ].getAttribute() );
+            if ( textureAttribute ) textureAttributes.push( textureAttribute );
+        }
+        hasTexture = hasTexture || textureAttributes.length > 0;
+        textureAttributeList.push( textureAttributes );
+    }
+    if ( hasTexture ) jsonObj.TextureAttributeList = textureAttributeList;
+
+    return jsonObj;
+};
+
+osgWriter.Material = function ( output, material ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, material );
+
+    jsonObj.Ambient = toArray( material.getAmbient() );
+    jsonObj.Diffuse = toArray( material.getDiffuse() );
+    jsonObj.Emission = toArray( material.getEmission() );
+    jsonObj.Specular = toArray( material.getSpecular() );
+    jsonObj.Shininess = material.getShininess();
+    return jsonObj;
+};
+
+osgWriter.BlendFunc = function ( output, blend ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, blend );
+
+    jsonObj.SourceRGB = getEnumName( BlendFunc, blendFuncNames, blend.getSourceRGB() );
+    jsonObj.SourceAlpha = getEnumName( BlendFunc, blendFuncNames, blend.getSourceAlpha() );
+    jsonObj.DestinationRGB = getEnumName( BlendFunc, blendFuncNames, blend.getDestinationRGB() );
+    jsonObj.DestinationAlpha = getEnumName( BlendFunc, blendFuncNames, blend.getDestinationAlpha() );
+    return jsonObj;
+};
+
+osgWriter.CullFace = function ( output, attr ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, attr );
+    jsonObj.Mode = getEnumName( CullFace, cullFaceNames, attr.getMode() );
+    return jsonObj;
+};
+
+osgWriter.BlendColor = function ( output, attr ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, attr );
+    jsonObj.ConstantColor = toArray( attr.getConstantColor() );
+    return jsonObj;
+};
+
+osgWriter.Stencil = function ( output, attr ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, attr );
+    jsonObj.Function = getEnumName( Stencil, stencilFunctionNames, attr.getFunction() );
+    jsonObj.FunctionRef = attr.getFunctionRef();
+    jsonObj.FunctionMask = attr.getFunctionMask();
+    jsonObj.StencilFailOperation = getEnumName( Stencil, stencilOperationNames, attr.getStencilFailOperation() );
+    jsonObj.StencilPassAndDepthFailOperation = getEnumName( Stencil, stencilOperationNames, attr.getStencilPassAndDepthFailOperation() );
+    jsonObj.StencilPassAndDepthPassOperation = getEnumName( Stencil, stencilOperationNames, attr.getStencilPassAndDepthPassOperation() );
+    jsonObj.WriteMask = attr.getWriteMask();
+    return jsonObj;
+};
+
+osgWriter.Scissor = function ( output, attr ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, attr );
+    jsonObj.X = attr.x();
+    jsonObj.Y = attr.y();
+    jsonObj.Width = attr.width();
+    jsonObj.Height = attr.height();
+    return jsonObj;
+};
+
+osgWriter.PolygonOffset = function ( output, attr ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, attr );
+    jsonObj.Factor = attr.getFactor();
+    jsonObj.Units = attr.getUnits();
+    return jsonObj;
+};
+
+osgWriter.ClipPlane = function ( output, attr ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, attr );
+    jsonObj.ClipNum = attr.getClipNum();
+    jsonObj.ClipPlane = toArray( attr.getClipPlane() );
+    return jsonObj;
+};
+
+osgWriter.Fog = function ( output, fog ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, fog );
+    jsonObj.Mode = getEnumName( Fog, fogModeNames, fog.getMode() );
+    jsonObj.Color = toArray( fog.getColor() );
+    jsonObj.Density = fog.getDensity();
+    jsonObj.Start = fog.getStart();
+    jsonObj.End = fog.getEnd();
+    jsonObj.HeightFog = fog.getHeightFog();
+    jsonObj.Height = fog.getHeight();
+    jsonObj.HeightFalloff = fog.getHeightFalloff();
+    return jsonObj;
+};
+
+osgWriter.Light = function ( output, light ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, light );
+
+    jsonObj.Ambient = toArray( light.getAmbient() );
+    jsonObj.ConstantAttenuation = light.getConstantAttenuation();
+    jsonObj.Diffuse = toArray( light.getDiffuse() );
+    jsonObj.Direction = toArray( light.getDirection() );
+    jsonObj.LightNum = light.getLightNumber();
+    jsonObj.LinearAttenuation = light.getLinearAttenuation();
+    jsonObj.Position = toArray( light.getPosition() );
+    jsonObj.QuadraticAttenuation = light.getQuadraticAttenuation();
+    jsonObj.Specular = toArray( light.getSpecular() );
+    jsonObj.SpotCutoff = light.getSpotCutoff();
+    jsonObj.SpotExponent = light.getSpotBlend() * 128.0;
+    return jsonObj;
+};
+
+osgWriter.Texture = function ( output, texture ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, texture );
+
+    jsonObj.MinFilter = getEnumName( Texture, filterNames, texture.getMinFilter() );
+    jsonObj.MagFilter = getEnumName( Texture, filterNames, texture.getMagFilter() );
+    jsonObj.WrapT = getEnumName( Texture, wrapNames, texture.getWrapT() );
+    jsonObj.WrapS = getEnumName( Texture, wrapNames, texture.getWrapS() );
+
+    var image = texture.getImage();
+    var file = image ? output.writeImageURL( image ) : undefined;
+    if ( file !== undefined ) jsonObj.File = file;
+
+    return jsonObj;
+};
+
+osgWriter.Projection = function ( output, node ) {
+    var jsonObj = osgWriter.Node( output, node );
+    jsonObj.Matrix = toArray( node.getProjectionMatrix() );
+    return jsonObj;
+};
+
+osgWriter.MatrixTransform = function ( output, node ) {
+    var jsonObj = osgWriter.Node( output, node );
+    jsonObj.Matrix = toArray( node.getMatrix() );
+    return jsonObj;
+};
+
+osgWriter.LightSource = function ( output, node ) {
+    if ( !node.getLight() )
+        return undefined;
+
+    var jsonObj = osgWriter.Node( output, node );
+    jsonObj.Light = output.writeObject( node.getLight() );
+    if ( node.getReferenceFrame() === TransformEnums.ABSOLUTE_RF )
+        jsonObj.ReferenceFrame = 'ABSOLUTE_RF';
+    return jsonObj;
+};
+
+osgWriter.Switch = function ( output, node ) {
+    var jsonObj = osgWriter.Node( output, node );
+    jsonObj.NewChildDefaultValue = node.getNewChildDefaultValue();
+    jsonObj.ValueList = node.getChildren().map( function ( child, i ) {
+        return node.getValue( i );
+    } );
+    return jsonObj;
+};
+
+osgWriter.Sequence = function ( output, node ) {
+    var jsonObj = osgWriter.Node( output, node );
+    jsonObj.TimeList = node.getChildren().map( function ( child, i ) {
+        return node.getTime( i );
+    } );
+    jsonObj.DefaultTime = node.getDefaultTime();
+    jsonObj.LoopMode = node.getLoopMode() === Sequence.SWING ? 'SWING' : 'LOOP';
+    jsonObj.Begin = node.getBegin();
+    jsonObj.End = node.getEnd();
+    jsonObj.Speed = node.getSpeed();
+    jsonObj.NbLoop = node.getNumLoops();
+    jsonObj.Mode = getEnumName( Sequence, sequenceModeNames, node.getMode() );
+    return jsonObj;
+};
+
+osgWriter.Geometry = function ( output, geometry, excluded ) {
+    var jsonObj = osgWriter.Node( output, geometry, excluded );
+
+    var primitives = geometry.getPrimitiveSetList();
+    var primitiveSetList = [];
+    for ( var i = 0, l = primitives.length; i < l; i++ ) {
+        if ( isExcluded( excluded, primitives[ i ] ) ) continue;
+        var primitive = output.writePrimitiveSet( primitives[ i ] );
+        if ( primitive ) primitiveSetList.push( primitive );
+    }
+    if ( primitiveSetList.length ) jsonObj.PrimitiveSetList = primitiveSetList;
+
+    var vertexAttributeList = {};
+    var vList = geometry.getVertexAttributeList();
+    var keys = window.Object.keys( vList );
+    for ( var j = 0, k = keys.length; j < k; j++ ) {
+        var name = keys[ j ];
+        var buffer = vList[ name ];
+        if ( !buffer || isExcluded( excluded, buffer ) ) continue;
+        vertexAttributeList[ name ] = output.writeBufferArray( buffer );
+    }
+    jsonObj.VertexAttributeList = vertexAttributeList;
+
+    return jsonObj;
+};
+
+osgWriter.PagedLOD = function ( output, plod ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, plod );
+
+    if ( plod.getCenterMode() === Lod.USE_BOUNDING_SPHERE_CENTER )
+        jsonObj.CenterMode = 'USE_BOUNDING_SPHERE_CENTER';
+    else if ( plod.getCenterMode() === Lod.UNION_OF_BOUNDING_SPHERE_AND_USER_DEFINED )
+        jsonObj.CenterMode = 'UNION_OF_BOUNDING_SPHERE_AND_USER_DEFINED';
+    else
+        jsonObj.CenterMode = 'USER_DEFINED_CENTER';
+
+    var center = plod.getCenter();
+    jsonObj.UserCenter = [ center[ 0 ] || 0.0, center[ 1 ] || 0.0, center[ 2 ] || 0.0, plod.getRadius() ];
+
+    jsonObj.RangeMode = plod.getRangeMode() === Lod.PIXEL_SIZE_ON_SCREEN ? 'PIXEL_SIZE_ON_SCREEN' : 'DISTANCE_FROM_EYE_POINT';
+
+    var ranges = plod.getRangeList();
+    jsonObj.RangeList = {};
+    jsonObj.RangeDataList = {};
+    for ( var i = 0, l = ranges.length; i < l; i++ ) {
+        jsonObj.RangeList[ 'Range ' + i ] = [ ranges[ i ][ 0 ], ranges[ i ][ 1 ] ];
+        jsonObj.RangeDataList[ 'File ' + i ] = plod.getFileName( i ) || '';
+    }
+
+    // children loaded from a file are paged again when reading the scene
+    var children = plod.getChildren();
+    var jsonChildren = [];
+    for ( var j = 0, k = children.length; j < k; j++ ) {
+        if ( plod.getFileName( j ) ) break;
+        var child = output.writeObject( children[ j ] );
+        if ( child ) jsonChildren.push( child );
+    }
+    if ( jsonChildren.length ) jsonObj.Children = jsonChildren;
+
+    if ( plod.getStateSet() || plod.getUpdateCallbackList().length )
+        Notify.warn( 'PagedLOD ' + plod.getName() + ' StateSet and UpdateCallbacks are not written' );
+
+    return jsonObj;
+};
+
+module.exports = osgWriter;
@@ -0,0 +1,302 @@
+'use strict';
+var Notify = require( 'osg/Notify' );
+var BufferArray = require( 'osg/BufferArray' );
+var osgWriter = require( 'osgWrappers/writers/osg' );
+var channelType = require( 'osgAnimation/channelType' );
+var MorphGeometry = require( 'osgAnimation/MorphGeometry' );
+
+var osgAnimationWriter = {};
+
+var channelNames = [];
+channelNames[ channelType.Vec3 ] = 'osgAnimation.Vec3LerpChannel';
+channelNames[ channelType.Quat ] = 'osgAnimation.QuatLerpChannel';
+channelNames[ channelType.QuatSlerp ] = 'osgAnimation.QuatSlerpChannel';
+channelNames[ channelType.Float ] = 'osgAnimation.FloatLerpChannel';
+channelNames[ channelType.FloatCubicBezier ] = 'osgAnimation.FloatCubicBezierChannel';
+channelNames[ channelType.Vec3CubicBezier ] = 'osgAnimation.Vec3CubicBezierChannel';
+
+var toArray = function ( array ) {
+    return Array.prototype.slice.call( array );
+};
+
+// the key added by BasicAnimationManager.setAnimationLerpEndStart
+// is not part of the channel
+var getNbKeyFrames = function ( channel ) {
+    var size = channel.times.length;
+    if ( channel.originalEnd !== undefined && channel.end !== channel.originalEnd )
+        size--;
+    return size;
+};
+
+// write one component of the keys as a buffer array
+var writeKeys = function ( output, keys, size, stride, offset ) {
+    var array = new Float32Array( size );
+    for ( var i = 0; i < size; i++ )
+        array[ i ] = keys[ i * stride + offset ];
+    return output.writeBufferArray( new BufferArray( BufferArray.ARRAY_BUFFER, array, 1 ) );
+};
+
+// animations of the manager are instance animations
+// see Animation.createInstanceAnimation
+osgAnimationWriter.Animation = function ( output, animation ) {
+    var jsonObj = output.getJSON();
+
+    var channels = [];
+    for ( var i = 0, l = animation.channels.length; i < l; i++ ) {
+        var channel = animation.channels[ i ].channel;
+        var name = channelNames[ channel.type ];
+        if ( !name ) {
+            Notify.warn( 'can\'t write channel ' + channel.name + ' of type ' + channel.type );
+            continue;
+        }
+        channels.push( output.writeObject( channel, name ) );
+    }
+
+    if ( channels.length === 0 )
+        return undefined;
+
+    jsonObj.Name = animation.name;
+    jsonObj.Channels = channels;
+    return jsonObj;
+};
+
+osgAnimationWriter.StandardChannel = function ( output, channel, nbComponents ) {
+    var jsonObj = output.getJSON();
+    var size = getNbKeyFrames( channel );
+
+    jsonObj.Name = channel.name;
+    jsonObj.TargetName = channel.target;
+    jsonObj.KeyFrames = {
+        Time: writeKeys( output, channel.times, size, 1, 0 )
+    };
+
+    if ( nbComponents === 1 ) {
+        jsonObj.KeyFrames.Key = writeKeys( output, channel.keys, size, 1, 0 );
+    } else {
+        jsonObj.KeyFrames.Key = [];
+        for ( var i = 0; i < nbComponents; i++ )
+            jsonObj.KeyFrames.Key.push( writeKeys( output, channel.keys, size, nbComponents, i ) );
+    }
+
+    return jsonObj;
+};
+
+osgAnimationWriter.Vec3LerpChannel = function ( output, channel ) {
+    return osgAnimationWriter.StandardChannel( output, channel, 3 );
+};
+
+osgAnimationWriter.QuatLerpChannel = function ( output, channel ) {
+    return osgAnimationWriter.StandardChannel( output, channel, 4 );
+};
+
+osgAnimationWriter.QuatSlerpChannel = osgAnimationWriter.QuatLerpChannel;
+
+osgAnimationWriter.FloatLerpChannel = function ( output, channel ) {
+    return osgAnimationWriter.StandardChannel( output, channel, 1 );
+};
+
+// keys are stored as [ position, controlPointIn, controlPointOut ] and the
+// reader expects the KeyFrames in the order ControlPointIn, ControlPointOut,
+// Position, Time
+osgAnimationWriter.FloatCubicBezierChannel = function ( output, channel ) {
+    var jsonObj = output.getJSON();
+    var size = getNbKeyFrames( channel );
+    var keys = channel.keys;
+
+    jsonObj.Name = channel.name;
+    jsonObj.TargetName = channel.target;
+    jsonObj.KeyFrames = {
+        ControlPointIn: writeKeys( output, keys, size, 3, 1 ),
+        ControlPointOut: writeKeys( output, keys, size, 3, 2 ),
+        Position: writeKeys( output, keys, size, 3, 0 ),
+        Time: writeKeys( output, channel.times, size, 1, 0 )
+    };
+    return jsonObj;
+};
+
+osgAnimationWriter.Vec3CubicBezierChannel = function ( output, channel ) {
+    var jsonObj = output.getJSON();
+    var size = getNbKeyFrames( channel );
+    var keys = channel.keys;
+
+    var writeVec3 = function ( offset ) {
+        return [
+            writeKeys( output, keys, size, 9, offset ),
+            writeKeys( output, keys, size, 9, offset + 1 ),
+            writeKeys( output, keys, size, 9, offset + 2 )
+        ];
+    };
+
+    jsonObj.Name = channel.name;
+    jsonObj.TargetName = channel.target;
+    jsonObj.KeyFrames = {
+        ControlPointIn: writeVec3( 3 ),
+        ControlPointOut: writeVec3( 6 ),
+        Position: writeVec3( 0 ),
+        Time: writeKeys( output, channel.times, size, 1, 0 )
+    };
+    return jsonObj;
+};
+
+osgAnimationWriter.BasicAnimationManager = function ( output, manager ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, manager );
+
+    var animations = manager.getAnimations();
+    var names = window.Object.keys( animations );
+    jsonObj.Animations = [];
+    for ( var i = 0, l = names.length; i < l; i++ ) {
+        var animation = output.writeObject( animations[ names[ i ] ], 'osgAnimation.Animation' );
+        if ( animation ) jsonObj.Animations.push( animation );
+    }
+
+    return jsonObj;
+};
+
+osgAnimationWriter.UpdateMatrixTransform = function ( output, umt ) {
+    var jsonObj = output.getJSON();
+
+    osgWriter.Object( output, umt );
+
+    jsonObj.StackedTransforms = [];
+    var stack = umt.getStackedTransforms();
+    for ( var i = 0, l = stack.length; i < l; i++ ) {
+        var stackedTransform = output.writeObject( stack[ i ] );
+        if ( stackedTransform ) jsonObj.StackedTransforms.push( stackedTransform );
+    }
+
+    return jsonObj;
+};
+
+// stacked transforms are written with their default value, the current
+// value being the result of the animation. The reader needs a name, the
+// one used by default by the exporter is given to unnamed transforms
+var writeStackedTransform = function ( output, st, defaultName ) {
+    var jsonObj = osgWriter.Object( output, st );
+    if ( !jsonObj.Name ) jsonObj.Name = defaultName;
+    return jsonObj;
+};
+
+osgAnimationWriter.StackedTranslate = function ( output, st ) {
+    var jsonObj = writeStackedTransform( output, st, 'translate' );
+    jsonObj.Translate = toArray( st.getTarget().defaultValue );
+    return jsonObj;
+};
+
+osgAnimationWriter.StackedQuaternion = function ( output, st ) {
+    var jsonObj = writeStackedTransform( output, st, 'rotate' );
+    jsonObj.Quaternion = toArray( st.getTarget().defaultValue );
+    return jsonObj;
+};
+
+osgAnimationWriter.StackedRotateAxis = function ( output, st ) {
+    var jsonObj = osgWriter.Object( output, st );
+    jsonObj.Axis = toArray( st.getAxis() );
+    jsonObj.Angle = st.getTarget().defaultValue;
+    return jsonObj;
+};
+
+osgAnimationWriter.StackedMatrix = function ( output, sme ) {
+    var jsonObj = writeStackedTransform( output, sme, 'matrix' );
+    jsonObj.Matrix = toArray( sme.getTarget().defaultValue );
+    return jsonObj;
+};
+
+osgAnimationWriter.StackedScale = function ( output, stc ) {
+    var jsonObj = writeStackedTransform( output, stc, 'scale' );
+    jsonObj.Scale = toArray( stc.getTarget().defaultValue );
+    return jsonObj;
+};
+
+osgAnimationWriter.Bone = function ( output, bone ) {
+    var jsonObj = osgWriter.MatrixTransform( output, bone );
+
+    jsonObj.InvBindMatrixInSkeletonSpace = toArray( bone.getInvBindMatrixInSkeletonSpace() );
+
+    var bbox = bone.getBoneBoundingBox();
+    if ( bbox.valid() ) {
+        jsonObj.BoundingBox = {
+            min: toArray( bbox.getMin() ),
+            max: toArray( bbox.getMax() )
+        };
+    }
+
+    return jsonObj;
+};
+
+osgAnimationWriter.UpdateBone = osgAnimationWriter.UpdateMatrixTransform;
+
+osgAnimationWriter.UpdateSkeleton = osgWriter.Object;
+
+osgAnimationWriter.Skeleton = osgWriter.MatrixTransform;
+
+// the vertex attributes, the primitives and the stateset of the rig come
+// from its source geometry (see RigGeometry.mergeChildrenData)
+osgAnimationWriter.RigGeometry = function ( output, rigGeom ) {
+    var sourceGeometry = rigGeom.getSourceGeometry();
+    if ( !sourceGeometry )
+        return undefined;
+
+    var sourceAttributes = sourceGeometry.getVertexAttributeList();
+    var excluded = window.Object.keys( sourceAttributes ).map( function ( name ) {
+        return sourceAttributes[ name ];
+    } );
+    excluded = excluded.concat( sourceGeometry.getPrimitiveSetList() );
+    excluded.push( sourceGeometry.getStateSet() );
+
+    var jsonObj = osgWriter.Geometry( output, rigGeom, excluded );
+    jsonObj.BoneMap = rigGeom._boneNameID;
+
+    // the source geometry is read without looking for its UniqueID
+    var sourceJson = {};
+    output.setJSON( sourceJson );
+    jsonObj.SourceGeometry = {};
+    if ( sourceGeometry instanceof MorphGeometry ) {
+        osgAnimationWriter.MorphGeometry( output, sourceGeometry );
+        jsonObj.SourceGeometry[ 'osgAnimation.MorphGeometry' ] = sourceJson;
+    } else {
+        osgWriter.Geometry( output, sourceGeometry );
+        jsonObj.SourceGeometry[ 'osg.Geometry' ] = sourceJson;
+    }
+
+    return jsonObj;
+};
+
+// the vertex attributes of the targets are merged in the morph geometry
+// (see MorphGeometry.mergeChildrenVertexAttributeList)
+osgAnimationWriter.MorphGeometry = function ( output, morphGeometry ) {
+    var targets = morphGeometry.getMorphTargets();
+
+    var excluded = [];
+    for ( var i = 0, l = targets.length; i < l; i++ ) {
+        var targetAttributes = targets[ i ].getVertexAttributeList();
+        var names = window.Object.keys( targetAttributes );
+        for ( var j = 0, nj = names.length; j < nj; j++ )
+            excluded.push( targetAttributes[ names[ j ] ] );
+    }
+
+    var jsonObj = osgWriter.Geometry( output, morphGeometry, excluded );
+
+    jsonObj.MorphTargets = [];
+    for ( var k = 0, nk = targets.length; k < nk; k++ ) {
+        var target = output.writeObject( targets[ k ] );
+        if ( target ) jsonObj.MorphTargets.push( target );
+    }
+
+    return jsonObj;
+};
+
+osgAnimationWriter.UpdateMorph = function ( output, updateMorph ) {
+    var jsonObj = osgWriter.Object( output, updateMorph );
+
+    jsonObj.TargetMap = {};
+    for ( var i = 0, l = updateMorph.getNumTarget(); i < l; i++ ) {
+        var name = updateMorph.getTargetName( i );
+        if ( name !== undefined ) jsonObj.TargetMap[ i ] = name;
+    }
+
+    return jsonObj;
+};
+
+module.exports = osgAnimationWriter;
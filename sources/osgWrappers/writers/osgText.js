@@ -0,0 +1,35 @@
+'use strict';
+var osgWriter = require( 'osgWrappers/writers/osg' );
+var Text = require( 'osgText/Text' );
+
+var osgTextWriter = {};
+
+var alignmentNames = [ 'LEFT_TOP', 'LEFT_CENTER', 'LEFT_BOTTOM', 'CENTER_TOP', 'CENTER_CENTER', 'CENTER_BOTTOM', 'RIGHT_TOP', 'RIGHT_CENTER', 'RIGHT_BOTTOM' ];
+var layoutNames = [ 'LEFT_TO_RIGHT', 'RIGHT_TO_LEFT' ];
+
+var getEnumName = function ( names, value ) {
+    for ( var i = 0, l = names.length; i < l; i++ ) {
+        if ( Text[ names[ i ] ] === value ) return names[ i ];
+    }
+    return undefined;
+};
+
+osgTextWriter.Text = function ( output, node ) {
+    if ( !node.getText() )
+        return undefined;
+
+    // children are created by the text to draw itself
+    var jsonObj = osgWriter.Node( output, node, node.getChildren() );
+
+    jsonObj.Color = Array.prototype.slice.call( node.getColor() );
+    jsonObj.Text = node.getText();
+    jsonObj.AutoRotateToScreen = node.getAutoRotateToScreen();
+    jsonObj.Position = Array.prototype.slice.call( node.getPosition() );
+    jsonObj.CharacterSize = node.getCharacterSize();
+    jsonObj.Alignment = getEnumName( alignmentNames, node.getAlignment() );
+    jsonObj.Layout = getEnumName( layoutNames, node.getLayout() );
+
+    return jsonObj;
+};
+
+module.exports = osgTextWriter;
@@ -81,6 +81,11 @@ var createFakeRenderer = function () {
         pixelStorei: function () {},
         depthRange: function () {},
         depthMask: function () {},
+        stencilFunc: function () {},
+        stencilOp: function () {},
+        stencilMask: function () {},
+        scissor: function () {},
+        polygonOffset: function () {},
         deleteTexture: function () {},
         activeTexture: function () {},
         bindTexture: function () {},
@@ -97,6 +102,7 @@ var createFakeRenderer = function () {
             return {};
         },
         enableVertexAttribArray: function () {},
+        disableVertexAttribArray: function () {},
         vertexAttribPointer: function () {},
         createTexture: function () {},
         createFramebuffer: function () {
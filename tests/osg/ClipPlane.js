@@ -0,0 +1,33 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var ClipPlane = require( 'osg/ClipPlane' );
+var Material = require( 'osg/Material' );
+var Compiler = require( 'osgShader/Compiler' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+module.exports = function () {
+
+    test( 'ClipPlane', function () {
+
+        var clipPlane = new ClipPlane( 1, [ 0, 0, 1, -2 ] );
+        assert.equal( clipPlane.getTypeMember(), 'ClipPlane1', 'Check type member' );
+        assert.isOk( !clipPlane.cloneType().isEnabled(), 'Check global default disabled' );
+
+        clipPlane.apply();
+        assert.equalVector( clipPlane.getOrCreateUniforms().plane.getInternalArray(), [ 0, 0, 1, -2 ], 'Check plane uniform' );
+
+        var compiler = new Compiler( [ new Material(), clipPlane ], [], new ShaderProcessor() );
+        var vertexShader = compiler.createVertexShader();
+        var fragmentShader = compiler.createFragmentShader();
+        assert.isOk( vertexShader.indexOf( 'WorldPosition' ) !== -1, 'Check world position in the vertex shader' );
+        assert.isOk( fragmentShader.indexOf( 'ClipPlane1_uniform_plane' ) !== -1, 'Check plane uniform in the fragment shader' );
+        assert.isOk( fragmentShader.indexOf( 'discard;' ) !== -1, 'Check clipped fragments discarded' );
+
+        clipPlane.setEnabled( false );
+        compiler = new Compiler( [ new Material(), clipPlane ], [], new ShaderProcessor() );
+        fragmentShader = compiler.createFragmentShader();
+        assert.isOk( fragmentShader.indexOf( 'ClipPlane1_uniform_plane' ) === -1, 'Check disabled clip plane not in the fragment shader' );
+        assert.isOk( fragmentShader.indexOf( 'discard;' ) === -1, 'Check no fragments discarded with a disabled clip plane' );
+    } );
+};
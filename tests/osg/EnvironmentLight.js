@@ -0,0 +1,66 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var EnvironmentLight = require( 'osg/EnvironmentLight' );
+var Material = require( 'osg/Material' );
+var PBRMaterial = require( 'osg/PBRMaterial' );
+var Texture = require( 'osg/Texture' );
+var TextureCubeMap = require( 'osg/TextureCubeMap' );
+var Compiler = require( 'osgShader/Compiler' );
+var ShaderGenerator = require( 'osgShader/ShaderGenerator' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+module.exports = function () {
+
+    test( 'EnvironmentLight', function () {
+
+        ( function () {
+            var light = new EnvironmentLight();
+            assert.isOk( !new ShaderGenerator().filterAttributeTypes( light ), 'Check accepted by the shader generator' );
+            assert.isOk( new ShaderGenerator().filterAttributeTypes( light.cloneType() ), 'Check default attribute disabled' );
+
+            var hash = light.getHash();
+            light.setIntensity( 2.0 );
+            assert.equal( light.getHash(), hash, 'Check intensity does not change the hash' );
+            light.setSpecularTextureUnit( 2 );
+            assert.isOk( light.getHash() !== hash, 'Check texture slots change the hash' );
+
+            var coefficients = [];
+            for ( var i = 0; i < 27; i++ ) coefficients.push( i === 0 ? 1.0 : 0.0 );
+            light.setSphericalHarmonics( coefficients );
+            light.apply();
+            var uniforms = light.getOrCreateUniforms();
+            assert.equalVector( uniforms.sphericalHarmonics.getInternalArray().subarray( 0, 3 ), [ EnvironmentLight.shBasis[ 0 ], 0.0, 0.0 ], 'Check coefficients multiplied by the basis' );
+            assert.equalVector( uniforms.intensity.getInternalArray(), [ 2.0 ], 'Check intensity uniform' );
+        } )();
+
+        var createFragmentShader = function ( material, textures, specularUnit, brdfUnit ) {
+            var light = new EnvironmentLight();
+            light.setSpecularTextureUnit( specularUnit );
+            light.setBRDFTextureUnit( brdfUnit );
+            var compiler = new Compiler( [ material, light ], textures, new ShaderProcessor() );
+            compiler.createVertexShader();
+            return compiler.createFragmentShader();
+        };
+
+        ( function () {
+            var shader = createFragmentShader( new PBRMaterial(), [], -1, -1 );
+            assert.isOk( shader.indexOf( 'EnvironmentLightSphericalHarmonics[9]' ) !== -1, 'Check spherical harmonics array' );
+            assert.isOk( shader.indexOf( '= computeEnvironmentLightShading(' ) !== -1, 'Check spherical harmonics lighting' );
+            assert.isOk( shader.indexOf( '#extension GL_EXT_shader_texture_lod' ) === -1, 'Check no lod extension' );
+
+            var textures = [];
+            textures[ 1 ] = [ new TextureCubeMap() ];
+            textures[ 2 ] = [ new Texture() ];
+            shader = createFragmentShader( new PBRMaterial(), textures, 1, 2 );
+            assert.isOk( shader.indexOf( '= computeEnvironmentLightShadingCubemapBRDF(' ) !== -1, 'Check prefiltered cubemap and BRDF lighting' );
+            assert.isOk( shader.indexOf( '#extension GL_EXT_shader_texture_lod' ) !== -1, 'Check lod extension' );
+            assert.isOk( shader.indexOf( 'samplerCube Texture1' ) !== -1, 'Check cubemap sampler' );
+            assert.isOk( shader.indexOf( 'sampler2D Texture2' ) !== -1, 'Check BRDF sampler' );
+            assert.isOk( shader.indexOf( 'FragTexCoord2' ) === -1, 'Check no texture coordinates for the BRDF' );
+
+            shader = createFragmentShader( new Material(), [], -1, -1 );
+            assert.isOk( shader.indexOf( 'computeEnvironmentLightShading' ) === -1, 'Check phong material not lit by the environment' );
+        } )();
+    } );
+};
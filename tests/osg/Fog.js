@@ -0,0 +1,76 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var BillboardAttribute = require( 'osg/BillboardAttribute' );
+var Fog = require( 'osg/Fog' );
+var Light = require( 'osg/Light' );
+var Material = require( 'osg/Material' );
+var PBRMaterial = require( 'osg/PBRMaterial' );
+var Compiler = require( 'osgShader/Compiler' );
+var ShaderGenerator = require( 'osgShader/ShaderGenerator' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+module.exports = function () {
+
+    test( 'Fog', function () {
+
+        ( function () {
+            var fog = new Fog( 'LINEAR' );
+            assert.equal( fog.getMode(), Fog.LINEAR, 'Check mode from name' );
+            assert.isOk( !new ShaderGenerator().filterAttributeTypes( fog ), 'Check accepted by the shader generator' );
+            assert.isOk( new ShaderGenerator().filterAttributeTypes( fog.cloneType() ), 'Check default attribute disabled' );
+
+            var hash = fog.getHash();
+            fog.setEnd( 100.0 );
+            assert.equal( fog.getHash(), hash, 'Check distances do not change the hash' );
+            fog.setMode( Fog.EXP2 );
+            assert.isOk( fog.getHash() !== hash, 'Check mode changes the hash' );
+            hash = fog.getHash();
+            fog.setHeightFog( true );
+            assert.isOk( fog.getHash() !== hash, 'Check height fog changes the hash' );
+
+            fog.setColor( [ 0.5, 0.6, 0.7, 1.0 ] );
+            fog.setDensity( 0.02 );
+            fog.apply();
+            var uniforms = fog.getOrCreateUniforms();
+            assert.equalVector( uniforms.color.getInternalArray(), [ 0.5, 0.6, 0.7, 1.0 ], 'Check color uniform' );
+            assert.equalVector( uniforms.density.getInternalArray(), [ 0.02 ], 'Check density uniform' );
+            assert.equalVector( uniforms.end.getInternalArray(), [ 100.0 ], 'Check end uniform' );
+        } )();
+
+        var createShaders = function ( attributes ) {
+            var compiler = new Compiler( attributes, [], new ShaderProcessor() );
+            return {
+                vertex: compiler.createVertexShader(),
+                fragment: compiler.createFragmentShader()
+            };
+        };
+
+        ( function () {
+            var shaders = createShaders( [ new Material(), new Light( 0 ), new Fog( Fog.LINEAR ) ] );
+            assert.isOk( shaders.fragment.indexOf( 'fogLinear( length(' ) !== -1, 'Check linear fog' );
+            assert.isOk( shaders.fragment.indexOf( 'uniform vec4 FogColor' ) !== -1, 'Check fog color uniform' );
+            assert.isOk( shaders.fragment.indexOf( 'FogDensity' ) === -1, 'Check no density uniform for the linear fog' );
+
+            var fog = new Fog( Fog.EXP2 );
+            fog.setHeightFog( true );
+            shaders = createShaders( [ new PBRMaterial(), new Light( 0 ), fog ] );
+            assert.isOk( shaders.fragment.indexOf( 'fogHeight( fogExp2( length(' ) !== -1, 'Check exp2 height fog' );
+            assert.isOk( shaders.fragment.indexOf( 'uniform mat4 ViewMatrix' ) !== -1, 'Check view matrix of the height fog' );
+
+            shaders = createShaders( [ new Material(), new Fog( Fog.EXP ) ] );
+            assert.isOk( shaders.fragment.indexOf( 'fogExp( length(' ) !== -1, 'Check fog without light' );
+            assert.isOk( shaders.vertex.indexOf( 'FragEyeVector' ) !== -1, 'Check eye position without light' );
+
+            shaders = createShaders( [ new Material(), new BillboardAttribute(), new Fog( Fog.EXP ) ] );
+            assert.isOk( shaders.vertex.indexOf( 'FragEyeVector = billboardViewPosition(' ) !== -1, 'Check eye position of the billboard without light' );
+            shaders = createShaders( [ new Material(), new Light( 0 ), new BillboardAttribute(), new Fog( Fog.EXP ) ] );
+            assert.isOk( shaders.vertex.indexOf( 'FragEyeVector = billboardViewPosition(' ) !== -1, 'Check eye position of the lighted billboard' );
+
+            var disabled = new Fog();
+            disabled.setEnabled( false );
+            shaders = createShaders( [ new Material(), new Light( 0 ), disabled ] );
+            assert.isOk( shaders.fragment.indexOf( 'computeFog' ) === -1, 'Check disabled fog' );
+        } )();
+    } );
+};
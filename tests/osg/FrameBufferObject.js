@@ -128,4 +128,184 @@ module.exports = function () {
 
         } )();
     } );
+
+    test( 'FrameBufferObject multiple render targets', function () {
+
+        if ( WebglCaps.instance().getWebGLParameter( 'MAX_RENDERBUFFER_SIZE' ) === undefined )
+            WebglCaps.instance().getWebGLParameters().MAX_RENDERBUFFER_SIZE = 1;
+
+        var gl = mockup.createFakeRenderer();
+        var state = {
+            getGraphicContext: function () {
+                return gl;
+            },
+            applyTextureAttribute: function () {}
+        };
+
+        var createTexture = function () {
+            return {
+                isDirty: function () {
+                    return false;
+                },
+                getTextureObject: function () {
+                    return {
+                        id: function () {}
+                    };
+                },
+                getWidth: function () {
+                    return 1;
+                },
+                getHeight: function () {
+                    return 1;
+                }
+            };
+        };
+
+        var drawBuffers;
+        var extensions = WebglCaps.instance().getWebGLExtensions();
+        var previousExtension = extensions[ 'WEBGL_draw_buffers' ];
+        extensions[ 'WEBGL_draw_buffers' ] = {
+            drawBuffersWEBGL: function ( buffers ) {
+                drawBuffers = buffers;
+            }
+        };
+
+        assert.equal( FrameBufferObject.COLOR_ATTACHMENT3, 0x8CE3, 'Check color attachment constants' );
+
+        var fbo = new FrameBufferObject();
+        fbo.setAttachment( {
+            attachment: FrameBufferObject.COLOR_ATTACHMENT0,
+            texture: createTexture(),
+            textureTarget: Texture.TEXTURE_2D
+        } );
+        fbo.apply( state );
+        assert.isOk( drawBuffers === undefined, 'Check no draw buffers with a single color attachment' );
+
+        fbo.setAttachment( {
+            attachment: FrameBufferObject.COLOR_ATTACHMENT2,
+            texture: createTexture(),
+            textureTarget: Texture.TEXTURE_2D
+        } );
+        fbo.setAttachment( {
+            attachment: FrameBufferObject.DEPTH_ATTACHMENT,
+            format: FrameBufferObject.DEPTH_COMPONENT16,
+            width: 1,
+            height: 1
+        } );
+        fbo.dirty();
+        fbo.apply( state );
+        assert.deepEqual( drawBuffers, [ FrameBufferObject.COLOR_ATTACHMENT0, FrameBufferObject.NONE, FrameBufferObject.COLOR_ATTACHMENT2 ], 'Check draw buffers of the color attachments' );
+
+        // without extension the fbo is not created
+        delete extensions[ 'WEBGL_draw_buffers' ];
+        fbo.dirty();
+        fbo.apply( state );
+        assert.isOk( fbo.getFrameBufferObject() === undefined, 'Check no fbo without WEBGL_draw_buffers' );
+
+        if ( previousExtension ) extensions[ 'WEBGL_draw_buffers' ] = previousExtension;
+    } );
+
+    test( 'FrameBufferObject multisample', function () {
+
+        if ( WebglCaps.instance().getWebGLParameter( 'MAX_RENDERBUFFER_SIZE' ) === undefined )
+            WebglCaps.instance().getWebGLParameters().MAX_RENDERBUFFER_SIZE = 1;
+
+        var gl = mockup.createFakeRenderer();
+        var storages = [];
+        var blits = [];
+        gl.renderbufferStorageMultisample = function ( target, samples, format ) {
+            storages.push( [ samples, format ] );
+        };
+        gl.blitFramebuffer = function () {
+            blits.push( arguments[ 8 ] );
+        };
+        gl.COLOR_BUFFER_BIT = 0x4000;
+        gl.DEPTH_BUFFER_BIT = 0x100;
+
+        var state = {
+            getGraphicContext: function () {
+                return gl;
+            },
+            applyTextureAttribute: function () {}
+        };
+
+        var texture = new Texture();
+        texture.setTextureSize( 1, 1 );
+        texture.isDirty = function () {
+            return false;
+        };
+        texture.getTextureObject = function () {
+            return {
+                id: function () {}
+            };
+        };
+
+        var fbo = new FrameBufferObject();
+        fbo.setSamples( 4 );
+        fbo.setAttachment( {
+            attachment: FrameBufferObject.COLOR_ATTACHMENT0,
+            texture: texture,
+            textureTarget: Texture.TEXTURE_2D
+        } );
+        fbo.setAttachment( {
+            attachment: FrameBufferObject.DEPTH_ATTACHMENT,
+            format: FrameBufferObject.DEPTH_COMPONENT16,
+            width: 1,
+            height: 1
+        } );
+
+        var caps = WebglCaps.instance();
+        var isGL2 = caps._isGL2;
+
+        // WebGL1 fallback
+        caps._isGL2 = false;
+        fbo.apply( state );
+        assert.isOk( !fbo.isMultisampled(), 'Check no multisampling with WebGL1' );
+        assert.equal( storages.length, 0, 'Check no multisampled render buffers with WebGL1' );
+
+        caps._isGL2 = true;
+        fbo.dirty();
+        fbo.apply( state );
+        assert.isOk( fbo.isMultisampled(), 'Check multisampled fbo' );
+        assert.deepEqual( storages, [
+            [ 4, Texture.RGBA8 ],
+            [ 4, FrameBufferObject.DEPTH_COMPONENT16 ]
+        ], 'Check sized formats of the multisampled render buffers' );
+
+        fbo.resolve();
+        assert.deepEqual( blits, [ gl.COLOR_BUFFER_BIT ], 'Check color attachment resolved' );
+
+        fbo.releaseGLObjects();
+        assert.isOk( !fbo.isMultisampled(), 'Check multisampled fbo released' );
+
+        // the render buffer shared by an other fbo is not multisampled
+        var renderBuffers = [];
+        var framebufferRenderbuffer = gl.framebufferRenderbuffer;
+        gl.framebufferRenderbuffer = function ( target, attachment, renderbufferTarget, renderBuffer ) {
+            renderBuffers.push( renderBuffer );
+        };
+        var sharedRenderBuffer = {};
+        var sharedFbo = new FrameBufferObject();
+        sharedFbo.setSamples( 4 );
+        sharedFbo.setAttachment( {
+            attachment: FrameBufferObject.COLOR_ATTACHMENT0,
+            texture: texture,
+            textureTarget: Texture.TEXTURE_2D
+        } );
+        sharedFbo.setAttachment( {
+            attachment: FrameBufferObject.DEPTH_ATTACHMENT,
+            renderBuffer: sharedRenderBuffer
+        } );
+        storages.length = 0;
+        sharedFbo.apply( state );
+        assert.deepEqual( storages, [
+            [ 4, Texture.RGBA8 ]
+        ], 'Check no multisampled render buffer for the shared render buffer' );
+        assert.equal( renderBuffers.length, 2, 'Check shared and multisampled color render buffers attached' );
+        assert.isOk( renderBuffers[ 0 ] === sharedRenderBuffer, 'Check shared render buffer attached to the fbo' );
+
+        sharedFbo.releaseGLObjects();
+        gl.framebufferRenderbuffer = framebufferRenderbuffer;
+        caps._isGL2 = isGL2;
+    } );
 };
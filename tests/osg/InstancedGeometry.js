@@ -0,0 +1,83 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
+var DrawArrays = require( 'osg/DrawArrays' );
+var InstancedGeometry = require( 'osg/InstancedGeometry' );
+var Matrix = require( 'osg/Matrix' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var Shape = require( 'osg/Shape' );
+var State = require( 'osg/State' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var Compiler = require( 'osgShader/Compiler' );
+var ShaderGeneratorProxy = require( 'osgShader/ShaderGeneratorProxy' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+var createInstancedQuad = function () {
+    var quad = Shape.createTexturedQuadGeometry( -0.5, -0.5, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0 );
+    var geometry = new InstancedGeometry();
+    geometry.getVertexAttributeList().Vertex = quad.getVertexAttributeList().Vertex;
+    geometry.getPrimitiveSetList().push( quad.getPrimitiveSetList()[ 0 ] );
+
+    var matrices = new Float32Array( 16 * 3 );
+    for ( var i = 0; i < 3; i++ ) Matrix.makeTranslate( i * 10.0, 0.0, 0.0, matrices.subarray( i * 16, i * 16 + 16 ) );
+    geometry.setInstanceMatrices( matrices );
+    return geometry;
+};
+
+module.exports = function () {
+
+    test( 'InstancedGeometry', function () {
+
+        var geometry = createInstancedQuad();
+        assert.equal( geometry.getNumInstances(), 3, 'number of instances of the matrices' );
+
+        var bb = geometry.getBoundingBox();
+        assert.equalVector( bb.getMin(), [ -0.5, -0.5, 0.0 ], 'bound min of the instances' );
+        assert.equalVector( bb.getMax(), [ 20.5, 0.5, 0.0 ], 'bound max of the instances' );
+
+        assert.isOk( geometry._generateVertexAttribArraySetup( 'InstanceMatrix', 3 ).indexOf( 'setInstancedVertexAttribArray(3' ) !== -1, 'instance matrix set per instance' );
+        assert.isOk( geometry._generateVertexAttribArraySetup( 'Vertex', 0 ).indexOf( 'setVertexAttribArray(0' ) !== -1, 'vertex set per vertex' );
+
+        var compiler = new Compiler( [ geometry.getInstanceAttribute() ], [], new ShaderProcessor() );
+        var shader = compiler.createVertexShader();
+        assert.isOk( shader.indexOf( 'attribute mat4 InstanceMatrix;' ) !== -1, 'instance matrix in the vertex shader' );
+    } );
+
+    test( 'InstancedGeometry draw', function () {
+
+        var calls = [];
+        var divisors = [];
+        var extensions = WebGLCaps.instance().getWebGLExtensions();
+        extensions[ 'ANGLE_instanced_arrays' ] = {
+            vertexAttribDivisorANGLE: function ( location, divisor ) {
+                divisors[ location ] = divisor;
+            },
+            drawArraysInstancedANGLE: function ( mode, first, count, numInstances ) {
+                calls.push( numInstances );
+            }
+        };
+
+        var gl = mockup.createFakeRenderer();
+        var pointers = [];
+        gl.vertexAttribPointer = function ( location, size, type, normalize, stride, offset ) {
+            pointers[ location ] = [ size, stride, offset ];
+        };
+        var state = new State( new ShaderGeneratorProxy() );
+        state.setGraphicContext( gl );
+
+        var geometry = createInstancedQuad();
+        state.setInstancedVertexAttribArray( 2, geometry.getVertexAttributeList().InstanceMatrix, false, 1 );
+        assert.deepEqual( pointers[ 2 ], [ 4, 64, 0 ], 'first column of the matrix' );
+        assert.deepEqual( pointers[ 5 ], [ 4, 64, 48 ], 'last column of the matrix' );
+        assert.equal( divisors[ 5 ], 1, 'divisor of the columns' );
+
+        state.setVertexAttribArray( 3, geometry.getVertexAttributeList().Vertex, false );
+        assert.equal( divisors[ 3 ], 0, 'divisor reset for a per vertex attribute' );
+
+        new DrawArrays( PrimitiveSet.TRIANGLES, 0, 3 ).drawInstanced( state, 3 );
+        assert.deepEqual( calls, [ 3 ], 'instanced draw' );
+
+        delete extensions[ 'ANGLE_instanced_arrays' ];
+    } );
+};
@@ -0,0 +1,69 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Camera = require( 'osg/Camera' );
+var CullVisitor = require( 'osg/CullVisitor' );
+var Material = require( 'osg/Material' );
+var Matrix = require( 'osg/Matrix' );
+var OrderIndependentTransparencyAttribute = require( 'osg/OrderIndependentTransparencyAttribute' );
+var RenderBin = require( 'osg/RenderBin' );
+var RenderStage = require( 'osg/RenderStage' );
+var Shape = require( 'osg/Shape' );
+var StateGraph = require( 'osg/StateGraph' );
+var Compiler = require( 'osgShader/Compiler' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+module.exports = function () {
+
+    test( 'OrderIndependentTransparency', function () {
+
+        ( function () {
+            var camera = new Camera();
+            assert.equal( camera.getOrderIndependentTransparency(), undefined, 'Check disabled by default' );
+            camera.setOrderIndependentTransparency( true );
+            var oit = camera.getOrderIndependentTransparency();
+            assert.isOk( oit !== undefined, 'Check enabled' );
+            assert.isOk( !oit.isActive(), 'Check not active outside of the draw' );
+            assert.isOk( oit.getAccumulationStateSet().getAttribute( 'OrderIndependentTransparency' ).isEnabled(), 'Check accumulation attribute' );
+            camera.setOrderIndependentTransparency( false );
+            assert.equal( camera.getOrderIndependentTransparency(), undefined, 'Check disabled' );
+        } )();
+
+        ( function () {
+            var cull = new CullVisitor();
+            var rs = new RenderStage();
+            var sg = new StateGraph();
+            cull.setRenderStage( rs );
+            cull.setStateGraph( sg );
+            cull.pushProjectionMatrix( Matrix.create() );
+            cull.pushModelViewMatrix( Matrix.create() );
+
+            var camera = new Camera();
+            camera.setOrderIndependentTransparency( true );
+            rs.setOrderIndependentTransparency( camera.getOrderIndependentTransparency() );
+
+            var geometry = Shape.createTexturedBoxGeometry( 0, 0, -5, 1, 1, 1 );
+            geometry.getOrCreateStateSet().setRenderingHint( 'TRANSPARENT_BIN' );
+            geometry.accept( cull );
+
+            var bin = rs._bins[ 10 ];
+            assert.isOk( bin !== undefined, 'Check transparent bin' );
+            assert.isOk( bin.getDrawCallback() !== undefined, 'Check transparent bin drawn with order independent transparency' );
+            assert.equal( bin.getSortMode(), RenderBin.SORT_BACK_TO_FRONT, 'Check transparent bin sorted back to front' );
+        } )();
+
+        ( function () {
+            var attribute = new OrderIndependentTransparencyAttribute();
+            var compiler = new Compiler( [ new Material(), attribute ], [], new ShaderProcessor() );
+            assert.isOk( compiler.createFragmentShader().indexOf( 'gl_FragColor' ) !== -1, 'Check disabled attribute writes gl_FragColor' );
+
+            attribute.setEnabled( true );
+            compiler = new Compiler( [ new Material(), attribute ], [], new ShaderProcessor() );
+            var fragmentShader = compiler.createFragmentShader();
+            assert.isOk( fragmentShader.indexOf( 'gl_FragColor' ) === -1, 'Check gl_FragColor not written' );
+            assert.isOk( fragmentShader.indexOf( 'gl_FragData[0]' ) !== -1, 'Check accumulation target' );
+            assert.isOk( fragmentShader.indexOf( 'gl_FragData[1]' ) !== -1, 'Check revealage target' );
+            assert.isOk( fragmentShader.indexOf( 'GL_EXT_draw_buffers' ) !== -1, 'Check draw buffers extension' );
+        } )();
+    } );
+};
@@ -0,0 +1,65 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Light = require( 'osg/Light' );
+var Material = require( 'osg/Material' );
+var PBRMaterial = require( 'osg/PBRMaterial' );
+var Texture = require( 'osg/Texture' );
+var Compiler = require( 'osgShader/Compiler' );
+var ShaderGenerator = require( 'osgShader/ShaderGenerator' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+module.exports = function () {
+
+    test( 'PBRMaterial', function () {
+
+        ( function () {
+            var material = new PBRMaterial();
+            assert.equal( material.getTypeMember(), new Material().getTypeMember(), 'Check replaces the Material in the state' );
+            assert.isOk( material.getHash() !== new Material().getHash(), 'Check hash different from the Material' );
+            assert.isOk( !new ShaderGenerator().filterAttributeTypes( material ), 'Check accepted by the shader generator' );
+
+            var hash = material.getHash();
+            material.setRoughness( 0.2 );
+            assert.equal( material.getHash(), hash, 'Check factors do not change the hash' );
+            material.setNormalTextureUnit( 1 );
+            assert.isOk( material.getHash() !== hash, 'Check texture slots change the hash' );
+
+            material.setBaseColor( [ 0.5, 0.5, 0.5, 1.0 ] );
+            material.setMetallic( 0.0 );
+            material.apply();
+            var uniforms = material.getOrCreateUniforms();
+            assert.equalVector( uniforms.baseColor.getInternalArray(), [ 0.5, 0.5, 0.5, 1.0 ], 'Check base color uniform' );
+            assert.equalVector( uniforms.roughness.getInternalArray(), [ 0.2 ], 'Check roughness uniform' );
+        } )();
+
+        ( function () {
+            var lights = [ Light.POINT, Light.SPOT, Light.DIRECTION, Light.HEMI ].map( function ( type, index ) {
+                var light = new Light( index );
+                light.setLightType( type );
+                return light;
+            } );
+
+            var material = new PBRMaterial();
+            material.setBaseColorTextureUnit( 0 );
+            material.setNormalTextureUnit( 1 );
+
+            var compiler = new Compiler( lights.concat( material ), [
+                [ new Texture() ],
+                [ new Texture() ]
+            ], new ShaderProcessor() );
+            var vertexShader = compiler.createVertexShader();
+            var fragmentShader = compiler.createFragmentShader();
+
+            assert.isOk( vertexShader.indexOf( 'FragTangent' ) !== -1, 'Check tangent for the normal texture' );
+            assert.isOk( fragmentShader.indexOf( 'computePointLightShadingPBR(' ) !== -1, 'Check point light' );
+            assert.isOk( fragmentShader.indexOf( 'computeSpotLightShadingPBR(' ) !== -1, 'Check spot light' );
+            assert.isOk( fragmentShader.indexOf( 'computeSunLightShadingPBR(' ) !== -1, 'Check directional light' );
+            assert.isOk( fragmentShader.indexOf( 'computeHemiLightShadingPBR(' ) !== -1, 'Check hemi light' );
+            assert.isOk( fragmentShader.indexOf( 'distributionGGX' ) !== -1, 'Check GGX' );
+            assert.isOk( fragmentShader.indexOf( 'perturbedNormal' ) !== -1, 'Check normal texture' );
+            assert.isOk( fragmentShader.indexOf( '= computePointLightShading(' ) === -1, 'Check no phong lighting' );
+            assert.isOk( fragmentShader.indexOf( 'linearTosRGB' ) !== -1, 'Check sRGB output' );
+        } )();
+    } );
+};
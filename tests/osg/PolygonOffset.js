@@ -0,0 +1,29 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
+var PolygonOffset = require( 'osg/PolygonOffset' );
+var State = require( 'osg/State' );
+var ShaderGeneratorProxy = require( 'osgShader/ShaderGeneratorProxy' );
+
+
+module.exports = function () {
+
+    test( 'PolygonOffset', function () {
+
+        var n = new PolygonOffset();
+        assert.isOk( !n.isEnabled(), 'Check disabled by default' );
+
+        var gl = mockup.createFakeRenderer();
+        var offset;
+        gl.polygonOffset = function ( factor, units ) {
+            offset = [ factor, units ];
+        };
+
+        var state = new State( new ShaderGeneratorProxy() );
+        state.setGraphicContext( gl );
+
+        n = new PolygonOffset( -1.0, -4.0 );
+        n.apply( state );
+        assert.deepEqual( offset, [ -1.0, -4.0 ], 'Check polygon offset' );
+    } );
+};
@@ -0,0 +1,56 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
+var Sampler = require( 'osg/Sampler' );
+var Texture = require( 'osg/Texture' );
+var State = require( 'osg/State' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var ShaderGeneratorProxy = require( 'osgShader/ShaderGeneratorProxy' );
+
+
+module.exports = function () {
+
+    test( 'Sampler', function () {
+
+        var gl = mockup.createFakeRenderer();
+        var bound = [];
+        var parameters = {};
+        gl.createSampler = function () {
+            return {};
+        };
+        gl.bindSampler = function ( unit, sampler ) {
+            bound[ unit ] = sampler;
+        };
+        gl.samplerParameteri = gl.samplerParameterf = function ( sampler, name, value ) {
+            parameters[ name ] = value;
+        };
+
+        var state = new State( new ShaderGeneratorProxy() );
+        state.setGraphicContext( gl );
+
+        var sampler = new Sampler();
+        sampler.setMinFilter( 'NEAREST' );
+        sampler.setWrapS( Texture.REPEAT );
+        sampler.setMaxLod( 2.5 );
+
+        var caps = WebGLCaps.instance();
+        var isGL2 = caps._isGL2;
+
+        caps._isGL2 = false;
+        sampler.apply( state, 1 );
+        assert.equal( bound.length, 0, 'no sampler bound with WebGL1' );
+
+        caps._isGL2 = true;
+        sampler.apply( state, 1 );
+        assert.isOk( bound[ 1 ] !== undefined && bound[ 1 ] !== null, 'sampler bound on its unit' );
+        assert.equal( parameters[ 0x2801 ], Texture.NEAREST, 'min filter of the sampler' );
+        assert.equal( parameters[ 0x2802 ], Texture.REPEAT, 'wrap s of the sampler' );
+        assert.equal( parameters[ 0x813B ], 2.5, 'max lod of the sampler' );
+        assert.isOk( !sampler.isDirty(), 'parameters applied' );
+
+        sampler.cloneType().apply( state, 1 );
+        assert.equal( bound[ 1 ], null, 'default sampler unbinds the unit' );
+
+        caps._isGL2 = isGL2;
+    } );
+};
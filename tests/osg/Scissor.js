@@ -0,0 +1,33 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
+var Scissor = require( 'osg/Scissor' );
+var State = require( 'osg/State' );
+var ShaderGeneratorProxy = require( 'osgShader/ShaderGeneratorProxy' );
+
+
+module.exports = function () {
+
+    test( 'Scissor', function () {
+
+        var n = new Scissor();
+        assert.isOk( !n.isEnabled(), 'Check disabled by default' );
+
+        var gl = mockup.createFakeRenderer();
+        var rectangle;
+        gl.scissor = function ( x, y, w, h ) {
+            rectangle = [ x, y, w, h ];
+        };
+
+        var state = new State( new ShaderGeneratorProxy() );
+        state.setGraphicContext( gl );
+
+        n.apply( state );
+        assert.isOk( rectangle === undefined, 'Check no scissor when disabled' );
+
+        n.setScissor( 10, 20, 30, 40 );
+        assert.isOk( n.isEnabled(), 'Check enabled' );
+        n.apply( state );
+        assert.deepEqual( rectangle, [ 10, 20, 30, 40 ], 'Check scissor rectangle' );
+    } );
+};
@@ -0,0 +1,84 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var FrameStamp = require( 'osg/FrameStamp' );
+var Node = require( 'osg/Node' );
+var NodeVisitor = require( 'osg/NodeVisitor' );
+var Sequence = require( 'osg/Sequence' );
+var UpdateVisitor = require( 'osg/UpdateVisitor' );
+
+
+module.exports = function () {
+
+    var createSequence = function () {
+        var sequence = new Sequence();
+        for ( var i = 0; i < 3; i++ ) {
+            var child = new Node();
+            child.setName( 'child' + i );
+            sequence.addChild( child );
+        }
+        sequence.setTime( 1, 2.0 );
+        return sequence;
+    };
+
+    // update the scene at the given simulation times and
+    // return the displayed child after each update
+    var play = function ( root, times ) {
+        var frameStamp = new FrameStamp();
+        var uv = new UpdateVisitor();
+        uv.setFrameStamp( frameStamp );
+        var sequence = root instanceof Sequence ? root : root.getChildren()[ 0 ];
+        return times.map( function ( time ) {
+            frameStamp.setSimulationTime( time );
+            root.accept( uv );
+            return sequence.getValue();
+        } );
+    };
+
+    test( 'Sequence', function () {
+
+        var root = new Node();
+        var sequence = createSequence();
+        root.addChild( sequence );
+        assert.isOk( root.getNumChildrenRequiringUpdateTraversal() > 0, 'check update traversal required' );
+
+        // child0 1s, child1 2s, child2 1s
+        assert.deepEqual( play( root, [ 10.0, 10.5, 11.0, 12.5, 13.0, 13.9, 14.0, 20.5 ] ), [ 0, 0, 1, 1, 2, 2, 0, 1 ], 'check loop' );
+
+        var visitor = new NodeVisitor( NodeVisitor.TRAVERSE_ACTIVE_CHILDREN );
+        var visited = [];
+        visitor.apply = function ( node ) {
+            visited.push( node.getName() );
+            this.traverse( node );
+        };
+        sequence.accept( visitor );
+        assert.deepEqual( visited, [ undefined, 'child1' ], 'check active child traversal' );
+
+        sequence = createSequence();
+        sequence.setInterval( Sequence.SWING, 0, 2 );
+        sequence.setDuration( 2.0, 1 );
+        assert.deepEqual( play( sequence, [ 0.0, 0.5, 1.5, 2.0, 3.0, 10.0 ] ), [ 0, 1, 2, 1, 0, 0 ], 'check swing at double speed stopping after one loop' );
+        assert.equal( sequence.getMode(), Sequence.STOP, 'check stopped' );
+
+        sequence = createSequence();
+        sequence.setInterval( Sequence.LOOP, 2, 0 );
+        assert.deepEqual( play( sequence, [ 0.0, 1.0, 3.0, 4.0 ] ), [ 2, 1, 0, 2 ], 'check backward interval' );
+
+        sequence = createSequence();
+        var frameStamp = new FrameStamp();
+        var uv = new UpdateVisitor();
+        uv.setFrameStamp( frameStamp );
+        var update = function ( time ) {
+            frameStamp.setSimulationTime( time );
+            sequence.accept( uv );
+            return sequence.getValue();
+        };
+        update( 0.0 );
+        update( 0.5 );
+        sequence.setMode( Sequence.PAUSE );
+        assert.equal( update( 0.6 ), 0, 'check paused' );
+        assert.equal( update( 5.0 ), 0, 'check still paused' );
+        sequence.setMode( Sequence.RESUME );
+        assert.equal( update( 5.3 ), 0, 'check resumed where it was paused' );
+        assert.equal( update( 5.8 ), 1, 'check resumed' );
+    } );
+};
@@ -1,7 +1,10 @@
 'use strict';
 var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
 var Shader = require( 'osg/Shader' );
+var Program = require( 'osg/Program' );
 var Notify = require( 'osg/Notify' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
 
 
 module.exports = function () {
@@ -53,4 +56,112 @@ module.exports = function () {
 
 
     } );
+
+    test( 'Shader errors in includes', function () {
+
+        var resultsError = '';
+        var previousConsole = Notify.console;
+        Notify.setConsole( {
+            warn: function () {},
+            error: function ( txt ) {
+                resultsError += txt + '\n';
+            },
+            log: function () {},
+            info: function () {}
+        } );
+
+        var shaderProcessor = new ShaderProcessor( true );
+        shaderProcessor.addShaders( {
+            'testErrorInclude.glsl': 'float included;\nfloat broken = 1;\n'
+        } );
+        var text = shaderProcessor.processShader( 'float first;\n#pragma include "testErrorInclude.glsl"\nvoid main() {}' );
+        var line = text.split( '\n' ).indexOf( 'float broken = 1;' ) + 1;
+
+        var fragment = new Shader( Shader.FRAGMENT_SHADER, text );
+        fragment.setSourceMap( shaderProcessor.getSourceMap( text ) );
+        var program = new Program( new Shader( Shader.VERTEX_SHADER, 'void main() {}' ), fragment );
+
+        var gl = mockup.createFakeRenderer();
+        gl.getShaderParameter = function () {
+            return false;
+        };
+        gl.getShaderInfoLog = function () {
+            return 'ERROR: 0:' + line + ': \'=\' : cannot convert from \'const int\' to \'float\'\n';
+        };
+
+        var reportedProgram;
+        var reportedErrors;
+        var failSafeCache = Program.prototype._failSafeCache;
+        Program.errorCallback = function ( prog, errors ) {
+            reportedProgram = prog;
+            reportedErrors = errors;
+        };
+        program.apply( {
+            getGraphicContext: function () {
+                return gl;
+            },
+            applyProgram: function () {}
+        } );
+        Program.errorCallback = undefined;
+        Program.prototype._failSafeCache = failSafeCache;
+        Notify.setConsole( previousConsole );
+
+        assert.equal( reportedProgram, program, 'check program reported' );
+        assert.equal( reportedErrors.length, 2, 'check errors of both shaders' );
+        assert.equal( reportedErrors[ 0 ].type, 'vertex', 'check vertex error type' );
+        assert.isOk( reportedErrors[ 0 ].line === undefined, 'check error out of the vertex shader kept as the log' );
+
+        var error = reportedErrors[ 1 ];
+        assert.equal( error.type, 'fragment', 'check fragment error type' );
+        assert.equal( error.line, line, 'check line of the driver' );
+        assert.equal( error.source, 'testErrorInclude.glsl', 'check include of the error' );
+        assert.equal( error.sourceLine, 2, 'check line in the include' );
+        assert.equal( error.context[ line - error.contextLine ], 'float broken = 1;', 'check source around the error' );
+        assert.equal( fragment.getCompileErrors()[ 0 ].message, '\'=\' : cannot convert from \'const int\' to \'float\'', 'check shader errors' );
+        assert.isOk( resultsError.indexOf( 'in testErrorInclude.glsl line 2 (line ' + line + ')' ) !== -1, 'check located error logged' );
+    } );
+
+    test( 'Program errors of the vertex shader', function () {
+
+        var previousConsole = Notify.console;
+        Notify.setConsole( {
+            warn: function () {},
+            error: function () {},
+            log: function () {},
+            info: function () {}
+        } );
+
+        var vertex = new Shader( Shader.VERTEX_SHADER, 'void main() { broken; }' );
+        var program = new Program( vertex, new Shader( Shader.FRAGMENT_SHADER, 'void main() {}' ) );
+
+        var gl = mockup.createFakeRenderer();
+        // only the vertex shader fails, the fragment shader is compiled after it
+        var nbCompiled = 0;
+        gl.getShaderParameter = function () {
+            return nbCompiled++ !== 0;
+        };
+        gl.getShaderInfoLog = function () {
+            return 'ERROR: 0:1: \'broken\' : undeclared identifier\n';
+        };
+
+        var reportedErrors;
+        var failSafeCache = Program.prototype._failSafeCache;
+        Program.errorCallback = function ( prog, errors ) {
+            reportedErrors = errors;
+        };
+        program.apply( {
+            getGraphicContext: function () {
+                return gl;
+            },
+            applyProgram: function () {}
+        } );
+        Program.errorCallback = undefined;
+        Program.prototype._failSafeCache = failSafeCache;
+        Notify.setConsole( previousConsole );
+
+        assert.isOk( reportedErrors !== undefined, 'check error reported' );
+        assert.equal( reportedErrors.length, 1, 'check only the vertex error' );
+        assert.equal( reportedErrors[ 0 ].type, 'vertex', 'check vertex error type' );
+        assert.equal( reportedErrors[ 0 ].line, 1, 'check line of the error' );
+    } );
 };
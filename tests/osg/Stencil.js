@@ -0,0 +1,48 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
+var Stencil = require( 'osg/Stencil' );
+var State = require( 'osg/State' );
+var StateSet = require( 'osg/StateSet' );
+var ShaderGeneratorProxy = require( 'osgShader/ShaderGeneratorProxy' );
+
+
+module.exports = function () {
+
+    test( 'Stencil', function () {
+
+        var n = new Stencil();
+        assert.equal( n.getFunction(), Stencil.DISABLE, 'Check disabled by default' );
+        assert.equal( n.getStencilFailOperation(), Stencil.KEEP, 'Check default operation' );
+
+        n = new Stencil( 'ALWAYS', 1, 0xFF, 'KEEP', 'KEEP', 'REPLACE' );
+        assert.equal( n.getFunction(), Stencil.ALWAYS, 'Check string function' );
+        assert.equal( n.getFunctionRef(), 1, 'Check function ref' );
+        assert.equal( n.getStencilPassAndDepthPassOperation(), Stencil.REPLACE, 'Check string operation' );
+
+        var gl = mockup.createFakeRenderer();
+        var enabled = false;
+        gl.STENCIL_TEST = 0x0B90;
+        gl.enable = function ( cap ) {
+            if ( cap === gl.STENCIL_TEST ) enabled = true;
+        };
+        gl.disable = function ( cap ) {
+            if ( cap === gl.STENCIL_TEST ) enabled = false;
+        };
+
+        var state = new State( new ShaderGeneratorProxy() );
+        state.setGraphicContext( gl );
+
+        var stateSet = new StateSet();
+        stateSet.setAttributeAndModes( n );
+
+        state.pushStateSet( stateSet );
+        state.applyAttributeMap( state.attributeMap );
+        assert.isOk( enabled, 'Check stencil test enabled' );
+
+        // the global default disables the test
+        state.popStateSet();
+        state.applyAttributeMap( state.attributeMap );
+        assert.isOk( !enabled, 'Check stencil test restored' );
+    } );
+};
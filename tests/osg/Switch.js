@@ -0,0 +1,58 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Switch = require( 'osg/Switch' );
+var Node = require( 'osg/Node' );
+var NodeVisitor = require( 'osg/NodeVisitor' );
+var Shape = require( 'osg/Shape' );
+
+
+module.exports = function () {
+
+    var collectVisited = function ( node, traversalMode ) {
+        var visitor = new NodeVisitor( traversalMode );
+        var visited = [];
+        visitor.apply = function ( n ) {
+            visited.push( n.getName() );
+            this.traverse( n );
+        };
+        node.accept( visitor );
+        return visited;
+    };
+
+    test( 'Switch', function () {
+
+        var sw = new Switch();
+        sw.setName( 'switch' );
+        var a = Shape.createTexturedBoxGeometry( 0, 0, 0, 1, 1, 1 );
+        a.setName( 'a' );
+        var b = Shape.createTexturedBoxGeometry( 10, 0, 0, 1, 1, 1 );
+        b.setName( 'b' );
+        var c = new Node();
+        c.setName( 'c' );
+
+        sw.addChild( a );
+        sw.addChild( b, false );
+        sw.addChild( c );
+        assert.isOk( sw.getValue( 0 ) && !sw.getValue( 1 ) && sw.getValue( 2 ), 'check values' );
+
+        assert.deepEqual( collectVisited( sw, NodeVisitor.TRAVERSE_ACTIVE_CHILDREN ), [ 'switch', 'a', 'c' ], 'check active children traversal' );
+        assert.deepEqual( collectVisited( sw, NodeVisitor.TRAVERSE_ALL_CHILDREN ), [ 'switch', 'a', 'b', 'c' ], 'check all children traversal' );
+
+        assert.equalVector( sw.getBound().center(), a.getBound().center(), 'check bound of active children' );
+
+        sw.setSingleChildOn( 1 );
+        assert.deepEqual( collectVisited( sw, NodeVisitor.TRAVERSE_ACTIVE_CHILDREN ), [ 'switch', 'b' ], 'check single child on' );
+        assert.equalVector( sw.getBound().center(), b.getBound().center(), 'check bound updated' );
+
+        sw.setAllChildrenOff();
+        assert.isOk( !sw.getBound().valid(), 'check bound with all children off' );
+        sw.addChild( new Node() );
+        assert.isOk( !sw.getValue( 3 ), 'check new child default value' );
+
+        sw.setAllChildrenOn();
+        sw.removeChild( a );
+        sw.setChildValue( c, false );
+        assert.deepEqual( sw.getValueList(), [ true, false, true ], 'check values after remove' );
+        assert.deepEqual( collectVisited( sw, NodeVisitor.TRAVERSE_ACTIVE_CHILDREN ), [ 'switch', 'b', undefined ], 'check traversal after remove' );
+    } );
+};
@@ -77,4 +77,22 @@ module.exports = function () {
             done();
         };
     } );
+
+    test( 'Texture WebGL2 formats', function () {
+        var formats = Texture.computeWebGL2TexImageFormats( Texture.RGBA, Texture.FLOAT );
+        assert.equal( formats[ 0 ], Texture.RGBA32F, 'sized internal format of float rgba' );
+        assert.equal( formats[ 1 ], Texture.RGBA, 'format of float rgba' );
+        assert.equal( formats[ 2 ], Texture.FLOAT, 'type of float rgba' );
+
+        formats = Texture.computeWebGL2TexImageFormats( Texture.RGB, Texture.HALF_FLOAT );
+        assert.equal( formats[ 0 ], Texture.RGB16F, 'sized internal format of half float rgb' );
+        assert.equal( formats[ 2 ], Texture.HALF_FLOAT_WEBGL2, 'half float type of WebGL2' );
+
+        formats = Texture.computeWebGL2TexImageFormats( Texture.R32UI, Texture.UNSIGNED_INT );
+        assert.equal( formats[ 0 ], Texture.R32UI, 'sized format is kept' );
+        assert.equal( formats[ 1 ], Texture.RED_INTEGER, 'format of an integer texture' );
+
+        formats = Texture.computeWebGL2TexImageFormats( Texture.RGBA, Texture.UNSIGNED_BYTE );
+        assert.equal( formats[ 0 ], Texture.RGBA, 'unsized byte format is kept' );
+    } );
 };
@@ -0,0 +1,147 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var MACROUTILS = require( 'osg/Utils' );
+var FrameStamp = require( 'osg/FrameStamp' );
+var Matrix = require( 'osg/Matrix' );
+var Node = require( 'osg/Node' );
+var NodeVisitor = require( 'osg/NodeVisitor' );
+var Tile = require( 'osg/Tile' );
+var Tileset = require( 'osg/Tileset' );
+var Viewport = require( 'osg/Viewport' );
+
+
+module.exports = function () {
+
+    // cull visitor looking at the origin from a distance along z, the
+    // requests and the traversed nodes are recorded
+    var TestCullVisitor = function ( distance ) {
+        NodeVisitor.call( this, NodeVisitor.TRAVERSE_ACTIVE_CHILDREN );
+        this.visitorType = NodeVisitor.CULL_VISITOR;
+        this.visited = [];
+        this.requests = [];
+        this._modelView = Matrix.makeLookAt( [ 0, 0, distance ], [ 0, 0, 0 ], [ 0, 1, 0 ], Matrix.create() );
+        this._projection = Matrix.makePerspective( 90, 1, 0.1, 10000, Matrix.create() );
+        this._viewport = new Viewport( 0, 0, 100, 100 );
+        this.setFrameStamp( new FrameStamp() );
+
+        var requests = this.requests;
+        this.setDatabaseRequestHandler( {
+            requestNodeFile: function ( func, url, node, timeStamp, priority ) {
+                var request = {
+                    url: url,
+                    _timeStamp: timeStamp,
+                    _priority: priority
+                };
+                requests.push( request );
+                return request;
+            }
+        } );
+    };
+
+    TestCullVisitor.prototype = MACROUTILS.objectInherit( NodeVisitor.prototype, {
+        apply: function ( node ) {
+            this.visited.push( node );
+            this.traverse( node );
+        },
+        getCurrentModelViewMatrix: function () {
+            return this._modelView;
+        },
+        getCurrentProjectionMatrix: function () {
+            return this._projection;
+        },
+        getViewport: function () {
+            return this._viewport;
+        },
+        getLODScale: function () {
+            return 1.0;
+        }
+    } );
+
+    var createTile = function ( fileName, geometricError, center, radius ) {
+        var tile = new Tile();
+        tile.setGeometricError( geometricError );
+        tile.setCenter( center );
+        tile.setRadius( radius );
+        tile.setFileName( 0, fileName );
+        return tile;
+    };
+
+    var createTileset = function ( refine ) {
+        var root = createTile( 'root.b3dm', 100, [ 0, 0, 0 ], 10 );
+        root.setRefine( refine );
+        root.addChildTile( createTile( 'left.b3dm', 1, [ -5, 0, 0 ], 5 ) );
+        root.addChildTile( createTile( 'right.b3dm', 1, [ 5, 0, 0 ], 5 ) );
+
+        var tileset = new Tileset();
+        tileset.setRoot( root );
+        return tileset;
+    };
+
+    var getURLs = function ( visitor ) {
+        return visitor.requests.map( function ( request ) {
+            return request.url;
+        } );
+    };
+
+    test( 'Tile.computeScreenSpaceError', function () {
+        var projection = Matrix.makePerspective( 90, 1, 0.1, 100, Matrix.create() );
+        assert.equalVector( Tile.computeScreenSpaceError( 10, 100, 1000, projection ), 50, 1e-5, 'check perspective error' );
+        assert.equal( Tile.computeScreenSpaceError( 10, 0, 1000, projection ), Infinity, 'check error inside the bounding volume' );
+
+        var ortho = Matrix.makeOrtho( -10, 10, -10, 10, 0.1, 100, Matrix.create() );
+        assert.equalVector( Tile.computeScreenSpaceError( 1, 100, 1000, ortho ), 50, 1e-5, 'check orthographic error' );
+    } );
+
+    test( 'Tile traverse refine replace', function () {
+        var tileset = createTileset( Tile.REPLACE );
+        var root = tileset.getRoot();
+        var left = root.getChildTiles()[ 0 ];
+        var right = root.getChildTiles()[ 1 ];
+
+        // error of the root: 100 * 100 / ( 2 * ( 10000 - 10 ) ) < 16
+        var far = new TestCullVisitor( 10000 );
+        tileset.accept( far );
+        assert.deepEqual( getURLs( far ), [ 'root.b3dm' ], 'check only the root is requested' );
+
+        var rootContent = new Node();
+        root.addChildNode( rootContent );
+
+        // the children are requested but not drawn until they are ready
+        var near = new TestCullVisitor( 50 );
+        tileset.accept( near );
+        assert.deepEqual( getURLs( near ), [ 'left.b3dm', 'right.b3dm' ], 'check children requested' );
+        assert.notEqual( near.visited.indexOf( rootContent ), -1, 'check root content drawn' );
+        assert.equal( near.visited.indexOf( left ), -1, 'check children not drawn' );
+
+        left.addChildNode( new Node() );
+        near = new TestCullVisitor( 50 );
+        tileset.accept( near );
+        assert.notEqual( near.visited.indexOf( rootContent ), -1, 'check root content drawn while a child is loading' );
+
+        right.addChildNode( new Node() );
+        near = new TestCullVisitor( 50 );
+        tileset.accept( near );
+        assert.equal( near.visited.indexOf( rootContent ), -1, 'check root content replaced' );
+        assert.notEqual( near.visited.indexOf( left.children[ 0 ] ), -1, 'check left content drawn' );
+        assert.notEqual( near.visited.indexOf( right.children[ 0 ] ), -1, 'check right content drawn' );
+    } );
+
+    test( 'Tile traverse refine add', function () {
+        var tileset = createTileset( Tile.ADD );
+        var root = tileset.getRoot();
+        var rootContent = new Node();
+        root.addChildNode( rootContent );
+
+        var near = new TestCullVisitor( 50 );
+        tileset.accept( near );
+        assert.deepEqual( getURLs( near ), [ 'left.b3dm', 'right.b3dm' ], 'check children requested' );
+        assert.notEqual( near.visited.indexOf( rootContent ), -1, 'check root content drawn' );
+        assert.notEqual( near.visited.indexOf( root.getChildTiles()[ 0 ] ), -1, 'check children traversed' );
+
+        // a smaller maximum error refines the root even from far
+        tileset.setMaximumScreenSpaceError( 0.1 );
+        var far = new TestCullVisitor( 10000 );
+        tileset.accept( far );
+        assert.notEqual( far.visited.indexOf( root.getChildTiles()[ 1 ] ), -1, 'check refined with the maximum error' );
+    } );
+};
@@ -6,27 +6,40 @@ var BoundingSphere = require( 'tests/osg/BoundingSphere' );
 var BufferArray = require( 'tests/osg/BufferArray' );
 var BufferArrayProxy = require( 'tests/osg/BufferArrayProxy' );
 var Camera = require( 'tests/osg/Camera' );
+var ClipPlane = require( 'tests/osg/ClipPlane' );
 var ComputeBoundsVisitor = require( 'tests/osg/ComputeBoundsVisitor' );
 var ComputeMatrixFromNodePath = require( 'tests/osg/ComputeMatrixFromNodePath' );
 var CullFace = require( 'tests/osg/CullFace' );
 var CullVisitor = require( 'tests/osg/CullVisitor' );
 var Depth = require( 'tests/osg/Depth' );
+var EnvironmentLight = require( 'tests/osg/EnvironmentLight' );
+var Fog = require( 'tests/osg/Fog' );
 var FrameBufferObject = require( 'tests/osg/FrameBufferObject' );
+var InstancedGeometry = require( 'tests/osg/InstancedGeometry' );
 var KdTree = require( 'tests/osg/KdTree' );
 var Light = require( 'tests/osg/Light' );
 var Matrix = require( 'tests/osg/Matrix' );
 var MatrixTransform = require( 'tests/osg/MatrixTransform' );
 var Node = require( 'tests/osg/Node' );
 var NodeVisitor = require( 'tests/osg/NodeVisitor' );
+var OrderIndependentTransparency = require( 'tests/osg/OrderIndependentTransparency' );
 var PagedLOD = require( 'tests/osg/PagedLOD' );
+var PBRMaterial = require( 'tests/osg/PBRMaterial' );
 var Plane = require( 'tests/osg/Plane' );
+var PolygonOffset = require( 'tests/osg/PolygonOffset' );
 var Quat = require( 'tests/osg/Quat' );
+var Sampler = require( 'tests/osg/Sampler' );
+var Scissor = require( 'tests/osg/Scissor' );
+var Sequence = require( 'tests/osg/Sequence' );
 var Shader = require( 'tests/osg/Shader' );
 var State = require( 'tests/osg/State' );
 var StateSet = require( 'tests/osg/StateSet' );
+var Stencil = require( 'tests/osg/Stencil' );
+var Switch = require( 'tests/osg/Switch' );
 var Texture = require( 'tests/osg/Texture' );
 var TextureCubeMap = require( 'tests/osg/TextureCubeMap' );
 var TextureManager = require( 'tests/osg/TextureManager' );
+var Tile = require( 'tests/osg/Tile' );
 var UpdateVisitor = require( 'tests/osg/UpdateVisitor' );
 var Uniform = require( 'tests/osg/Uniform' );
 var Utils = require( 'tests/osg/Utils' );
@@ -42,27 +55,40 @@ module.exports = function () {
     BufferArray();
     BufferArrayProxy();
     Camera();
+    ClipPlane();
     ComputeBoundsVisitor();
     ComputeMatrixFromNodePath();
     CullVisitor();
     CullFace();
     Depth();
+    EnvironmentLight();
+    Fog();
     FrameBufferObject();
+    InstancedGeometry();
     KdTree();
     Light();
     Matrix();
     MatrixTransform();
     Node();
     NodeVisitor();
+    OrderIndependentTransparency();
     Plane();
+    PolygonOffset();
     PagedLOD();
+    PBRMaterial();
     Quat();
+    Sampler();
+    Scissor();
+    Sequence();
     Shader();
     State();
     StateSet();
+    Stencil();
+    Switch();
     Texture();
     TextureCubeMap();
     TextureManager();
+    Tile();
     UpdateVisitor();
     Uniform();
     Utils();
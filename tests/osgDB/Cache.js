@@ -0,0 +1,183 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+var Input = require( 'osgDB/Input' );
+var MemoryCache = require( 'osgDB/MemoryCache' );
+var IndexedDBCache = require( 'osgDB/IndexedDBCache' );
+
+
+module.exports = function () {
+
+    test( 'MemoryCache eviction', function ( done ) {
+        var cache = new MemoryCache();
+        cache.setMaximumSize( 10 );
+
+        cache.put( 'a', new ArrayBuffer( 6 ) ).then( function () {
+            return P.delay( 2 );
+        } ).then( function () {
+            return cache.put( 'b', new ArrayBuffer( 4 ) );
+        } ).then( function () {
+            assert.equal( cache.getSize(), 10, 'check size' );
+            return P.delay( 2 );
+        } ).then( function () {
+            return cache.get( 'a' );
+        } ).then( function ( data ) {
+            assert.equal( data.byteLength, 6, 'check data read' );
+            return cache.put( 'c', 'ab' );
+        } ).then( function () {
+            assert.isOk( cache.hasEntry( 'a' ), 'check entry used recently kept' );
+            assert.isNotOk( cache.hasEntry( 'b' ), 'check least recently used entry evicted' );
+            assert.equal( cache.getSize(), 10, 'check size of string' );
+            return cache.put( 'd', new ArrayBuffer( 11 ) );
+        } ).then( function () {
+            assert.isNotOk( cache.hasEntry( 'd' ), 'check data bigger than the cache not stored' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'MemoryCache validate callback', function ( done ) {
+        var cache = new MemoryCache();
+        var validated = [];
+        cache.setValidateCallback( function ( entry ) {
+            validated.push( entry.key );
+            return P.resolve( entry.key !== 'old' );
+        } );
+
+        P.all( [ cache.put( 'old', 'a' ), cache.put( 'new', 'b' ) ] ).then( function () {
+            return P.all( [ cache.get( 'old' ), cache.get( 'new' ) ] );
+        } ).then( function ( data ) {
+            assert.deepEqual( validated, [ 'old', 'new' ], 'check entries validated' );
+            assert.equal( data[ 0 ], undefined, 'check invalid entry not read' );
+            assert.equal( data[ 1 ], 'b', 'check valid entry read' );
+            assert.isNotOk( cache.hasEntry( 'old' ), 'check invalid entry removed' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'Input.readBinaryArrayURL with cache', function ( done ) {
+        var requests = 0;
+        var options = {
+            cache: new MemoryCache(),
+            requestXHRCallback: function () {
+                requests++;
+            }
+        };
+
+        new Input().readBinaryArrayURL( 'mockup/stream.bin', options ).then( function ( first ) {
+            return P.all( [ first, new Input().readBinaryArrayURL( 'mockup/stream.bin', options ) ] );
+        } ).then( function ( buffers ) {
+            assert.equal( requests, 1, 'check file requested once' );
+            assert.equalVector( new Uint8Array( buffers[ 1 ] ), new Uint8Array( buffers[ 0 ] ), 'check data from the cache' );
+
+            // the text of the file is cached separately
+            return new Input().requestFile( 'mockup/stream.bin', options );
+        } ).then( function ( text ) {
+            assert.equal( typeof text, 'string', 'check text response' );
+            assert.equal( requests, 2, 'check text requested' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    // IDBRequest answered asynchronously
+    var createRequest = function ( result, error ) {
+        var request = {};
+        setTimeout( function () {
+            request.result = result;
+            request.error = error;
+            if ( error ) request.onerror();
+            else request.onsuccess();
+        }, 0 );
+        return request;
+    };
+
+    test( 'IndexedDBCache failures', function ( done ) {
+        var indexedDB = window.indexedDB;
+        var restore = function () {
+            window.indexedDB = indexedDB;
+        };
+
+        var opens = 0;
+        window.indexedDB = {
+            open: function () {
+                opens++;
+                return createRequest( undefined, new Error( 'database blocked' ) );
+            }
+        };
+
+        var requests = 0;
+        var options = {
+            cache: new IndexedDBCache(),
+            requestXHRCallback: function () {
+                requests++;
+            }
+        };
+
+        var input = new Input();
+        input.requestFile( 'mockup/stream.bin', options ).then( function ( text ) {
+            assert.equal( typeof text, 'string', 'check file read without the cache' );
+            assert.equal( requests, 1, 'check file requested' );
+            return options.cache.get( 'text:mockup/stream.bin' ).then( function () {
+                assert.isOk( false, 'check database failure' );
+            }, function () {
+                assert.isOk( opens > 1, 'check database opened again after a failure' );
+            } );
+        } ).then( function () {
+            // the last access of the entries can't be stored
+            var entry = {
+                key: 'a',
+                size: 2,
+                date: 0,
+                lastAccess: 0
+            };
+            var store = {
+                openCursor: function () {
+                    var request = createRequest( {
+                        'value': entry,
+                        'continue': function () {
+                            request.result = null;
+                            request.onsuccess();
+                        }
+                    } );
+                    return request;
+                },
+                get: function ( key ) {
+                    return createRequest( {
+                        key: key,
+                        data: 'ab'
+                    } );
+                }
+            };
+            var db = {
+                transaction: function ( name, mode ) {
+                    if ( mode === 'readwrite' ) throw new Error( 'read only database' );
+                    return {
+                        objectStore: function () {
+                            return store;
+                        }
+                    };
+                }
+            };
+            window.indexedDB = {
+                open: function () {
+                    return createRequest( db );
+                }
+            };
+            return new IndexedDBCache().get( 'a' );
+        } ).then( function ( data ) {
+            assert.equal( data, 'ab', 'check data read when the entry cant be updated' );
+            restore();
+            done();
+        } ).catch( function ( error ) {
+            restore();
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+};
@@ -5,6 +5,9 @@ var DatabasePager = require( 'osgDB/DatabasePager' );
 var PagedLOD = require( 'osg/PagedLOD' );
 var Node = require( 'osg/Node' );
 var FrameStamp = require( 'osg/FrameStamp' );
+var Shape = require( 'osg/Shape' );
+var Texture = require( 'osg/Texture' );
+var Image = require( 'osg/Image' );
 var Notify = require( 'osg/Notify' );
 
 
@@ -112,5 +115,171 @@ module.exports = function () {
         } );
     } );
 
+    test( 'DatabasePager.parseLoadedData', function ( done ) {
+        var pager = new DatabasePager();
+        var loaded = P.resolve( {
+            'Version': 1,
+            'osg.Node': {
+                Name: 'tile'
+            }
+        } );
+        pager.setWorkerLoader( {
+            readSceneGraph: function () {
+                return loaded;
+            }
+        } );
+
+        var plod = new PagedLOD();
+        plod.setRange( 0, 0, 200 );
+        var request = pager.requestNodeFile( undefined, 'models/tile.osgjs', plod, 1 );
+        pager.takeRequests();
+
+        loaded.then( function () {
+            assert.equal( pager._pendingParses.length, 1, 'check data waiting to be parsed' );
+            assert.equal( pager.getRequestListSize(), 1, 'check request still loading' );
+
+            pager.parseLoadedData( 0.0 );
+            assert.equal( pager._pendingParses.length, 1, 'check no parsing without time' );
+
+            pager.parseLoadedData( 1.0 );
+            assert.equal( pager._pendingParses.length, 0, 'check data parsed' );
+            return P.delay( 10 );
+        } ).then( function () {
+            assert.equal( pager._pendingNodes.length, 1, 'check node ready to be added' );
+            assert.equal( request._loadedModel.getName(), 'tile', 'check node created' );
+            assert.equal( pager.getRequestListSize(), 0, 'check request done' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'DatabasePager.takeRequests priority', function () {
+        var pager = new DatabasePager();
+        var processed = [];
+        pager.processRequest = function ( dbrequest ) {
+            processed.push( dbrequest );
+        };
+
+        var fn = function () {
+            return new Node();
+        };
+        // a request not updated by its PagedLOD at the last frame
+        var older = pager.requestNodeFile( fn, '', new PagedLOD(), 0, 0.0 );
+        var far = pager.requestNodeFile( fn, '', new PagedLOD(), 1, -0.5 );
+        var near = pager.requestNodeFile( fn, '', new PagedLOD(), 1, -0.1 );
+
+        pager.takeRequests();
+        assert.deepEqual( processed, [ near, far, older ], 'check newer and greater priority first' );
+        assert.isOk( older._priority > near._priority, 'check older request after the last frame ones whatever its priority' );
+    } );
+
+    test( 'DatabasePager.cancelExpiredRequests', function () {
+        var pager = new DatabasePager();
+        var aborted = 0;
+        pager.setWorkerLoader( {
+            readSceneGraph: function ( url, options ) {
+                options.requestXHRCallback( {
+                    abort: function () {
+                        aborted++;
+                    }
+                } );
+                return P.defer().promise;
+            }
+        } );
+        pager.setMaxRequestsPerFrame( 1 );
+
+        var waiting = pager.requestNodeFile( undefined, 'tile0.osgjs', new PagedLOD(), 1 );
+        var loading = pager.requestNodeFile( undefined, 'tile1.osgjs', new PagedLOD(), 2 );
+        pager.takeRequests();
+        assert.equal( pager.getRequestListSize(), 2, 'check requests' );
+
+        assert.equal( pager.cancelExpiredRequests( 2 ), 1, 'check request not updated cancelled' );
+        assert.isOk( waiting._cancelled, 'check waiting request cancelled' );
+        assert.equal( aborted, 0, 'check loading request not aborted' );
+
+        loading._timeStamp = 3;
+        assert.equal( pager.cancelExpiredRequests( 4 ), 1, 'check loading request cancelled' );
+        assert.equal( aborted, 1, 'check xhr aborted' );
+        assert.equal( pager.getRequestListSize(), 0, 'check no more requests' );
+    } );
+
+    test( 'DatabasePager memory budget', function ( done ) {
+        var pager = new DatabasePager();
+        var geometry = Shape.createTexturedBoxGeometry( 0, 0, 0, 1, 1, 1 );
+        var plod = new PagedLOD();
+        plod.setRange( 0, 0, 200 );
+        var fn = function () {
+            return geometry;
+        };
+        plod.setFunction( 0, fn );
 
+        var attributes = geometry.getVertexAttributeList();
+        var memory = geometry.getPrimitiveSetList()[ 0 ].getIndices().getElements().byteLength;
+        window.Object.keys( attributes ).forEach( function ( key ) {
+            memory += attributes[ key ].getElements().byteLength;
+        } );
+
+        var frameStamp = new FrameStamp();
+        pager.requestNodeFile( fn, '', plod, 0 );
+        pager.takeRequests();
+
+        P.delay( 10 ).then( function () {
+            pager.addLoadedDataToSceneGraph( frameStamp, 1.0 );
+            assert.equal( pager.getMemoryUsed(), memory, 'check memory of the loaded subgraph' );
+
+            frameStamp.setSimulationTime( 10 );
+            frameStamp.setFrameNumber( 10 );
+            pager.removeExpiredSubgraphs( frameStamp, 1.0 );
+            assert.equal( plod.getChildren().length, 1, 'check children kept under the budget' );
+
+            pager.setTargetMaximumMemory( memory - 1 );
+            pager.removeExpiredSubgraphs( frameStamp, 1.0 );
+            assert.equal( plod.getChildren().length, 0, 'check expired child removed above the budget' );
+            assert.equal( pager.getMemoryUsed(), memory, 'check memory not released yet' );
+
+            pager.releaseGLExpiredSubgraphs( 0.0 );
+            assert.equal( pager.getMemoryUsed(), 0, 'check memory released above the budget' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'DatabasePager memory of textures loaded later', function ( done ) {
+        var pager = new DatabasePager();
+        var geometry = Shape.createTexturedBoxGeometry( 0, 0, 0, 1, 1, 1 );
+        var texture = new Texture();
+        geometry.getOrCreateStateSet().setTextureAttributeAndModes( 0, texture );
+        var plod = new PagedLOD();
+        plod.setRange( 0, 0, 200 );
+        var fn = function () {
+            return geometry;
+        };
+        plod.setFunction( 0, fn );
+
+        var frameStamp = new FrameStamp();
+        pager.requestNodeFile( fn, '', plod, 0 );
+        pager.takeRequests();
+
+        P.delay( 10 ).then( function () {
+            pager.addLoadedDataToSceneGraph( frameStamp, 1.0 );
+            var memory = pager.getMemoryUsed();
+
+            pager.updatePendingTexturesMemory();
+            assert.equal( pager.getMemoryUsed(), memory, 'check texture without image not counted' );
+
+            var image = new Image( new Uint8Array( 4 * 2 * 4 ) );
+            image.setWidth( 4 );
+            image.setHeight( 2 );
+            texture.setImage( image );
+            pager.updatePendingTexturesMemory();
+            assert.equal( pager.getMemoryUsed(), memory + 4 * 2 * 4, 'check texture counted once loaded' );
+            assert.equal( pager._pendingTextures.length, 0, 'check no more pending textures' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
 };
@@ -239,6 +239,47 @@ module.exports = function () {
         } );
     } );
 
+    test( 'Input.readBufferArray - quantized', function ( done ) {
+        var linear = new Input( {
+            'Array': {
+                'Uint16Array': {
+                    'Elements': [ 0, 65535, 100, 200, 0, 0 ],
+                    'Size': 2
+                }
+            },
+            'ItemSize': 3,
+            'Type': 'ARRAY_BUFFER',
+            'Quantization': {
+                'Mode': 'LINEAR',
+                'Offset': [ -1, 0, 10 ],
+                'Scale': [ 2 / 65535, 0.5, 1 ]
+            }
+        } ).readBufferArray();
+
+        var octahedral = new Input( {
+            'Array': {
+                'Uint8Array': {
+                    'Elements': [ 128, 128, 255, 128, 0, 0 ],
+                    'Size': 3
+                }
+            },
+            'ItemSize': 2,
+            'Type': 'ARRAY_BUFFER',
+            'Quantization': {
+                'Mode': 'OCTAHEDRAL'
+            }
+        } ).readBufferArray();
+
+        P.all( [ linear, octahedral ] ).then( function ( buffers ) {
+            assert.isOk( buffers[ 0 ].getElements() instanceof Float32Array, 'check dequantized type' );
+            assert.equalVector( buffers[ 0 ].getElements(), [ -1, 32767.5, 110, -1 + 400 / 65535, 0, 10 ], 1e-3, 'check linear dequantization' );
+
+            assert.equal( buffers[ 1 ].getItemSize(), 3, 'check octahedral item size' );
+            assert.equalVector( buffers[ 1 ].getElements(), [ 0, 0, 1, 1, 0, 0, 0, 0, -1 ], 1e-2, 'check octahedral normals' );
+            done();
+        } );
+    } );
+
     test( 'Input.readBufferArray - external', function ( done ) {
         var ba = {
             'Array': {
@@ -0,0 +1,198 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var Matrix = require( 'osg/Matrix' );
+var StateSet = require( 'osg/StateSet' );
+var Material = require( 'osg/Material' );
+var BlendFunc = require( 'osg/BlendFunc' );
+var CullFace = require( 'osg/CullFace' );
+var ClipPlane = require( 'osg/ClipPlane' );
+var Fog = require( 'osg/Fog' );
+var PolygonOffset = require( 'osg/PolygonOffset' );
+var Scissor = require( 'osg/Scissor' );
+var Sequence = require( 'osg/Sequence' );
+var Switch = require( 'osg/Switch' );
+var Stencil = require( 'osg/Stencil' );
+var BufferArray = require( 'osg/BufferArray' );
+var DrawElements = require( 'osg/DrawElements' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var Node = require( 'osg/Node' );
+var Shape = require( 'osg/Shape' );
+var Input = require( 'osgDB/Input' );
+var Output = require( 'osgDB/Output' );
+var ReaderParser = require( 'osgDB/ReaderParser' );
+
+
+module.exports = function () {
+
+    // serve the binary arrays written by the output
+    var readWrittenScene = function ( output, json ) {
+        var binaryArrays = output.getBinaryArrays();
+        return ReaderParser.parseSceneGraph( json, {
+            readBinaryArrayURL: function ( url ) {
+                return P.resolve( binaryArrays[ url ] );
+            }
+        } );
+    };
+
+    test( 'Output.writeNode', function ( done ) {
+
+        var root = new MatrixTransform();
+        root.setName( 'root' );
+        root.setUserData( {
+            Values: [ {
+                Name: 'id',
+                Value: '42'
+            } ]
+        } );
+        Matrix.makeTranslate( 1, 2, 3, root.getMatrix() );
+
+        var stateSet = new StateSet();
+        var material = new Material();
+        material.setDiffuse( [ 1, 0, 0, 1 ] );
+        stateSet.setAttributeAndModes( material );
+        stateSet.setAttributeAndModes( new BlendFunc( BlendFunc.ZERO, BlendFunc.ONE_MINUS_SRC_ALPHA ) );
+        stateSet.setAttributeAndModes( new CullFace( CullFace.FRONT ) );
+        stateSet.setAttributeAndModes( new Stencil( Stencil.EQUAL, 1, 0xFF, Stencil.KEEP, Stencil.KEEP, Stencil.REPLACE ) );
+        stateSet.setAttributeAndModes( new Scissor( 1, 2, 3, 4 ) );
+        stateSet.setAttributeAndModes( new PolygonOffset( -1, -2 ) );
+        stateSet.setAttributeAndModes( new ClipPlane( 1, [ 0, 1, 0, -2 ] ) );
+        var fog = new Fog( Fog.LINEAR );
+        fog.setEnd( 50 );
+        fog.setColor( [ 0.5, 0.5, 0.6, 1 ] );
+        fog.setHeightFog( true );
+        stateSet.setAttributeAndModes( fog );
+
+        var box = Shape.createTexturedBoxGeometry( 0, 0, 0, 1, 1, 1 );
+        box.setStateSet( stateSet );
+        root.addChild( box );
+
+        // uint32 indices
+        var geometry = Shape.createTexturedQuadGeometry( 0, 0, 0, 1, 0, 0, 0, 1, 0 );
+        var indices = new BufferArray( BufferArray.ELEMENT_ARRAY_BUFFER, new Uint32Array( [ 0, 1, 2, 0, 2, 3 ] ), 1, true );
+        geometry.getPrimitives()[ 0 ] = new DrawElements( PrimitiveSet.TRIANGLES, indices );
+        geometry.setStateSet( stateSet );
+        root.addChild( geometry );
+
+        var output = new Output();
+        var json = output.writeNode( root );
+
+        assert.equal( json.Version, Output.VERSION, 'check version' );
+        assert.isOk( json[ 'osg.MatrixTransform' ] !== undefined, 'check root class' );
+
+        var children = json[ 'osg.MatrixTransform' ].Children;
+        assert.equal( children[ 1 ][ 'osg.Geometry' ].StateSet[ 'osg.StateSet' ].UniqueID, children[ 0 ][ 'osg.Geometry' ].StateSet[ 'osg.StateSet' ].UniqueID, 'check shared stateset written once' );
+        assert.equal( window.Object.keys( children[ 1 ][ 'osg.Geometry' ].StateSet[ 'osg.StateSet' ] ).length, 1, 'check shared stateset referenced' );
+
+        readWrittenScene( output, json ).then( function ( scene ) {
+            assert.equal( scene.getName(), 'root', 'check name' );
+            assert.equal( scene.getUserData().Values[ 0 ].Value, '42', 'check user data' );
+            assert.equalVector( scene.getMatrix(), root.getMatrix(), 'check matrix' );
+            assert.equal( scene.getChildren().length, 2, 'check children' );
+
+            var readBox = scene.getChildren()[ 0 ];
+            var vertexes = readBox.getVertexAttributeList().Vertex.getElements();
+            assert.equalVector( vertexes, box.getVertexAttributeList().Vertex.getElements(), 'check vertexes' );
+            assert.equal( readBox.getVertexAttributeList().TexCoord0.getItemSize(), 2, 'check item size' );
+            assert.equal( readBox.getPrimitives()[ 0 ].getMode(), box.getPrimitives()[ 0 ].getMode(), 'check primitive mode' );
+
+            var readStateSet = readBox.getStateSet();
+            assert.equal( scene.getChildren()[ 1 ].getStateSet(), readStateSet, 'check shared stateset' );
+            assert.equalVector( readStateSet.getAttribute( 'Material' ).getDiffuse(), [ 1, 0, 0, 1 ], 'check material' );
+            assert.equal( readStateSet.getAttribute( 'BlendFunc' ).getSource(), BlendFunc.ZERO, 'check blend func' );
+            assert.equal( readStateSet.getAttribute( 'CullFace' ).getMode(), CullFace.FRONT, 'check cull face' );
+
+            var stencil = readStateSet.getAttribute( 'Stencil' );
+            assert.equal( stencil.getFunction(), Stencil.EQUAL, 'check stencil function' );
+            assert.equal( stencil.getFunctionMask(), 0xFF, 'check stencil mask' );
+            assert.equal( stencil.getStencilPassAndDepthPassOperation(), Stencil.REPLACE, 'check stencil operation' );
+            assert.equal( readStateSet.getAttribute( 'Scissor' ).height(), 4, 'check scissor' );
+            assert.equal( readStateSet.getAttribute( 'PolygonOffset' ).getUnits(), -2, 'check polygon offset' );
+            assert.equalVector( readStateSet.getAttribute( 'ClipPlane1' ).getClipPlane(), [ 0, 1, 0, -2 ], 'check clip plane' );
+
+            var readFog = readStateSet.getAttribute( 'Fog' );
+            assert.equal( readFog.getMode(), Fog.LINEAR, 'check fog mode' );
+            assert.equal( readFog.getEnd(), 50, 'check fog end' );
+            assert.equalVector( readFog.getColor(), [ 0.5, 0.5, 0.6, 1 ], 'check fog color' );
+            assert.isOk( readFog.getHeightFog(), 'check height fog' );
+
+            var readIndices = scene.getChildren()[ 1 ].getPrimitives()[ 0 ].getIndices().getElements();
+            assert.isOk( readIndices instanceof Uint32Array, 'check uint32 indices' );
+            assert.equalVector( readIndices, [ 0, 1, 2, 0, 2, 3 ], 'check indices' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'Output.writeNode Switch and Sequence', function ( done ) {
+
+        var sw = new Switch();
+        sw.addChild( new Node() );
+        sw.addChild( new Node(), false );
+
+        var sequence = new Sequence();
+        sequence.addChild( new Node() );
+        sequence.addChild( new Node() );
+        sequence.setTime( 1, 0.5 );
+        sequence.setInterval( Sequence.SWING, 1, 0 );
+        sequence.setDuration( 2.0, 3 );
+        sequence.setMode( Sequence.STOP );
+        sw.addChild( sequence );
+
+        var output = new Output();
+        var json = output.writeNode( sw );
+
+        readWrittenScene( output, json ).then( function ( scene ) {
+            assert.isOk( scene instanceof Switch, 'check switch' );
+            assert.deepEqual( scene.getValueList(), [ true, false, true ], 'check switch values' );
+
+            var readSequence = scene.getChildren()[ 2 ];
+            assert.isOk( readSequence instanceof Sequence, 'check sequence' );
+            assert.equal( readSequence.getChildren().length, 2, 'check sequence children' );
+            assert.equal( readSequence.getTime( 1 ), 0.5, 'check sequence time' );
+            assert.equal( readSequence.getLoopMode(), Sequence.SWING, 'check sequence loop mode' );
+            assert.equal( readSequence.getBegin(), 1, 'check sequence interval' );
+            assert.equal( readSequence.getNumLoops(), 3, 'check sequence loops' );
+            assert.equal( readSequence.getSpeed(), 2.0, 'check sequence speed' );
+            assert.equal( readSequence.getMode(), Sequence.STOP, 'check sequence mode' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'Output.writeNode animation', function ( done ) {
+
+        var input = new Input();
+        input.readNodeURL( '../examples/media/models/animation/skinmorph.osgjs' ).then( function ( scene ) {
+
+            var output = new Output();
+            var json = output.writeNode( scene );
+
+            return P.all( [ scene, readWrittenScene( output, json ) ] );
+        } ).then( function ( scenes ) {
+            var getManager = function ( node ) {
+                return node.getChildren()[ 0 ].getUpdateCallbackList()[ 0 ];
+            };
+
+            var animations = getManager( scenes[ 0 ] ).getAnimations();
+            var readAnimations = getManager( scenes[ 1 ] ).getAnimations();
+            var names = window.Object.keys( animations );
+            assert.deepEqual( window.Object.keys( readAnimations ), names, 'check animations' );
+
+            for ( var i = 0, l = names.length; i < l; i++ ) {
+                var channels = animations[ names[ i ] ].channels;
+                var readChannels = readAnimations[ names[ i ] ].channels;
+                assert.equal( readChannels.length, channels.length, 'check channels of ' + names[ i ] );
+                assert.equalVector( readChannels[ 0 ].channel.keys, channels[ 0 ].channel.keys, 'check keys of ' + names[ i ] );
+                assert.equalVector( readChannels[ 0 ].channel.times, channels[ 0 ].channel.times, 'check times of ' + names[ i ] );
+            }
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+};
@@ -0,0 +1,228 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var Tile = require( 'osg/Tile' );
+var Tileset = require( 'osg/Tileset' );
+var ReaderWriter3DTiles = require( 'osgDB/ReaderWriter3DTiles' );
+
+
+module.exports = function () {
+
+    var createB3DM = function ( featureTable, gltf ) {
+        var pad = function ( text ) {
+            var padded = text;
+            while ( padded.length % 8 ) padded += ' ';
+            return padded;
+        };
+        var featureTableText = pad( JSON.stringify( featureTable ) );
+        var jsonText = pad( JSON.stringify( gltf ) );
+
+        var glbLength = 12 + 8 + jsonText.length;
+        var length = 28 + featureTableText.length + glbLength;
+        var b3dm = new ArrayBuffer( length );
+        var view = new DataView( b3dm );
+        var bytes = new Uint8Array( b3dm );
+        var i;
+
+        bytes.set( [ 98, 51, 100, 109 ], 0 );
+        view.setUint32( 4, 1, true );
+        view.setUint32( 8, length, true );
+        view.setUint32( 12, featureTableText.length, true );
+        for ( i = 0; i < featureTableText.length; i++ ) bytes[ 28 + i ] = featureTableText.charCodeAt( i );
+
+        var offset = 28 + featureTableText.length;
+        view.setUint32( offset, 0x46546C67, true );
+        view.setUint32( offset + 4, 2, true );
+        view.setUint32( offset + 8, glbLength, true );
+        view.setUint32( offset + 12, jsonText.length, true );
+        view.setUint32( offset + 16, 0x4E4F534A, true );
+        for ( i = 0; i < jsonText.length; i++ ) bytes[ offset + 20 + i ] = jsonText.charCodeAt( i );
+        return b3dm;
+    };
+
+    var tilesetJSON = {
+        asset: {
+            version: '1.0'
+        },
+        geometricError: 500,
+        root: {
+            boundingVolume: {
+                box: [ 0, 0, 10, 100, 0, 0, 0, 100, 0, 0, 0, 10 ]
+            },
+            geometricError: 100,
+            refine: 'replace',
+            content: {
+                uri: 'root.b3dm'
+            },
+            children: [ {
+                boundingVolume: {
+                    sphere: [ -50, 0, 10, 60 ]
+                },
+                geometricError: 10,
+                transform: [ 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 6, 7, 1 ],
+                content: {
+                    uri: 'left.b3dm'
+                }
+            }, {
+                boundingVolume: {
+                    region: [ -0.01, -0.01, 0.01, 0.01, 0, 100 ]
+                },
+                geometricError: 10,
+                refine: 'ADD',
+                content: {
+                    uri: 'external/tileset.json'
+                }
+            } ]
+        }
+    };
+
+    test( 'ReaderWriter3DTiles.readNode tileset', function ( done ) {
+        new ReaderWriter3DTiles().readNode( JSON.stringify( tilesetJSON ), {
+            prefixURL: 'tiles/'
+        } ).then( function ( tileset ) {
+            assert.isOk( tileset instanceof Tileset, 'check tileset type' );
+            assert.equal( tileset.getMaximumScreenSpaceError(), 16, 'check default maximum screen space error' );
+
+            var root = tileset.getRoot();
+            assert.isOk( root instanceof Tile, 'check root type' );
+            assert.equal( tileset.getChildren()[ 0 ], root, 'check root in the tileset' );
+            assert.equal( root.getTileset(), tileset, 'check tileset of the root' );
+            assert.equal( root.getGeometricError(), 100, 'check geometric error' );
+            assert.equal( root.getRefine(), Tile.REPLACE, 'check refine' );
+            assert.equalVector( root.getBound().center(), [ 0, 0, 10 ], 'check box center' );
+            assert.equalVector( root.getBound().radius(), Math.sqrt( 20100 ), 1e-3, 'check box radius' );
+            assert.equal( root.getDatabasePath() + root.getFileName( 0 ), 'tiles/root.b3dm', 'check content url' );
+            assert.equal( root.children.length, 0, 'check content not loaded' );
+
+            var childTiles = root.getChildTiles();
+            assert.equal( childTiles.length, 2, 'check child tiles' );
+
+            var left = childTiles[ 0 ];
+            assert.equal( left.getRefine(), Tile.REPLACE, 'check refine inherited' );
+            assert.isOk( left.getTileNode() instanceof MatrixTransform, 'check transform node' );
+            assert.equalVector( left.getTransform().slice( 12, 15 ), [ 5, 6, 7 ], 'check transform' );
+            assert.equalVector( left.getBound().center(), [ -50, 0, 10 ], 'check sphere center' );
+            assert.equal( left.getBound().radius(), 60, 'check sphere radius' );
+
+            var external = childTiles[ 1 ];
+            assert.equal( external.getRefine(), Tile.ADD, 'check refine' );
+            assert.equal( external.getTileNode(), external, 'check no transform node' );
+            assert.isOk( external._perRangeDataList[ 0 ].function !== undefined, 'check external tileset read by a function' );
+            // region at the equator, around the x axis
+            var center = external.getBound().center();
+            assert.isOk( center[ 0 ] > 6378137 - 1000 && center[ 0 ] < 6378137 + 1000, 'check region center' );
+            assert.equalVector( [ center[ 1 ], center[ 2 ] ], [ 0, 0 ], 1e-3, 'check region center' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriter3DTiles.readNode region and external tileset', function ( done ) {
+        var region = [ -0.01, -0.01, 0.01, 0.01, 0, 100 ];
+        var regionCenter = ReaderWriter3DTiles.computeBoundingSphere( {
+            region: region
+        } )[ 0 ];
+
+        var json = {
+            asset: {
+                version: '1.0'
+            },
+            geometricError: 500,
+            root: {
+                boundingVolume: {
+                    sphere: [ 0, 0, 0, 10 ]
+                },
+                geometricError: 100,
+                transform: [ 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 100, 0, 0, 1 ],
+                children: [ {
+                    boundingVolume: {
+                        region: region
+                    },
+                    geometricError: 10,
+                    content: {
+                        uri: 'external.json'
+                    }
+                } ]
+            }
+        };
+        var externalJSON = {
+            asset: {
+                version: '1.0'
+            },
+            geometricError: 10,
+            root: {
+                boundingVolume: {
+                    region: region
+                },
+                geometricError: 5
+            }
+        };
+
+        var readerWriter = new ReaderWriter3DTiles();
+        readerWriter.requestFile = function () {
+            return P.resolve( JSON.stringify( externalJSON ) );
+        };
+
+        var tileset;
+        readerWriter.readNode( json ).then( function ( node ) {
+            tileset = node;
+            var tile = tileset.getRoot().getChildTiles()[ 0 ];
+            // regions are not moved by the transforms of the tiles
+            assert.equalVector( tile.getBound().center(), [ regionCenter[ 0 ] - 100, regionCenter[ 1 ], regionCenter[ 2 ] ], 1e-3, 'check region in the space of the tile' );
+            return tile._perRangeDataList[ 0 ].function();
+        } ).then( function ( external ) {
+            assert.equalVector( external.getRoot().getBound().center(), [ regionCenter[ 0 ] - 100, regionCenter[ 1 ], regionCenter[ 2 ] ], 1e-3, 'check region of the external tileset' );
+            tileset.setMaximumScreenSpaceError( 8 );
+            assert.equal( external.getMaximumScreenSpaceError(), 8, 'check maximum screen space error of the external tileset' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+
+    test( 'ReaderWriter3DTiles.readNode reject tileset without root', function ( done ) {
+        new ReaderWriter3DTiles().readNode( {
+            asset: {
+                version: '1.0'
+            }
+        } ).catch( function () {
+            done();
+        } );
+    } );
+
+    test( 'ReaderWriter3DTiles.readNode b3dm', function ( done ) {
+        var b3dm = createB3DM( {
+            BATCH_LENGTH: 0,
+            RTC_CENTER: [ 10, 20, 30 ]
+        }, {
+            asset: {
+                version: '2.0'
+            },
+            scene: 0,
+            scenes: [ {
+                nodes: [ 0 ]
+            } ],
+            nodes: [ {
+                name: 'content'
+            } ]
+        } );
+
+        new ReaderWriter3DTiles().readNode( b3dm ).then( function ( node ) {
+            assert.isOk( node instanceof MatrixTransform, 'check transform' );
+            var matrix = node.getMatrix();
+            assert.equalVector( matrix.slice( 12, 15 ), [ 10, 20, 30 ], 'check rtc center' );
+            // y up to z up
+            assert.equalVector( matrix.slice( 4, 7 ), [ 0, 0, 1 ], 1e-6, 'check y axis' );
+
+            var content = node.getChildren()[ 0 ].getChildren()[ 0 ];
+            assert.equal( content.getName(), 'content', 'check glb content' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+};
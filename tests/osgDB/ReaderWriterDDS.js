@@ -0,0 +1,70 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Notify = require( 'osg/Notify' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var Registry = require( 'osgDB/Registry' );
+var ReaderWriterDDS = require( 'osgDB/ReaderWriterDDS' );
+
+
+module.exports = function () {
+
+    // dds of a 8x4 texture with its 3 mipmaps
+    var createDDS = function ( fourCC, blockSize ) {
+        var sizes = [ 2 * blockSize, blockSize, blockSize ];
+        var dds = new ArrayBuffer( 128 + sizes[ 0 ] + sizes[ 1 ] + sizes[ 2 ] );
+        var header = new Int32Array( dds, 0, 32 );
+        var bytes = new Uint8Array( dds );
+        var i;
+
+        for ( i = 0; i < 4; i++ ) bytes[ i ] = 'DDS '.charCodeAt( i );
+        header[ 1 ] = 124;
+        header[ 2 ] = 0x20000; // DDSD_MIPMAPCOUNT
+        header[ 3 ] = 4;
+        header[ 4 ] = 8;
+        header[ 7 ] = 3;
+        header[ 20 ] = 0x4; // DDPF_FOURCC
+        for ( i = 0; i < 4; i++ ) bytes[ 84 + i ] = fourCC.charCodeAt( i );
+        for ( i = 128; i < dds.byteLength; i++ ) bytes[ i ] = i % 256;
+        return dds;
+    };
+
+    test( 'ReaderWriterDDS', function ( done ) {
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'dds', 'readImageURL' );
+        assert.isOk( readerWriter instanceof ReaderWriterDDS, 'check dds plugin registered' );
+
+        var extensions = WebGLCaps.instance().getWebGLExtensions();
+        extensions[ 'WEBGL_compressed_texture_s3tc' ] = {};
+
+        new ReaderWriterDDS().readImage( createDDS( 'DXT5', 16 ) ).then( function ( image ) {
+            delete extensions[ 'WEBGL_compressed_texture_s3tc' ];
+
+            assert.equal( image.getInternalFormat(), Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT, 'check format' );
+            assert.equal( image.getWidth(), 8, 'check width' );
+            assert.equal( image.getHeight(), 4, 'check height' );
+
+            var mipmaps = image.getMipmap();
+            assert.equal( mipmaps.length, 3, 'check mipmaps' );
+            assert.equal( mipmaps[ 1 ].getWidth(), 4, 'check mipmap width' );
+            assert.equal( mipmaps[ 2 ].getHeight(), 1, 'check mipmap height' );
+            assert.equal( mipmaps[ 0 ].getImage().length, 32, 'check level size' );
+            assert.equal( mipmaps[ 1 ].getImage()[ 0 ], 160, 'check level offset' );
+
+            var texture = new Texture();
+            texture.setImage( image );
+            assert.equal( texture.getInternalFormat(), Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT, 'check texture format' );
+            assert.isOk( texture.checkIsCompressed( texture.getInternalFormat() ), 'check texture compressed' );
+            done();
+        } ).catch( function ( error ) {
+            delete extensions[ 'WEBGL_compressed_texture_s3tc' ];
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterDDS reject unsupported format', function ( done ) {
+        // no s3tc extension in the tests
+        new ReaderWriterDDS().readImage( createDDS( 'DXT1', 8 ) ).catch( function () {
+            done();
+        } );
+    } );
+};
@@ -0,0 +1,20 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Registry = require( 'osgDB/Registry' );
+var ReaderWriterDraco = require( 'osgDB/ReaderWriterDraco' );
+
+
+module.exports = function () {
+
+    test( 'ReaderWriterDraco', function ( done ) {
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'drc', 'decodeGeometry' );
+        assert.isOk( readerWriter instanceof ReaderWriterDraco, 'check drc plugin registered' );
+
+        // the decoder is not part of osgjs
+        var draco = new ReaderWriterDraco();
+        assert.isOk( !draco.hasDecoder(), 'check no decoder' );
+        draco.readNode( new ArrayBuffer( 16 ) ).catch( function () {
+            done();
+        } );
+    } );
+};
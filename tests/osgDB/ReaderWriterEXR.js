@@ -0,0 +1,95 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Notify = require( 'osg/Notify' );
+var HDRImage = require( 'osgDB/HDRImage' );
+var Registry = require( 'osgDB/Registry' );
+var ReaderWriterEXR = require( 'osgDB/ReaderWriterEXR' );
+
+
+module.exports = function () {
+
+    // exr of 2x2 pixels with half B, G, R channels, the values of the
+    // scanlines follow the channels
+    var createEXR = function ( compression, values ) {
+        var bytes = [];
+        var pushString = function ( text ) {
+            for ( var i = 0; i < text.length; i++ ) bytes.push( text.charCodeAt( i ) );
+            bytes.push( 0 );
+        };
+        var pushInt = function ( value ) {
+            bytes.push( value & 0xff, ( value >> 8 ) & 0xff, ( value >> 16 ) & 0xff, ( value >> 24 ) & 0xff );
+        };
+
+        pushInt( 20000630 );
+        pushInt( 2 );
+
+        pushString( 'channels' );
+        pushString( 'chlist' );
+        pushInt( 3 * 18 + 1 );
+        [ 'B', 'G', 'R' ].forEach( function ( name ) {
+            pushString( name );
+            pushInt( 1 );
+            pushInt( 0 );
+            pushInt( 1 );
+            pushInt( 1 );
+        } );
+        bytes.push( 0 );
+
+        pushString( 'compression' );
+        pushString( 'compression' );
+        pushInt( 1 );
+        bytes.push( compression );
+
+        pushString( 'dataWindow' );
+        pushString( 'box2i' );
+        pushInt( 16 );
+        [ 0, 0, 1, 1 ].forEach( pushInt );
+        bytes.push( 0 );
+
+        // offset table of the 2 scanlines
+        var tableOffset = bytes.length;
+        var lineSize = 3 * 2 * 2;
+        pushInt( tableOffset + 16 );
+        pushInt( 0 );
+        pushInt( tableOffset + 16 + 8 + lineSize );
+        pushInt( 0 );
+
+        for ( var y = 0; y < 2; y++ ) {
+            pushInt( y );
+            pushInt( lineSize );
+            for ( var i = 0; i < 6; i++ ) {
+                var half = HDRImage.floatToHalf( values[ y * 6 + i ] );
+                bytes.push( half & 0xff, half >> 8 );
+            }
+        }
+
+        return new Uint8Array( bytes ).buffer;
+    };
+
+    test( 'ReaderWriterEXR', function ( done ) {
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'exr', 'readImageURL' );
+        assert.isOk( readerWriter instanceof ReaderWriterEXR, 'check exr plugin registered' );
+
+        var exr = createEXR( 0, [ 0.25, 0.5, 2.0, 4.0, 1.0, 8.0, 0.0, 0.0, 1.5, 1.5, 3.0, 3.0 ] );
+        new ReaderWriterEXR().readImage( exr, {
+            hdrImageStorage: HDRImage.FLOAT
+        } ).then( function ( image ) {
+            assert.equal( image.getWidth(), 2, 'check width' );
+            assert.equal( image.getHeight(), 2, 'check height' );
+            assert.equalVector( image.getImage(), [
+                1.0, 2.0, 0.25, 1.0, 8.0, 4.0, 0.5, 1.0,
+                3.0, 1.5, 0.0, 1.0, 3.0, 1.5, 0.0, 1.0
+            ], 'check colors' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterEXR reject unsupported compression', function ( done ) {
+        // PIZ compression
+        new ReaderWriterEXR().readImage( createEXR( 4, [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ] ) ).catch( function () {
+            done();
+        } );
+    } );
+};
@@ -0,0 +1,591 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+var CullFace = require( 'osg/CullFace' );
+var DrawElements = require( 'osg/DrawElements' );
+var Geometry = require( 'osg/Geometry' );
+var MatrixTransform = require( 'osg/MatrixTransform' );
+var BasicAnimationManager = require( 'osgAnimation/BasicAnimationManager' );
+var Bone = require( 'osgAnimation/Bone' );
+var MorphGeometry = require( 'osgAnimation/MorphGeometry' );
+var RigGeometry = require( 'osgAnimation/RigGeometry' );
+var Skeleton = require( 'osgAnimation/Skeleton' );
+var UpdateMorph = require( 'osgAnimation/UpdateMorph' );
+var ReaderWriterGLTF = require( 'osgDB/ReaderWriterGLTF' );
+
+
+module.exports = function () {
+
+    // pack typed arrays in one buffer, each array aligned on 4 bytes
+    var createBuffer = function ( arrays ) {
+        var offsets = [];
+        var size = 0;
+        var i;
+        for ( i = 0; i < arrays.length; i++ ) {
+            offsets.push( size );
+            size += Math.ceil( arrays[ i ].byteLength / 4 ) * 4;
+        }
+
+        var data = new Uint8Array( size );
+        for ( i = 0; i < arrays.length; i++ ) {
+            data.set( new Uint8Array( arrays[ i ].buffer ), offsets[ i ] );
+        }
+
+        var bufferViews = [];
+        for ( i = 0; i < arrays.length; i++ ) {
+            bufferViews.push( {
+                buffer: 0,
+                byteOffset: offsets[ i ],
+                byteLength: arrays[ i ].byteLength
+            } );
+        }
+
+        return {
+            data: data,
+            bufferViews: bufferViews
+        };
+    };
+
+    var toDataURI = function ( data ) {
+        var str = '';
+        for ( var i = 0; i < data.length; i++ ) str += String.fromCharCode( data[ i ] );
+        return 'data:application/octet-stream;base64,' + window.btoa( str );
+    };
+
+    var createGLB = function ( json, data ) {
+        var jsonText = JSON.stringify( json );
+        while ( jsonText.length % 4 ) jsonText += ' ';
+
+        var length = 12 + 8 + jsonText.length + 8 + data.length;
+        var glb = new ArrayBuffer( length );
+        var view = new DataView( glb );
+        var bytes = new Uint8Array( glb );
+        view.setUint32( 0, 0x46546C67, true );
+        view.setUint32( 4, 2, true );
+        view.setUint32( 8, length, true );
+
+        view.setUint32( 12, jsonText.length, true );
+        view.setUint32( 16, 0x4E4F534A, true );
+        for ( var i = 0; i < jsonText.length; i++ ) bytes[ 20 + i ] = jsonText.charCodeAt( i );
+
+        var offset = 20 + jsonText.length;
+        view.setUint32( offset, data.length, true );
+        view.setUint32( offset + 4, 0x004E4942, true );
+        bytes.set( data, offset + 8 );
+        return glb;
+    };
+
+    var createTriangle = function () {
+        var buffer = createBuffer( [
+            new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] ),
+            new Uint16Array( [ 0, 1, 2 ] )
+        ] );
+
+        var json = {
+            asset: {
+                version: '2.0'
+            },
+            scene: 0,
+            scenes: [ {
+                nodes: [ 0 ]
+            } ],
+            nodes: [ {
+                name: 'triangle',
+                mesh: 0,
+                translation: [ 1, 2, 3 ]
+            } ],
+            meshes: [ {
+                primitives: [ {
+                    attributes: {
+                        POSITION: 0
+                    },
+                    indices: 1,
+                    material: 0
+                } ]
+            } ],
+            materials: [ {
+                pbrMetallicRoughness: {
+                    baseColorFactor: [ 1, 0, 0, 1 ]
+                },
+                doubleSided: true
+            } ],
+            buffers: [ {
+                byteLength: buffer.data.length
+            } ],
+            bufferViews: buffer.bufferViews,
+            accessors: [ {
+                bufferView: 0,
+                componentType: 5126,
+                count: 3,
+                type: 'VEC3'
+            }, {
+                bufferView: 1,
+                componentType: 5123,
+                count: 3,
+                type: 'SCALAR'
+            } ]
+        };
+
+        return {
+            json: json,
+            data: buffer.data
+        };
+    };
+
+    var checkTriangle = function ( root ) {
+        var node = root.getChildren()[ 0 ];
+        assert.isOk( node instanceof MatrixTransform, 'check node type' );
+        assert.equal( node.getName(), 'triangle', 'check node name' );
+        assert.equalVector( node.getMatrix().slice( 12, 15 ), [ 1, 2, 3 ], 'check translation' );
+
+        var geometry = node.getChildren()[ 0 ];
+        assert.isOk( geometry instanceof Geometry, 'check geometry type' );
+        var vertices = geometry.getVertexAttributeList().Vertex;
+        assert.equal( vertices.getItemSize(), 3, 'check vertex item size' );
+        assert.equalVector( vertices.getElements(), [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ], 'check vertices' );
+
+        var primitive = geometry.getPrimitiveSetList()[ 0 ];
+        assert.isOk( primitive instanceof DrawElements, 'check primitive type' );
+        assert.equal( primitive.getCount(), 3, 'check primitive count' );
+
+        var stateSet = geometry.getStateSet();
+        assert.equalVector( stateSet.getAttribute( 'Material' ).getBaseColor(), [ 1, 0, 0, 1 ], 'check base color' );
+        assert.equal( stateSet.getAttribute( 'CullFace' ).getMode(), CullFace.DISABLE, 'check double sided' );
+    };
+
+    test( 'ReaderWriterGLTF.readNode gltf', function ( done ) {
+        var asset = createTriangle();
+        asset.json.buffers[ 0 ].uri = toDataURI( asset.data );
+
+        new ReaderWriterGLTF().readNode( asset.json ).then( function ( root ) {
+            checkTriangle( root );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode glb', function ( done ) {
+        var asset = createTriangle();
+        var glb = createGLB( asset.json, asset.data );
+
+        new ReaderWriterGLTF().readNode( glb ).then( function ( root ) {
+            checkTriangle( root );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode reject unsupported version', function ( done ) {
+        new ReaderWriterGLTF().readNode( {
+            asset: {
+                version: '1.0'
+            }
+        } ).catch( function () {
+            done();
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode KHR_mesh_quantization', function ( done ) {
+        var buffer = createBuffer( [
+            new Uint16Array( [ 0, 0, 0, 65535, 0, 0, 0, 65535, 0 ] ),
+            new Uint16Array( [ 0, 1, 2 ] )
+        ] );
+        var asset = createTriangle();
+        var json = asset.json;
+        json.extensionsUsed = json.extensionsRequired = [ 'KHR_mesh_quantization' ];
+        json.buffers[ 0 ] = {
+            byteLength: buffer.data.length,
+            uri: toDataURI( buffer.data )
+        };
+        json.bufferViews = buffer.bufferViews;
+        json.accessors[ 0 ].componentType = 5123;
+        json.accessors[ 0 ].normalized = true;
+
+        new ReaderWriterGLTF().readNode( json ).then( function ( root ) {
+            var geometry = root.getChildren()[ 0 ].getChildren()[ 0 ];
+            var vertices = geometry.getVertexAttributeList().Vertex.getElements();
+            assert.isOk( vertices instanceof Float32Array, 'check dequantized vertices' );
+            assert.equalVector( vertices, [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ], 'check vertices' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode 32 bits indices', function ( done ) {
+        var buffer = createBuffer( [
+            new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] ),
+            new Uint32Array( [ 0, 1, 2 ] )
+        ] );
+        var json = createTriangle().json;
+        json.buffers[ 0 ] = {
+            byteLength: buffer.data.length,
+            uri: toDataURI( buffer.data )
+        };
+        json.bufferViews = buffer.bufferViews;
+        json.accessors[ 1 ].componentType = 5125;
+
+        new ReaderWriterGLTF().readNode( json ).then( function ( root ) {
+            var geometry = root.getChildren()[ 0 ].getChildren()[ 0 ];
+            var indices = geometry.getPrimitiveSetList()[ 0 ].getIndices().getElements();
+            assert.isOk( indices instanceof Uint16Array, 'check 16 bits indices for a small mesh' );
+            assert.equalVector( indices, [ 0, 1, 2 ], 'check indices' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode material maps', function ( done ) {
+        var buffer = createBuffer( [
+            new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] ),
+            new Uint16Array( [ 0, 1, 2 ] ),
+            new Float32Array( [ 0, 0, 1, 0, 0, 1, 0, 0, 1 ] ),
+            new Float32Array( [ 0, 0, 1, 0, 0, 1 ] ),
+            new Float32Array( [ 0, 0, 0.5, 0, 0, 0.5 ] )
+        ] );
+        var json = createTriangle().json;
+        json.buffers[ 0 ] = {
+            byteLength: buffer.data.length,
+            uri: toDataURI( buffer.data )
+        };
+        json.bufferViews = buffer.bufferViews;
+        json.accessors.push( {
+            bufferView: 2,
+            componentType: 5126,
+            count: 3,
+            type: 'VEC3'
+        }, {
+            bufferView: 3,
+            componentType: 5126,
+            count: 3,
+            type: 'VEC2'
+        }, {
+            bufferView: 4,
+            componentType: 5126,
+            count: 3,
+            type: 'VEC2'
+        } );
+        json.meshes[ 0 ].primitives[ 0 ].attributes = {
+            POSITION: 0,
+            NORMAL: 2,
+            TEXCOORD_0: 3,
+            TEXCOORD_1: 4
+        };
+        json.images = [ {
+            uri: 'color.png'
+        }, {
+            uri: 'normal.png'
+        } ];
+        json.textures = [ {
+            source: 0
+        }, {
+            source: 1
+        } ];
+        var material = json.materials[ 0 ];
+        material.pbrMetallicRoughness.metallicFactor = 0.0;
+        material.pbrMetallicRoughness.baseColorTexture = {
+            index: 0,
+            texCoord: 1
+        };
+        material.normalTexture = {
+            index: 1
+        };
+
+        var options = {
+            readImageURL: function ( url ) {
+                return P.resolve( {
+                    url: url
+                } );
+            }
+        };
+
+        new ReaderWriterGLTF().readNode( json, options ).then( function ( root ) {
+            var geometry = root.getChildren()[ 0 ].getChildren()[ 0 ];
+            var stateSet = geometry.getStateSet();
+            var pbrMaterial = stateSet.getAttribute( 'Material' );
+            assert.equal( pbrMaterial.className(), 'PBRMaterial', 'check PBRMaterial' );
+            assert.equal( pbrMaterial.getMetallic(), 0.0, 'check metallic' );
+            assert.equal( pbrMaterial.getRoughness(), 1.0, 'check default roughness' );
+            assert.equal( pbrMaterial.getBaseColorTextureUnit(), 0, 'check base color texture unit' );
+            assert.equal( pbrMaterial.getNormalTextureUnit(), 2, 'check normal texture unit' );
+            assert.equal( pbrMaterial.getMetallicRoughnessTextureUnit(), -1, 'check no metallic roughness texture' );
+            assert.equal( stateSet.getTextureAttribute( 0, 'Texture' ).getImage().url, 'color.png', 'check base color texture' );
+            assert.equal( stateSet.getTextureAttribute( 2, 'Texture' ).getImage().url, 'normal.png', 'check normal texture' );
+
+            var vertexAttributes = geometry.getVertexAttributeList();
+            assert.equalVector( vertexAttributes.TexCoord0.getElements(), [ 0, 0, 0.5, 0, 0, 0.5 ], 'check base color texture coordinates' );
+            assert.equalVector( vertexAttributes.TexCoord2.getElements(), [ 0, 0, 1, 0, 0, 1 ], 'check normal texture coordinates' );
+            assert.equalVector( vertexAttributes.Tangent.getElements(), [ 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0 ], 'check generated tangents' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode KHR_draco_mesh_compression fallback', function ( done ) {
+        var asset = createTriangle();
+        var json = asset.json;
+        asset.json.buffers[ 0 ].uri = toDataURI( asset.data );
+        json.extensionsUsed = [ 'KHR_draco_mesh_compression' ];
+        // without decoder the uncompressed accessors are used
+        json.meshes[ 0 ].primitives[ 0 ].extensions = {
+            'KHR_draco_mesh_compression': {
+                bufferView: 0,
+                attributes: {
+                    POSITION: 0
+                }
+            }
+        };
+
+        new ReaderWriterGLTF().readNode( json ).then( function ( root ) {
+            checkTriangle( root );
+
+            json.extensionsRequired = [ 'KHR_draco_mesh_compression' ];
+            return new ReaderWriterGLTF().readNode( json );
+        } ).catch( function () {
+            done();
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode skin and animation', function ( done ) {
+        var inverseBindMatrices = new Float32Array( 32 );
+        inverseBindMatrices.set( [ 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1 ] );
+        inverseBindMatrices.set( [ 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -1, 0, 1 ], 16 );
+
+        var buffer = createBuffer( [
+            new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 2, 0 ] ),
+            new Uint8Array( [ 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0 ] ),
+            new Float32Array( [ 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0 ] ),
+            inverseBindMatrices,
+            new Float32Array( [ 0, 1 ] ),
+            new Float32Array( [ 0, 0, 0, 1, 0, 0, 0.7071, 0.7071 ] ),
+            new Float32Array( [ 0, 1, 0, 0, 2, 0 ] )
+        ] );
+
+        var json = {
+            asset: {
+                version: '2.0'
+            },
+            scenes: [ {
+                nodes: [ 0, 2 ]
+            } ],
+            nodes: [ {
+                name: 'root',
+                children: [ 1 ]
+            }, {
+                name: 'child',
+                translation: [ 0, 1, 0 ]
+            }, {
+                name: 'mesh',
+                mesh: 0,
+                skin: 0
+            } ],
+            skins: [ {
+                joints: [ 0, 1 ],
+                inverseBindMatrices: 3
+            } ],
+            meshes: [ {
+                primitives: [ {
+                    attributes: {
+                        POSITION: 0,
+                        JOINTS_0: 1,
+                        WEIGHTS_0: 2
+                    }
+                } ]
+            } ],
+            animations: [ {
+                name: 'bend',
+                samplers: [ {
+                    input: 4,
+                    output: 5
+                }, {
+                    input: 4,
+                    output: 6,
+                    interpolation: 'STEP'
+                } ],
+                channels: [ {
+                    sampler: 0,
+                    target: {
+                        node: 1,
+                        path: 'rotation'
+                    }
+                }, {
+                    sampler: 1,
+                    target: {
+                        node: 1,
+                        path: 'translation'
+                    }
+                } ]
+            } ],
+            buffers: [ {
+                byteLength: buffer.data.length,
+                uri: toDataURI( buffer.data )
+            } ],
+            bufferViews: buffer.bufferViews,
+            accessors: [ {
+                bufferView: 0,
+                componentType: 5126,
+                count: 3,
+                type: 'VEC3'
+            }, {
+                bufferView: 1,
+                componentType: 5121,
+                count: 3,
+                type: 'VEC4'
+            }, {
+                bufferView: 2,
+                componentType: 5126,
+                count: 3,
+                type: 'VEC4'
+            }, {
+                bufferView: 3,
+                componentType: 5126,
+                count: 2,
+                type: 'MAT4'
+            }, {
+                bufferView: 4,
+                componentType: 5126,
+                count: 2,
+                type: 'SCALAR'
+            }, {
+                bufferView: 5,
+                componentType: 5126,
+                count: 2,
+                type: 'VEC4'
+            }, {
+                bufferView: 6,
+                componentType: 5126,
+                count: 2,
+                type: 'VEC3'
+            } ]
+        };
+
+        new ReaderWriterGLTF().readNode( json ).then( function ( root ) {
+            var skeleton = root.getChildren()[ 0 ];
+            assert.isOk( skeleton instanceof Skeleton, 'check skeleton inserted above root joint' );
+
+            var rootBone = skeleton.getChildren()[ 0 ];
+            var childBone = rootBone.getChildren()[ 0 ];
+            assert.isOk( rootBone instanceof Bone && childBone instanceof Bone, 'check bones' );
+            assert.equal( childBone.getName(), 'child', 'check bone name' );
+            assert.equal( childBone.getUpdateCallback().getName(), 'child', 'check update bone name' );
+            assert.equal( childBone.getInvBindMatrixInSkeletonSpace()[ 13 ], -1, 'check inverse bind matrix' );
+            assert.isOk( childBone.getBoneBoundingBox().valid(), 'check bone bounding box' );
+
+            var rig = skeleton.getChildren()[ 1 ].getChildren()[ 0 ];
+            assert.isOk( rig instanceof RigGeometry, 'check rig geometry' );
+            assert.equal( rig._boneNameID.child, 1, 'check bone map' );
+            assert.equalVector( rig.getVertexAttributeList().Bones.getElements().slice( 0, 8 ), [ 0, 0, 0, 0, 1, 0, 0, 0 ], 'check bones attribute' );
+
+            var manager = root.getUpdateCallbackList()[ 0 ];
+            assert.isOk( manager instanceof BasicAnimationManager, 'check animation manager' );
+
+            var channels = manager.getAnimations().bend.channels;
+            assert.equal( channels[ 0 ].channel.name, 'rotate', 'check rotation channel name' );
+            assert.equal( channels[ 0 ].channel.target, 'child', 'check rotation channel target' );
+            assert.equal( channels[ 1 ].channel.times.length, 3, 'check step keys are duplicated' );
+            assert.equalVector( channels[ 1 ].channel.keys, [ 0, 1, 0, 0, 1, 0, 0, 2, 0 ], 'check step keys' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterGLTF.readNode morph targets', function ( done ) {
+        var buffer = createBuffer( [
+            new Float32Array( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] ),
+            new Float32Array( [ 0, 0, 1, 0, 0, 1, 0, 0, 1 ] ),
+            new Float32Array( [ 0, 1 ] ),
+            new Float32Array( [ 0, 0, 1, 0, 1, 0 ] )
+        ] );
+
+        var json = {
+            asset: {
+                version: '2.0'
+            },
+            nodes: [ {
+                name: 'morph',
+                mesh: 0
+            } ],
+            meshes: [ {
+                weights: [ 0.5 ],
+                primitives: [ {
+                    attributes: {
+                        POSITION: 0
+                    },
+                    targets: [ {
+                        POSITION: 1
+                    } ]
+                } ]
+            } ],
+            animations: [ {
+                samplers: [ {
+                    input: 2,
+                    output: 3,
+                    interpolation: 'CUBICSPLINE'
+                } ],
+                channels: [ {
+                    sampler: 0,
+                    target: {
+                        node: 0,
+                        path: 'weights'
+                    }
+                } ]
+            } ],
+            buffers: [ {
+                byteLength: buffer.data.length,
+                uri: toDataURI( buffer.data )
+            } ],
+            bufferViews: buffer.bufferViews,
+            accessors: [ {
+                bufferView: 0,
+                componentType: 5126,
+                count: 3,
+                type: 'VEC3'
+            }, {
+                bufferView: 1,
+                componentType: 5126,
+                count: 3,
+                type: 'VEC3'
+            }, {
+                bufferView: 2,
+                componentType: 5126,
+                count: 2,
+                type: 'SCALAR'
+            }, {
+                bufferView: 3,
+                componentType: 5126,
+                count: 6,
+                type: 'SCALAR'
+            } ]
+        };
+
+        new ReaderWriterGLTF().readNode( json ).then( function ( root ) {
+            var node = root.getChildren()[ 0 ];
+            var morph = node.getChildren()[ 0 ];
+            assert.isOk( morph instanceof MorphGeometry, 'check morph geometry' );
+            assert.equal( morph.getName(), 'morph', 'check morph geometry name' );
+
+            var target = morph.getMorphTargets()[ 0 ].getVertexAttributeList().Vertex;
+            assert.equalVector( target.getElements(), [ 0, 0, 1, 1, 0, 1, 0, 1, 1 ], 'check absolute morph target' );
+
+            var updateMorph = node.getUpdateCallbackList()[ 0 ];
+            assert.isOk( updateMorph instanceof UpdateMorph, 'check update morph' );
+            assert.equal( updateMorph.getName(), 'morph', 'check update morph name' );
+            assert.equal( updateMorph.getTarget( 0 ).value, 0.5, 'check default weight' );
+
+            var channel = root.getUpdateCallbackList()[ 0 ].getAnimations().animation0.channels[ 0 ].channel;
+            assert.equal( channel.target + '.' + channel.name, 'morph.0', 'check weight channel target' );
+            assert.equalVector( channel.keys, [ 0, 1 / 3, 1, 1, 1, 1 ], 'check cubic bezier keys' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+};
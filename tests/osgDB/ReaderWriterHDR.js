@@ -0,0 +1,90 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Notify = require( 'osg/Notify' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var HDRImage = require( 'osgDB/HDRImage' );
+var Registry = require( 'osgDB/Registry' );
+var ReaderWriterHDR = require( 'osgDB/ReaderWriterHDR' );
+
+
+module.exports = function () {
+
+    var createHDR = function ( width, height, scanlines ) {
+        var header = '#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ' + height + ' +X ' + width + '\n';
+        var hdr = new Uint8Array( header.length + scanlines.length );
+        for ( var i = 0; i < header.length; i++ ) hdr[ i ] = header.charCodeAt( i );
+        hdr.set( scanlines, header.length );
+        return hdr.buffer;
+    };
+
+    test( 'HDRImage', function () {
+        assert.equal( HDRImage.halfToFloat( HDRImage.floatToHalf( 1.5 ) ), 1.5, 'check half float' );
+        assert.equal( HDRImage.halfToFloat( HDRImage.floatToHalf( -0.25 ) ), -0.25, 'check negative half float' );
+        assert.equal( HDRImage.floatToHalf( 1e6 ), 0x7c00, 'check half float infinity' );
+
+        var rgba = [ 3.0, 0.5, 0.25, 1.0 ];
+        var rgbe = HDRImage.encodeRGBE( rgba, new Uint8Array( 4 ) );
+        assert.equalVector( HDRImage.decodeRGBE( rgbe, [] ), rgba, 1e-2, 'check rgbe' );
+
+        var rgbm = HDRImage.encodeRGBM( rgba, 8.0, new Uint8Array( 4 ) );
+        var m = rgbm[ 3 ] / 255 * 8.0;
+        assert.equalVector( [ rgbm[ 0 ] / 255 * m, rgbm[ 1 ] / 255 * m, rgbm[ 2 ] / 255 * m ], [ 3.0, 0.5, 0.25 ], 2e-2, 'check rgbm' );
+
+        // no float textures in the tests
+        assert.equal( HDRImage.getStorage(), HDRImage.RGBM, 'check rgbm fallback' );
+
+        var caps = WebGLCaps.instance();
+        var extensions = caps.getWebGLExtensions();
+        extensions[ 'OES_texture_float' ] = extensions[ 'OES_texture_float_linear' ] = true;
+        caps._checkRTT[ Texture.FLOAT + ',' + Texture.NEAREST ] = true;
+        caps._checkRTT[ Texture.FLOAT + ',' + Texture.LINEAR ] = true;
+        assert.equal( HDRImage.getStorage(), HDRImage.FLOAT, 'check float storage' );
+        delete extensions[ 'OES_texture_float' ];
+        delete extensions[ 'OES_texture_float_linear' ];
+        delete caps._checkRTT[ Texture.FLOAT + ',' + Texture.NEAREST ];
+        delete caps._checkRTT[ Texture.FLOAT + ',' + Texture.LINEAR ];
+
+        assert.equal( HDRImage.getStorage( {
+            hdrImageStorage: HDRImage.HALF_FLOAT
+        } ), HDRImage.HALF_FLOAT, 'check storage option' );
+
+        var image = HDRImage.createImage( new Float32Array( rgba ), 1, 1, {
+            hdrImageStorage: HDRImage.HALF_FLOAT
+        } );
+        assert.isOk( image.getImage() instanceof Uint16Array, 'check half float data' );
+        var texture = new Texture();
+        texture.setImage( image );
+        assert.equal( texture.getInternalFormatType(), Texture.HALF_FLOAT, 'check texture type' );
+    } );
+
+    test( 'ReaderWriterHDR', function ( done ) {
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'hdr', 'readImageURL' );
+        assert.isOk( readerWriter instanceof ReaderWriterHDR, 'check hdr plugin registered' );
+
+        // a flat scanline of 2 pixels
+        var flat = createHDR( 2, 1, [ 128, 64, 32, 129, 0, 0, 0, 0 ] );
+        new ReaderWriterHDR().readImage( flat, {
+            hdrImageStorage: HDRImage.FLOAT
+        } ).then( function ( image ) {
+            assert.equal( image.getWidth(), 2, 'check width' );
+            assert.equal( image.getInternalFormatType(), Texture.FLOAT, 'check float type' );
+            assert.equalVector( image.getImage(), [ 1.0, 0.5, 0.25, 1.0, 0, 0, 0, 1.0 ], 'check flat colors' );
+
+            // run length encoded scanline of 8 pixels, runs of r, g and
+            // e, 8 values of b
+            var rle = createHDR( 8, 1, [ 2, 2, 0, 8, 136, 128, 136, 64, 8, 1, 2, 3, 4, 5, 6, 7, 8, 136, 129 ] );
+            return new ReaderWriterHDR().readImage( rle, {
+                hdrImageStorage: HDRImage.RGBE
+            } );
+        } ).then( function ( image ) {
+            assert.equal( image.getColorEncoding(), HDRImage.RGBE, 'check rgbe encoding' );
+            var data = image.getImage();
+            assert.equalVector( data.subarray( 0, 8 ), [ 128, 64, 1, 129, 128, 64, 2, 129 ], 'check rle colors' );
+            assert.equalVector( data.subarray( 28, 32 ), [ 128, 64, 8, 129 ], 'check last pixel' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+};
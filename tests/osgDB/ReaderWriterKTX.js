@@ -0,0 +1,158 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Notify = require( 'osg/Notify' );
+var Texture = require( 'osg/Texture' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var Registry = require( 'osgDB/Registry' );
+var ReaderWriterKTX = require( 'osgDB/ReaderWriterKTX' );
+
+
+module.exports = function () {
+
+    var KTX_IDENTIFIER = [ 0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A ];
+    var KTX2_IDENTIFIER = [ 0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A ];
+
+    // ktx of a 4x4 etc1 texture with 3 levels, the sizes are padded
+    var createKTX = function () {
+        var ktx = new ArrayBuffer( 64 + 3 * ( 4 + 8 ) );
+        var view = new DataView( ktx );
+        new Uint8Array( ktx ).set( KTX_IDENTIFIER, 0 );
+        view.setUint32( 12, 0x04030201, true );
+        view.setUint32( 28, Texture.COMPRESSED_RGB_ETC1_WEBGL, true );
+        view.setUint32( 36, 4, true );
+        view.setUint32( 40, 4, true );
+        view.setUint32( 52, 1, true );
+        view.setUint32( 56, 3, true );
+        for ( var i = 0; i < 3; i++ ) {
+            view.setUint32( 64 + i * 12, 8, true );
+            view.setUint8( 68 + i * 12, i + 1 );
+        }
+        return ktx;
+    };
+
+    // ktx2 of a 2x2 texture with 2 levels
+    var createKTX2 = function ( vkFormat, sizes ) {
+        var offset = 80 + sizes.length * 24;
+        var ktx2 = new ArrayBuffer( offset + sizes[ 0 ] + ( sizes[ 1 ] || 0 ) );
+        var view = new DataView( ktx2 );
+        new Uint8Array( ktx2 ).set( KTX2_IDENTIFIER, 0 );
+        view.setUint32( 12, vkFormat, true );
+        view.setUint32( 20, 2, true );
+        view.setUint32( 24, 2, true );
+        view.setUint32( 36, 1, true );
+        view.setUint32( 40, sizes.length, true );
+        for ( var i = 0; i < sizes.length; i++ ) {
+            view.setUint32( 80 + i * 24, offset, true );
+            view.setUint32( 80 + i * 24 + 8, sizes[ i ], true );
+            view.setUint8( offset, i + 1 );
+            offset += sizes[ i ];
+        }
+        return ktx2;
+    };
+
+    test( 'ReaderWriterKTX ktx', function ( done ) {
+        var readerWriter = Registry.instance().getReaderWriterForExtension( 'ktx2', 'readImageURL' );
+        assert.isOk( readerWriter instanceof ReaderWriterKTX, 'check ktx2 plugin registered' );
+
+        var extensions = WebGLCaps.instance().getWebGLExtensions();
+        extensions[ 'WEBGL_compressed_texture_etc1' ] = {};
+
+        new ReaderWriterKTX().readImage( createKTX() ).then( function ( image ) {
+            delete extensions[ 'WEBGL_compressed_texture_etc1' ];
+
+            assert.equal( image.getInternalFormat(), Texture.COMPRESSED_RGB_ETC1_WEBGL, 'check format' );
+            var mipmaps = image.getMipmap();
+            assert.equal( mipmaps.length, 3, 'check mipmaps' );
+            assert.equal( mipmaps[ 2 ].getWidth(), 1, 'check mipmap width' );
+            assert.equal( mipmaps[ 1 ].getImage().length, 8, 'check level size' );
+            assert.equal( mipmaps[ 2 ].getImage()[ 0 ], 3, 'check level offset' );
+            done();
+        } ).catch( function ( error ) {
+            delete extensions[ 'WEBGL_compressed_texture_etc1' ];
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterKTX ktx2', function ( done ) {
+        // R8G8B8A8_UNORM does not need an extension
+        new ReaderWriterKTX().readImage( createKTX2( 37, [ 16, 4 ] ) ).then( function ( image ) {
+            assert.equal( image.getInternalFormat(), Texture.RGBA, 'check format' );
+            assert.equal( image.getWidth(), 2, 'check width' );
+            var mipmaps = image.getMipmap();
+            assert.equal( mipmaps.length, 2, 'check mipmaps' );
+            assert.equal( mipmaps[ 1 ].getWidth(), 1, 'check mipmap width' );
+            assert.equal( mipmaps[ 1 ].getImage()[ 0 ], 2, 'check level offset' );
+
+            // ASTC_4x4_UNORM_BLOCK without the astc extension
+            return new ReaderWriterKTX().readImage( createKTX2( 157, [ 16 ] ) ).catch( function () {
+                done();
+            } );
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterKTX basis', function ( done ) {
+        var transcoded = [];
+        var transcoder = {
+            initializeBasis: function () {},
+            KTX2File: function () {
+                this.isValid = function () {
+                    return true;
+                };
+                this.startTranscoding = function () {
+                    return true;
+                };
+                this.getWidth = function () {
+                    return 8;
+                };
+                this.getHeight = function () {
+                    return 8;
+                };
+                this.getHasAlpha = function () {
+                    return false;
+                };
+                this.getLevels = function () {
+                    return 2;
+                };
+                this.getImageLevelInfo = function ( level ) {
+                    return {
+                        origWidth: 8 >> level,
+                        origHeight: 8 >> level
+                    };
+                };
+                this.getImageTranscodedSizeInBytes = function ( level ) {
+                    return 32 >> level;
+                };
+                this.transcodeImage = function ( data, level, layer, face, format ) {
+                    transcoded.push( format );
+                    return true;
+                };
+                this.close = function () {};
+                this.delete = function () {};
+            }
+        };
+
+        var extensions = WebGLCaps.instance().getWebGLExtensions();
+        assert.equal( ReaderWriterKTX.getTranscoderTarget( false, 8, 8 ).format, Texture.RGBA, 'check uncompressed fallback' );
+
+        extensions[ 'WEBGL_compressed_texture_s3tc' ] = {};
+        assert.equal( ReaderWriterKTX.getTranscoderTarget( true, 8, 8 ).format, Texture.COMPRESSED_RGBA_S3TC_DXT5_EXT, 'check alpha target' );
+        assert.equal( ReaderWriterKTX.getTranscoderTarget( false, 8, 8 ).format, Texture.COMPRESSED_RGB_S3TC_DXT1_EXT, 'check opaque target' );
+
+        var readerWriter = new ReaderWriterKTX();
+        readerWriter.setTranscoderModule( transcoder );
+        readerWriter.readImage( createKTX2( 0, [ 16 ] ) ).then( function ( image ) {
+            delete extensions[ 'WEBGL_compressed_texture_s3tc' ];
+
+            assert.deepEqual( transcoded, [ 2, 2 ], 'check transcoded to bc1' );
+            assert.equal( image.getInternalFormat(), Texture.COMPRESSED_RGB_S3TC_DXT1_EXT, 'check format' );
+            assert.equal( image.getMipmap()[ 1 ].getWidth(), 4, 'check mipmap width' );
+            assert.equal( image.getMipmap()[ 1 ].getImage().length, 16, 'check mipmap size' );
+            done();
+        } ).catch( function ( error ) {
+            delete extensions[ 'WEBGL_compressed_texture_s3tc' ];
+            Notify.error( error );
+        } );
+    } );
+};
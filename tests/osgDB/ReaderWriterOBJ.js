@@ -0,0 +1,203 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+var Geometry = require( 'osg/Geometry' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var Texture = require( 'osg/Texture' );
+var BufferArray = require( 'osg/BufferArray' );
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var ReaderWriterOBJ = require( 'osgDB/ReaderWriterOBJ' );
+var Registry = require( 'osgDB/Registry' );
+
+
+module.exports = function () {
+
+    var quad = [
+        'v 0 0 0',
+        'v 1 0 0',
+        'v 1 1 0',
+        'v 0 1 0'
+    ].join( '\n' );
+
+    test( 'ReaderWriterOBJ.readNode', function ( done ) {
+        var obj = [
+            '# quad and triangle',
+            quad,
+            'vt 0 0',
+            'vt 1 0',
+            'vt 1 1',
+            'vt 0 1',
+            'vn 0 0 1',
+            'f 1/1/1 2/2/1 3/3/1 4/4/1',
+            'o triangle',
+            'v 0 0 1',
+            'f -3 -2 \\',
+            '  -1'
+        ].join( '\n' );
+
+        new ReaderWriterOBJ().readNode( obj ).then( function ( root ) {
+            var children = root.getChildren();
+            assert.equal( children.length, 2, 'check geometry and object' );
+
+            var geometry = children[ 0 ];
+            assert.isOk( geometry instanceof Geometry, 'check geometry outside sections' );
+            var attributes = geometry.getVertexAttributeList();
+            assert.equal( attributes.Vertex.getElements().length, 12, 'check vertexes' );
+            assert.equalVector( attributes.Normal.getElements().subarray( 0, 3 ), [ 0, 0, 1 ], 'check normal' );
+            assert.equalVector( attributes.TexCoord0.getElements(), [ 0, 0, 1, 0, 1, 1, 0, 1 ], 'check texcoords' );
+
+            var primitive = geometry.getPrimitiveSetList()[ 0 ];
+            assert.equal( primitive.getMode(), PrimitiveSet.TRIANGLES, 'check triangles' );
+            assert.equalVector( primitive.getIndices().getElements(), [ 0, 1, 2, 0, 2, 3 ], 'check fan triangulation' );
+            assert.isOk( geometry.getStateSet().getAttribute( 'Material' ) !== undefined, 'check default material' );
+
+            var object = children[ 1 ];
+            assert.equal( object.getName(), 'triangle', 'check object name' );
+            var triangle = object.getChildren()[ 0 ].getVertexAttributeList();
+            assert.equalVector( triangle.Vertex.getElements(), [ 1, 1, 0, 0, 1, 0, 0, 0, 1 ], 'check negative indices' );
+            assert.equal( triangle.TexCoord0, undefined, 'check no texcoords' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterOBJ.readNode generate normals', function ( done ) {
+        var obj = [
+            quad,
+            'v 0 0 -1',
+            'g smooth',
+            'f 1 2 3',
+            'f 1 3 4',
+            'f 1 4 5',
+            'g flat',
+            's off',
+            'f 1 3 4',
+            'f 1 4 5'
+        ].join( '\n' );
+
+        new ReaderWriterOBJ().readNode( obj ).then( function ( root ) {
+            var smooth = root.getChildren()[ 0 ];
+            var flat = root.getChildren()[ 1 ];
+            assert.equal( smooth.getName(), 'smooth', 'check group name' );
+
+            var attributes = smooth.getChildren()[ 0 ].getVertexAttributeList();
+            assert.equal( attributes.Vertex.getElements().length, 15, 'check shared vertexes' );
+            var normals = attributes.Normal.getElements();
+            assert.equalVector( normals.subarray( 3, 6 ), [ 0, 0, 1 ], 'check normal of faces in plane' );
+            assert.equalVector( normals.subarray( 9, 12 ), [ -Math.SQRT1_2, 0, Math.SQRT1_2 ], 'check smoothed normal' );
+
+            attributes = flat.getChildren()[ 0 ].getVertexAttributeList();
+            assert.equal( attributes.Vertex.getElements().length, 18, 'check vertexes of flat faces' );
+            assert.equalVector( attributes.Normal.getElements().subarray( 0, 3 ), [ 0, 0, 1 ], 'check flat normal' );
+            assert.equalVector( attributes.Normal.getElements().subarray( 9, 12 ), [ -1, 0, 0 ], 'check flat normal' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterOBJ.readNode materials', function ( done ) {
+        var obj = [
+            'mtllib cube.mtl',
+            quad,
+            'vt 0 0',
+            'o cube',
+            'g front',
+            'usemtl red',
+            'f 1/1 2/1 3/1',
+            'usemtl glass',
+            'f 1/1 3/1 4/1',
+            'usemtl red',
+            'f 1/1 3/1 4/1'
+        ].join( '\n' );
+
+        var urls = [];
+        var options = {
+            prefixURL: 'mockup/',
+            readImageURL: function ( url ) {
+                urls.push( url );
+                return P.resolve( {
+                    url: url
+                } );
+            }
+        };
+
+        new ReaderWriterOBJ().readNode( obj, options ).then( function ( root ) {
+            var cube = root.getChildren()[ 0 ];
+            assert.equal( cube.getName(), 'cube', 'check object' );
+            var front = cube.getChildren()[ 0 ];
+            assert.equal( front.getName(), 'front', 'check group in object' );
+            assert.equal( front.getChildren().length, 2, 'check a geometry by material' );
+
+            var red = front.getChildren()[ 0 ];
+            var stateSet = red.getStateSet();
+            assert.equal( stateSet.getName(), 'red', 'check material name' );
+            assert.equal( red.getPrimitiveSetList()[ 0 ].getIndices().getElements().length, 6, 'check faces merged by material' );
+
+            var material = stateSet.getAttribute( 'Material' );
+            assert.equalVector( material.getDiffuse(), [ 1, 0, 0, 1 ], 'check diffuse' );
+            assert.equalVector( material.getAmbient(), [ 0.1, 0.1, 0.1, 1 ], 'check ambient' );
+            assert.equal( material.getShininess(), 64, 'check shininess' );
+            assert.equal( material.getDiffuseTextureUnit(), ReaderWriterOBJ.textureUnits.diffuse, 'check only the diffuse map is a color' );
+
+            var diffuseMap = stateSet.getTextureAttribute( ReaderWriterOBJ.textureUnits.diffuse, 'Texture' );
+            var normalMap = stateSet.getTextureAttribute( ReaderWriterOBJ.textureUnits.normal, 'Texture' );
+            assert.equal( diffuseMap.getImage().url, 'textures/red.png', 'check diffuse map' );
+            assert.equal( diffuseMap.getWrapS(), Texture.REPEAT, 'check repeat' );
+            assert.equal( normalMap.getName(), 'normalMap', 'check normal map name' );
+            assert.equal( normalMap.getImage().url, 'textures/red_normal.png', 'check normal map' );
+
+            var attributes = red.getVertexAttributeList();
+            assert.equal( attributes.TexCoord1, attributes.TexCoord0, 'check texcoords shared by texture units' );
+
+            var glass = front.getChildren()[ 1 ].getStateSet();
+            assert.equal( glass.getAttribute( 'Material' ).getDiffuse()[ 3 ], 0.25, 'check transparency' );
+            assert.isOk( glass.getAttribute( 'BlendFunc' ) !== undefined, 'check blending' );
+            var specularMap = glass.getTextureAttribute( ReaderWriterOBJ.textureUnits.specular, 'Texture' );
+            assert.equal( specularMap.getImage().url, 'textures/glass specular.png', 'check file name with space' );
+            assert.equal( specularMap.getWrapS(), Texture.CLAMP_TO_EDGE, 'check clamp' );
+
+            assert.equal( urls.length, 3, 'check images read once' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriter.addIndexedPrimitive', function () {
+        var createGeometry = function ( nbVertexes ) {
+            var geometry = new Geometry();
+            var vertexes = new BufferArray( BufferArray.ARRAY_BUFFER, new Float32Array( nbVertexes * 3 ), 3 );
+            for ( var i = 0; i < nbVertexes * 3; i++ ) vertexes.getElements()[ i ] = i;
+            geometry.getVertexAttributeList().Vertex = vertexes;
+            return geometry;
+        };
+
+        var geometry = createGeometry( 4 );
+        ReaderWriter.addIndexedPrimitive( geometry, PrimitiveSet.TRIANGLES, [ 0, 1, 2, 0, 2, 3 ], 4 );
+        assert.isOk( geometry.getPrimitiveSetList()[ 0 ].getIndices().getElements() instanceof Uint16Array, 'check 16 bits indices' );
+
+        var nbVertexes = 70000;
+        var indices = [ 0, 1, nbVertexes - 1 ];
+        var extensions = WebGLCaps.instance().getWebGLExtensions();
+        extensions[ 'OES_element_index_uint' ] = true;
+        geometry = createGeometry( nbVertexes );
+        ReaderWriter.addIndexedPrimitive( geometry, PrimitiveSet.TRIANGLES, indices, nbVertexes );
+        assert.isOk( geometry.getPrimitiveSetList()[ 0 ].getIndices().getElements() instanceof Uint32Array, 'check 32 bits indices' );
+        delete extensions[ 'OES_element_index_uint' ];
+
+        geometry = createGeometry( nbVertexes );
+        ReaderWriter.addIndexedPrimitive( geometry, PrimitiveSet.TRIANGLES, indices, nbVertexes );
+        var primitive = geometry.getPrimitiveSetList()[ 0 ];
+        assert.equal( primitive.getCount(), 3, 'check vertexes drawn without 32 bits indices' );
+        assert.isOk( primitive.getIndices === undefined, 'check draw arrays' );
+        assert.equalVector( geometry.getVertexAttributeList().Vertex.getElements().subarray( 6, 9 ), [ 209997, 209998, 209999 ], 'check vertexes expanded' );
+    } );
+
+    test( 'ReaderWriterOBJ registered', function () {
+        assert.isOk( Registry.instance().getReaderWriterForExtension( 'obj' ) instanceof ReaderWriterOBJ, 'check obj plugin registered' );
+    } );
+};
@@ -0,0 +1,101 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Notify = require( 'osg/Notify' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var OrbitManipulator = require( 'osgGA/OrbitManipulator' );
+var ReaderWriterPLY = require( 'osgDB/ReaderWriterPLY' );
+var Registry = require( 'osgDB/Registry' );
+
+
+module.exports = function () {
+
+    test( 'ReaderWriterPLY.readNode ascii', function ( done ) {
+        var ply = [
+            'ply',
+            'format ascii 1.0',
+            'comment quad',
+            'element vertex 4',
+            'property float x',
+            'property float y',
+            'property float z',
+            'property uchar red',
+            'property uchar green',
+            'property uchar blue',
+            'element face 1',
+            'property list uchar int vertex_indices',
+            'end_header',
+            '0 0 0 255 0 0',
+            '2 0 0 0 255 0',
+            '2 2 0 0 0 255',
+            '0 2 0 255 255 255',
+            '4 0 1 2 3'
+        ].join( '\n' );
+
+        new ReaderWriterPLY().readNode( ply ).then( function ( root ) {
+            var geometry = root.getChildren()[ 0 ];
+            var attributes = geometry.getVertexAttributeList();
+
+            var primitive = geometry.getPrimitiveSetList()[ 0 ];
+            assert.equal( primitive.getMode(), PrimitiveSet.TRIANGLES, 'check triangles' );
+            assert.equalVector( primitive.getIndices().getElements(), [ 0, 1, 2, 0, 2, 3 ], 'check fan triangulation' );
+
+            assert.equalVector( attributes.Color.getElements().subarray( 4, 8 ), [ 0, 1, 0, 1 ], 'check color' );
+            assert.equalVector( attributes.Normal.getElements().subarray( 0, 3 ), [ 0, 0, 1 ], 'check generated normal' );
+            assert.isOk( geometry.getStateSet().getAttribute( 'Material' ) !== undefined, 'check material' );
+
+            var manipulator = new OrbitManipulator();
+            manipulator.setNode( root );
+            manipulator.computeHomePosition();
+            var bs = root.getBound();
+            assert.equalVector( bs.center(), [ 1, 1, 0 ], 'check bound center' );
+            assert.equalVector( manipulator.getTarget( [] ), bs.center(), 'check home target' );
+            assert.approximately( manipulator.getDistance(), bs.radius() * 1.5, 1e-5, 'check home distance' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+
+    test( 'ReaderWriterPLY.readNode binary point cloud', function ( done ) {
+        var header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            'element vertex 3',
+            'property float x',
+            'property float y',
+            'property float z',
+            'property float red',
+            'property float green',
+            'property float blue',
+            'end_header',
+            ''
+        ].join( '\n' );
+
+        var arrayBuffer = new ArrayBuffer( header.length + 3 * 6 * 4 );
+        var view = new DataView( arrayBuffer );
+        for ( var h = 0; h < header.length; h++ ) view.setUint8( h, header.charCodeAt( h ) );
+        for ( var i = 0; i < 3 * 6; i++ ) view.setFloat32( header.length + i * 4, i % 6 < 3 ? i : 0.5, true );
+
+        new ReaderWriterPLY().readNode( arrayBuffer ).then( function ( root ) {
+            var geometry = root.getChildren()[ 0 ];
+            var attributes = geometry.getVertexAttributeList();
+
+            var primitive = geometry.getPrimitiveSetList()[ 0 ];
+            assert.equal( primitive.getMode(), PrimitiveSet.POINTS, 'check points' );
+            assert.equal( primitive.getCount(), 3, 'check count' );
+
+            assert.equalVector( attributes.Vertex.getElements(), [ 0, 1, 2, 6, 7, 8, 12, 13, 14 ], 'check vertexes' );
+            assert.equalVector( attributes.Color.getElements().subarray( 0, 4 ), [ 0.5, 0.5, 0.5, 1 ], 'check float color' );
+            assert.equal( attributes.Normal, undefined, 'check no normals' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+
+    test( 'ReaderWriterPLY registered', function () {
+        assert.isOk( Registry.instance().getReaderWriterForExtension( 'ply' ) instanceof ReaderWriterPLY, 'check ply plugin registered' );
+    } );
+};
@@ -0,0 +1,106 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var Notify = require( 'osg/Notify' );
+var PrimitiveSet = require( 'osg/PrimitiveSet' );
+var ReaderWriterSTL = require( 'osgDB/ReaderWriterSTL' );
+var Registry = require( 'osgDB/Registry' );
+
+
+module.exports = function () {
+
+    test( 'ReaderWriterSTL.readNode ascii', function ( done ) {
+        var stl = [
+            'solid part',
+            '  facet normal 0 0 0',
+            '    outer loop',
+            '      vertex 0 0 0',
+            '      vertex 1 0 0',
+            '      vertex 0 1 0',
+            '    endloop',
+            '  endfacet',
+            '  facet normal 0 0 -1',
+            '    outer loop',
+            '      vertex 0 0 0',
+            '      vertex 0 1 0',
+            '      vertex 1 0 0',
+            '    endloop',
+            '  endfacet',
+            'endsolid part',
+            'solid',
+            '  facet normal 1 0 0',
+            '    outer loop',
+            '      vertex 0 0 0',
+            '      vertex 0 1 0',
+            '      vertex 0 0 1',
+            '    endloop',
+            '  endfacet',
+            'endsolid'
+        ].join( '\n' );
+
+        new ReaderWriterSTL().readNode( stl ).then( function ( root ) {
+            assert.equal( root.getChildren().length, 2, 'check a geometry by solid' );
+
+            var geometry = root.getChildren()[ 0 ];
+            assert.equal( geometry.getName(), 'part', 'check solid name' );
+
+            var primitive = geometry.getPrimitiveSetList()[ 0 ];
+            assert.equal( primitive.getMode(), PrimitiveSet.TRIANGLES, 'check triangles' );
+            assert.equal( primitive.getCount(), 6, 'check count' );
+
+            var normals = geometry.getVertexAttributeList().Normal.getElements();
+            assert.equalVector( normals.subarray( 0, 3 ), [ 0, 0, 1 ], 'check computed normal' );
+            assert.equalVector( normals.subarray( 15, 18 ), [ 0, 0, -1 ], 'check normal of facet' );
+            assert.equal( geometry.getVertexAttributeList().Color, undefined, 'check no colors' );
+            assert.isOk( geometry.getStateSet().getAttribute( 'Material' ) !== undefined, 'check material' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterSTL.readNode binary', function ( done ) {
+        var nbTriangles = 2;
+        var arrayBuffer = new ArrayBuffer( 84 + nbTriangles * 50 );
+        var view = new DataView( arrayBuffer );
+        var header = 'solid binary COLOR=';
+        for ( var h = 0; h < header.length; h++ ) view.setUint8( h, header.charCodeAt( h ) );
+        view.setUint8( header.length, 255 );
+        view.setUint8( header.length + 1, 0 );
+        view.setUint8( header.length + 2, 0 );
+        view.setUint8( header.length + 3, 255 );
+        view.setUint32( 80, nbTriangles, true );
+
+        var vertexes = [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ];
+        for ( var i = 0; i < nbTriangles; i++ ) {
+            var offset = 84 + i * 50;
+            view.setFloat32( offset + 8, 1, true );
+            for ( var j = 0; j < 9; j++ ) view.setFloat32( offset + 12 + j * 4, vertexes[ j ] + i, true );
+        }
+        // the first facet uses the default color, the second one is blue
+        view.setUint16( 84 + 48, 0x8000, true );
+        view.setUint16( 84 + 50 + 48, 31 << 10, true );
+
+        new ReaderWriterSTL().readNode( arrayBuffer ).then( function ( root ) {
+            var geometry = root.getChildren()[ 0 ];
+            var attributes = geometry.getVertexAttributeList();
+            assert.equal( geometry.getPrimitiveSetList()[ 0 ].getCount(), 6, 'check count' );
+            assert.equalVector( attributes.Vertex.getElements().subarray( 9, 12 ), [ 1, 1, 1 ], 'check vertexes' );
+            assert.equalVector( attributes.Normal.getElements().subarray( 0, 3 ), [ 0, 0, 1 ], 'check normal' );
+
+            var colors = attributes.Color.getElements();
+            assert.equal( attributes.Color.getItemSize(), 4, 'check color item size' );
+            assert.equalVector( colors.subarray( 0, 4 ), [ 1, 0, 0, 1 ], 'check default color' );
+            assert.equalVector( colors.subarray( 12, 16 ), [ 0, 0, 1, 1 ], 'check facet color' );
+
+            var bs = geometry.getBound();
+            assert.equalVector( bs.center(), [ 1, 1, 0.5 ], 'check bound center' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'ReaderWriterSTL registered', function () {
+        assert.isOk( Registry.instance().getReaderWriterForExtension( 'stl' ) instanceof ReaderWriterSTL, 'check stl plugin registered' );
+    } );
+};
@@ -0,0 +1,90 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var MACROUTILS = require( 'osg/Utils' );
+var Notify = require( 'osg/Notify' );
+var Node = require( 'osg/Node' );
+var Input = require( 'osgDB/Input' );
+var ReaderWriter = require( 'osgDB/ReaderWriter' );
+var ReaderWriterGLTF = require( 'osgDB/ReaderWriterGLTF' );
+var Registry = require( 'osgDB/Registry' );
+
+
+module.exports = function () {
+
+    var ReaderWriterTest = function () {
+        ReaderWriter.call( this );
+        this.supportsExtension( 'foo', 'test format' );
+        this.supportsMimeType( 'model/foo' );
+        this.urls = [];
+    };
+
+    ReaderWriterTest.prototype = MACROUTILS.objectInherit( ReaderWriter.prototype, {
+        readNodeURL: function ( url, options ) {
+            this.urls.push( url );
+            this.options = options;
+            var node = new Node();
+            node.setName( url );
+            // plugins can be asynchronous
+            return P.delay( 1 ).then( function () {
+                return node;
+            } );
+        },
+        readBinaryArrayURL: function ( url ) {
+            this.urls.push( url );
+            return new ArrayBuffer( 4 );
+        }
+    } );
+
+    test( 'Registry.getFileExtension', function () {
+        assert.equal( Registry.getFileExtension( 'models/scene.GLTF' ), 'gltf', 'check extension' );
+        assert.equal( Registry.getFileExtension( 'models/scene.glb?v=2#top' ), 'glb', 'check extension with query' );
+        assert.equal( Registry.getFileExtension( 'models.v2/scene' ), '', 'check no extension' );
+        assert.equal( Registry.getDataURIMimeType( 'data:model/foo;base64,AA==' ), 'model/foo', 'check data uri mime type' );
+    } );
+
+    test( 'Registry.getReaderWriterForURL', function () {
+        var registry = new Registry();
+        var readerWriter = new ReaderWriterTest();
+        registry.addReaderWriter( readerWriter );
+
+        assert.equal( registry.getReaderWriterForURL( 'model.foo' ), readerWriter, 'check extension' );
+        assert.equal( registry.getReaderWriterForURL( 'data:model/foo;base64,AA==' ), readerWriter, 'check mime type' );
+        assert.equal( registry.getReaderWriterForURL( 'model.foo', 'readImageURL' ), undefined, 'check method not implemented' );
+        assert.equal( registry.getReaderWriterForURL( 'model.bar' ), undefined, 'check unknown extension' );
+
+        var override = new ReaderWriterTest();
+        registry.addReaderWriter( override );
+        assert.equal( registry.getReaderWriterForURL( 'model.foo' ), override, 'check last plugin added is used' );
+
+        registry.removeReaderWriter( override );
+        assert.equal( registry.getReaderWriterForURL( 'model.foo' ), readerWriter, 'check plugin removed' );
+
+        assert.isOk( Registry.instance().getReaderWriterForExtension( 'glb' ) instanceof ReaderWriterGLTF, 'check glTF plugin registered' );
+    } );
+
+    test( 'Input.readNodeURL with plugin', function ( done ) {
+        var readerWriter = new ReaderWriterTest();
+        Registry.instance().addReaderWriter( readerWriter );
+
+        var progress = function () {};
+        var input = new Input();
+        input.setPrefixURL( 'models/' );
+        input.setProgressXHRCallback( progress );
+
+        input.readNodeURL( 'scene.foo' ).then( function ( node ) {
+            assert.equal( node.getName(), 'models/scene.foo', 'check url resolved with prefix' );
+            assert.equal( readerWriter.options.progressXHRCallback, progress, 'check progress callback given to plugin' );
+
+            return input.readBinaryArrayURL( 'data.foo' );
+        } ).then( function ( array ) {
+            assert.equal( array.byteLength, 4, 'check binary array read by plugin' );
+            assert.equal( readerWriter.urls[ 1 ], 'models/data.foo', 'check binary url' );
+
+            Registry.instance().removeReaderWriter( readerWriter );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+};
@@ -0,0 +1,235 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var P = require( 'bluebird' );
+var Notify = require( 'osg/Notify' );
+var Input = require( 'osgDB/Input' );
+var ReaderParser = require( 'osgDB/ReaderParser' );
+var WorkerLoader = require( 'osgDB/WorkerLoader' );
+
+
+module.exports = function () {
+
+    var createScene = function () {
+        return {
+            'Version': 1,
+            'osg.Node': {
+                Children: [ {
+                    'osg.Geometry': {
+                        PrimitiveSetList: [ {
+                            DrawElementsUShort: {
+                                Indices: {
+                                    Array: {
+                                        Uint16Array: {
+                                            File: 'model.bin',
+                                            Offset: 36,
+                                            Size: 3
+                                        }
+                                    },
+                                    ItemSize: 1,
+                                    Type: 'ELEMENT_ARRAY_BUFFER'
+                                },
+                                Mode: 'TRIANGLES'
+                            }
+                        } ],
+                        VertexAttributeList: {
+                            Vertex: {
+                                Array: {
+                                    Float32Array: {
+                                        File: 'model.bin',
+                                        Offset: 0,
+                                        Size: 3
+                                    }
+                                },
+                                ItemSize: 3,
+                                Type: 'ARRAY_BUFFER'
+                            },
+                            Normal: {
+                                Array: {
+                                    Float32Array: {
+                                        Elements: [ 0, 0, 1, 0, 0, 1, 0, 0, 1 ]
+                                    }
+                                },
+                                ItemSize: 3,
+                                Type: 'ARRAY_BUFFER'
+                            }
+                        }
+                    }
+                } ]
+            }
+        };
+    };
+
+    var createFile = function () {
+        var buffer = new ArrayBuffer( 42 );
+        new Float32Array( buffer, 0, 9 ).set( [ 0, 0, 0, 1, 0, 0, 0, 1, 0 ] );
+        new Uint16Array( buffer, 36, 3 ).set( [ 0, 1, 2 ] );
+        return buffer;
+    };
+
+    test( 'WorkerLoader.decodeBufferArrays', function ( done ) {
+        var json = createScene();
+        var entries = WorkerLoader.collectBufferArrays( json, [] );
+        assert.equal( entries.length, 2, 'check arrays with file' );
+
+        var file = createFile();
+        var buffers = WorkerLoader.decodeBufferArrays( entries, {
+            'model.bin': file
+        } );
+        assert.equal( buffers.length, 1, 'check file transferred once' );
+
+        var geometry = json[ 'osg.Node' ].Children[ 0 ][ 'osg.Geometry' ];
+        var vertexes = geometry.VertexAttributeList.Vertex.Array.Float32Array.Elements;
+        assert.isOk( vertexes instanceof Float32Array, 'check decoded vertexes' );
+        assert.equal( vertexes.buffer, file, 'check vertexes not copied' );
+
+        ReaderParser.parseSceneGraph( json ).then( function ( node ) {
+            var readGeometry = node.getChildren()[ 0 ];
+            var attributes = readGeometry.getVertexAttributeList();
+            assert.equal( attributes.Vertex.getElements(), vertexes, 'check typed array used as is' );
+            assert.equalVector( attributes.Normal.getElements(), [ 0, 0, 1, 0, 0, 1, 0, 0, 1 ], 'check inline array' );
+            assert.equalVector( readGeometry.getPrimitiveSetList()[ 0 ].getIndices().getElements(), [ 0, 1, 2 ], 'check indices' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'WorkerLoader.decodeBufferArrays unaligned', function () {
+        var json = {
+            Array: {
+                Float32Array: {
+                    File: 'model.bin',
+                    Offset: 2,
+                    Size: 1
+                }
+            },
+            ItemSize: 2,
+            Type: 'ARRAY_BUFFER'
+        };
+
+        var file = new ArrayBuffer( 10 );
+        var view = new DataView( file );
+        view.setFloat32( 2, 0.5, true );
+        view.setFloat32( 6, 2.0, true );
+
+        var buffers = WorkerLoader.decodeBufferArrays( WorkerLoader.collectBufferArrays( json, [] ), {
+            'model.bin': file
+        } );
+
+        var elements = json.Array.Float32Array.Elements;
+        assert.equalVector( elements, [ 0.5, 2.0 ], 'check unaligned array copied' );
+        assert.equal( buffers[ 0 ], elements.buffer, 'check copy transferred' );
+    } );
+
+    test( 'WorkerLoader worker errors', function ( done ) {
+        var Worker = window.Worker;
+        var URL = window.URL;
+        var Blob = window.Blob;
+        var restore = function () {
+            window.Worker = Worker;
+            window.URL = URL;
+            window.Blob = Blob;
+        };
+
+        var workers = [];
+        window.Blob = function () {};
+        window.URL = function ( url ) {
+            this.href = url;
+        };
+        window.URL.createObjectURL = function () {
+            return 'blob:worker';
+        };
+        window.Worker = function () {
+            this.terminated = false;
+            workers.push( this );
+        };
+        window.Worker.prototype = {
+            postMessage: function () {},
+            terminate: function () {
+                this.terminated = true;
+            }
+        };
+
+        var workerLoader = new WorkerLoader();
+        var pending = workerLoader.readSceneGraph( 'models/scene.osgjs' );
+        workers[ 0 ].onerror( {
+            message: 'script error'
+        } );
+
+        pending.then( function () {
+            assert.isOk( false, 'check request rejected' );
+        }, function ( error ) {
+            assert.equal( error.message, 'script error', 'check request rejected by the worker error' );
+            assert.isOk( workers[ 0 ].terminated, 'check worker dropped' );
+
+            // a forbidden blob worker throws when created
+            window.Worker = function () {
+                throw new Error( 'worker forbidden' );
+            };
+            return workerLoader.readSceneGraph( 'models/scene.osgjs' );
+        } ).then( function () {
+            assert.isOk( false, 'check request rejected' );
+        }, function ( error ) {
+            assert.equal( error.message, 'worker forbidden', 'check rejected promise instead of a throw' );
+            restore();
+            done();
+        } ).catch( function ( error ) {
+            restore();
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+
+    test( 'Input.readNodeURL with workerLoader option', function ( done ) {
+        var urls = [];
+        var workerLoader = {
+            readSceneGraph: function ( url ) {
+                urls.push( url );
+                var json = createScene();
+                WorkerLoader.decodeBufferArrays( WorkerLoader.collectBufferArrays( json, [] ), {
+                    'model.bin': createFile()
+                } );
+                return P.resolve( json );
+            }
+        };
+
+        var input = new Input();
+        input.getOptions().workerLoader = workerLoader;
+        input.readNodeURL( 'models/scene.osgjs' ).then( function ( node ) {
+            assert.deepEqual( urls, [ 'models/scene.osgjs' ], 'check file read by the worker' );
+            assert.equal( node.getChildren()[ 0 ].getVertexAttributeList().Vertex.getElements().length, 9, 'check vertexes' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+        } );
+    } );
+
+    test( 'Input.readNodeURL with workerLoader option fallback', function ( done ) {
+        var workerLoader = {
+            readSceneGraph: function () {
+                // like a gzip file the worker can't parse
+                return P.reject( new Error( 'cant parse url' ) );
+            }
+        };
+
+        var urls = [];
+        var input = new Input();
+        input.requestFile = function ( url ) {
+            urls.push( url );
+            return P.resolve( JSON.stringify( createScene() ) );
+        };
+        input.getOptions().workerLoader = workerLoader;
+        input.getOptions().readBinaryArrayURL = function () {
+            return P.resolve( createFile() );
+        };
+
+        input.readNodeURL( 'models/scene.osgjs' ).then( function ( node ) {
+            assert.deepEqual( urls, [ 'models/scene.osgjs' ], 'check file read on the main thread' );
+            assert.equal( node.getChildren()[ 0 ].getVertexAttributeList().Vertex.getElements().length, 9, 'check vertexes' );
+            done();
+        } ).catch( function ( error ) {
+            Notify.error( error );
+            done( error );
+        } );
+    } );
+};
@@ -2,10 +2,38 @@
 var Input = require( 'tests/osgDB/Input' );
 var ReaderParser = require( 'tests/osgDB/ReaderParser' );
 var DatabasePager = require( 'tests/osgDB/DatabasePager' );
+var ReaderWriterGLTF = require( 'tests/osgDB/ReaderWriterGLTF' );
+var ReaderWriterOBJ = require( 'tests/osgDB/ReaderWriterOBJ' );
+var ReaderWriterSTL = require( 'tests/osgDB/ReaderWriterSTL' );
+var ReaderWriterPLY = require( 'tests/osgDB/ReaderWriterPLY' );
+var ReaderWriter3DTiles = require( 'tests/osgDB/ReaderWriter3DTiles' );
+var ReaderWriterDraco = require( 'tests/osgDB/ReaderWriterDraco' );
+var ReaderWriterDDS = require( 'tests/osgDB/ReaderWriterDDS' );
+var ReaderWriterKTX = require( 'tests/osgDB/ReaderWriterKTX' );
+var ReaderWriterHDR = require( 'tests/osgDB/ReaderWriterHDR' );
+var ReaderWriterEXR = require( 'tests/osgDB/ReaderWriterEXR' );
+var Registry = require( 'tests/osgDB/Registry' );
+var Output = require( 'tests/osgDB/Output' );
+var WorkerLoader = require( 'tests/osgDB/WorkerLoader' );
+var Cache = require( 'tests/osgDB/Cache' );
 
 
 module.exports = function () {
     Input();
     ReaderParser();
     DatabasePager();
+    ReaderWriterGLTF();
+    ReaderWriterOBJ();
+    ReaderWriterSTL();
+    ReaderWriterPLY();
+    ReaderWriter3DTiles();
+    ReaderWriterDraco();
+    ReaderWriterDDS();
+    ReaderWriterKTX();
+    ReaderWriterHDR();
+    ReaderWriterEXR();
+    Registry();
+    Output();
+    WorkerLoader();
+    Cache();
 };
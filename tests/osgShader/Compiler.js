@@ -88,5 +88,13 @@ module.exports = function () {
 
         } )();
 
+        ( function () {
+
+            var fragData = nodeFactory.getNode( 'glFragData', 2 );
+            assert.equal( fragData.getVariable(), 'gl_FragData[2]', 'Check glFragData output index' );
+            assert.deepEqual( fragData.getExtensions(), [ '#extension GL_EXT_draw_buffers : require' ], 'Check glFragData requires draw buffers' );
+
+        } )();
+
     } );
 };
@@ -1,13 +1,20 @@
 'use strict';
 var assert = require( 'chai' ).assert;
 var mockup = require( 'tests/mockup/mockup' );
+var MACROUTILS = require( 'osg/Utils' );
+var Light = require( 'osg/Light' );
 var State = require( 'osg/State' );
+var StateAttribute = require( 'osg/StateAttribute' );
 var StateSet = require( 'osg/StateSet' );
 var Material = require( 'osg/Material' );
 var Shader = require( 'osg/Shader' );
 var Program = require( 'osg/Program' );
 var Texture = require( 'osg/Texture' );
+var Compiler = require( 'osgShader/Compiler' );
 var ShaderGeneratorProxy = require( 'osgShader/ShaderGeneratorProxy' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+var Node = require( 'osgShader/node/Node' );
+var nodeFactory = require( 'osgShader/nodeFactory' );
 
 
 module.exports = function () {
@@ -97,4 +104,111 @@ module.exports = function () {
         } )();
 
     } );
+
+    test( 'ShaderGenerator hooks', function () {
+
+        var state = new State( new ShaderGeneratorProxy() );
+        var fakeRenderer = mockup.createFakeRenderer();
+        fakeRenderer.validateProgram = function () {
+            return true;
+        };
+        fakeRenderer.getProgramParameter = function () {
+            return true;
+        };
+        fakeRenderer.isContextLost = function () {
+            return false;
+        };
+        state.setGraphicContext( fakeRenderer );
+        var shaderGenerator = state.getShaderGeneratorProxy().getShaderGenerator();
+
+        // attribute of a library outside of osgjs
+        var Rim = function () {
+            StateAttribute.call( this );
+        };
+        Rim.prototype = MACROUTILS.objectLibraryClass( MACROUTILS.objectInherit( StateAttribute.prototype, {
+            attributeType: 'Rim',
+            cloneType: function () {
+                return new Rim();
+            }
+        } ), 'testHooks', 'Rim' );
+
+        var rim = new Rim();
+        assert.isOk( shaderGenerator.filterAttributeTypes( rim ), 'Check unknown attribute filtered' );
+        shaderGenerator.acceptAttributeType( 'Rim', 'testHooks' );
+        assert.isOk( !shaderGenerator.filterAttributeTypes( rim ), 'Check accepted attribute' );
+
+        var RimNode = function () {
+            Node.call( this );
+        };
+        RimNode.prototype = MACROUTILS.objectInherit( Node.prototype, {
+            type: 'RimTest',
+            validInputs: [ 'normal' ],
+            validOutputs: [ 'color' ],
+            computeShader: function () {
+                return this._outputs.color.getVariable() + ' += vec3( 1.0 - abs( ' + this._inputs.normal.getVariable() + '.z ) );';
+            }
+        } );
+        nodeFactory.registerNode( 'RimTest', RimNode );
+
+        var stateSet = new StateSet();
+        stateSet.setAttributeAndModes( new Material() );
+        stateSet.setAttributeAndModes( new Light( 0 ) );
+        stateSet.setAttributeAndModes( rim );
+        state.pushStateSet( stateSet );
+        state.apply();
+
+        var program = shaderGenerator.getOrCreateProgram( state );
+
+        var hookCompilers = [];
+        shaderGenerator.addHook( Compiler.HOOK_POST_LIGHTING, 'rim', function ( compiler, variables ) {
+            hookCompilers.push( compiler );
+            if ( !compiler.getAttributeType( 'Rim' ) ) return;
+            compiler.getNode( 'RimTest' ).inputs( {
+                normal: compiler.getOrCreateNormalizedNormal()
+            } ).outputs( {
+                color: variables.color
+            } );
+        } );
+        shaderGenerator.addHook( Compiler.HOOK_VERTEX_DISPLACEMENT, 'inflate', function ( compiler, variables ) {
+            compiler.getNode( 'InlineCode' ).code( '%vertex *= 1.1;' ).outputs( {
+                vertex: variables.vertex
+            } );
+        } );
+        shaderGenerator.addHook( Compiler.HOOK_FINAL_COLOR, 'opaque', function ( compiler, variables ) {
+            compiler.getNode( 'InlineCode' ).code( '%color.a = 1.0;' ).outputs( {
+                color: variables.color
+            } );
+        } );
+
+        var programHooks = shaderGenerator.getOrCreateProgram( state );
+        assert.isOk( programHooks !== program, 'Check new program with the hooks' );
+        assert.isOk( programHooks.hash.indexOf( 'rim' ) !== -1, 'Check hooks in the program cache key' );
+        assert.equal( hookCompilers.length, 1, 'Check hook called' );
+        assert.isOk( hookCompilers[ 0 ].getAttributeType( 'Rim' ) === rim, 'Check custom attribute given to the compiler' );
+        assert.equal( shaderGenerator.getOrCreateProgram( state ), programHooks, 'Check program cached' );
+
+        var vertexShader = programHooks.getVertexShader().getText();
+        var fragmentShader = programHooks.getFragmentShader().getText();
+        assert.isOk( /vertexDisplaced \*= 1\.1;/.test( vertexShader ), 'Check vertex displacement hook' );
+        assert.isOk( fragmentShader.indexOf( '+= vec3( 1.0 - abs(' ) !== -1, 'Check post lighting hook' );
+        assert.isOk( fragmentShader.indexOf( 'gl_FragColor.a = 1.0;' ) !== -1, 'Check final color hook' );
+        assert.isOk( programHooks.getFragmentShader().getSourceMap().some( function ( segment ) {
+            return segment.source === 'lights.glsl';
+        } ), 'Check source map of the generated shader' );
+
+        // the materials are the inputs of the lights
+        var compiler = new Compiler( [ new Material(), new Light( 0 ) ], [], new ShaderProcessor(), {
+            preLighting: [ {
+                name: 'flatDiffuse',
+                callback: function ( comp, materials ) {
+                    materials.materialdiffuse = comp.getOrCreateUniform( 'vec4', 'FlatDiffuse' );
+                }
+            } ]
+        } );
+        compiler.createVertexShader();
+        assert.isOk( compiler.createFragmentShader().indexOf( 'FlatDiffuse.rgb' ) !== -1, 'Check pre lighting hook' );
+
+        shaderGenerator.removeHook( Compiler.HOOK_POST_LIGHTING, 'rim' );
+        assert.isOk( shaderGenerator.getOrCreateProgram( state ).hash.indexOf( 'rim' ) === -1, 'Check hook removed from the program cache key' );
+    } );
 };
@@ -0,0 +1,108 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var WebGLCaps = require( 'osg/WebGLCaps' );
+var ShaderProcessor = require( 'osgShader/ShaderProcessor' );
+
+
+module.exports = function () {
+
+    test( 'ShaderProcessor', function () {
+
+        var shaderProcessor = new ShaderProcessor( true );
+        var caps = WebGLCaps.instance();
+        var isGL2 = caps._isGL2;
+
+        var vertex = [
+            'attribute vec3 Vertex;',
+            'varying vec2 vTexCoord0;',
+            'void main() { gl_Position = vec4( Vertex, 1.0 ); }'
+        ].join( '\n' );
+        var fragment = [
+            'uniform sampler2D Texture0;',
+            'varying vec2 vTexCoord0;',
+            'void main() {',
+            '    gl_FragData[ 1 ] = texture2DLodEXT( Texture0, vTexCoord0, 0.0 );',
+            '    gl_FragData[ 0 ] = texture2D( Texture0, vTexCoord0 ) * dFdx( vTexCoord0.x );',
+            '}'
+        ].join( '\n' );
+        var extensions = [ '#extension GL_OES_standard_derivatives : enable', '#extension GL_EXT_shader_texture_lod : enable' ];
+
+        caps._isGL2 = false;
+        var shader = shaderProcessor.processShader( fragment, undefined, extensions.slice(), 'fragment' );
+        assert.isOk( shader.indexOf( '#version 100' ) === 0, 'GLSL 100 with WebGL1' );
+        assert.isOk( shader.indexOf( 'texture2D(' ) !== -1, 'WebGL1 shader not converted' );
+
+        caps._isGL2 = true;
+        shader = shaderProcessor.processShader( vertex, undefined, undefined, 'vertex' );
+        assert.isOk( shader.indexOf( '#version 300 es' ) === 0, 'GLSL 300 es with WebGL2' );
+        assert.isOk( shader.indexOf( 'in vec3 Vertex;' ) !== -1, 'attribute converted' );
+        assert.isOk( shader.indexOf( 'out vec2 vTexCoord0;' ) !== -1, 'vertex varying converted' );
+
+        shader = shaderProcessor.processShader( fragment, undefined, extensions.slice(), 'fragment' );
+        assert.isOk( shader.indexOf( '#extension' ) === -1, 'promoted extensions removed' );
+        assert.isOk( shader.indexOf( 'in vec2 vTexCoord0;' ) !== -1, 'fragment varying converted' );
+        assert.isOk( shader.indexOf( 'textureLod( Texture0' ) !== -1, 'texture lod converted' );
+        assert.isOk( shader.indexOf( 'texture( Texture0' ) !== -1, 'texture2D converted' );
+        assert.isOk( shader.indexOf( 'layout(location = 0) out highp vec4 osg_FragData[2];' ) !== -1, 'fragment outputs declared' );
+        assert.isOk( shader.indexOf( 'gl_FragData' ) === -1, 'gl_FragData replaced' );
+
+        shader = shaderProcessor.processShader( fragment, undefined, undefined, undefined );
+        assert.isOk( shader.indexOf( '#version 100' ) === 0, 'shader without type kept in GLSL 100' );
+
+        caps._isGL2 = isGL2;
+    } );
+
+    test( 'ShaderProcessor GLSL 300 es textures.glsl', function () {
+
+        var shaderProcessor = new ShaderProcessor( true );
+        var caps = WebGLCaps.instance();
+        var isGL2 = caps._isGL2;
+        caps._isGL2 = true;
+
+        var texturesFragment = [
+            '#pragma include "textures.glsl"',
+            'uniform sampler2D texture;',
+            'varying vec2 vTexCoord0;',
+            'void main() {',
+            '    gl_FragColor = textureRGBA( texture, vTexCoord0 ) * textureAlpha( texture, vTexCoord0 );',
+            '}'
+        ].join( '\n' );
+        var shader = shaderProcessor.processShader( texturesFragment, undefined, undefined, 'fragment' );
+        assert.isOk( shader.indexOf( 'vec4 textureRGBA(const in sampler2D tex, const in vec2 uv) {\n    return texture(tex, uv.xy ).rgba;' ) !== -1, 'textures.glsl converted' );
+        assert.isOk( shader.indexOf( 'uniform sampler2D osg_texture;' ) !== -1, 'identifier named texture renamed' );
+        assert.isOk( shader.indexOf( 'textureRGBA( osg_texture, vTexCoord0 )' ) !== -1, 'identifier named texture renamed where used' );
+
+        caps._isGL2 = isGL2;
+    } );
+
+    test( 'ShaderProcessor source map', function () {
+
+        var shaderProcessor = new ShaderProcessor( true );
+        shaderProcessor.addShaders( {
+            'testSourceMapInclude.glsl': 'float x;\n#pragma include "testSourceMapNested.glsl"\nfloat y;',
+            'testSourceMapNested.glsl': 'float n1;\nfloat n2;'
+        } );
+
+        var shader = shaderProcessor.processShader( 'void a();\n#pragma include "testSourceMapInclude.glsl"\nvoid main() {}', [ '#define TEST' ] );
+        assert.isOk( shader.indexOf( 'void a();\nfloat x;\nfloat n1;\nfloat n2;\nfloat y;\nvoid main() {}' ) !== -1, 'Check includes expanded' );
+        assert.isOk( !/[\u0001\u0002]/.test( shader ), 'Check markers removed' );
+
+        var sourceMap = shaderProcessor.getSourceMap( shader );
+        var lines = shader.split( '\n' );
+        var locate = function ( text ) {
+            var line = lines.indexOf( text ) + 1;
+            for ( var i = sourceMap.length - 1; i >= 0; i-- ) {
+                if ( sourceMap[ i ].line <= line ) return sourceMap[ i ].source + ':' + ( sourceMap[ i ].sourceLine + line - sourceMap[ i ].line );
+            }
+            return undefined;
+        };
+
+        assert.equal( locate( '#version 100' ), 'header:1', 'Check header' );
+        assert.equal( locate( '#define TEST' ), 'header:' + ( lines.indexOf( '#define TEST' ) + 1 ), 'Check defines in the header' );
+        assert.equal( locate( 'void a();' ), 'main:1', 'Check main' );
+        assert.equal( locate( 'float x;' ), 'testSourceMapInclude.glsl:1', 'Check include' );
+        assert.equal( locate( 'float n2;' ), 'testSourceMapNested.glsl:2', 'Check nested include' );
+        assert.equal( locate( 'float y;' ), 'testSourceMapInclude.glsl:3', 'Check include after the nested include' );
+        assert.equal( locate( 'void main() {}' ), 'main:3', 'Check main after the include' );
+    } );
+};
@@ -0,0 +1,43 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var MACROUTILS = require( 'osg/Utils' );
+var EnvironmentLight = require( 'osg/EnvironmentLight' );
+var EnvironmentPrefilter = require( 'osgUtil/EnvironmentPrefilter' );
+
+
+module.exports = function () {
+
+    test( 'EnvironmentPrefilter', function () {
+
+        var size = 8;
+        var createFaces = function ( colorOfFace ) {
+            var faces = [];
+            for ( var f = 0; f < 6; f++ ) {
+                var pixels = new MACROUTILS.Uint8Array( size * size * 4 );
+                for ( var i = 0; i < size * size; i++ ) {
+                    pixels.set( colorOfFace( f ), i * 4 );
+                }
+                faces.push( pixels );
+            }
+            return faces;
+        };
+
+        // a constant radiance of 1 gives an irradiance of PI
+        var sh = EnvironmentPrefilter.computeSphericalHarmonics( createFaces( function () {
+            return [ 255, 255, 255, 255 ];
+        } ), size, 0.0 );
+        assert.equalVector( [ sh[ 0 ] * EnvironmentLight.shBasis[ 0 ] ], [ 1.0 ], 1e-3, 'Check constant irradiance' );
+        for ( var i = 3; i < 27; i++ ) {
+            assert.isOk( Math.abs( sh[ i ] ) < 1e-3, 'Check no directional coefficient ' + i );
+        }
+
+        // light coming only from the top, decoded from RGBM
+        sh = EnvironmentPrefilter.computeSphericalHarmonics( createFaces( function ( face ) {
+            return face === 4 ? [ 255, 255, 255, 255 ] : [ 0, 0, 0, 255 ];
+        } ), size, 8.0 );
+        var zCoefficient = sh[ 6 ] * EnvironmentLight.shBasis[ 2 ];
+        assert.isOk( zCoefficient > 0.0, 'Check irradiance increases toward +z' );
+        assert.isOk( Math.abs( sh[ 3 ] ) < 1e-3 && Math.abs( sh[ 9 ] ) < 1e-3, 'Check symmetric around z' );
+        assert.equalVector( [ sh[ 0 ] * EnvironmentLight.shBasis[ 0 ] ], [ 8.0 / 6.0 ], 1e-2, 'Check mean irradiance of the RGBM range' );
+    } );
+};
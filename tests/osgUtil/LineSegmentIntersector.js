@@ -10,6 +10,7 @@ var Viewport = require( 'osg/Viewport' );
 var Matrix = require( 'osg/Matrix' );
 var Vec3 = require( 'osg/Vec3' );
 var MatrixTransform = require( 'osg/MatrixTransform' );
+var InstancedGeometry = require( 'osg/InstancedGeometry' );
 var Shape = require( 'osg/Shape' );
 var View = require( 'osgViewer/View' );
 var ReaderParser = require( 'osgDB/ReaderParser' );
@@ -96,6 +97,45 @@ module.exports = function () {
 
     } );
 
+    test( 'LineSegmentIntersector with instances', function () {
+
+        var quad = Shape.createTexturedQuadGeometry( -0.5, -0.5, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0 );
+        var geometry = new InstancedGeometry();
+        geometry.getVertexAttributeList().Vertex = quad.getVertexAttributeList().Vertex;
+        geometry.getPrimitiveSetList().push( quad.getPrimitiveSetList()[ 0 ] );
+
+        var matrices = new Float32Array( 32 );
+        Matrix.makeTranslate( -5.0, 0.0, 0.0, matrices.subarray( 0, 16 ) );
+        Matrix.makeTranslate( 5.0, 0.0, 0.0, matrices.subarray( 16, 32 ) );
+        geometry.setInstanceMatrices( matrices );
+
+        var lsi = new LineSegmentIntersector();
+        lsi.set( Vec3.createAndSet( 5.2, 0.1, -1.0 ), Vec3.createAndSet( 5.2, 0.1, 1.0 ) );
+        lsi.setCurrentTransformation( Matrix.create() );
+        var iv = new IntersectionVisitor();
+        iv.setIntersector( lsi );
+        geometry.accept( iv );
+
+        assert.equal( lsi._intersections.length, 1, 'one instance hit' );
+        assert.equal( lsi._intersections[ 0 ].instanceIndex, 1, 'index of the instance hit' );
+        assert.equalVector( lsi._intersections[ 0 ].point, [ 5.2, 0.1, 0.0 ], 'point in the geometry space' );
+
+        // the second instance is rotated and scaled
+        var rotateScale = Matrix.mult( Matrix.makeScale( 2.0, 1.0, 1.0, Matrix.create() ), Matrix.makeRotate( Math.PI / 4, 0.0, 1.0, 0.0, Matrix.create() ), Matrix.create() );
+        Matrix.mult( Matrix.makeTranslate( 5.0, 0.0, 0.0, Matrix.create() ), rotateScale, matrices.subarray( 16, 32 ) );
+        geometry.setInstanceMatrices( matrices );
+        lsi.reset();
+        geometry.accept( iv );
+        var normal = lsi._intersections[ 0 ].TriangleIntersection.normal;
+        assert.equalVector( [ Math.abs( normal[ 0 ] ), normal[ 1 ], Math.abs( normal[ 2 ] ) ], [ 1.0 / Math.sqrt( 5.0 ), 0.0, 2.0 / Math.sqrt( 5.0 ) ], 1e-5, 'normal transformed by the inverse transpose' );
+
+        // more instances than matrices
+        geometry.setNumInstances( 4 );
+        lsi.reset();
+        geometry.accept( iv );
+        assert.equal( lsi._intersections.length, 1, 'instances without matrix ignored' );
+    } );
+
     test( 'LineSegmentIntersector without kdtree and camera', function () {
 
         var camera = new Camera();
@@ -3,6 +3,7 @@ var LineSegmentIntersector = require( 'tests/osgUtil/LineSegmentIntersector' );
 var TriangleIntersector = require( 'tests/osgUtil/TriangleIntersector' );
 var PolytopeIntersector = require( 'tests/osgUtil/PolytopeIntersector' );
 var IntersectionVisitor = require( 'tests/osgUtil/IntersectionVisitor' );
+var EnvironmentPrefilter = require( 'tests/osgUtil/EnvironmentPrefilter' );
 
 
 module.exports = function () {
@@ -10,4 +11,5 @@ module.exports = function () {
     TriangleIntersector();
     PolytopeIntersector();
     IntersectionVisitor();
+    EnvironmentPrefilter();
 };
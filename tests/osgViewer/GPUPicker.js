@@ -0,0 +1,74 @@
+'use strict';
+var assert = require( 'chai' ).assert;
+var mockup = require( 'tests/mockup/mockup' );
+var Matrix = require( 'osg/Matrix' );
+var Node = require( 'osg/Node' );
+var Program = require( 'osg/Program' );
+var Shader = require( 'osg/Shader' );
+var Shape = require( 'osg/Shape' );
+var Vec3 = require( 'osg/Vec3' );
+var Viewport = require( 'osg/Viewport' );
+var View = require( 'osgViewer/View' );
+
+
+module.exports = function () {
+
+    test( 'GPUPicker', function () {
+
+        var view = new View();
+        var gc = mockup.createFakeRenderer();
+        var readSize;
+        // the first geometry is drawn in all the pixels
+        gc.readPixels = function ( x, y, width, height, format, type, pixels ) {
+            readSize = [ width, height ];
+            for ( var i = 0, l = width * height * 4; i < l; i += 4 ) {
+                pixels[ i ] = 1;
+                pixels[ i + 3 ] = 255;
+            }
+        };
+        view.setGraphicContext( gc );
+
+        var camera = view.getCamera();
+        camera.setViewport( new Viewport() );
+        camera.setViewMatrix( Matrix.makeLookAt( Vec3.createAndSet( 0.0, 0.0, -10 ), Vec3.create(), Vec3.createAndSet( 0.0, 1.0, 0.0 ), Matrix.create() ) );
+        camera.setProjectionMatrix( Matrix.makePerspective( 60, 800 / 600, 0.1, 1000.0, Matrix.create() ) );
+
+        var quad = Shape.createTexturedQuadGeometry( -0.5, -0.5, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0 );
+        view.setSceneData( quad );
+
+        assert.isOk( !view.getGPUPicking(), 'Check GPU picking disabled by default' );
+        view.setGPUPicking( true );
+
+        var result = view.computeIntersections( 400, 300 );
+        assert.deepEqual( readSize, [ 1, 1 ], 'Check pixel under the cursor read' );
+        assert.equal( result.length, 1, 'Check one intersection' );
+        assert.equal( result[ 0 ].nodepath[ 0 ], camera, 'Check nodepath starts with the camera' );
+        assert.equal( result[ 0 ].nodepath[ result[ 0 ].nodepath.length - 1 ], quad, 'Check picked geometry' );
+        assert.isOk( result[ 0 ].TriangleIntersection !== undefined, 'Check picked triangle' );
+        assert.isOk( mockup.checkNear( result[ 0 ].point, [ 0.0, 0.0, 0.0 ], 1e-4 ), 'Check picked point' );
+
+        var picker = view.getOrCreateGPUPicker();
+        var color = picker._stateSets[ 0 ].getUniform( 'uPickingColor' ).getInternalArray();
+        assert.isOk( mockup.checkNear( color, [ 1.0 / 255.0, 0.0, 0.0, 1.0 ] ), 'Check picking color of the first geometry' );
+        assert.equal( quad.getParents().length, 1, 'Check scene removed from the picking camera' );
+
+        result = view.computeRectangleIntersections( 300, 250, 200, 100 );
+        assert.deepEqual( readSize, [ 200, 100 ], 'Check rectangle read' );
+        assert.equal( result.length, 1, 'Check one intersection per geometry' );
+        assert.isOk( mockup.checkNear( result[ 0 ].point, [ 0.0, 0.0, 0.0 ], 1e-2 ), 'Check intersection at the pixel closest to the center' );
+
+        // a geometry with its own Program gets no picking id
+        var programQuad = Shape.createTexturedQuadGeometry( -0.5, -0.5, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0 );
+        var program = new Program( new Shader( Shader.VERTEX_SHADER, '' ), new Shader( Shader.FRAGMENT_SHADER, '' ) );
+        programQuad.getOrCreateStateSet().setAttributeAndModes( program );
+        var scene = new Node();
+        scene.addChild( programQuad );
+        scene.addChild( quad );
+        view.setSceneData( scene );
+
+        result = view.computeIntersections( 400, 300 );
+        assert.equal( picker._picks.length, 1, 'Check geometry with a Program not picked' );
+        assert.equal( result.length, 1, 'Check one intersection' );
+        assert.equal( result[ 0 ].nodepath[ result[ 0 ].nodepath.length - 1 ], quad, 'Check picked geometry without Program' );
+    } );
+};
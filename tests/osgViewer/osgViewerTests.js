@@ -1,8 +1,10 @@
 'use strict';
+var GPUPicker = require( 'tests/osgViewer/GPUPicker' );
 var View = require( 'tests/osgViewer/View' );
 var Viewer = require( 'tests/osgViewer/Viewer' );
 
 module.exports = function () {
+    GPUPicker();
     View();
     Viewer();
 };